@@ -0,0 +1,112 @@
+const express = require('express');
+const request = require('supertest');
+const { setupRoutes } = require('../src/api/routes');
+const { errorHandler } = require('../src/api/middleware');
+const { setStore } = require('../src/services/storageService');
+const { createMemoryStore } = require('../src/storage/memoryStore');
+const { writeAudit } = require('../src/services/auditService');
+
+const app = express();
+app.use(express.json());
+setupRoutes(app);
+app.use(errorHandler);
+
+const thresholds = { now: 60, later: 30 };
+
+const record = (audit_id, created_at, { event_type = 'promotion', source = 'shop', channel = 'email', ...rest }) => ({
+  audit_id,
+  user_id:       'analytics_user',
+  event_type,
+  rules_matched: [],
+  event:         { user_id: 'analytics_user', event_type, source, channel, message: 'Hello' },
+  created_at,
+  ...rest,
+});
+
+const range = { from: '2025-03-01T09:00:00.000Z', to: '2025-03-01T11:00:00.000Z' };
+
+describe('Analytics — rollups from writeAudit and /v1/analytics', () => {
+
+  beforeAll(async () => {
+    setStore(createMemoryStore());
+    const at = '2025-03-01T10:15:00.000Z';
+    await writeAudit(record('aud_dup', at, {
+      decision: 'NEVER', score: 0, stages: { expiry: 'VALID', dedup: 'EXACT_KEY: dedupe_key=spring-sale' },
+    }));
+    await writeAudit(record('aud_tired', at, {
+      decision: 'NEVER', score: 25,
+      stages:    { dedup: 'PASS', dnd: 'CLEAR', ai: 'adjustment=+0' },
+      breakdown: { decided_by: 'threshold', final: { base: 35, fatigue_penalty: 10, ai_adjustment: 0, unclamped: 25, score: 25 }, thresholds },
+    }));
+    await writeAudit(record('aud_quiet', at, {
+      channel: 'push', decision: 'LATER', score: 35, stages: { dedup: 'PASS', dnd: 'IN_DND (23:00–08:00)' },
+    }));
+    await writeAudit(record('aud_alert', at, {
+      event_type: 'security_alert', source: 'auth', channel: 'push', decision: 'NOW', score: 100,
+      stages: { dedup: 'PASS', dnd: 'CLEAR', ai: 'SKIPPED (AI timeout)' },
+    }));
+    await writeAudit(record('aud_early', '2025-03-01T09:40:00.000Z', {
+      event_type: 'reminder', channel: 'push', decision: 'LATER', score: 45,
+      stages: { dedup: 'PASS', dnd: 'CLEAR', ai: 'adjustment=+2' },
+    }));
+  });
+
+  test('GET /v1/analytics/decisions — mix per bucket and per group', async () => {
+    const res = await request(app).get('/v1/analytics/decisions').query(range);
+    expect(res.status).toBe(200);
+    expect(res.body.buckets).toEqual([
+      { start: '2025-03-01T09:00:00.000Z', NOW: 0, LATER: 1, NEVER: 0, total: 1 },
+      { start: '2025-03-01T10:00:00.000Z', NOW: 1, LATER: 1, NEVER: 2, total: 4 },
+    ]);
+    expect(res.body.groups[0]).toEqual({ key: 'promotion', NOW: 0, LATER: 1, NEVER: 2, total: 3, never_rate: 0.6667 });
+
+    const bySource = await request(app).get('/v1/analytics/decisions').query({ ...range, group_by: 'source', channel: 'push' });
+    expect(bySource.body.groups.map(g => [g.key, g.total])).toEqual([['shop', 2], ['auth', 1]]);
+
+    const daily = await request(app).get('/v1/analytics/decisions').query({ ...range, interval: 'day' });
+    expect(daily.body).toMatchObject({ from: '2025-03-01T00:00:00.000Z', to: '2025-03-02T00:00:00.000Z' });
+    expect(daily.body.buckets).toEqual([{ start: '2025-03-01T00:00:00.000Z', NOW: 1, LATER: 2, NEVER: 2, total: 5 }]);
+  });
+
+  test('GET /v1/analytics/scores — ten bins, 100 in the last', async () => {
+    const res = await request(app).get('/v1/analytics/scores').query(range);
+    expect(res.body.bins).toHaveLength(10);
+    expect(res.body.bins[0]).toEqual({ min: 0, max: 9, NOW: 0, LATER: 0, NEVER: 1, total: 1 });
+    expect(res.body.bins[2]).toMatchObject({ NEVER: 1, total: 1 });
+    expect(res.body.bins[3]).toMatchObject({ LATER: 1 });
+    expect(res.body.bins[9]).toEqual({ min: 90, max: 100, NOW: 1, LATER: 0, NEVER: 0, total: 1 });
+  });
+
+  test('GET /v1/analytics/suppression — dedup, fatigue, DND and AI skip rates', async () => {
+    const res = await request(app).get('/v1/analytics/suppression').query({ ...range, event_type: 'promotion' });
+    expect(res.body.totals).toEqual({
+      decisions: 3, dedup_suppressed: 1, fatigue_suppressed: 1, dnd_deferred: 1, ai_checked: 1, ai_skipped: 0,
+      dedup_rate: 0.3333, fatigue_rate: 0.3333, dnd_rate: 0.3333, ai_skip_rate: 0,
+    });
+    expect(res.body.buckets[0]).toMatchObject({ decisions: 0, dedup_rate: null, ai_skip_rate: null });
+
+    const all = await request(app).get('/v1/analytics/suppression').query(range);
+    expect(all.body.totals).toMatchObject({ ai_checked: 3, ai_skipped: 1, ai_skip_rate: 0.3333 });
+  });
+
+  test('A deferred event re-evaluated to NOW counts once, as its LATER', async () => {
+    const at = '2025-03-02T10:15:00.000Z';
+    await writeAudit(record('aud_deferred', at, { decision: 'LATER', score: 45, stages: { dnd: 'IN_DND (23:00–08:00)' } }));
+    await writeAudit(record('aud_reeval', '2025-03-02T10:45:00.000Z', {
+      decision: 'NOW', score: 70, reevaluation_of: 'aud_deferred', original_audit_id: 'aud_deferred', stages: { dnd: 'CLEAR' },
+    }));
+
+    const res = await request(app).get('/v1/analytics/decisions')
+      .query({ from: '2025-03-02T10:00:00.000Z', to: '2025-03-02T11:00:00.000Z' });
+    expect(res.body.buckets).toEqual([{ start: '2025-03-02T10:00:00.000Z', NOW: 0, LATER: 1, NEVER: 0, total: 1 }]);
+  });
+
+  test('Invalid ranges and parameters → 400', async () => {
+    await request(app).get('/v1/analytics/decisions').query({ from: range.to, to: range.from }).expect(400);
+    await request(app).get('/v1/analytics/decisions').query({ from: '2024-01-01T00:00:00.000Z', to: '2025-01-01T00:00:00.000Z' }).expect(400);
+    const bad = await request(app).get('/v1/analytics/decisions').query({ interval: 'week', group_by: 'user_id' });
+    expect(bad.status).toBe(400);
+    expect(bad.body.details.map(d => d.path)).toEqual(['interval', 'group_by']);
+  });
+
+});
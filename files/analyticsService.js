@@ -0,0 +1,242 @@
+/**
+ * analyticsService.js — Decision Analytics Rollups
+ *
+ * writeAudit() hands every stored decision to recordDecision(), which adds
+ * it to an hourly rollup row keyed by (hour, event_type, source, channel,
+ * decision, score bin). The /v1/analytics queries read rollups only, never
+ * the audit log, so they cost the same however many decisions were made;
+ * rows are summed into hour or day buckets (UTC) on the way out.
+ *
+ * Each row also counts how its decisions were reached:
+ *   dedup_suppressed   — NEVER from the dedup guard
+ *   fatigue_suppressed — not NOW because of fatigue: a fatigue conflict, or
+ *                        a score the fatigue penalty dropped into a lower band
+ *   dnd_deferred       — LATER because the user was in quiet hours
+ *   ai_checked / ai_skipped — decisions that reached the AI scorer / skipped it
+ *
+ * A deferred event is counted once, by its first decision: re-evaluation
+ * records (reevaluation_of set) are skipped, so LATER followed by NOW adds
+ * one LATER, not a LATER and a NOW.
+ *
+ * Rollups hold counts only — no user IDs — so retention and erasure leave
+ * them alone. They cover decisions written since rollups were introduced.
+ */
+
+const { getStore } = require('./storageService');
+const logger = require('../utils/logger');
+
+const HOUR_MS     = 3600000;
+const INTERVALS   = { hour: HOUR_MS, day: 24 * HOUR_MS };
+const MAX_BUCKETS = 744;          // 31 days of hours
+const SCORE_BINS  = 10;           // 0–9, 10–19, … 90–100
+const DECISIONS   = ['NOW', 'LATER', 'NEVER'];
+const COUNTERS    = ['decisions', 'dedup_suppressed', 'fatigue_suppressed', 'dnd_deferred', 'ai_checked', 'ai_skipped'];
+
+// ── Recording ─────────────────────────────────────────────────────────────────
+
+/**
+ * Add a stored audit record to its hourly rollup. Re-evaluations are
+ * skipped. Never throws — a failed rollup must not fail the audit write.
+ *
+ * @param {Object} record - audit record as stored (after redaction)
+ */
+async function recordDecision(record) {
+  if (record.reevaluation_of) return;
+  try {
+    await getStore().incrementRollup(rollupKey(record), rollupCounts(record));
+  } catch (err) {
+    logger.error(`[ANALYTICS] Rollup update failed for ${record.audit_id}: ${err.message}`);
+  }
+}
+
+function rollupKey(record) {
+  const event = record.event || {};
+  const ts    = new Date(record.created_at || Date.now()).getTime();
+  return {
+    bucket:     new Date(Math.floor(ts / HOUR_MS) * HOUR_MS).toISOString(),
+    event_type: record.event_type || event.event_type || 'unknown',
+    source:     event.source  || 'unknown',
+    channel:    event.channel || 'unknown',
+    decision:   record.decision,
+    score_bin:  Math.min(SCORE_BINS - 1, Math.max(0, Math.floor((Number(record.score) || 0) / 10))),
+  };
+}
+
+function rollupCounts(record) {
+  const stages    = record.stages || {};
+  const breakdown = record.breakdown || {};
+  const ai        = typeof stages.ai === 'string' ? stages.ai : null;
+  return {
+    decisions:          1,
+    dedup_suppressed:   typeof stages.dedup === 'string' && stages.dedup !== 'PASS' ? 1 : 0,
+    fatigue_suppressed: record.decision !== 'NOW' && fatigueSuppressed(breakdown) ? 1 : 0,
+    dnd_deferred:       String(stages.dnd || '').startsWith('IN_DND') ? 1 : 0,
+    ai_checked:         ai !== null ? 1 : 0,
+    ai_skipped:         ai !== null && ai.startsWith('SKIPPED') ? 1 : 0,
+  };
+}
+
+/** Fatigue decided it (conflict), or its penalty moved the score down a band. */
+function fatigueSuppressed({ decided_by, final, thresholds }) {
+  if (decided_by === 'conflict') return true;
+  if (decided_by !== 'threshold' || !final || !thresholds || !(final.fatigue_penalty > 0)) return false;
+
+  const band = score => (score >= thresholds.now ? 2 : score >= thresholds.later ? 1 : 0);
+  const unpenalized = Math.max(0, Math.min(100, final.unclamped + final.fatigue_penalty));
+  return band(unpenalized) > band(final.score);
+}
+
+// ── Queries ───────────────────────────────────────────────────────────────────
+
+/**
+ * Decision mix over time, and per group over the whole range.
+ *
+ * @param {{ from?, to?, interval?, groupBy?, eventType?, source?, channel? }} query
+ *   groupBy: event_type (default) | source | channel
+ * @returns {Promise<Object>} { from, to, interval, group_by, buckets[], groups[] }
+ *   groups are sorted by total, descending, with never_rate = NEVER / total
+ * @throws 400 for an invalid range
+ */
+async function getDecisionMix(query = {}) {
+  const { range, rows } = await readRollups(query);
+  const groupBy = query.groupBy || 'event_type';
+
+  const buckets = emptyBuckets(range, () => decisionTally());
+  const groups  = new Map();
+  for (const row of rows) {
+    addDecision(buckets.get(bucketStart(row.bucket, range.step)), row);
+    const key = row[groupBy];
+    if (!groups.has(key)) groups.set(key, decisionTally());
+    addDecision(groups.get(key), row);
+  }
+
+  return {
+    ...describe(range),
+    group_by: groupBy,
+    buckets:  [...buckets].map(([start, tally]) => ({ start, ...tally })),
+    groups:   [...groups]
+      .map(([key, tally]) => ({ key, ...tally, never_rate: rate(tally.NEVER, tally.total) }))
+      .sort((a, b) => b.total - a.total || String(a.key).localeCompare(String(b.key))),
+  };
+}
+
+/**
+ * Score histogram — ten bins of 10 points, split by decision.
+ *
+ * @param {{ from?, to?, eventType?, source?, channel? }} query
+ * @returns {Promise<Object>} { from, to, bins: [{ min, max, NOW, LATER, NEVER, total }] }
+ * @throws 400 for an invalid range
+ */
+async function getScoreHistogram(query = {}) {
+  const { range, rows } = await readRollups(query);
+  const bins = Array.from({ length: SCORE_BINS }, (_, i) => ({
+    min: i * 10,
+    max: i === SCORE_BINS - 1 ? 100 : i * 10 + 9,
+    ...decisionTally(),
+  }));
+  for (const row of rows) addDecision(bins[row.score_bin], row);
+
+  const { interval, ...window } = describe(range);
+  return { ...window, bins };
+}
+
+/**
+ * Dedup and fatigue suppression, DND deferral and AI skip counts and
+ * rates over time, with totals for the range.
+ *
+ * @param {{ from?, to?, interval?, eventType?, source?, channel? }} query
+ * @returns {Promise<Object>} { from, to, interval, buckets[], totals }
+ * @throws 400 for an invalid range
+ */
+async function getSuppression(query = {}) {
+  const { range, rows } = await readRollups(query);
+  const zero    = () => Object.fromEntries(COUNTERS.map(c => [c, 0]));
+  const buckets = emptyBuckets(range, zero);
+  const totals  = zero();
+  for (const row of rows) {
+    const bucket = buckets.get(bucketStart(row.bucket, range.step));
+    for (const c of COUNTERS) {
+      bucket[c] += row[c];
+      totals[c] += row[c];
+    }
+  }
+
+  return {
+    ...describe(range),
+    buckets: [...buckets].map(([start, counts]) => ({ start, ...withRates(counts) })),
+    totals:  withRates(totals),
+  };
+}
+
+// ── Internal Helpers ──────────────────────────────────────────────────────────
+
+/** Resolve the requested range (default: last 24h) and read its rollup rows. */
+async function readRollups({ from, to, interval = 'hour', eventType, source, channel }) {
+  const step = INTERVALS[interval];
+  if (!step) throw httpError(400, `interval must be one of: ${Object.keys(INTERVALS).join(', ')}`);
+
+  const end   = to ? new Date(to).getTime() : Date.now();
+  const begin = from ? new Date(from).getTime() : end - 24 * HOUR_MS;
+  if (Number.isNaN(begin) || Number.isNaN(end) || begin >= end) throw httpError(400, 'from must be before to');
+
+  // Rollups are hourly — widen to whole buckets of the requested interval
+  const range = { step, interval, from: Math.floor(begin / step) * step, to: Math.ceil(end / step) * step };
+  if ((range.to - range.from) / step > MAX_BUCKETS) {
+    throw httpError(400, `Range spans more than ${MAX_BUCKETS} ${interval} buckets — narrow it or use interval=day`);
+  }
+
+  const rows = await getStore().listRollups({
+    from: new Date(range.from).toISOString(),
+    to:   new Date(range.to).toISOString(),
+    eventType,
+    source,
+    channel,
+  });
+  return { range, rows };
+}
+
+function describe({ from, to, interval }) {
+  return { from: new Date(from).toISOString(), to: new Date(to).toISOString(), interval };
+}
+
+/** Ordered Map of bucket start → init(), one per step, so charts get every slot. */
+function emptyBuckets({ from, to, step }, init) {
+  const buckets = new Map();
+  for (let t = from; t < to; t += step) buckets.set(new Date(t).toISOString(), init());
+  return buckets;
+}
+
+function bucketStart(iso, step) {
+  return new Date(Math.floor(new Date(iso).getTime() / step) * step).toISOString();
+}
+
+function decisionTally() {
+  return { NOW: 0, LATER: 0, NEVER: 0, total: 0 };
+}
+
+function addDecision(tally, row) {
+  if (DECISIONS.includes(row.decision)) tally[row.decision] += row.decisions;
+  tally.total += row.decisions;
+}
+
+function withRates(counts) {
+  return {
+    ...counts,
+    dedup_rate:   rate(counts.dedup_suppressed, counts.decisions),
+    fatigue_rate: rate(counts.fatigue_suppressed, counts.decisions),
+    dnd_rate:     rate(counts.dnd_deferred, counts.decisions),
+    ai_skip_rate: rate(counts.ai_skipped, counts.ai_checked),
+  };
+}
+
+function rate(part, whole) {
+  return whole > 0 ? Math.round((part / whole) * 10000) / 10000 : null;
+}
+
+function httpError(status, message) {
+  const err  = new Error(message);
+  err.status = status;
+  return err;
+}
+
+module.exports = { recordDecision, getDecisionMix, getScoreHistogram, getSuppression };
@@ -1,8 +1,29 @@
+const fs      = require('fs');
+const os      = require('os');
+const path    = require('path');
 const request = require('supertest');
 const app     = require('../server');
+const config  = require('../config/default');
+const { setStore, getStore } = require('../src/services/storageService');
+const { createMemoryStore } = require('../src/storage/memoryStore');
+const { registerAdapter, CHANNELS } = require('../src/services/deliveryService');
+const { createFileAdapter } = require('../src/delivery/fileAdapter');
+const { closeRedis } = require('../src/services/redisService');
+
+// Rule / policy writes go to scratch files, never the real config/*.json
+const rulesFile    = path.join(os.tmpdir(), `api-rules-${process.pid}-${Date.now()}.json`);
+const policiesFile = path.join(os.tmpdir(), `api-policies-${process.pid}-${Date.now()}.json`);
+fs.copyFileSync(path.join(__dirname, '../config/rules.json'), rulesFile);
+setStore(createMemoryStore({ rulesFile, policiesFile }));
+
+// Deliveries go to a scratch directory, never var/deliveries
+const outDir = fs.mkdtempSync(path.join(os.tmpdir(), 'api-deliveries-'));
+CHANNELS.forEach(channel => registerAdapter(channel, createFileAdapter({ dir: outDir })));
 
 describe('API Integration Tests', () => {
 
+  afterAll(closeRedis);
+
   test('POST /v1/notifications/evaluate — CRITICAL → 200 + NOW', async () => {
     const res = await request(app)
       .post('/v1/notifications/evaluate')
@@ -53,11 +74,121 @@ describe('API Integration Tests', () => {
     expect(res.body.status).toBe('ok');
   });
 
+  test('GET /metrics → Prometheus exposition of decisions, stages, dedup, Redis and queue', async () => {
+    await request(app).post('/v1/notifications/evaluate')
+      .send({ user_id: 'metrics_user', event_type: 'order_9f31c7', message: 'Shipped' }).expect(200);
+    const res = await request(app).get('/metrics');
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toMatch(/^text\/plain;.*version=0\.0\.4/);
+
+    expect(res.text).toMatch(/^notification_decisions_total\{decision="NOW",event_type="security_alert",pass="initial"\} [1-9]/m);
+    expect(res.text).toMatch(/^notification_decisions_total\{decision="NEVER",event_type="reminder",pass="initial"\} [1-9]/m);
+    expect(res.text).toMatch(/^notification_decisions_total\{decision="\w+",event_type="other",pass="initial"\} [1-9]/m);
+    expect(res.text).not.toContain('order_9f31c7');
+    expect(res.text).toMatch(/^notification_pipeline_stage_duration_seconds_bucket\{le="\+Inf",stage="expiry"\} [1-9]/m);
+    expect(res.text).toMatch(/^notification_pipeline_stage_duration_seconds_count\{stage="finalize"\} [1-9]/m);
+    expect(res.text).toMatch(/^notification_dedup_checks_total\{result="PASS"\} [1-9]/m);
+    expect(res.text).toMatch(/^notification_rule_matches_total\{rule_id="critical-always-now"\} [1-9]/m);
+    expect(res.text).toContain('# TYPE notification_scheduler_queue_depth gauge');
+    expect(res.text).toMatch(/^notification_scheduler_queue_depth\{state="pending"\} 0$/m);
+    expect(res.text).toMatch(/^redis_stub_mode 1$/m);
+    expect(res.text).toMatch(/^redis_stub_mode_activations_total 1$/m);
+  });
+
   test('GET /v1/audit/:id — non-existent → 404', async () => {
     const res = await request(app).get('/v1/audit/nonexistent_000');
     expect(res.status).toBe(404);
   });
 
+  test('GET /v1/audit/:id/explain — score math adds up, thresholds and what would change', async () => {
+    await request(app).put('/v1/users/explain_user/preferences').send({ quiet_hours: [] }).expect(200);
+    const evalRes = await request(app)
+      .post('/v1/notifications/evaluate')
+      .send({ user_id: 'explain_user', event_type: 'promotion', message: 'Spring sale', source: 'shop', priority_hint: 'LOW', channel: 'push' });
+    expect(evalRes.body.decision).toBe('NEVER');
+    const { score } = evalRes.body;
+
+    const res = await request(app).get(`/v1/audit/${evalRes.body.audit_id}/explain`);
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ decided_by: 'threshold', breakdown_available: true, score });
+    expect(res.body.steps.map(s => s.step)).toEqual(['priority', 'event_type', 'channel', 'freshness', 'fatigue_penalty', 'ai_adjustment']);
+    expect(res.body.steps.slice(0, 4).map(s => s.points)).toEqual([5, 5, 8, 10]);
+    expect(res.body.steps[res.body.steps.length - 1].total).toBe(score);
+    expect(res.body.thresholds).toMatchObject({ now: 60, later: 30, band: 'NEVER' });
+    expect(res.body.what_would_change).toEqual(expect.arrayContaining([
+      `+${30 - score} points would have made this LATER.`,
+      `+${60 - score} points would have made this NOW.`,
+      'priority_hint MEDIUM instead of LOW (+10) would have made this LATER.',
+    ]));
+
+    await request(app).get('/v1/audit/aud_missing0/explain').expect(404);
+  });
+
+  test('GET /v1/audit — filters, cursor pages, NDJSON/CSV export and compliance bundle', async () => {
+    await request(app).put('/v1/users/search_user/preferences').send({ quiet_hours: [] }).expect(200);
+    const from = new Date(Date.now() - 1000).toISOString();
+    const send = (message, extra) => request(app).post('/v1/notifications/evaluate')
+      .send({ user_id: 'search_user', event_type: 'security_alert', message, source: 'auth', priority_hint: 'CRITICAL', channel: 'push', ...extra });
+    const ids = [];
+    for (const message of ['Login from Oslo', 'Login from Rome, "again"']) ids.push((await send(message)).body.audit_id);
+    const promo = await send('Spring sale', { event_type: 'promotion', source: 'shop', priority_hint: 'LOW' });
+    expect(promo.body.decision).toBe('NEVER');
+    await request(app).post('/v1/notifications/override')
+      .send({ notification_id: promo.body.audit_id, override_to: 'NOW', operator_id: 'ops_1', reason: 'Wanted it' }).expect(200);
+
+    const page1 = await request(app).get('/v1/audit').query({ user_id: 'search_user', limit: 2 });
+    expect(page1.status).toBe(200);
+    expect(page1.body.records.map(r => r.audit_id)).toEqual([promo.body.audit_id, ids[1]]);
+    const page2 = await request(app).get('/v1/audit').query({ user_id: 'search_user', limit: 2, cursor: page1.body.next_cursor });
+    expect(page2.body).toMatchObject({ count: 1, next_cursor: null });
+    expect(page2.body.records[0].audit_id).toBe(ids[0]);
+
+    const filtered = await request(app).get('/v1/audit').query({ user_id: 'search_user', source: 'shop', max_score: 60 });
+    expect(filtered.body.records.map(r => r.decision)).toEqual(['NEVER']);
+    const byRule = await request(app).get('/v1/audit').query({ user_id: 'search_user', rule_id: 'critical-always-now' });
+    expect(byRule.body.count).toBe(2);
+
+    const bad = await request(app).get('/v1/audit').query({ decision: 'SOON', limit: 0 });
+    expect(bad.status).toBe(400);
+    expect(bad.body.details.map(d => d.path)).toEqual(['decision', 'limit']);
+    await request(app).get('/v1/audit').query({ cursor: 'not-a-cursor' }).expect(400);
+
+    const ndjson = await request(app).get('/v1/audit/export').query({ user_id: 'search_user', event_type: 'security_alert' });
+    expect(ndjson.headers['content-type']).toMatch(/^application\/x-ndjson/);
+    expect(ndjson.text.trim().split('\n').map(line => JSON.parse(line).audit_id)).toEqual([ids[1], ids[0]]);
+
+    const csv = await request(app).get('/v1/audit/export').query({ user_id: 'search_user', format: 'csv' });
+    expect(csv.headers['content-type']).toMatch(/^text\/csv/);
+    expect(csv.headers['content-disposition']).toBe('attachment; filename="audit-export.csv"');
+    const lines = csv.text.trim().split('\r\n');
+    expect(lines[0]).toBe('audit_id,created_at,user_id,event_type,source,decision,score,reason,rules_matched,schedule_at,reevaluation_of,original_audit_id');
+    expect(lines).toHaveLength(4);
+    expect(lines[2]).toMatch(new RegExp(`^${ids[1]},.*,search_user,security_alert,auth,NOW,.*,critical-always-now,`));
+
+    const to = new Date(Date.now() + 1000).toISOString();
+    const bundle = await request(app).get('/v1/audit/users/search_user/bundle').query({ from, to });
+    expect(bundle.status).toBe(200);
+    const doc = JSON.parse(bundle.text);
+    expect(doc).toMatchObject({ user_id: 'search_user', from, to });
+    expect(doc.totals).toEqual({ records: 3, overrides: 1, deliveries: 3, decisions: { NOW: 2, LATER: 0, NEVER: 1 } });
+    expect(doc.records[0]).toHaveProperty('stages');
+    expect(doc.records[0]).toHaveProperty('breakdown');
+    expect(doc.records[0].overrides[0]).toMatchObject({ override_to: 'NOW', operator_id: 'ops_1' });
+
+    await request(app).get('/v1/audit/users/search_user/bundle').query({ from }).expect(400);
+  });
+
+  test('CSV export — cells a spreadsheet would run as formulas open as text', async () => {
+    await request(app).post('/v1/notifications/evaluate')
+      .send({ user_id: 'csv_user', event_type: '=HYPERLINK("http://x.example","open")', source: '@SUM(A1)', message: 'Hi' })
+      .expect(200);
+
+    const csv = await request(app).get('/v1/audit/export').query({ user_id: 'csv_user', format: 'csv' });
+    const row = csv.text.trim().split('\r\n')[1];
+    expect(row).toContain(`,csv_user,"'=HYPERLINK(""http://x.example"",""open"")","'@SUM(A1)",`);
+    expect(row).toMatch(/,(NOW|LATER|NEVER),-?\d+(\.\d+)?,/);   // the score stays a number
+  });
+
   test('GET /v1/notifications/history/:user_id → 200', async () => {
     const res = await request(app).get('/v1/notifications/history/api_test_user');
     expect(res.status).toBe(200);
@@ -66,4 +197,346 @@ describe('API Integration Tests', () => {
     expect(res.body).toHaveProperty('count');
   });
 
+  test('PUT /v1/users/:user_id/preferences → 200 + saved profile', async () => {
+    const res = await request(app)
+      .put('/v1/users/api_test_user/preferences')
+      .send({
+        timezone:         'America/New_York',
+        quiet_hours:      [{ days: ['mon', 'tue'], start: '22:00', end: '07:00' }],
+        channel_opt_outs: ['sms'],
+      });
+
+    expect(res.status).toBe(200);
+    expect(res.body.preferences.timezone).toBe('America/New_York');
+
+    const get = await request(app).get('/v1/users/api_test_user/preferences');
+    expect(get.body.channel_opt_outs).toEqual(['sms']);
+  });
+
+  test('PUT /v1/users/:user_id/preferences — invalid timezone → 400', async () => {
+    const res = await request(app)
+      .put('/v1/users/api_test_user/preferences')
+      .send({ timezone: 'Mars/Olympus_Mons' });
+
+    expect(res.status).toBe(400);
+  });
+
+  test('POST /v1/notifications/override — unknown id → 404', async () => {
+    const res = await request(app)
+      .post('/v1/notifications/override')
+      .send({ notification_id: 'aud_missing0', override_to: 'NOW', operator_id: 'ops_1', reason: 'test' });
+
+    expect(res.status).toBe(404);
+  });
+
+  test('POST /v1/notifications/override — NEVER → NOW re-sends and is audited', async () => {
+    const evalRes = await request(app)
+      .post('/v1/notifications/evaluate')
+      .send({ user_id: 'override_user', event_type: 'reminder', message: 'Expired', expires_at: '2020-01-01T00:00:00Z' });
+    expect(evalRes.body.decision).toBe('NEVER');
+
+    const res = await request(app)
+      .post('/v1/notifications/override')
+      .send({ notification_id: evalRes.body.audit_id, override_to: 'NOW', operator_id: 'ops_1', reason: 'escalation' });
+    expect(res.status).toBe(200);
+    expect(res.body.from).toBe('NEVER');
+
+    const audit = await request(app).get(`/v1/audit/${evalRes.body.audit_id}`);
+    expect(audit.body.decision).toBe('NEVER');
+    expect(audit.body.overrides).toHaveLength(1);
+    expect(audit.body.overrides[0].operator_id).toBe('ops_1');
+  });
+
+  test('NOW decision is delivered and the receipt is linked to its audit_id', async () => {
+    const evalRes = await request(app)
+      .post('/v1/notifications/evaluate')
+      .send({ user_id: 'delivery_user', event_type: 'security_alert', message: 'New login', priority_hint: 'CRITICAL', channel: 'sms' });
+    expect(evalRes.body.decision).toBe('NOW');
+    expect(evalRes.body.delivery.status).toBe('SENT');
+
+    const audit = await request(app).get(`/v1/audit/${evalRes.body.audit_id}`);
+    expect(audit.body.deliveries).toHaveLength(1);
+    expect(audit.body.deliveries[0]).toMatchObject({ channel: 'sms', adapter: 'file', status: 'SENT' });
+
+    const lines = fs.readFileSync(path.join(outDir, 'sms.jsonl'), 'utf8').trim().split('\n').map(JSON.parse);
+    expect(lines.some(l => l.audit_id === evalRes.body.audit_id)).toBe(true);
+  });
+
+  test('POST /v1/notifications/override — cancel a dispatched NOW → 409', async () => {
+    const evalRes = await request(app)
+      .post('/v1/notifications/evaluate')
+      .send({ user_id: 'override_user', event_type: 'security_alert', message: 'Login', priority_hint: 'CRITICAL' });
+
+    const res = await request(app)
+      .post('/v1/notifications/override')
+      .send({ notification_id: evalRes.body.audit_id, override_to: 'NEVER', operator_id: 'ops_1', reason: 'oops' });
+    expect(res.status).toBe(409);
+  });
+
+  test('POST /v1/notifications/override — LATER without schedule_at → 400', async () => {
+    const res = await request(app)
+      .post('/v1/notifications/override')
+      .send({ notification_id: 'aud_missing0', override_to: 'LATER', operator_id: 'ops_1', reason: 'test' });
+
+    expect(res.status).toBe(400);
+  });
+
+  test('POST /v1/notifications/evaluate/batch — per-item results, invalid items reported', async () => {
+    const res = await request(app)
+      .post('/v1/notifications/evaluate/batch')
+      .send({
+        events: [
+          { user_id: 'batch_user', event_type: 'reminder', message: 'Standup in 5', priority_hint: 'CRITICAL' },
+          { event_type: 'reminder' },
+          { user_id: 'batch_user', event_type: 'reminder', message: 'Standup in 5', priority_hint: 'CRITICAL' },
+        ],
+      });
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ total: 3, succeeded: 2, failed: 1 });
+    expect(res.body.results[0]).toMatchObject({ index: 0, status: 'ok', decision: 'NOW' });
+    expect(res.body.results[1]).toMatchObject({ index: 1, status: 'error', error: 'Validation failed' });
+    expect(res.body.results[2].status).toBe('ok');
+  });
+
+  test('POST /v1/notifications/evaluate/batch — empty batch → 400', async () => {
+    const res = await request(app)
+      .post('/v1/notifications/evaluate/batch')
+      .send({ events: [] });
+
+    expect(res.status).toBe(400);
+  });
+
+  test('POST /v1/notifications/evaluate — title and service alias reach delivery', async () => {
+    const res = await request(app)
+      .post('/v1/notifications/evaluate')
+      .send({ user_id: 'contract_user', event_type: 'security_alert', title: 'New login', service: 'auth', priority_hint: 'CRITICAL', channel: 'email' });
+    expect(res.status).toBe(200);
+    expect(res.body).not.toHaveProperty('warnings');
+
+    const lines = fs.readFileSync(path.join(outDir, 'email.jsonl'), 'utf8').trim().split('\n').map(JSON.parse);
+    expect(lines.find(l => l.audit_id === res.body.audit_id)).toMatchObject({ title: 'New login', body: 'New login' });
+  });
+
+  test('POST /v1/notifications/evaluate — contract violations and unknown event types', async () => {
+    const bad = await request(app)
+      .post('/v1/notifications/evaluate')
+      .send({ user_id: 'contract_user', event_type: 'reminder', message: 'x'.repeat(2001), channels: ['sms', 'fax'], expires_at: '2025-02-25' });
+    expect(bad.status).toBe(400);
+    expect(bad.body.details.map(d => [d.path, d.keyword])).toEqual([
+      ['message', 'maxLength'], ['channels[1]', 'enum'], ['expires_at', 'format'],
+    ]);
+
+    const extra = { user_id: 'contract_user', event_type: 'reminder', message: 'Standup', colour: 'red' };
+    const lenient = await request(app).post('/v1/notifications/evaluate').send(extra);
+    expect(lenient.status).toBe(200);
+    expect(lenient.body.warnings).toEqual([expect.objectContaining({ code: 'UNKNOWN_FIELD', path: 'colour' })]);
+
+    config.events.strictFields = true;
+    try {
+      const strict = await request(app).post('/v1/notifications/evaluate').send(extra);
+      expect(strict.status).toBe(400);
+      expect(strict.body.details.map(d => [d.path, d.keyword])).toEqual([['colour', 'additionalProperties']]);
+    } finally {
+      config.events.strictFields = false;
+    }
+
+    const version = await request(app)
+      .post('/v1/notifications/evaluate')
+      .send({ schema_version: '2.0', user_id: 'contract_user', event_type: 'reminder' });
+    expect(version.status).toBe(400);
+    expect(version.body.details[0].msg).toMatch(/supported: 1\.0/);
+
+    const unknown = await request(app)
+      .post('/v1/notifications/evaluate')
+      .send({ user_id: 'contract_user', event_type: 'shipment_update', message: 'Out for delivery' });
+    expect(unknown.status).toBe(200);
+    expect(unknown.body.warnings).toEqual([
+      expect.objectContaining({ code: 'UNKNOWN_EVENT_TYPE', path: 'event_type', value: 'shipment_update', known: expect.arrayContaining(['reminder']) }),
+    ]);
+  });
+
+  test('GET /v1/schema/event — current schema, unknown version → 404', async () => {
+    const res = await request(app).get('/v1/schema/event');
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toMatch(/application\/schema\+json/);
+    const schema = JSON.parse(res.text);
+    expect(schema).toMatchObject({ $id: 'urn:notification-engine:schema:event:1.0', required: ['user_id', 'event_type'] });
+    expect(schema.properties.message.maxLength).toBe(2000);
+
+    const missing = await request(app).get('/v1/schema/event?version=0.9');
+    expect(missing.status).toBe(404);
+    expect(missing.body.supported).toEqual(['1.0']);
+  });
+
+  test('POST /v1/rules — malformed condition → 400 with exact path', async () => {
+    const res = await request(app)
+      .post('/v1/rules')
+      .send({
+        rule_id:   'bad_condition',
+        action:    'SUPPRESS',
+        condition: { any: [{ channel: 'sms' }, { 'metadata.amount': { gt: 'lots' } }] },
+      });
+
+    expect(res.status).toBe(400);
+    expect(res.body.details[0].msg).toBe('condition.any[1].metadata.amount.gt: must be a number');
+  });
+
+  test('POST /v1/rules — CAP needs a valid max_per → 400 otherwise', async () => {
+    const cap = { rule_id: 'cap_rule', condition: { event_type: 'promotion' }, action: 'CAP' };
+    const msg = async body => (await request(app).post('/v1/rules').send(body).expect(400)).body.details[0].msg;
+
+    expect(await msg(cap)).toBe('max_per is required for CAP rules');
+    expect(await msg({ ...cap, max_per: { count: 0, window: '4h' } })).toBe('max_per.count must be a positive integer');
+    expect(await msg({ ...cap, max_per: { count: '2', window: '4h' } })).toBe('max_per.count must be a positive integer');
+    expect(await msg({ ...cap, max_per: { count: 2, window: '4 weeks' } })).toMatch(/^max_per.window must be like/);
+    expect(await msg({ ...cap, action: 'DEFER', max_per: { count: 2, window: '2w' } })).toMatch(/^max_per.window must be like/);
+
+    const sim = await request(app).post('/v1/rules/simulate').send({ rules: [{ ...cap, rule_id: 'sim_cap' }] });
+    expect(sim.status).toBe(400);
+    expect(sim.body.details[0]).toMatchObject({ path: 'rules[0].max_per', msg: 'max_per is required for CAP rules' });
+
+    await request(app).post('/v1/rules').send({ ...cap, max_per: { count: 2, window: '4h' } }).expect(200);
+    await request(app).delete('/v1/rules/cap_rule').expect(200);
+  });
+
+  test('Rules CRUD — versions, delete and rollback', async () => {
+    const rule = { rule_id: 'crud_rule', condition: { event_type: 'survey' }, action: 'SUPPRESS', updated_by: 'ops_1' };
+
+    await request(app).post('/v1/rules').send(rule).expect(200);
+    const upd = await request(app).post('/v1/rules').send({ ...rule, action: 'DEFER', updated_by: 'ops_2' });
+    expect(upd.body.rule).toMatchObject({ version: 2, action: 'DEFER', updated_by: 'ops_2' });
+
+    const list = await request(app).get('/v1/rules');
+    expect(list.body.rules.map(r => r.rule_id)).toContain('crud_rule');
+
+    await request(app).delete('/v1/rules/crud_rule').send({ updated_by: 'ops_3' }).expect(200);
+    await request(app).get('/v1/rules/crud_rule').expect(404);
+
+    const rb = await request(app).post('/v1/rules/crud_rule/rollback/1').send({ updated_by: 'ops_4' });
+    expect(rb.status).toBe(200);
+    expect(rb.body.rule).toMatchObject({ action: 'SUPPRESS', version: 4, updated_by: 'ops_4' });
+
+    const history = await request(app).get('/v1/rules/crud_rule/history');
+    expect(history.body.versions.map(v => v.change)).toEqual(['CREATE', 'UPDATE', 'DELETE', 'ROLLBACK']);
+
+    await request(app).post('/v1/rules/crud_rule/rollback/3').expect(409);
+    await request(app).post('/v1/rules/crud_rule/rollback/99').expect(404);
+  });
+
+  test('Concurrent rule writes get distinct versions; a version still contested after retries → 409', async () => {
+    const rule  = { rule_id: 'race_rule', condition: { event_type: 'survey' }, action: 'SUPPRESS' };
+    const saves = await Promise.all(['ops_1', 'ops_2', 'ops_3'].map(updated_by =>
+      request(app).post('/v1/rules').send({ ...rule, updated_by })));
+    expect(saves.map(r => r.status)).toEqual([200, 200, 200]);
+    expect(saves.map(r => r.body.rule.version).sort()).toEqual([1, 2, 3]);
+
+    const history = await request(app).get('/v1/rules/race_rule/history');
+    expect(history.body.versions.map(v => v.version)).toEqual([1, 2, 3]);
+
+    const taken = Object.assign(new Error('version taken'), { code: 'VERSION_CONFLICT' });
+    const spy = jest.spyOn(getStore(), 'commitRuleVersion').mockRejectedValue(taken);
+    try {
+      const res = await request(app).post('/v1/rules').send({ ...rule, action: 'DEFER' });
+      expect(res.status).toBe(409);
+      expect(spy).toHaveBeenCalledTimes(5);
+    } finally {
+      spy.mockRestore();
+    }
+    expect((await request(app).get('/v1/rules/race_rule')).body).toMatchObject({ action: 'SUPPRESS', version: 3 });
+  });
+
+  test('POST /v1/rules/simulate — candidate SUPPRESS shows →NEVER without side effects', async () => {
+    const ev = { user_id: 'sim_user', event_type: 'direct_message', priority_hint: 'HIGH', message: 'Lunch?' };
+    await request(app).post('/v1/notifications/evaluate').send(ev).expect(200);
+    const before = await request(app).get('/v1/notifications/history/sim_user');
+
+    const res = await request(app)
+      .post('/v1/rules/simulate')
+      .send({
+        rule:    { rule_id: 'sim_suppress_dm', condition: { event_type: 'direct_message' }, action: 'SUPPRESS' },
+        user_id: 'sim_user',
+      });
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ replayed: 1, changed: 1, affected_users: { count: 1 } });
+    expect(Object.keys(res.body.transitions)[0]).toMatch(/→NEVER$/);
+    expect(res.body.samples[0].rules_after).toContain('sim_suppress_dm');
+
+    const after = await request(app).get('/v1/notifications/history/sim_user');
+    expect(after.body).toEqual(before.body);
+    await request(app).get('/v1/rules/sim_suppress_dm').expect(404);
+  });
+
+  test('POST /v1/rules/simulate — invalid candidate → 400', async () => {
+    const res = await request(app)
+      .post('/v1/rules/simulate')
+      .send({ rules: [{ rule_id: 'x', condition: { nope: 1 }, action: 'SUPPRESS' }] });
+
+    expect(res.status).toBe(400);
+    expect(res.body.details[0].msg).toMatch(/^condition\.nope: unknown field/);
+  });
+
+  test('Fatigue policies — segment policy and user cap drive the history cap', async () => {
+    await request(app)
+      .post('/v1/fatigue-policies')
+      .send({ policy_id: 'enterprise', scope: { segment: 'enterprise' }, caps: { total: { count: 20, window: '1h' } } })
+      .expect(200);
+    await request(app).put('/v1/users/ent_user/preferences').send({ segment: 'enterprise' }).expect(200);
+
+    let history = await request(app).get('/v1/notifications/history/ent_user');
+    expect(history.body).toMatchObject({ cap: 20, policy: 'enterprise' });
+
+    await request(app).put('/v1/users/ent_user/preferences').send({ fatigue_cap: { count: 3, window: '1h' } }).expect(200);
+    history = await request(app).get('/v1/notifications/history/ent_user');
+    expect(history.body.cap).toBe(3);
+
+    await request(app).delete('/v1/fatigue-policies/enterprise').expect(200);
+    await request(app).get('/v1/fatigue-policies/enterprise').expect(404);
+  });
+
+  test('POST /v1/fatigue-policies — bad penalty curve → 400', async () => {
+    const res = await request(app)
+      .post('/v1/fatigue-policies')
+      .send({ policy_id: 'bad', penalty_curve: [{ ratio: 0.5, count: 2, penalty: 10 }] });
+
+    expect(res.status).toBe(400);
+    expect(res.body.details[0].msg).toMatch(/exactly one of ratio or count/);
+  });
+
+  test('Webhooks CRUD — secret shown once, bad URL rejected, delete → 404', async () => {
+    const created = await request(app)
+      .post('/v1/webhooks')
+      .send({ url: 'http://hooks.example.com/notify', events: ['decision'], filter: { decisions: ['NEVER'] } });
+    expect(created.status).toBe(201);
+    const { webhook_id, secret } = created.body.webhook;
+    expect(secret).toMatch(/^whsec_[0-9a-f]{48}$/);
+
+    const fetched = await request(app).get(`/v1/webhooks/${webhook_id}`);
+    expect(fetched.body.secret).not.toBe(secret);
+
+    const updated = await request(app).put(`/v1/webhooks/${webhook_id}`).send({ enabled: false });
+    expect(updated.body.webhook).toMatchObject({ enabled: false, url: 'http://hooks.example.com/notify' });
+
+    const bad = await request(app).post('/v1/webhooks').send({ url: 'not a url', events: ['sent'] });
+    expect(bad.status).toBe(400);
+    expect(bad.body.details.map(d => d.path)).toEqual(['url', 'events[0]']);
+
+    for (const url of ['http://169.254.169.254/latest/meta-data', 'http://localhost:9/hook', 'http://[::1]/hook', 'https://10.1.2.3/hook']) {
+      const internal = await request(app).post('/v1/webhooks').send({ url });
+      expect(internal.status).toBe(400);
+      expect(internal.body.details[0].msg).toMatch(/private, loopback or link-local/);
+    }
+    config.webhooks.requireHttps = true;
+    try {
+      const plain = await request(app).put(`/v1/webhooks/${webhook_id}`).send({ url: 'http://hooks.example.com/v2' });
+      expect(plain.body.details[0].msg).toBe('url must use https');
+    } finally {
+      config.webhooks.requireHttps = false;
+    }
+
+    await request(app).delete(`/v1/webhooks/${webhook_id}`).expect(200);
+    await request(app).get(`/v1/webhooks/${webhook_id}/deliveries`).expect(404);
+  });
+
 });
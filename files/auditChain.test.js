@@ -0,0 +1,194 @@
+const express = require('express');
+const request = require('supertest');
+const { newDb } = require('pg-mem');
+const config  = require('../config/default');
+const { setupRoutes } = require('../src/api/routes');
+const { errorHandler } = require('../src/api/middleware');
+const { setStore, getStore } = require('../src/services/storageService');
+const { createMemoryStore } = require('../src/storage/memoryStore');
+const { createPostgresStore } = require('../src/storage/postgresStore');
+const { writeAudit, appendOverride, retryParked } = require('../src/services/auditService');
+const { renderMetrics } = require('../src/utils/metrics');
+const { closeRedis } = require('../src/services/redisService');
+
+const app = express();
+app.use(express.json());
+setupRoutes(app);
+app.use(errorHandler);
+
+const record = (audit_id, user_id, overrides = {}) => ({
+  audit_id,
+  event_id:      `evt_${audit_id}`,
+  user_id,
+  event_type:    'reminder',
+  decision:      'LATER',
+  score:         42,
+  reason:        'Score 42 in [30,60)',
+  stages:        { expiry: 'VALID', ai: 'SKIPPED (no AI_SERVICE_URL)' },
+  rules_matched: [],
+  schedule_at:   '2025-02-25T15:00:00.000Z',
+  event:         { user_id, event_type: 'reminder', message: 'Standup' },
+  created_at:    new Date().toISOString(),
+  ...overrides,
+});
+
+const override = audit_id => appendOverride({
+  audit_id, notification_id: audit_id, from: 'LATER', override_to: 'NOW',
+  operator_id: 'ops_1', reason: 'Customer asked', schedule_at: null,
+});
+
+describe('Audit chain — hash-linked records and GET /v1/audit/verify', () => {
+
+  beforeEach(() => {
+    setStore(createMemoryStore());
+    config.audit.signingKey = 'test-signing-key';
+  });
+  afterEach(() => { config.audit.signingKey = null; });
+
+  test('Records and signed overrides are linked per user and verify clean', async () => {
+    await writeAudit(record('aud_1', 'chain_user'));
+    await writeAudit(record('aud_2', 'other_user'));
+    await writeAudit(record('aud_3', 'chain_user'));
+    const ovr = await override('aud_1');
+
+    const first = await getStore().getDecision('aud_1');
+    const third = await getStore().getDecision('aud_3');
+    expect(first.chain).toMatchObject({ seq: 1, prev_hash: '0'.repeat(64) });
+    expect(third.chain).toMatchObject({ seq: 2, prev_hash: first.chain.hash });
+    expect(ovr.chain).toMatchObject({ seq: 3, prev_hash: third.chain.hash, signature: expect.stringMatching(/^[0-9a-f]{64}$/) });
+    expect((await getStore().getDecision('aud_2')).chain.seq).toBe(1);
+
+    const all = await request(app).get('/v1/audit/verify');
+    expect(all.status).toBe(200);
+    expect(all.body).toMatchObject({ ok: true, partitions: 2, entries: 4, pruned: 0, issue_count: 0 });
+    expect(first.chain.signature).toMatch(/^[0-9a-f]{64}$/);
+
+    const one = await request(app).get('/v1/audit/verify').query({ user_id: 'chain_user' });
+    expect(one.body).toMatchObject({ ok: true, partitions: 1, entries: 3, heads: [{ seq: 3, hash: ovr.chain.hash }] });
+  });
+
+  test('Edits, deletions, forged signatures and truncation are reported — retention purges are not', async () => {
+    const { Pool } = newDb().adapters.createPg();
+    const pool  = new Pool();
+    const store = createPostgresStore({ pool });
+    await store.migrate();
+    setStore(store);
+
+    const old = '2025-01-01T00:00:00.000Z';
+    await writeAudit(record('aud_a', 'chain_user', { decision: 'NEVER', created_at: old }));
+    for (const id of ['aud_b', 'aud_c', 'aud_d']) await writeAudit(record(id, 'chain_user'));
+    await override('aud_d');
+    await writeAudit(record('aud_e', 'chain_user'));
+
+    expect(await store.purgeDecisions({ decision: 'NEVER', before: '2025-02-01T00:00:00.000Z' })).toBe(1);
+    const clean = await request(app).get('/v1/audit/verify');
+    expect(clean.body).toMatchObject({ ok: true, entries: 6, pruned: 1 });
+
+    await pool.query(`UPDATE decisions SET score = 99 WHERE audit_id = 'aud_b'`);
+    await pool.query(`DELETE FROM decisions WHERE audit_id IN ('aud_c', 'aud_e')`);
+    await pool.query(`UPDATE decision_overrides SET signature = $1 WHERE audit_id = 'aud_d'`, ['a'.repeat(64)]);
+
+    const res = await request(app).get('/v1/audit/verify').query({ user_id: 'chain_user' });
+    expect(res.body.ok).toBe(false);
+    expect(res.body.issues.map(i => [i.type, i.seq, i.ref_id])).toEqual([
+      ['HASH_MISMATCH', 2, 'aud_b'],
+      ['GAP', 4, 'aud_d'],
+      ['BAD_SIGNATURE', 5, res.body.issues[2].ref_id],
+      ['HEAD_MISMATCH', 6, null],
+    ]);
+    expect(res.body.issues[2].ref_id).toMatch(/^ovr_/);
+  });
+
+  test('Unsigned or forged pruned markers and heads are reported; no key → 503', async () => {
+    const { Pool } = newDb().adapters.createPg();
+    const pool  = new Pool();
+    const store = createPostgresStore({ pool });
+    await store.migrate();
+    setStore(store);
+
+    await writeAudit(record('aud_p', 'chain_user', { decision: 'NEVER', created_at: '2025-01-01T00:00:00.000Z' }));
+    await writeAudit(record('aud_q', 'chain_user'));
+    await store.purgeDecisions({ decision: 'NEVER', before: '2025-02-01T00:00:00.000Z' });
+
+    await pool.query('UPDATE audit_chain_pruned SET signature = NULL');
+    await pool.query('UPDATE audit_chain_heads SET signature = $1', ['b'.repeat(64)]);
+
+    const res = await request(app).get('/v1/audit/verify');
+    expect(res.body.ok).toBe(false);
+    expect(res.body.issues.map(i => [i.type, i.seq, i.kind, i.detail])).toEqual([
+      ['BAD_SIGNATURE', 1, 'decision', 'pruned marker is not signed'],
+      ['BAD_SIGNATURE', 2, 'head', 'head signature does not verify'],
+    ]);
+
+    config.audit.signingKey = null;
+    const noKey = await request(app).get('/v1/audit/verify');
+    expect(noKey.status).toBe(503);
+    expect(noKey.body.error).toMatch(/AUDIT_SIGNING_KEY/);
+  });
+
+});
+
+describe('Audit writes that fail — counted, parked and written again', () => {
+
+  const failing = (store, code) => {
+    const insert = store.insertDecision;
+    store.insertDecision = async () => {
+      throw Object.assign(new Error(code ? 'Audit chain moved on' : 'connection refused'), code ? { code } : {});
+    };
+    return () => { store.insertDecision = insert; };
+  };
+  const failures = async reason => {
+    const line = (await renderMetrics()).split('\n')
+      .find(l => l.startsWith(`audit_write_failures_total{reason="${reason}"}`));
+    return line ? Number(line.split(' ').pop()) : 0;
+  };
+  const parkedCount = async () => Number((await renderMetrics()).split('\n')
+    .find(l => l.startsWith('audit_parked_records ')).split(' ').pop());
+
+  beforeEach(() => {
+    setStore(createMemoryStore());
+    config.audit.signingKey = 'test-signing-key';
+  });
+  afterEach(() => { config.audit.signingKey = null; });
+  afterAll(closeRedis);   // renderMetrics() also collects the Redis-backed gauges
+
+  test('A chain that keeps moving and a storage outage are counted apart; both records are kept', async () => {
+    const conflicts = await failures('chain_conflict');
+    const outages   = await failures('storage');
+
+    const recover = failing(getStore(), 'CHAIN_CONFLICT');
+    await writeAudit(record('aud_park1', 'park_user'));
+    recover();
+    const recover2 = failing(getStore());
+    await writeAudit(record('aud_park2', 'park_user'));
+
+    expect(await failures('chain_conflict')).toBe(conflicts + 1);
+    expect(await failures('storage')).toBe(outages + 1);
+    expect(await parkedCount()).toBe(2);
+    expect(await retryParked()).toBe(0);                     // still down — nothing lost
+    expect(await getStore().getDecision('aud_park1')).toBeNull();
+
+    recover2();
+    expect(await retryParked()).toBe(2);
+    expect(await parkedCount()).toBe(0);
+    expect((await getStore().getDecision('aud_park1')).chain.seq).toBe(1);
+    expect((await getStore().getDecision('aud_park2')).chain.seq).toBe(2);
+
+    const res = await request(app).get('/v1/audit/verify').query({ user_id: 'park_user' });
+    expect(res.body).toMatchObject({ ok: true, entries: 2 });
+  });
+
+  test('The next successful write also drains what was parked', async () => {
+    const recover = failing(getStore());
+    await writeAudit(record('aud_park3', 'park_user'));
+    recover();
+
+    await writeAudit(record('aud_park4', 'park_user'));
+    await retryParked();                                      // joins the pass the write started
+
+    expect(await parkedCount()).toBe(0);
+    expect((await getStore().getDecision('aud_park4')).chain.seq).toBe(1);
+    expect((await getStore().getDecision('aud_park3')).chain.seq).toBe(2);
+  });
+
+});
@@ -0,0 +1,258 @@
+/**
+ * auditChainService.js — Tamper-Evident Audit Chain
+ *
+ * Every audit record and operator override is linked into a hash chain as
+ * it is written. Entry n carries chain { partition, seq, prev_hash, hash }:
+ *
+ *   hash = sha256(prev_hash | seq | kind | sha256(canonical record))
+ *
+ * so changing, deleting or reordering a stored entry breaks its own hash or
+ * the link from the entry after it. Every entry is also signed —
+ * chain.signature = HMAC-SHA256(AUDIT_SIGNING_KEY, hash) — and so is each
+ * partition's head (over partition, seq and hash), so entries cannot be
+ * added, re-linked or the chain cut short without the key. The server
+ * refuses to start with AUDIT_CHAIN_ENABLED on and no AUDIT_SIGNING_KEY.
+ *
+ * Partitions (AUDIT_CHAIN_PARTITION): 'user' keeps one chain per user,
+ * keyed sha256(user_id); 'global' keeps one chain for the whole log. The
+ * adapter stores each partition's head and rejects a write that does not
+ * extend it (CHAIN_CONFLICT), so concurrent writers retry instead of forking.
+ *
+ * The retention sweep and user erasure delete chained entries on purpose;
+ * the adapter leaves a pruned marker in their place (seq, prev_hash, hash,
+ * the entry's signature, reason — no content), which verifyChain() accepts
+ * as a legitimate gap only if that signature verifies.
+ */
+
+const crypto = require('crypto');
+const config = require('../../config/default');
+const { getStore } = require('./storageService');
+const { stableStringify } = require('../utils/fingerprint');
+const logger = require('../utils/logger');
+
+const GENESIS        = '0'.repeat(64);
+const MAX_ATTEMPTS   = 5;
+const VERIFY_PAGE    = 500;
+const MAX_ISSUES     = 100;
+
+// Fields covered by the hash — exactly what the adapters persist
+const HASHED_FIELDS = {
+  decision: [
+    'audit_id', 'event_id', 'user_id', 'event_type', 'decision', 'score', 'reason', 'stages',
+    'breakdown', 'rules_matched', 'schedule_at', 'event', 'reevaluation_of', 'original_audit_id',
+    'digest_of', 'redacted', 'created_at',
+  ],
+  override: [
+    'override_id', 'audit_id', 'notification_id', 'from', 'override_to', 'operator_id', 'reason',
+    'schedule_at', 'created_at',
+  ],
+};
+const FIELD_DEFAULTS = { stages: {}, rules_matched: [] };
+const TIMESTAMPS     = new Set(['schedule_at', 'created_at']);
+
+// ── Writing ───────────────────────────────────────────────────────────────────
+
+/**
+ * Link a decision record into its user's (or the global) chain and store it
+ * (stored unchained when AUDIT_CHAIN_ENABLED=false).
+ *
+ * @param {Object} record - as written by writeAudit (already redacted)
+ * @returns {Promise<Object>} the stored record, with chain
+ */
+async function chainDecision(record) {
+  return appendChained('decision', record, partitionFor(record.user_id), (r, opts) => getStore().insertDecision(r, opts));
+}
+
+/**
+ * Link and sign an operator override, in the chain of the decision it
+ * overrides, and store it.
+ *
+ * @param {Object} record - override entry
+ * @param {string} userId - the overridden decision's user
+ * @returns {Promise<Object>} the stored override, with chain
+ */
+async function chainOverride(record, userId) {
+  return appendChained('override', record, partitionFor(userId), (r, opts) => getStore().insertOverride(r, opts));
+}
+
+async function appendChained(kind, record, partition, insert) {
+  if (!config.audit.chainEnabled) {
+    await insert(record, {});
+    return record;
+  }
+
+  for (let attempt = 1; ; attempt++) {
+    const head  = await getStore().getChainHead(partition);
+    const seq   = head ? head.seq + 1 : 1;
+    const prev  = head ? head.hash : GENESIS;
+    const hash  = linkHash(prev, seq, kind, digest(kind, record));
+    const chain = { partition, seq, prev_hash: prev, hash, signature: sign(hash) };
+
+    const chained = { ...record, chain };
+    try {
+      await insert(chained, { headSignature: signHead({ partition, seq, hash }) });
+      return chained;
+    } catch (err) {
+      if (err.code !== 'CHAIN_CONFLICT' || attempt >= MAX_ATTEMPTS) throw err;
+      logger.debug(`[AUDIT CHAIN] ${partition.slice(0, 12)} moved during write — retry ${attempt}`);
+    }
+  }
+}
+
+// ── Verification ──────────────────────────────────────────────────────────────
+
+/**
+ * Walk the chain(s) and report every gap, broken link, hash mismatch and
+ * bad signature — on entries, pruned markers and heads.
+ *
+ * Issue types:
+ *   GAP            — entries missing with no pruned marker (deleted outside
+ *                    retention/erasure)
+ *   BROKEN_LINK    — prev_hash is not the previous entry's hash (reordered
+ *                    or re-linked)
+ *   HASH_MISMATCH  — the stored record no longer matches its hash (edited)
+ *   BAD_SIGNATURE  — entry, pruned marker or head signature missing or wrong
+ *                    (forged, or written without / with another AUDIT_SIGNING_KEY);
+ *                    kind 'head' for a head
+ *   HEAD_MISMATCH  — the chain ends before its recorded head (truncated)
+ *
+ * @param {{ userId?: string }} [options] - verify one user's partition only
+ * @returns {Promise<Object>} report — ok, counts, heads[] and issues[]
+ * @throws 503 if AUDIT_SIGNING_KEY is not set — signatures cannot be checked
+ */
+async function verifyChain({ userId } = {}) {
+  if (!config.audit.signingKey) {
+    throw httpError(503, 'AUDIT_SIGNING_KEY is not set — the audit chain cannot be verified');
+  }
+
+  const store = getStore();
+  const heads = userId
+    ? [await store.getChainHead(partitionFor(userId))].filter(Boolean)
+    : await store.listChainHeads();
+
+  const report = {
+    ok:                 true,
+    verified_at:        new Date().toISOString(),
+    partition_mode:     config.audit.chainPartition,
+    partitions:         heads.length,
+    entries:            0,
+    pruned:             0,
+    issue_count:        0,
+    issues:             [],
+    heads:              heads.map(({ partition, seq, hash }) => ({ partition, seq, hash })),
+  };
+
+  for (const head of heads) await verifyPartition(store, head, report);
+
+  report.ok = report.issue_count === 0;
+  if (!report.ok) logger.warn(`[AUDIT CHAIN] Verification found ${report.issue_count} issue(s)`);
+  return report;
+}
+
+async function verifyPartition(store, head, report) {
+  const { partition } = head;
+  const addIssue = (issue) => {
+    report.issue_count++;
+    if (report.issues.length < MAX_ISSUES) report.issues.push({ partition, ...issue });
+  };
+
+  let expectedSeq = 1;
+  let prev        = GENESIS;
+  let afterSeq    = 0;
+  for (;;) {
+    const page = await store.listChainEntries(partition, { afterSeq, limit: VERIFY_PAGE });
+    for (const entry of page) {
+      const at = { seq: entry.seq, kind: entry.kind, ref_id: refId(entry) };
+
+      if (entry.seq !== expectedSeq) {
+        addIssue({ ...at, type: 'GAP', detail: `seq ${expectedSeq}–${entry.seq - 1} missing with no pruned marker` });
+      } else if (entry.prev_hash !== prev) {
+        addIssue({ ...at, type: 'BROKEN_LINK', detail: 'prev_hash is not the previous entry\'s hash' });
+      }
+
+      if (!entry.record) {
+        report.pruned++;
+      } else if (linkHash(entry.prev_hash, entry.seq, entry.kind, digest(entry.kind, entry.record)) !== entry.hash) {
+        addIssue({ ...at, type: 'HASH_MISMATCH', detail: 'record does not match its hash' });
+      }
+      if (entry.signature !== sign(entry.hash)) {
+        const what = entry.record ? entry.kind : 'pruned marker';
+        addIssue({ ...at, type: 'BAD_SIGNATURE', detail: entry.signature ? `${what} signature does not verify` : `${what} is not signed` });
+      }
+
+      report.entries++;
+      expectedSeq = entry.seq + 1;
+      prev        = entry.hash;
+    }
+    if (page.length < VERIFY_PAGE) break;
+    afterSeq = page[page.length - 1].seq;
+  }
+
+  if (head.signature !== signHead(head)) {
+    addIssue({
+      seq: head.seq, kind: 'head', ref_id: null, type: 'BAD_SIGNATURE',
+      detail: head.signature ? 'head signature does not verify' : 'head is not signed',
+    });
+  }
+  if (expectedSeq - 1 !== head.seq || prev !== head.hash) {
+    addIssue({
+      seq: head.seq, kind: null, ref_id: null, type: 'HEAD_MISMATCH',
+      detail: `chain ends at seq ${expectedSeq - 1} but its head is seq ${head.seq}`,
+    });
+  }
+}
+
+// ── Internal Helpers ──────────────────────────────────────────────────────────
+
+function partitionFor(userId) {
+  return config.audit.chainPartition === 'global'
+    ? 'global'
+    : crypto.createHash('sha256').update(String(userId)).digest('hex');
+}
+
+/**
+ * sha256 of the record's hashed fields, normalised the way the adapters
+ * store them (JSON round-trip, ISO timestamps, sorted keys) so a record
+ * read back from either backend hashes the same as when it was written.
+ */
+function digest(kind, record) {
+  const canonical = {};
+  for (const field of HASHED_FIELDS[kind]) {
+    let value = record[field] ?? FIELD_DEFAULTS[field] ?? null;
+    if (TIMESTAMPS.has(field) && value !== null) value = new Date(value).toISOString();
+    canonical[field] = value;
+  }
+  return sha256(stableStringify(JSON.parse(JSON.stringify(canonical))));
+}
+
+function linkHash(prevHash, seq, kind, recordDigest) {
+  return sha256(`${prevHash}|${seq}|${kind}|${recordDigest}`);
+}
+
+function sign(message) {
+  return config.audit.signingKey
+    ? crypto.createHmac('sha256', config.audit.signingKey).update(message).digest('hex')
+    : null;
+}
+
+/** Heads sign their position too, so an older entry's signature cannot stand in for one. */
+function signHead({ partition, seq, hash }) {
+  return sign(`head|${partition}|${seq}|${hash}`);
+}
+
+function refId({ kind, record }) {
+  if (!record) return null;
+  return kind === 'override' ? record.override_id : record.audit_id;
+}
+
+function sha256(value) {
+  return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+function httpError(status, message) {
+  const err  = new Error(message);
+  err.status = status;
+  return err;
+}
+
+module.exports = { chainDecision, chainOverride, verifyChain, GENESIS };
@@ -2,55 +2,167 @@
  * auditService.js — Decision Audit Log
  *
  * Every decision (NOW, LATER, NEVER) is recorded here.
- * Records are append-only and never modified after creation.
+ * Records are append-only and never modified after creation; the PII
+ * policy is applied as they are written, and they are deleted only by the
+ * retention sweep or a user erasure (see privacyService.js). Records and
+ * overrides are hash-chained as they are written, so any later change is
+ * detectable (see auditChainService.js).
  * Provides full explainability for every classification decision.
  *
- * In production: replace in-memory store with PostgreSQL
- * using the schema defined in src/models/decision.js
+ * Persistence is delegated to the configured storage adapter
+ * (memory or PostgreSQL — see storageService.js).
+ *
+ * A record that cannot be written (storage down, or the chain head still
+ * moving after every append retry) is never dropped: it counts towards
+ * audit_write_failures_total{reason} and is parked in-process, then written
+ * again — oldest first — after the next successful write and every
+ * AUDIT_RETRY_MS once startAuditRetry() runs. Parked records are lost only
+ * if the process exits first, beyond AUDIT_PARK_LIMIT (reason="park_full"),
+ * or if redaction itself failed (reason="redaction" — never kept unredacted).
+ *
+ * Search and export walk the log newest first with a keyset cursor on
+ * (created_at, audit_id), so pages stay stable while new decisions arrive
+ * and exports never hold more than one page in memory.
  */
 
+const { getStore } = require('./storageService');
+const { redactRecord } = require('./privacyService');
+const { chainDecision, chainOverride } = require('./auditChainService');
+const { recordDecision } = require('./analyticsService');
+const { resolvePolicy } = require('./fatiguePolicyService');
+const { getPreferences } = require('./preferenceService');
+const { parseWindow } = require('../engine/fatigueGuard');
+const { shortId } = require('../utils/fingerprint');
+const { counter, gauge } = require('../utils/metrics');
 const logger = require('../utils/logger');
 
-// In-memory stores (replace with PostgreSQL in production)
-const auditStore   = new Map(); // audit_id → record
-const historyStore = new Map(); // user_id  → recent decisions[]
+const PARK_LIMIT = parseInt(process.env.AUDIT_PARK_LIMIT) || 10000;
+const RETRY_MS   = parseInt(process.env.AUDIT_RETRY_MS)   || 5000;
+
+// Redacted records whose write failed, oldest first
+const parked = [];
+let draining   = null;
+let retryTimer = null;
+
+const writeFailuresTotal = counter('audit_write_failures_total',
+  'Audit record writes that failed — chain_conflict and storage are parked and retried', ['reason']);
+gauge('audit_parked_records', 'Audit records waiting to be written again', [], async () => parked.length);
 
 /**
- * Write a decision audit record.
+ * Write a decision audit record, and count it in the analytics rollups.
  * Called for every event — regardless of decision outcome.
+ * A failed write is parked and retried (see above) — it never throws.
  *
  * @param {Object} record
  */
 async function writeAudit(record) {
+  let redacted = null;
   try {
-    auditStore.set(record.audit_id, record);
-
-    // Update per-user history (keep last 100)
-    const history = historyStore.get(record.user_id) || [];
-    history.unshift({
-      audit_id:   record.audit_id,
-      decision:   record.decision,
-      event_type: record.event_type,
-      score:      record.score,
-      created_at: record.created_at,
-    });
-    historyStore.set(record.user_id, history.slice(0, 100));
-
+    redacted = redactRecord(record);
+    await persist(redacted);
     logger.debug(`[AUDIT] Written ${record.audit_id} → ${record.decision} (score=${record.score})`);
   } catch (err) {
     // Audit failure must NEVER crash the engine
-    logger.error(`[AUDIT WRITE FAIL] ${err.message}`);
+    park(redacted, err);
+    return;
+  }
+  if (parked.length > 0) retryParked();
+}
+
+/**
+ * Write parked records again, oldest first, stopping at the first that still
+ * fails. One pass at a time — a call while one runs joins it.
+ *
+ * @returns {Promise<number>} records written
+ */
+function retryParked() {
+  if (!draining) {
+    draining = (async () => {
+      let written = 0;
+      while (parked.length > 0) {
+        try {
+          // A write that failed late (e.g. timed out after committing) may already be stored
+          if (!(await getStore().getDecision(parked[0].audit_id))) await persist(parked[0]);
+        } catch (err) {
+          logger.warn(`[AUDIT] Parked write still failing (${parked.length} parked): ${err.message}`);
+          break;
+        }
+        parked.shift();
+        written++;
+      }
+      if (written > 0) logger.info(`[AUDIT] Wrote ${written} parked record(s), ${parked.length} left`);
+      return written;
+    })().finally(() => { draining = null; });
+  }
+  return draining;
+}
+
+/**
+ * Retry parked records every AUDIT_RETRY_MS, so they drain while no new decisions arrive.
+ * Called once on server startup.
+ */
+function startAuditRetry() {
+  if (retryTimer) return;
+  retryTimer = setInterval(() => { if (parked.length > 0) retryParked(); }, RETRY_MS);
+  retryTimer.unref();
+}
+
+/** Stop the retry timer (shutdown, tests). */
+function stopAuditRetry() {
+  clearInterval(retryTimer);
+  retryTimer = null;
+}
+
+/**
+ * Drop a user's parked records (GDPR erasure) so they are not written afterwards.
+ * @param {string} userId
+ * @returns {number} records dropped
+ */
+function forgetParked(userId) {
+  const before = parked.length;
+  for (let i = parked.length - 1; i >= 0; i--) {
+    if (parked[i].user_id === userId) parked.splice(i, 1);
   }
+  return before - parked.length;
 }
 
 /**
- * Retrieve a single audit record by ID.
+ * Append an operator override to a decision's audit trail.
+ * The original decision record is never modified; overrides are stored
+ * alongside it as frozen entries, signed and linked into the decision's
+ * audit chain.
+ *
+ * @param {{ audit_id, notification_id, from, override_to, operator_id, reason, schedule_at }} entry
+ * @returns {Promise<Object>} stored override entry
+ */
+async function appendOverride(entry) {
+  const decision = await getStore().getDecision(entry.audit_id);
+  const record   = Object.freeze(await chainOverride({
+    override_id: shortId('ovr'),
+    ...entry,
+    created_at:  new Date().toISOString(),
+  }, decision ? decision.user_id : null));
+
+  logger.debug(`[AUDIT] Override ${record.override_id} on ${entry.audit_id} → ${entry.override_to}`);
+  return record;
+}
+
+/**
+ * Retrieve a single audit record by ID, with any operator overrides and
+ * delivery receipts.
  *
  * @param {string} auditId
  * @returns {Object|null}
  */
 async function getAuditLog(auditId) {
-  return auditStore.get(auditId) || null;
+  const store  = getStore();
+  const record = await store.getDecision(auditId);
+  if (!record) return null;
+  return {
+    ...record,
+    overrides:  await store.getOverrides(auditId),
+    deliveries: await store.getDeliveries(auditId),
+  };
 }
 
 /**
@@ -63,12 +175,14 @@ async function getAuditLog(auditId) {
  */
 async function getHistory(userId, window = '1h', source = 'all') {
   const windowMs = { '1h': 3600000, '4h': 14400000, '24h': 86400000 }[window] || 3600000;
-  const cutoff   = Date.now() - windowMs;
-  const history  = historyStore.get(userId) || [];
-  const filtered = history.filter(h => new Date(h.created_at).getTime() > cutoff);
+  const cutoff   = new Date(Date.now() - windowMs).toISOString();
+  const filtered = await getStore().recentDecisions(userId, cutoff);
 
+  // Cap from the user's fatigue policy (incl. their own cap), scaled to the window asked for
+  const policy       = resolvePolicy({}, await getPreferences(userId));
+  const total        = policy.caps.total;
   const count        = filtered.length;
-  const cap          = 5;
+  const cap          = Math.max(1, Math.round(total.count * windowMs / (parseWindow(total.window) * 1000)));
   const fatigueLevel = count === 0        ? 'NONE'
     : count < cap * 0.5 ? 'LOW'
     : count < cap * 0.8 ? 'MEDIUM'
@@ -80,9 +194,103 @@ async function getHistory(userId, window = '1h', source = 'all') {
     window,
     count,
     cap,
+    policy:  policy.policy_id,
     fatigue: fatigueLevel,
     events:  filtered.slice(0, 20),
   };
 }
 
-module.exports = { writeAudit, getAuditLog, getHistory };
+// ── Search & Export ───────────────────────────────────────────────────────────
+
+const EXPORT_PAGE_SIZE = 500;
+
+/**
+ * One page of audit records matching the filters, newest first.
+ *
+ * @param {{ userId, decision, eventType, source, ruleId, from, to, minScore, maxScore }} filters
+ * @param {{ cursor?: string, limit?: number }} page - cursor from a previous next_cursor
+ * @returns {Promise<{ records: Object[], next_cursor: string|null }>}
+ * @throws 400 if the cursor is malformed
+ */
+async function searchAudit(filters = {}, { cursor, limit = 50 } = {}) {
+  const after   = cursor ? decodeCursor(cursor) : null;
+  const records = await getStore().searchDecisions({ ...filters, after, limit: limit + 1 });
+  const page    = records.slice(0, limit);
+  return {
+    records:     page,
+    next_cursor: records.length > limit ? encodeCursor(page[page.length - 1]) : null,
+  };
+}
+
+/**
+ * Every audit record matching the filters, newest first, fetched a page at
+ * a time. With `trail`, each record carries its overrides and deliveries.
+ *
+ * @param {Object} filters - as searchAudit
+ * @param {{ trail?: boolean }} [options]
+ * @returns {AsyncGenerator<Object>}
+ */
+async function* exportAudit(filters = {}, { trail = false } = {}) {
+  const store = getStore();
+  let after = null;
+  for (;;) {
+    const page = await store.searchDecisions({ ...filters, after, limit: EXPORT_PAGE_SIZE });
+    for (const record of page) {
+      yield trail
+        ? { ...record, overrides: await store.getOverrides(record.audit_id), deliveries: await store.getDeliveries(record.audit_id) }
+        : record;
+    }
+    if (page.length < EXPORT_PAGE_SIZE) return;
+    after = page[page.length - 1];
+  }
+}
+
+/** Chain and store one redacted record, then count it in the rollups. */
+async function persist(record) {
+  await recordDecision(await chainDecision(record));
+}
+
+/** Count a failed write and keep the record for retryParked(). */
+function park(record, err) {
+  const reason = !record ? 'redaction'
+    : parked.length >= PARK_LIMIT ? 'park_full'
+    : err.code === 'CHAIN_CONFLICT' ? 'chain_conflict' : 'storage';
+  writeFailuresTotal.inc({ reason });
+
+  if (reason === 'redaction' || reason === 'park_full') {
+    // Unredacted records are never kept; past the limit the newest is the one lost
+    logger.error(`[AUDIT WRITE FAIL] ${reason} — record dropped: ${err.message}`);
+    return;
+  }
+  parked.push(record);
+  if (reason === 'chain_conflict') {
+    logger.error(`[AUDIT CHAIN] ${record.audit_id}: chain head kept moving through every append retry — parked (${parked.length})`);
+  } else {
+    logger.error(`[AUDIT WRITE FAIL] ${record.audit_id}: ${err.message} — parked (${parked.length})`);
+  }
+}
+
+function encodeCursor(record) {
+  return Buffer.from(JSON.stringify([record.created_at, record.audit_id])).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  try {
+    const [createdAt, auditId] = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (typeof auditId === 'string' && !Number.isNaN(Date.parse(createdAt))) {
+      return { created_at: createdAt, audit_id: auditId };
+    }
+  } catch (_) { /* fall through */ }
+  throw httpError(400, 'Invalid cursor');
+}
+
+function httpError(status, message) {
+  const err  = new Error(message);
+  err.status = status;
+  return err;
+}
+
+module.exports = {
+  writeAudit, retryParked, startAuditRetry, stopAuditRetry, forgetParked,
+  getAuditLog, appendOverride, getHistory, searchAudit, exportAudit,
+};
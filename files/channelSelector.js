@@ -0,0 +1,74 @@
+/**
+ * channelSelector.js — Multi-Channel Selection
+ *
+ * An event may list several candidate channels instead of one:
+ *
+ *   { "channels": ["sms", "push", "email"], "channel_selection": "best" }
+ *
+ *   best    (default) — rank by CHANNEL_SCORES minus the channel's own
+ *                       fatigue penalty (per the policy for that channel)
+ *   ordered           — keep the caller's order (a preference-ordered
+ *                       fallback list)
+ *
+ * Opted-out channels are skipped. A channel at its fatigue cap is skipped
+ * while another channel still has room; if every channel is at its cap they
+ * stay in play and the fatigue guard decides.
+ *
+ * The first channel carries the notification; the rest become delivery
+ * fallbacks, tried in order if delivery fails (deliveryService).
+ */
+
+const { CHANNEL_SCORES } = require('./scorer');
+const { getChannelLoad } = require('./fatigueGuard');
+const { resolvePolicy } = require('../services/fatiguePolicyService');
+const { isChannelOptedOut } = require('../services/preferenceService');
+
+/**
+ * Pick the channel for a multi-channel event.
+ *
+ * @param {Object} event - { user_id, event_type, channels[], channel_selection }
+ * @param {Object} prefs - user preferences (opt-outs, segment)
+ * @returns {Promise<{ channel: string|null, fallbacks: string[], skipped: Array<{ channel, reason }> }>}
+ *          channel — null when every candidate was skipped
+ */
+async function selectChannel(event, prefs) {
+  const skipped = [];
+  const usable  = [];
+
+  for (const channel of [...new Set(event.channels)]) {
+    if (isChannelOptedOut(prefs, channel)) {
+      skipped.push({ channel, reason: 'opted out' });
+      continue;
+    }
+    const load = await getChannelLoad(event.user_id, channel, resolvePolicy({ ...event, channel }, prefs));
+    usable.push({ channel, load, rank: (CHANNEL_SCORES[channel] ?? 3) - load.penalty });
+  }
+
+  const open = usable.filter(c => !c.load.exceeded);
+  const pool = open.length > 0 ? open : usable;
+  for (const c of usable.filter(c => !pool.includes(c))) {
+    skipped.push({ channel: c.channel, reason: `fatigued (${c.load.count}/${c.load.limit} per ${c.load.window})` });
+  }
+
+  // Array sort is stable — equal ranks keep the caller's order
+  if (event.channel_selection !== 'ordered') pool.sort((a, b) => b.rank - a.rank);
+
+  return {
+    channel:   pool.length > 0 ? pool[0].channel : null,
+    fallbacks: pool.slice(1).map(c => c.channel),
+    skipped,
+  };
+}
+
+/**
+ * One-line summary for the audit stages.
+ * @param {{ channel, fallbacks, skipped }} selection
+ * @returns {string}
+ */
+function describeSelection({ channel, fallbacks, skipped }) {
+  return `chosen=${channel || 'none'}` +
+    (fallbacks.length ? `, fallbacks=[${fallbacks.join(', ')}]` : '') +
+    (skipped.length ? `, skipped=[${skipped.map(s => `${s.channel}: ${s.reason}`).join('; ')}]` : '');
+}
+
+module.exports = { selectChannel, describeSelection };
@@ -8,145 +8,333 @@
  *  1. Expiry Guard        — drop stale events immediately
  *  2. Dedup Guard         — exact SHA-256 + near-dup SimHash
  *  3. Rules Engine        — human-configurable JSON rules (hot-reload)
- *  4. DND / Quiet Hours   — respect user sleep/focus hours
+ *                           SUPPRESS → NEVER, SEND_NOW → NOW, DEFER → LATER,
+ *                           CAP → LATER once max_per is reached;
+ *                           multi-channel events pick their channel first
+ *  4. DND / Quiet Hours   — respect user sleep/focus hours (user's own time zone)
  *  5. Composite Scorer    — priority + type + channel + freshness
- *  6. Fatigue Guard       — Redis sliding window penalty
+ *  6. Fatigue Guard       — Redis sliding window penalty + source / promo caps,
+ *                           per the fatigue policy for the user's segment / channel / type
  *  7. AI Scorer           — async, non-blocking enrichment
  *  8. Conflict Resolver   — urgent + noisy → LATER not NEVER
  *  9. Decision Boundary   — score ≥ 60 → NOW, ≥ 30 → LATER, else NEVER
+ *
+ * NOW is delivered straight away; LATER goes to the deferred scheduler, or
+ * for low-value items to the user's digest (digestService.js). Every audited
+ * decision is announced to webhook subscribers (webhookService.js).
+ *
+ * Alongside the human-readable `stages`, every decision records a structured
+ * `breakdown` — which step decided, the score parts, fatigue, AI and
+ * conflict results and the thresholds — served by GET /v1/audit/:id/explain.
+ *
+ * Live evaluations are measured for GET /metrics: decisions, per-stage
+ * latency, dedup results, AI outcomes and rule matches (dry runs are not).
  */
 
 const { v4: uuidv4 } = require('uuid');
+const config = require('../../config/default');
 const { checkDuplicate, storeFingerprint } = require('./deduplicator');
-const { computeScore } = require('./scorer');
-const { getFatiguePenalty, incrementCounter } = require('./fatigueGuard');
+const { computeScore, EVENT_TYPE_SCORES } = require('./scorer');
+const {
+  getFatiguePenalty, incrementCounter, checkRuleCap, incrementRuleCounter,
+} = require('./fatigueGuard');
 const { resolveConflict } = require('./conflictResolver');
+const { selectChannel, describeSelection } = require('./channelSelector');
 const { getAiScore } = require('../services/aiService');
 const { writeAudit } = require('../services/auditService');
 const { scheduleDeferred } = require('../services/schedulerService');
+const { deliverWithFallback } = require('../services/deliveryService');
+const { isDigestible, queueForDigest } = require('../services/digestService');
+const { emitWebhook } = require('../services/webhookService');
 const { getRules, matchRules } = require('../services/ruleService');
+const { resolvePolicy } = require('../services/fatiguePolicyService');
+const {
+  getPreferences, checkDND, getNextOpenSlot, isChannelOptedOut,
+} = require('../services/preferenceService');
+const { counter, histogram } = require('../utils/metrics');
 const logger = require('../utils/logger');
 
+const BATCH_CONCURRENCY = parseInt(process.env.BATCH_CONCURRENCY) || 10; // users evaluated in parallel
+
+// ── Metrics ───────────────────────────────────────────────────────────────────
+
+// event_type is caller-supplied — types the scorer does not know count as "other"
+const decisionsTotal = counter('notification_decisions_total',
+  'Audited decisions', ['decision', 'event_type', 'pass']);
+const evaluationSeconds = histogram('notification_evaluation_duration_seconds',
+  'End-to-end evaluation latency, including audit and delivery', ['decision']);
+const stageSeconds = histogram('notification_pipeline_stage_duration_seconds',
+  'Time spent in each pipeline stage', ['stage']);
+const dedupChecksTotal = counter('notification_dedup_checks_total',
+  'Dedup guard results (PASS or the duplicate type)', ['result']);
+const aiScoresTotal = counter('notification_ai_scores_total',
+  'AI scorer calls by outcome (ok, timeout, error)', ['outcome']);
+const ruleMatchesTotal = counter('notification_rule_matches_total',
+  'Rules matched by audited decisions', ['rule_id']);
+
 /**
  * Main entry point — evaluate a single notification event.
  *
  * @param {Object} event
+ * @param {Object} [options]
+ * @param {Object} [options.deferred] - set when re-evaluating a due LATER item:
+ *        { audit_id, original_audit_id, scheduled_at }
+ * @param {Object} [options.dryRun]   - side-effect-free replay (rule simulation):
+ *        { rules, at, owner_audit_id } — `rules` replaces getRules(), the
+ *        event is judged as of `at`; no audit record, no Redis writes, no
+ *        scheduling, AI stage skipped
  * @returns {Promise<{ decision, score, reason, schedule_at, audit_id }>}
  */
-async function evaluate(event) {
+async function evaluate(event, options = {}) {
   const auditId = `aud_${uuidv4().slice(0, 8)}`;
   const stages = {};
   const ruleMatches = [];
+  const deferred = options.deferred || null;
+  const dryRun = options.dryRun || null;
+  const now = dryRun && dryRun.at ? new Date(dryRun.at) : new Date();
+  const effects = dryRun ? DRY_RUN_EFFECTS : LIVE_EFFECTS;
+  const enterStage = createStageTimer(!dryRun);
+  const breakdown = newBreakdown(deferred);
+  const ctx = { auditId, event, deferred, dryRun, breakdown, enterStage, endTimer: evaluationSeconds.startTimer() };
 
   try {
 
     // ── Stage 1: Expiry Guard ─────────────────────────────────────────────
-    if (event.expires_at && new Date(event.expires_at) < new Date()) {
+    enterStage('expiry');
+    if (event.expires_at && new Date(event.expires_at) < now) {
       stages.expiry = 'EXPIRED';
+      breakdown.decided_by = 'expiry';
       return await finalize('NEVER', 0,
         'Event expired (expires_at in the past). Delivery has no value.',
-        null, stages, ruleMatches, auditId, event);
+        null, stages, ruleMatches, ctx);
     }
     stages.expiry = 'VALID';
 
     // ── Stage 2: Dedup Guard ──────────────────────────────────────────────
-    const dup = await checkDuplicate(event);
+    enterStage('dedup');
+    // A re-evaluated or replayed item must not match the fingerprint it stored itself
+    const dup = await checkDuplicate(event, {
+      ownerAuditId: deferred ? deferred.audit_id : dryRun && dryRun.owner_audit_id,
+    });
     stages.dedup = dup.isDuplicate ? `${dup.type}: ${dup.detail}` : 'PASS';
+    if (!dryRun) dedupChecksTotal.inc({ result: dup.isDuplicate ? dup.type : 'PASS' });
     if (dup.isDuplicate) {
+      breakdown.decided_by = 'dedup';
       return await finalize('NEVER', 0,
         `Duplicate suppressed (${dup.type}): ${dup.detail}`,
-        null, stages, ruleMatches, auditId, event);
+        null, stages, ruleMatches, ctx);
     }
 
     // ── Stage 3: Hard Rules ───────────────────────────────────────────────
+    enterStage('rules');
+    const prefs = await getPreferences(event.user_id);
+
+    // Multi-channel event — pick the carrying channel, keep the rest as delivery fallbacks
+    if (Array.isArray(event.channels) && event.channels.length > 0) {
+      const selection = await selectChannel(event, prefs);
+      stages.channels = describeSelection(selection);
+      if (selection.channel) {
+        event = ctx.event = { ...event, channel: selection.channel, channel_fallbacks: selection.fallbacks };
+      }
+    }
+
     // CRITICAL always wins — no scoring needed
     if (event.priority_hint === 'CRITICAL') {
       stages.rules = 'CRITICAL_OVERRIDE';
+      breakdown.decided_by = 'critical';
       ruleMatches.push('critical-always-now');
-      await storeFingerprint(event);
-      await incrementCounter(event);
+      await effects.storeFingerprint(event, auditId);
+      if (!deferred) await effects.incrementCounter(event);
       return await finalize('NOW', 97,
         'CRITICAL priority — bypasses all guards and sends immediately.',
-        null, stages, ruleMatches, auditId, event);
+        null, stages, ruleMatches, ctx);
     }
 
-    // Check human-configured rules
-    const rules = await getRules();
-    const matched = matchRules(event, rules);
+    // Per-channel opt-out from the user's preference profile
+    if (isChannelOptedOut(prefs, event.channel)) {
+      stages.rules = `OPTED_OUT (${event.channel})`;
+      breakdown.decided_by = 'opt_out';
+      return await finalize('NEVER', 0,
+        `User opted out of ${event.channel} notifications.`,
+        null, stages, ruleMatches, ctx);
+    }
+
+    // Check human-configured rules (highest priority first — first decisive rule wins)
+    const rules = dryRun && dryRun.rules ? dryRun.rules : await getRules();
+    const matched = matchRules(event, rules, now);
     matched.forEach(r => ruleMatches.push(r.rule_id));
 
-    const suppressRule = matched.find(r => r.action === 'SUPPRESS');
-    if (suppressRule) {
-      stages.rules = `SUPPRESSED by rule: ${suppressRule.rule_id}`;
-      return await finalize('NEVER', 0,
-        `Suppressed by operator rule: ${suppressRule.rule_id}`,
-        null, stages, ruleMatches, auditId, event);
+    const admittedCaps = [];
+    for (const rule of matched) {
+      if (rule.action === 'SUPPRESS') {
+        stages.rules = `SUPPRESSED by rule: ${rule.rule_id}`;
+        decideByRule(breakdown, rule);
+        return await finalize('NEVER', 0,
+          `Suppressed by operator rule: ${rule.rule_id}`,
+          null, stages, ruleMatches, ctx);
+      }
+
+      const cap = await checkRuleCap(event.user_id, rule);
+
+      if (rule.action === 'SEND_NOW') {
+        // max_per reached → rule no longer applies, fall through to scoring
+        if (cap.exceeded) continue;
+        stages.rules = `SEND_NOW by rule: ${rule.rule_id}`;
+        decideByRule(breakdown, rule, event);
+        await effects.storeFingerprint(event, auditId);
+        if (!deferred) await effects.incrementCounter(event);
+        await effects.incrementRuleCounter(event.user_id, rule);
+        return await finalize('NOW', breakdown.base.score,
+          `Forced NOW by operator rule: ${rule.rule_id}`,
+          null, stages, ruleMatches, ctx);
+      }
+
+      // Already deferred once by this rule — don't bounce it back into the queue
+      if (rule.action === 'DEFER' && !deferred) {
+        // Respect max_per by pushing delivery past the point the window frees up
+        let scheduleAt = getOptimalWindow(event.event_type, prefs);
+        if (cap.exceeded && cap.retryAt > scheduleAt) scheduleAt = getNextOpenSlot(prefs, new Date(cap.retryAt));
+        stages.rules = `DEFERRED by rule: ${rule.rule_id}` +
+          (cap.limit ? ` (${cap.count}/${cap.limit} per ${rule.max_per.window})` : '');
+        decideByRule(breakdown, rule, event);
+        await effects.storeFingerprint(event, auditId);
+        await effects.incrementRuleCounter(event.user_id, rule);
+        return await finalize('LATER', breakdown.base.score,
+          `Deferred by operator rule: ${rule.rule_id}`,
+          scheduleAt, stages, ruleMatches, ctx);
+      }
+
+      if (rule.action === 'CAP') {
+        if (cap.exceeded) {
+          stages.rules = `CAPPED by rule: ${rule.rule_id} (${cap.count}/${cap.limit} per ${rule.max_per.window})`;
+          decideByRule(breakdown, rule, event);
+          await effects.storeFingerprint(event, auditId);
+          return await finalize('LATER', breakdown.base.score,
+            `Rule cap reached (${rule.rule_id}: ${cap.limit} per ${rule.max_per.window}). Deferred until window frees.`,
+            getNextOpenSlot(prefs, new Date(cap.retryAt)), stages, ruleMatches, ctx);
+        }
+        admittedCaps.push(rule);
+      }
     }
+
+    // Under every matched cap — count this event against each window and continue
+    for (const rule of admittedCaps) await effects.incrementRuleCounter(event.user_id, rule);
+
     stages.rules = ruleMatches.length > 0
       ? `Matched: [${ruleMatches.join(', ')}]`
       : 'No rules matched';
 
     // ── Stage 4: DND / Quiet Hours ────────────────────────────────────────
-    const dnd = checkDND(event);
+    enterStage('dnd');
+    const dnd = checkDND(prefs, now);
     stages.dnd = dnd.inDND ? `IN_DND (${dnd.window})` : 'CLEAR';
     if (dnd.inDND) {
-      const scheduleAt = getNextOpenWindow();
-      await storeFingerprint(event);
+      breakdown.decided_by = 'dnd';
+      const scheduleAt = getNextOpenSlot(prefs);
+      await effects.storeFingerprint(event, auditId);
       return await finalize('LATER', 35,
         `User in DND window (${dnd.window}). Deferred to next open slot.`,
-        scheduleAt, stages, ruleMatches, auditId, event);
+        scheduleAt, stages, ruleMatches, ctx);
     }
 
     // ── Stage 5: Composite Scoring ────────────────────────────────────────
-    const baseScore = computeScore(event);
+    enterStage('scorer');
+    // Time spent in our own queue is not staleness — score freshness from schedule_at;
+    // a replay scores freshness as it was at the original decision time
+    breakdown.base = computeScore(
+      deferred ? { ...event, timestamp: deferred.scheduled_at }
+        : dryRun ? replayedAt(event, now)
+          : event
+    );
+    const baseScore = breakdown.base.score;
     stages.scorer = `base_score=${baseScore}`;
 
     // ── Stage 6: Fatigue Guard ────────────────────────────────────────────
-    const fatigue = await getFatiguePenalty(event.user_id, event.source);
-    stages.fatigue = `count=${fatigue.count}/hr, penalty=${fatigue.penalty}, level=${fatigue.level}`;
+    enterStage('fatigue');
+    const policy  = resolvePolicy(event, prefs);
+    const fatigue = await getFatiguePenalty(event.user_id, event.source, event.event_type, policy);
+    stages.fatigue = `policy=${policy.policy_id}${policy.user_cap ? ' (user cap)' : ''}, ` +
+      `count=${fatigue.count}/${fatigue.limit} per ${fatigue.window}, penalty=${fatigue.penalty}, level=${fatigue.level}` +
+      fatigue.capsTripped.map(c => `, ${c.cap}_cap=TRIPPED (${c.count}/${c.limit} per ${c.window})`).join('');
+    breakdown.fatigue = {
+      policy:       policy.policy_id,
+      user_cap:     Boolean(policy.user_cap),
+      count:        fatigue.count,
+      limit:        fatigue.limit,
+      window:       fatigue.window,
+      penalty:      fatigue.penalty,
+      level:        fatigue.level,
+      caps_tripped: fatigue.capsTripped,
+    };
 
     // ── Stage 7: AI Scorer (non-blocking) ─────────────────────────────────
+    enterStage('ai');
     let aiScore = 0;
-    try {
-      aiScore = await getAiScore(event);
-      stages.ai = `adjustment=${aiScore >= 0 ? '+' : ''}${aiScore}`;
-    } catch (aiErr) {
-      stages.ai = `SKIPPED (${aiErr.message})`;
-      logger.warn(`[AI SKIP] ${aiErr.message} — proceeding without AI score`);
+    if (dryRun) {
+      stages.ai = 'SKIPPED (dry run)';
+      breakdown.ai = { status: 'SKIPPED', outcome: 'dry_run', adjustment: 0 };
+    } else {
+      try {
+        aiScore = await getAiScore(event);
+        stages.ai = `adjustment=${aiScore >= 0 ? '+' : ''}${aiScore}`;
+        breakdown.ai = { status: 'APPLIED', outcome: 'ok', adjustment: aiScore };
+        aiScoresTotal.inc({ outcome: 'ok' });
+      } catch (aiErr) {
+        const outcome = /timeout/i.test(aiErr.message) ? 'timeout' : 'error';
+        stages.ai = `SKIPPED (${aiErr.message})`;
+        breakdown.ai = { status: 'SKIPPED', outcome, adjustment: 0, error: aiErr.message };
+        aiScoresTotal.inc({ outcome });
+        logger.warn(`[AI SKIP] ${aiErr.message} — proceeding without AI score`);
+      }
     }
 
     // ── Stage 8: Conflict Resolver ────────────────────────────────────────
-    const finalScore = Math.max(0, Math.min(100, baseScore - fatigue.penalty + aiScore));
+    enterStage('conflict');
+    const unclamped  = baseScore - fatigue.penalty + aiScore;
+    const finalScore = Math.max(0, Math.min(100, unclamped));
+    breakdown.final = { base: baseScore, fatigue_penalty: fatigue.penalty, ai_adjustment: aiScore, unclamped, score: finalScore };
+
     const conflict = resolveConflict(event, finalScore, fatigue);
     stages.conflict = conflict.resolved ? conflict.reason : 'No conflict detected';
+    breakdown.conflict = { resolved: conflict.resolved, code: conflict.code, decision: conflict.decision };
 
     if (conflict.resolved) {
-      const schedAt = conflict.decision === 'LATER' ? getShortDefer() : null;
-      await storeFingerprint(event);
-      await incrementCounter(event);
+      breakdown.decided_by = 'conflict';
+      const schedAt = conflict.decision !== 'LATER' ? null
+        : conflict.retryAt ? getNextOpenSlot(prefs, new Date(conflict.retryAt))
+          : getShortDefer(prefs);
+      await effects.storeFingerprint(event, auditId);
+      if (!deferred) await effects.incrementCounter(event);
       return await finalize(conflict.decision, finalScore,
-        conflict.reason, schedAt, stages, ruleMatches, auditId, event);
+        conflict.reason, schedAt, stages, ruleMatches, ctx);
     }
 
     // ── Stage 9: Decision Boundary ────────────────────────────────────────
+    enterStage('decision');
+    const { now: nowAt, later: laterAt } = breakdown.thresholds;
     let decision, scheduleAt = null, reason;
+    breakdown.decided_by = 'threshold';
 
-    if (finalScore >= 60) {
+    if (finalScore >= nowAt) {
       decision   = 'NOW';
-      reason     = `Score ${finalScore} ≥ 60 — dispatching immediately.`;
-    } else if (finalScore >= 30) {
+      reason     = `Score ${finalScore} ≥ ${nowAt} — dispatching immediately.`;
+    } else if (finalScore >= laterAt && deferred) {
+      // Its deferral window has arrived — LATER-band scores are dispatched now
+      decision   = 'NOW';
+      reason     = `Score ${finalScore} in [${laterAt},${nowAt}) at scheduled time — dispatching deferred notification.`;
+    } else if (finalScore >= laterAt) {
       decision   = 'LATER';
-      scheduleAt = getOptimalWindow(event.event_type);
-      reason     = `Score ${finalScore} in [30,60) — scheduled for ${scheduleAt}.`;
+      scheduleAt = getOptimalWindow(event.event_type, prefs);
+      reason     = `Score ${finalScore} in [${laterAt},${nowAt}) — scheduled for ${scheduleAt}.`;
     } else {
       decision   = 'NEVER';
-      reason     = `Score ${finalScore} < 30 — low-value notification suppressed.`;
+      reason     = `Score ${finalScore} < ${laterAt} — low-value notification suppressed.`;
     }
 
     stages.decision = `score=${finalScore} → ${decision}`;
-    await storeFingerprint(event);
-    await incrementCounter(event);
-    return await finalize(decision, finalScore, reason, scheduleAt, stages, ruleMatches, auditId, event);
+    await effects.storeFingerprint(event, auditId);
+    if (!deferred) await effects.incrementCounter(event);
+    return await finalize(decision, finalScore, reason, scheduleAt, stages, ruleMatches, ctx);
 
   } catch (err) {
     logger.error(`[CLASSIFIER ERROR] ${err.message}`);
@@ -154,9 +342,10 @@ async function evaluate(event) {
     // FAILSAFE: never silently lose a CRITICAL event
     if (event.priority_hint === 'CRITICAL') {
       logger.warn('[FAILSAFE] Pipeline error — CRITICAL event sent NOW by failsafe');
+      breakdown.decided_by = 'failsafe';
       return await finalize('NOW', 90,
         'FAILSAFE: pipeline error caught — CRITICAL sent NOW to prevent loss.',
-        null, { failsafe: true }, [], auditId, event);
+        null, { failsafe: true }, [], ctx);
     }
     throw err;
   }
@@ -164,35 +353,106 @@ async function evaluate(event) {
 
 // ── Helpers ───────────────────────────────────────────────────────────────────
 
-function checkDND(event) {
-  // In production: look up user DND preferences from user profile DB
-  const hour = new Date().getHours();
+// State-changing calls, swapped for no-ops in dry-run mode
+const LIVE_EFFECTS = { storeFingerprint, incrementCounter, incrementRuleCounter };
+const DRY_RUN_EFFECTS = {
+  storeFingerprint:     async () => {},
+  incrementCounter:     async () => {},
+  incrementRuleCounter: async () => {},
+};
+
+/**
+ * Empty structured breakdown — filled in by the stages that run.
+ * decided_by: expiry | dedup | critical | opt_out | rule | dnd | conflict | threshold | failsafe
+ */
+function newBreakdown(deferred) {
   return {
-    inDND:  hour >= 23 || hour < 8,
-    window: '23:00–08:00',
+    decided_by: null,
+    rule:       null,                 // { rule_id, action } when a rule decided
+    base:       null,                 // computeScore() — { score, parts, capped }
+    fatigue:    null,
+    ai:         null,
+    final:      null,                 // { base, fatigue_penalty, ai_adjustment, unclamped, score }
+    conflict:   null,
+    thresholds: {
+      now:   config.engine.nowThreshold,
+      later: config.engine.laterThreshold,
+      reevaluation: Boolean(deferred),   // LATER band dispatches NOW once the deferral is due
+    },
   };
 }
 
-function getNextOpenWindow() {
-  const d = new Date();
-  d.setHours(8, 0, 0, 0);
-  if (new Date().getHours() >= 8) d.setDate(d.getDate() + 1);
-  return d.toISOString();
+/** Record the rule that decided — with the base score when its decision carries one. */
+function decideByRule(breakdown, rule, event = null) {
+  breakdown.decided_by = 'rule';
+  breakdown.rule = { rule_id: rule.rule_id, action: rule.action };
+  if (event) breakdown.base = computeScore(event);
 }
 
-function getShortDefer() {
-  return new Date(Date.now() + 15 * 60 * 1000).toISOString(); // +15 min
+/**
+ * Stage latency recorder: enterStage(name) closes the running stage (its
+ * time goes to the stage histogram) and starts the next; enterStage(null)
+ * closes the last one. Early returns are closed by finalize().
+ */
+function createStageTimer(enabled) {
+  let stage = null;
+  let start = 0n;
+  return next => {
+    const now = process.hrtime.bigint();
+    if (enabled && stage) stageSeconds.observe({ stage }, Number(now - start) / 1e9);
+    stage = next;
+    start = now;
+  };
+}
+
+/** Shift an event's timestamp so its age now equals its age at `at`. */
+function replayedAt(event, at) {
+  if (!event.timestamp) return event;
+  const ageMs = at.getTime() - new Date(event.timestamp).getTime();
+  return { ...event, timestamp: new Date(Date.now() - ageMs).toISOString() };
+}
+
+function getShortDefer(prefs) {
+  return getNextOpenSlot(prefs, new Date(Date.now() + 15 * 60 * 1000)); // +15 min
 }
 
-function getOptimalWindow(eventType) {
+/**
+ * Pick a deferral slot for LATER decisions, moved out of the user's
+ * quiet hours if it would land inside them.
+ */
+function getOptimalWindow(eventType, prefs) {
   const delayMs = ['promotion', 'low_value_promo', 'system_update'].includes(eventType)
     ? (2 + Math.random() * 3) * 3600000   // 2–5 hours for low-priority
     : (15 + Math.random() * 30) * 60000;  // 15–45 min for medium-priority
-  return new Date(Date.now() + delayMs).toISOString();
+  return getNextOpenSlot(prefs, new Date(Date.now() + delayMs));
 }
 
-async function finalize(decision, score, reason, scheduleAt, stages, ruleMatches, auditId, event) {
+async function finalize(decision, score, reason, scheduleAt, stages, ruleMatches, {
+  auditId, event, deferred, dryRun, breakdown, enterStage, endTimer,
+}) {
+  enterStage('finalize');
+  if (dryRun) {
+    return {
+      decision, score, reason, schedule_at: scheduleAt, audit_id: null, dry_run: true, stages, rules_matched: ruleMatches, breakdown,
+    };
+  }
+
   const result = { decision, score, reason, schedule_at: scheduleAt, audit_id: auditId };
+  const originalAuditId = deferred ? deferred.original_audit_id : auditId;
+  if (deferred) {
+    stages.reevaluation = `deferred from ${deferred.audit_id}, scheduled ${deferred.scheduled_at}`;
+    result.reevaluation_of = deferred.audit_id;
+  }
+
+  // Low-value deferrals wait for the user's next digest instead of their own slot
+  const digest = decision === 'LATER' && scheduleAt && isDigestible(event)
+    ? await queueForDigest(event, { auditId, originalAuditId, scheduleAt })
+    : null;
+  if (digest) {
+    scheduleAt = result.schedule_at = digest.flush_at;
+    stages.digest = `QUEUED (${digest.cadence}, flush at ${digest.flush_at})`;
+    result.digest = digest;
+  }
 
   await writeAudit({
     audit_id:      auditId,
@@ -203,17 +463,127 @@ async function finalize(decision, score, reason, scheduleAt, stages, ruleMatches
     score,
     reason,
     stages,
+    breakdown,
     rules_matched: ruleMatches,
     schedule_at:   scheduleAt,
+    event,                                  // kept so operators can override NEVER → NOW/LATER
+    reevaluation_of:   deferred ? deferred.audit_id : null,
+    original_audit_id: deferred ? originalAuditId : null,
     created_at:    new Date().toISOString(),
   });
 
-  if (decision === 'LATER' && scheduleAt) {
-    await scheduleDeferred(event, scheduleAt, auditId);
+  if (decision === 'LATER' && scheduleAt && !digest) {
+    await scheduleDeferred(event, scheduleAt, auditId, originalAuditId);
   }
 
+  // Re-evaluated items are delivered by the scheduler's dispatcher
+  if (decision === 'NOW' && !deferred) {
+    const { receipt, attempts } = await deliverWithFallback(event, { auditId });
+    result.delivery = {
+      delivery_id: receipt.delivery_id,
+      channel:     receipt.channel,
+      status:      receipt.status,
+      attempts:    attempts.map(a => ({ channel: a.channel, status: a.status })),
+    };
+
+    // Transient failure — retry through the scheduler (re-evaluated, then dispatched)
+    if (receipt.status === 'FAILED') {
+      const retryAt = new Date(Date.now() + config.delivery.retryDelayMs).toISOString();
+      await scheduleDeferred(event, retryAt, auditId, originalAuditId);
+      result.delivery.retry_at = retryAt;
+    }
+  }
+
+  // Not awaited — a slow subscriber must never slow the decision down
+  emitWebhook('decision', {
+    audit_id:          auditId,
+    original_audit_id: originalAuditId,
+    reevaluation_of:   result.reevaluation_of || null,
+    user_id:           event.user_id,
+    event_type:        event.event_type,
+    source:            event.source,
+    channel:           event.channel,
+    decision,
+    score,
+    reason,
+    schedule_at:       scheduleAt,
+    delivery_status:   result.delivery ? result.delivery.status : null,
+  });
+
+  enterStage(null);
+  endTimer({ decision });
+  decisionsTotal.inc({
+    decision,
+    event_type: Object.hasOwn(EVENT_TYPE_SCORES, event.event_type) ? event.event_type : 'other',
+    pass:       deferred ? 'reevaluation' : 'initial',
+  });
+  ruleMatches.forEach(rule_id => ruleMatchesTotal.inc({ rule_id }));
+
   logger.info(`[DECISION] ${decision} | score=${score} | user=${event.user_id} | type=${event.event_type} | audit=${auditId}`);
   return result;
 }
 
-module.exports = { evaluate };
+/**
+ * Evaluate many events in one call.
+ *
+ * Events for the same user run strictly in input order so dedup and fatigue
+ * counters see earlier items in the batch; different users are evaluated
+ * concurrently (up to `concurrency` users at a time).
+ * One failing item never fails the batch.
+ *
+ * @param {Object[]} events
+ * @param {Object}   [options]
+ * @param {number}   [options.concurrency]
+ * @returns {Promise<Array<{ ok: true, result: Object } | { ok: false, error: string }>>}
+ *          aligned with the input array
+ */
+async function evaluateBatch(events, { concurrency = BATCH_CONCURRENCY } = {}) {
+  const results = new Array(events.length);
+
+  const byUser = new Map();
+  events.forEach((event, index) => {
+    const queue = byUser.get(event.user_id) || [];
+    queue.push(index);
+    byUser.set(event.user_id, queue);
+  });
+
+  const groups = [...byUser.values()];
+  const worker = async () => {
+    while (groups.length > 0) {
+      for (const index of groups.shift()) {
+        try {
+          results[index] = { ok: true, result: await evaluate(events[index]) };
+        } catch (err) {
+          logger.error(`[BATCH] Item ${index} failed: ${err.message}`);
+          results[index] = { ok: false, error: err.message };
+        }
+      }
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(concurrency, groups.length) }, worker));
+  return results;
+}
+
+/**
+ * Re-run a due LATER item through the pipeline before it is dispatched.
+ * Writes a new audit record linked to the one that deferred it.
+ *
+ * NOW   → caller dispatches
+ * LATER → already re-queued (or added to the user's digest) by finalize()
+ * NEVER → caller drops it
+ *
+ * @param {Object} entry - scheduler queue entry
+ * @returns {Promise<{ decision, score, reason, schedule_at, audit_id, reevaluation_of }>}
+ */
+async function reevaluate(entry) {
+  return evaluate(entry.event, {
+    deferred: {
+      audit_id:          entry.lastAuditId     || entry.auditId,
+      original_audit_id: entry.originalAuditId || entry.auditId,
+      scheduled_at:      entry.scheduleAt,
+    },
+  });
+}
+
+module.exports = { evaluate, evaluateBatch, reevaluate };
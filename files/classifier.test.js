@@ -1,18 +1,41 @@
-const { evaluate } = require('../src/engine/classifier');
+const { evaluate, evaluateBatch, reevaluate } = require('../src/engine/classifier');
+const { getRules, matchRules } = require('../src/services/ruleService');
+const { savePreferences, getNextOpenSlot } = require('../src/services/preferenceService');
+const { penaltyFor } = require('../src/engine/fatigueGuard');
+const { deliverWithFallback } = require('../src/services/deliveryService');
+const { getAuditLog } = require('../src/services/auditService');
+const { isDigestible, queueForDigest } = require('../src/services/digestService');
+
+const mockRedis = {
+  get:              jest.fn().mockResolvedValue(null),
+  set:              jest.fn().mockResolvedValue('OK'),
+  zadd:             jest.fn().mockResolvedValue(1),
+  zrange:           jest.fn().mockResolvedValue([]),
+  zrangebyscore:    jest.fn().mockResolvedValue([]),
+  zremrangebyscore: jest.fn().mockResolvedValue(0),
+  zcount:           jest.fn().mockResolvedValue(0),
+  expire:           jest.fn().mockResolvedValue(1),
+  sadd:             jest.fn().mockResolvedValue(1),
+  ttl:              jest.fn().mockResolvedValue(-2),
+};
 
 jest.mock('../src/services/redisService', () => ({
-  getRedis: () => ({
-    get:              jest.fn().mockResolvedValue(null),
-    set:              jest.fn().mockResolvedValue('OK'),
-    zadd:             jest.fn().mockResolvedValue(1),
-    zrange:           jest.fn().mockResolvedValue([]),
-    zremrangebyscore: jest.fn().mockResolvedValue(0),
-    zcount:           jest.fn().mockResolvedValue(0),
-    expire:           jest.fn().mockResolvedValue(1),
-  }),
+  ...jest.requireActual('../src/services/redisService'),
+  getRedis: () => mockRedis,
 }));
 
 jest.mock('../src/services/aiService',   () => ({ getAiScore: jest.fn().mockResolvedValue(5) }));
+jest.mock('../src/services/deliveryService', () => ({
+  deliverWithFallback: jest.fn(async event => {
+    const receipt = { delivery_id: 'dlv_test', channel: event.channel, status: 'SENT' };
+    return { receipt, attempts: [receipt] };
+  }),
+  deliveryDispatcher: { name: 'test', dispatch: jest.fn() },
+}));
+jest.mock('../src/services/digestService', () => ({
+  isDigestible:   jest.fn(() => false),
+  queueForDigest: jest.fn().mockResolvedValue(null),
+}));
 jest.mock('../src/services/ruleService', () => ({
   getRules:       jest.fn().mockResolvedValue([]),
   matchRules:     jest.fn().mockReturnValue([]),
@@ -79,3 +102,335 @@ describe('Classifier — Core Decision Logic', () => {
   });
 
 });
+
+describe('Classifier — Rule Actions (Stage 3)', () => {
+
+  const rule = (action, extra = {}) => ({
+    rule_id: `test-${action.toLowerCase()}`, condition: {}, action, priority: 10, ...extra,
+  });
+
+  // Rule decisions are asserted with quiet hours off so they don't depend on the clock
+  const ruleBase = { ...base, user_id: 'rule_user' };
+  beforeAll(() => savePreferences('rule_user', { quiet_hours: [] }));
+  afterEach(() => mockRedis.zcount.mockResolvedValue(0));
+
+  test('SUPPRESS rule → NEVER', async () => {
+    matchRules.mockReturnValueOnce([rule('SUPPRESS')]);
+    const r = await evaluate({ ...ruleBase, message: 'suppress me' });
+    expect(r.decision).toBe('NEVER');
+    expect(r.reason).toMatch(/test-suppress/);
+  });
+
+  test('SEND_NOW rule → NOW regardless of score', async () => {
+    matchRules.mockReturnValueOnce([rule('SEND_NOW')]);
+    const r = await evaluate({ ...ruleBase, event_type: 'promotion', priority_hint: 'LOW', message: 'send now' });
+    expect(r.decision).toBe('NOW');
+    expect(r.reason).toMatch(/test-send_now/);
+  });
+
+  test('SEND_NOW rule over max_per → rule skipped, normal scoring applies', async () => {
+    mockRedis.zcount.mockResolvedValue(3);
+    matchRules.mockReturnValueOnce([rule('SEND_NOW', { max_per: { count: 3, window: '1h' } })]);
+    const r = await evaluate({ ...ruleBase, event_type: 'low_value_promo', priority_hint: 'LOW', message: 'capped fast lane' });
+    expect(r.reason).not.toMatch(/test-send_now/);
+  });
+
+  test('DEFER rule → LATER with schedule_at', async () => {
+    matchRules.mockReturnValueOnce([rule('DEFER')]);
+    const r = await evaluate({ ...ruleBase, event_type: 'direct_message', priority_hint: 'HIGH', message: 'defer me' });
+    expect(r.decision).toBe('LATER');
+    expect(r.schedule_at).not.toBeNull();
+  });
+
+  test('CAP rule under max_per → counted and passed through to scoring', async () => {
+    matchRules.mockReturnValueOnce([rule('CAP', { max_per: { count: 1, window: '4h' } })]);
+    mockRedis.zadd.mockClear();
+    const r = await evaluate({ ...ruleBase, message: 'under the cap' });
+    expect(r.reason).not.toMatch(/cap reached/i);
+    expect(mockRedis.zadd).toHaveBeenCalledWith('freq:rule_user:rule:test-cap', expect.any(Number), expect.any(String));
+  });
+
+  test('CAP rule over max_per → LATER at the time the window frees', async () => {
+    const oldest = Date.now() - 60 * 60 * 1000;
+    mockRedis.zcount.mockResolvedValue(1);
+    mockRedis.zrangebyscore.mockResolvedValueOnce(['x', String(oldest)]);
+    matchRules.mockReturnValueOnce([rule('CAP', { max_per: { count: 1, window: '4h' } })]);
+    const r = await evaluate({ ...ruleBase, message: 'over the cap' });
+    expect(r.decision).toBe('LATER');
+    expect(r.reason).toMatch(/cap reached/i);
+    expect(r.schedule_at).toBe(new Date(oldest + 4 * 3600 * 1000).toISOString());
+  });
+
+});
+
+describe('Classifier — User Preferences (Stage 4)', () => {
+
+  test('Opted-out channel → NEVER', async () => {
+    await savePreferences('prefs_optout', { channel_opt_outs: ['sms'], quiet_hours: [] });
+    const r = await evaluate({ ...base, user_id: 'prefs_optout', channel: 'sms', message: 'opted out' });
+    expect(r.decision).toBe('NEVER');
+    expect(r.reason).toMatch(/opted out/i);
+  });
+
+  test('No quiet hours → high-value event is NOW at any hour', async () => {
+    await savePreferences('prefs_awake', { quiet_hours: [] });
+    const r = await evaluate({
+      ...base, user_id: 'prefs_awake', event_type: 'direct_message', priority_hint: 'HIGH', message: 'hi there',
+    });
+    expect(r.decision).toBe('NOW');
+  });
+
+  test('Focus mode → LATER at focus end', async () => {
+    const until = new Date(Date.now() + 2 * 3600000).toISOString();
+    await savePreferences('prefs_focus', { quiet_hours: [], focus_mode: { enabled: true, until } });
+    const r = await evaluate({ ...base, user_id: 'prefs_focus', message: 'focus test' });
+    expect(r.decision).toBe('LATER');
+    expect(r.schedule_at).toBe(until);
+  });
+
+  test('Low-value LATER goes to the digest and is scheduled at the flush time', async () => {
+    const until   = new Date(Date.now() + 2 * 3600000).toISOString();
+    const flushAt = new Date(Date.now() + 3 * 3600000).toISOString();
+    await savePreferences('prefs_digest', { quiet_hours: [], focus_mode: { enabled: true, until } });
+    isDigestible.mockReturnValueOnce(true);
+    queueForDigest.mockResolvedValueOnce({ cadence: 'hourly', flush_at: flushAt });
+
+    const r = await evaluate({ ...base, user_id: 'prefs_digest', event_type: 'system_update', message: 'v2 is out' });
+
+    expect(r.decision).toBe('LATER');
+    expect(r.schedule_at).toBe(flushAt);
+    expect(r.digest).toEqual({ cadence: 'hourly', flush_at: flushAt });
+    expect(queueForDigest).toHaveBeenCalledWith(
+      expect.objectContaining({ user_id: 'prefs_digest' }),
+      expect.objectContaining({ auditId: r.audit_id, scheduleAt: until })
+    );
+    expect((await getAuditLog(r.audit_id)).stages.digest).toMatch(/^QUEUED \(hourly/);
+  });
+
+  test('Next open slot is computed in the user\'s time zone', () => {
+    const prefs = {
+      timezone:    'Asia/Kolkata', // UTC+5:30, no DST
+      quiet_hours: [{ start: '22:00', end: '07:30' }],
+      focus_mode:  { enabled: false },
+    };
+    // 20:00 UTC = 01:30 IST → quiet until 07:30 IST = 02:00 UTC next day
+    expect(getNextOpenSlot(prefs, new Date('2025-02-25T20:00:00Z'))).toBe('2025-02-26T02:00:00.000Z');
+    // 10:00 UTC = 15:30 IST → already open
+    expect(getNextOpenSlot(prefs, new Date('2025-02-25T10:00:00Z'))).toBe('2025-02-25T10:00:00.000Z');
+  });
+
+  test('Quiet windows only apply on their configured days', () => {
+    const prefs = {
+      timezone:    'UTC',
+      quiet_hours: [{ days: ['sat', 'sun'], start: '00:00', end: '12:00' }],
+      focus_mode:  { enabled: false },
+    };
+    // 2025-03-01 is a Saturday, 2025-03-03 a Monday
+    expect(getNextOpenSlot(prefs, new Date('2025-03-01T09:00:00Z'))).toBe('2025-03-01T12:00:00.000Z');
+    expect(getNextOpenSlot(prefs, new Date('2025-03-03T09:00:00Z'))).toBe('2025-03-03T09:00:00.000Z');
+  });
+
+});
+
+describe('Classifier — Deferred Re-evaluation', () => {
+
+  const entry = (event, extra = {}) => ({
+    event:      { ...base, user_id: 'reeval_user', ...event },
+    auditId:    'aud_prev0001',
+    scheduleAt: new Date().toISOString(),
+    ...extra,
+  });
+
+  beforeAll(() => savePreferences('reeval_user', { quiet_hours: [] }));
+
+  test('Result links back to the deferring audit record', async () => {
+    const r = await reevaluate(entry({ message: 'deferred reminder' }));
+    expect(r.reevaluation_of).toBe('aud_prev0001');
+    expect(r.audit_id).not.toBe('aud_prev0001');
+  });
+
+  test('Own fingerprint is not treated as a duplicate', async () => {
+    mockRedis.get.mockResolvedValueOnce('aud_prev0001'); // dedup:key lookup
+    const r = await reevaluate(entry({ message: 'own key', dedupe_key: 'k-own' }));
+    expect(r.reason).not.toMatch(/duplicate/i);
+  });
+
+  test('Fingerprint from another decision → dropped as duplicate', async () => {
+    mockRedis.get.mockResolvedValueOnce('aud_other001');
+    const r = await reevaluate(entry({ message: 'someone else', dedupe_key: 'k-other' }));
+    expect(r.decision).toBe('NEVER');
+    expect(r.reason).toMatch(/duplicate/i);
+  });
+
+  test('Expired while waiting → dropped', async () => {
+    const r = await reevaluate(entry({ message: 'too late', expires_at: new Date(Date.now() - 1000).toISOString() }));
+    expect(r.decision).toBe('NEVER');
+  });
+
+  test('Deferred promo into a maxed-out fatigue window → not dispatched', async () => {
+    mockRedis.zcount.mockResolvedValue(10);
+    const r = await reevaluate(entry({ event_type: 'promotion', priority_hint: 'MEDIUM', channel: 'email', message: 'sale' }));
+    mockRedis.zcount.mockResolvedValue(0);
+    expect(r.decision).not.toBe('NOW');
+  });
+
+  test('LATER-band score at its scheduled time → NOW', async () => {
+    const r = await reevaluate(entry({ event_type: 'system_update', priority_hint: 'MEDIUM', channel: 'email', message: 'v2 ready' }));
+    expect(r.decision).toBe('NOW');
+  });
+
+});
+
+describe('Classifier — Batch Evaluation', () => {
+
+  test('Same-user items are evaluated in order — later copy is a duplicate', async () => {
+    mockRedis.get.mockImplementation(async key => (key === 'dedup:key:batch-k1' && mockRedis.set.mock.calls
+      .some(([k]) => k === 'dedup:key:batch-k1') ? 'aud_seen0001' : null));
+
+    const ev = { ...base, user_id: 'batch_user', priority_hint: 'CRITICAL', dedupe_key: 'batch-k1', message: 'batch' };
+    const results = await evaluateBatch([ev, { ...base, user_id: 'other_user', message: 'x' }, ev]);
+    mockRedis.get.mockResolvedValue(null);
+
+    expect(results).toHaveLength(3);
+    expect(results[0].result.decision).toBe('NOW');
+    expect(results[2].result.decision).toBe('NEVER');
+    expect(results[2].result.reason).toMatch(/duplicate/i);
+  });
+
+  test('A failing item does not fail the batch', async () => {
+    matchRules.mockImplementationOnce(() => { throw new Error('rules unavailable'); });
+    const results = await evaluateBatch([
+      { ...base, user_id: 'batch_fail', message: 'first item' },
+      { ...base, user_id: 'batch_fail', message: 'second item' },
+    ]);
+    expect(results[0]).toMatchObject({ ok: false, error: 'rules unavailable' });
+    expect(results[1].ok).toBe(true);
+  });
+
+});
+
+describe('Classifier — Dry Run', () => {
+
+  beforeAll(() => savePreferences('dry_user', { quiet_hours: [] }));
+
+  test('Uses the supplied rules and writes nothing', async () => {
+    const rules = [{ rule_id: 'candidate', condition: {}, action: 'SUPPRESS', priority: 10 }];
+    const at    = '2026-01-05T10:00:00.000Z';
+    matchRules.mockReturnValueOnce(rules);
+    getRules.mockClear();
+    mockRedis.set.mockClear();
+    mockRedis.zadd.mockClear();
+
+    const r = await evaluate({ ...base, user_id: 'dry_user', message: 'replayed' }, { dryRun: { rules, at } });
+
+    expect(r).toMatchObject({ decision: 'NEVER', audit_id: null, dry_run: true, rules_matched: ['candidate'] });
+    expect(getRules).not.toHaveBeenCalled();
+    expect(matchRules).toHaveBeenLastCalledWith(expect.anything(), rules, new Date(at));
+    expect(mockRedis.set).not.toHaveBeenCalled();
+    expect(mockRedis.zadd).not.toHaveBeenCalled();
+  });
+
+  test('AI stage is skipped', async () => {
+    const r = await evaluate({ ...base, user_id: 'dry_user', message: 'no ai' }, { dryRun: { rules: [] } });
+    expect(r.stages.ai).toBe('SKIPPED (dry run)');
+  });
+
+});
+
+describe('Classifier — Source & Promo Caps (Stage 6)', () => {
+
+  beforeAll(() => savePreferences('cap_user', { quiet_hours: [] }));
+  afterEach(() => mockRedis.zcount.mockResolvedValue(0));
+
+  const countFor = counts => async key => counts[key] || 0;
+
+  test('Source over 2/hr → LATER when its window frees, stage names the cap', async () => {
+    const oldest = Date.now() - 20 * 60 * 1000;
+    mockRedis.zcount.mockImplementation(countFor({ 'freq:cap_user:billing-svc': 2 }));
+    mockRedis.zrangebyscore.mockResolvedValueOnce(['x', String(oldest)]);
+
+    const r = await evaluate({ ...base, user_id: 'cap_user', source: 'billing-svc', event_type: 'direct_message', priority_hint: 'HIGH', message: 'third from billing' });
+
+    expect(r.decision).toBe('LATER');
+    expect(r.reason).toMatch(/source "billing-svc" cap reached \(2\/2 per 1h\)/);
+    expect(r.schedule_at).toBe(new Date(oldest + 3600 * 1000).toISOString());
+  });
+
+  test('LOW promotion over 1/4h → NEVER', async () => {
+    mockRedis.zcount.mockImplementation(countFor({ 'freq:cap_user:promo': 1 }));
+    const r = await evaluate({ ...base, user_id: 'cap_user', source: 'promo-a', event_type: 'promotion', priority_hint: 'LOW', message: 'second promo' });
+
+    expect(r.decision).toBe('NEVER');
+    expect(r.reason).toMatch(/promotion cap reached/);
+  });
+
+});
+
+describe('Classifier — Fatigue Policies', () => {
+
+  afterEach(() => mockRedis.zcount.mockResolvedValue(0));
+
+  test("User's own fatigue_cap tightens the total cap", async () => {
+    await savePreferences('own_cap_user', { quiet_hours: [], fatigue_cap: { count: 2, window: '1h' } });
+    mockRedis.zcount.mockImplementation(async key => (key === 'freq:own_cap_user:total' ? 2 : 0));
+
+    const r = await evaluate({ ...base, user_id: 'own_cap_user', priority_hint: 'MEDIUM', message: 'third today' });
+
+    expect(r.decision).toBe('NEVER');
+    expect(r.reason).toMatch(/fatigue cap \(2\/2 per 1h\)/);
+  });
+
+  test('Penalty curve comes from the policy', () => {
+    const curve = [{ ratio: 1, penalty: 40 }, { count: 1, penalty: 3 }];
+    expect(penaltyFor(0, 10, curve)).toBe(0);
+    expect(penaltyFor(1, 10, curve)).toBe(3);
+    expect(penaltyFor(10, 10, curve)).toBe(40);
+  });
+
+});
+
+describe('Classifier — Multi-Channel Selection', () => {
+
+  afterEach(() => mockRedis.zcount.mockResolvedValue(0));
+
+  const stagesOf = async r => (await getAuditLog(r.audit_id)).stages;
+
+  test('Best channel wins, opted-out channels are skipped, the rest become fallbacks', async () => {
+    await savePreferences('multi_user', { quiet_hours: [], channel_opt_outs: ['sms'] });
+    const r = await evaluate({
+      ...base, user_id: 'multi_user', priority_hint: 'CRITICAL', event_type: 'security_alert',
+      message: 'New login', channels: ['email', 'sms', 'push'],
+    });
+
+    expect((await stagesOf(r)).channels).toBe('chosen=push, fallbacks=[email], skipped=[sms: opted out]');
+    expect(r.delivery.channel).toBe('push');
+    expect(deliverWithFallback).toHaveBeenLastCalledWith(
+      expect.objectContaining({ channel: 'push', channel_fallbacks: ['email'] }), { auditId: r.audit_id });
+  });
+
+  test('A channel at its fatigue cap is passed over', async () => {
+    await savePreferences('multi_tired', { quiet_hours: [] });
+    mockRedis.zcount.mockImplementation(async key => (key === 'freq:multi_tired:channel:push' ? 5 : 0));
+
+    const r = await evaluate({ ...base, user_id: 'multi_tired', message: 'standup', channels: ['push', 'email'] });
+
+    expect((await stagesOf(r)).channels).toBe('chosen=email, skipped=[push: fatigued (5/5 per 1h)]');
+  });
+
+  test("channel_selection 'ordered' keeps the caller's order", async () => {
+    await savePreferences('multi_ordered', { quiet_hours: [] });
+    const r = await evaluate({
+      ...base, user_id: 'multi_ordered', message: 'invoice', channels: ['email', 'sms'], channel_selection: 'ordered',
+    });
+    expect((await stagesOf(r)).channels).toBe('chosen=email, fallbacks=[sms]');
+  });
+
+  test('Every channel opted out → NEVER', async () => {
+    await savePreferences('multi_none', { quiet_hours: [], channel_opt_outs: ['sms', 'email'] });
+    const r = await evaluate({ ...base, user_id: 'multi_none', channel: 'sms', message: 'nobody home', channels: ['sms', 'email'] });
+
+    expect(r.decision).toBe('NEVER');
+    expect((await stagesOf(r)).channels).toMatch(/^chosen=none/);
+  });
+
+});
@@ -0,0 +1,240 @@
+/**
+ * conditionMatcher.js — Rule Condition Language
+ *
+ * A condition is an object whose keys are ANDed together. Each key is either
+ * a field path or a boolean group:
+ *
+ *   { "event_type": "promotion", "channel": "email" }            legacy equality
+ *   { "source": "*" }                                            wildcard
+ *   { "metadata.amount": { "gt": 1000 } }                        dotted metadata path
+ *   { "channel": { "in": ["sms", "push"] } }
+ *   { "message": { "contains_any": ["invoice", "refund"] } }     keyword match
+ *   { "time_of_day": { "between": ["22:00", "06:00"], "tz": "Asia/Kolkata" } }
+ *   { "day_of_week": { "in": ["sat", "sun"] } }
+ *   { "any": [ { ... }, { ... } ] }    { "all": [...] }    { "none": [...] }
+ *
+ * Operators (several in one object are ANDed):
+ *   eq, not, in, not_in, regex (+ flags), contains, contains_any,
+ *   gt, gte, lt, lte, between, exists
+ *
+ * time_of_day / day_of_week are evaluated at decision time in `tz`
+ * (default: config engine.defaultTimezone).
+ *
+ * validateCondition() checks a condition against this grammar and returns a
+ * precise error (path + message) for the first problem found.
+ */
+
+const config = require('../../config/default');
+const { localParts, DAYS } = require('../services/preferenceService');
+
+const FIELDS = {
+  event_type:    e => e.event_type,
+  channel:       e => e.channel,
+  source:        e => e.source,
+  priority:      e => e.priority_hint,
+  priority_hint: e => e.priority_hint,
+  user_id:       e => e.user_id,
+  message:       e => e.message,
+  title:         e => e.title,
+  dedupe_key:    e => e.dedupe_key,
+};
+const TIME_FIELDS = ['time_of_day', 'day_of_week'];
+const GROUPS      = ['all', 'any', 'none'];
+const OPERATORS   = [
+  'eq', 'not', 'in', 'not_in', 'regex', 'flags', 'contains', 'contains_any',
+  'gt', 'gte', 'lt', 'lte', 'between', 'exists', 'tz',
+];
+const HHMM      = /^([01]\d|2[0-3]):[0-5]\d$/;
+const MAX_DEPTH = 8;
+
+const regexCache = new Map();
+
+// ── Matching ──────────────────────────────────────────────────────────────────
+
+/**
+ * Check if an event matches a rule condition.
+ *
+ * @param {Object} event
+ * @param {Object} condition
+ * @param {Date}   [at] - evaluation time for time_of_day / day_of_week
+ * @returns {boolean}
+ */
+function matchesCondition(event, condition, at = new Date()) {
+  return Object.entries(condition || {}).every(([key, spec]) => {
+    if (key === 'all')  return spec.every(c => matchesCondition(event, c, at));
+    if (key === 'any')  return spec.some(c => matchesCondition(event, c, at));
+    if (key === 'none') return !spec.some(c => matchesCondition(event, c, at));
+    return matchesField(resolveField(event, key, spec, at), spec);
+  });
+}
+
+function matchesField(value, spec) {
+  // Legacy form — literal equality, "*" / empty = wildcard
+  if (spec === null || typeof spec !== 'object' || Array.isArray(spec)) {
+    return !spec || spec === '*' || spec === value;
+  }
+
+  return Object.entries(spec).every(([op, arg]) => {
+    switch (op) {
+      case 'eq':           return value === arg;
+      case 'not':          return value !== arg;
+      case 'in':           return arg.includes(value);
+      case 'not_in':       return !arg.includes(value);
+      case 'regex':        return typeof value === 'string' && compileRegex(arg, spec.flags).test(value);
+      case 'contains':     return typeof value === 'string' && value.toLowerCase().includes(arg.toLowerCase());
+      case 'contains_any': return typeof value === 'string' && arg.some(k => value.toLowerCase().includes(k.toLowerCase()));
+      case 'gt':           return toNumber(value) >  arg;
+      case 'gte':          return toNumber(value) >= arg;
+      case 'lt':           return toNumber(value) <  arg;
+      case 'lte':          return toNumber(value) <= arg;
+      case 'between':      return inRange(value, arg);
+      case 'exists':       return (value !== undefined && value !== null) === arg;
+      case 'flags':
+      case 'tz':           return true;   // modifiers, consumed elsewhere
+      default:             return false;
+    }
+  });
+}
+
+function resolveField(event, key, spec, at) {
+  if (FIELDS[key]) return FIELDS[key](event);
+
+  if (TIME_FIELDS.includes(key)) {
+    const tz = (spec && spec.tz) || config.engine.defaultTimezone;
+    const { day, minutes } = localParts(at, tz);
+    return key === 'day_of_week'
+      ? day
+      : `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+  }
+
+  // metadata.a.b.c
+  return key.split('.').slice(1).reduce((obj, part) => (obj == null ? undefined : obj[part]), event.metadata);
+}
+
+/** Numeric range [min, max] inclusive, or HH:MM window (wraps past midnight). */
+function inRange(value, [from, to]) {
+  if (typeof from === 'string') {
+    if (typeof value !== 'string') return false;
+    return from <= to ? value >= from && value < to : value >= from || value < to;
+  }
+  const n = toNumber(value);
+  return n >= from && n <= to;
+}
+
+function toNumber(v) {
+  if (typeof v === 'number') return v;
+  if (typeof v === 'string' && v.trim() !== '') return Number(v);
+  return NaN;
+}
+
+function compileRegex(pattern, flags = '') {
+  const key = `${flags}/${pattern}`;
+  if (!regexCache.has(key)) regexCache.set(key, new RegExp(pattern, flags));
+  return regexCache.get(key);
+}
+
+// ── Validation ────────────────────────────────────────────────────────────────
+
+/**
+ * Validate a condition against the grammar above.
+ *
+ * @param {*} condition
+ * @returns {{ path: string, message: string }|null} first error, or null if valid
+ */
+function validateCondition(condition, path = 'condition', depth = 0) {
+  if (!isPlainObject(condition)) return { path, message: 'must be an object' };
+  if (depth > MAX_DEPTH)         return { path, message: `nesting deeper than ${MAX_DEPTH} levels` };
+
+  for (const [key, spec] of Object.entries(condition)) {
+    const at = `${path}.${key}`;
+
+    if (GROUPS.includes(key)) {
+      if (!Array.isArray(spec) || spec.length === 0) return { path: at, message: 'must be a non-empty array of conditions' };
+      for (const [i, child] of spec.entries()) {
+        const err = validateCondition(child, `${at}[${i}]`, depth + 1);
+        if (err) return err;
+      }
+      continue;
+    }
+
+    if (!isKnownField(key)) {
+      return { path: at, message: `unknown field "${key}" (use one of ${Object.keys(FIELDS).join(', ')}, ${TIME_FIELDS.join(', ')}, or metadata.<path>)` };
+    }
+
+    const err = validateFieldSpec(key, spec, at);
+    if (err) return err;
+  }
+  return null;
+}
+
+function validateFieldSpec(field, spec, path) {
+  if (!isPlainObject(spec)) {
+    if (Array.isArray(spec)) return { path, message: 'arrays are not allowed here — use { "in": [...] }' };
+    if (TIME_FIELDS.includes(field)) return { path, message: 'use an operator object, e.g. { "between": ["22:00", "06:00"] }' };
+    return null;
+  }
+
+  const ops = Object.keys(spec);
+  if (ops.length === 0) return { path, message: 'operator object is empty' };
+
+  for (const op of ops) {
+    const arg = spec[op];
+    const at  = `${path}.${op}`;
+
+    if (!OPERATORS.includes(op)) return { path: at, message: `unknown operator "${op}" (allowed: ${OPERATORS.join(', ')})` };
+
+    if (['in', 'not_in'].includes(op) && !Array.isArray(arg)) return { path: at, message: 'must be an array' };
+    if (['gt', 'gte', 'lt', 'lte'].includes(op) && typeof arg !== 'number') return { path: at, message: 'must be a number' };
+    if (op === 'exists' && typeof arg !== 'boolean') return { path: at, message: 'must be true or false' };
+    if (op === 'contains' && typeof arg !== 'string') return { path: at, message: 'must be a string' };
+    if (op === 'contains_any' && (!Array.isArray(arg) || arg.length === 0 || !arg.every(k => typeof k === 'string'))) {
+      return { path: at, message: 'must be a non-empty array of strings' };
+    }
+
+    if (op === 'regex') {
+      if (typeof arg !== 'string') return { path: at, message: 'must be a string' };
+      try { new RegExp(arg, spec.flags || ''); } catch (e) { return { path: at, message: `invalid regex: ${e.message}` }; }
+    }
+    if (op === 'flags' && (typeof arg !== 'string' || !/^[imsu]*$/.test(arg))) return { path: at, message: 'must be a combination of i, m, s, u' };
+    if (op === 'flags' && spec.regex === undefined) return { path: at, message: 'only valid alongside regex' };
+
+    if (op === 'tz') {
+      if (!TIME_FIELDS.includes(field)) return { path: at, message: 'only valid on time_of_day / day_of_week' };
+      if (!isValidTz(arg)) return { path: at, message: `unknown time zone "${arg}"` };
+    }
+
+    if (op === 'between') {
+      if (!Array.isArray(arg) || arg.length !== 2) return { path: at, message: 'must be [from, to]' };
+      const ok = field === 'time_of_day'
+        ? arg.every(v => typeof v === 'string' && HHMM.test(v))
+        : arg.every(v => typeof v === 'number') && arg[0] <= arg[1];
+      if (!ok) return { path: at, message: field === 'time_of_day' ? 'must be ["HH:MM", "HH:MM"]' : 'must be [min, max] numbers with min <= max' };
+    }
+
+    if (field === 'day_of_week' && ['eq', 'not', 'in', 'not_in'].includes(op)) {
+      const days = Array.isArray(arg) ? arg : [arg];
+      const bad  = days.find(d => !DAYS.includes(d));
+      if (bad !== undefined) return { path: at, message: `"${bad}" is not a day (use ${DAYS.join(', ')})` };
+    }
+  }
+  return null;
+}
+
+function isKnownField(key) {
+  return Boolean(FIELDS[key]) || TIME_FIELDS.includes(key) || /^metadata(\.[\w-]+)+$/.test(key);
+}
+
+function isPlainObject(v) {
+  return v !== null && typeof v === 'object' && !Array.isArray(v);
+}
+
+function isValidTz(tz) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: tz });
+    return true;
+  } catch (_) {
+    return false;
+  }
+}
+
+module.exports = { matchesCondition, validateCondition };
@@ -0,0 +1,85 @@
+const { matchesCondition, validateCondition } = require('../src/engine/conditionMatcher');
+
+const event = {
+  user_id:       'user_001',
+  event_type:    'payment',
+  message:       'Your invoice #4411 is ready',
+  source:        'billing-svc',
+  priority_hint: 'HIGH',
+  channel:       'email',
+  metadata:      { amount: 1500, customer: { tier: 'gold' } },
+};
+
+// Tuesday 14:30 UTC
+const at = new Date('2026-03-03T14:30:00Z');
+
+describe('Condition Matcher — Matching', () => {
+
+  test('Legacy equality and wildcard still work', () => {
+    expect(matchesCondition(event, { event_type: 'payment', channel: 'email' })).toBe(true);
+    expect(matchesCondition(event, { event_type: 'payment', source: '*' })).toBe(true);
+    expect(matchesCondition(event, { priority: 'HIGH' })).toBe(true);
+    expect(matchesCondition(event, { event_type: 'promotion' })).toBe(false);
+  });
+
+  test('in / not / not_in', () => {
+    expect(matchesCondition(event, { channel: { in: ['sms', 'email'] } })).toBe(true);
+    expect(matchesCondition(event, { channel: { not: 'email' } })).toBe(false);
+    expect(matchesCondition(event, { source: { not_in: ['marketing'] } })).toBe(true);
+  });
+
+  test('Numeric comparisons on metadata paths', () => {
+    expect(matchesCondition(event, { 'metadata.amount': { gt: 1000 } })).toBe(true);
+    expect(matchesCondition(event, { 'metadata.amount': { gte: 500, lt: 1000 } })).toBe(false);
+    expect(matchesCondition(event, { 'metadata.customer.tier': 'gold' })).toBe(true);
+    expect(matchesCondition(event, { 'metadata.missing.deep': { exists: false } })).toBe(true);
+  });
+
+  test('Regex and message keywords', () => {
+    expect(matchesCondition(event, { message: { regex: 'invoice #\\d+' } })).toBe(true);
+    expect(matchesCondition(event, { message: { regex: 'INVOICE', flags: 'i' } })).toBe(true);
+    expect(matchesCondition(event, { message: { contains_any: ['refund', 'Invoice'] } })).toBe(true);
+    expect(matchesCondition(event, { message: { contains: 'refund' } })).toBe(false);
+  });
+
+  test('Time-of-day windows (incl. overnight) and day-of-week', () => {
+    expect(matchesCondition(event, { time_of_day: { between: ['09:00', '17:00'], tz: 'UTC' } }, at)).toBe(true);
+    expect(matchesCondition(event, { time_of_day: { between: ['22:00', '06:00'], tz: 'UTC' } }, at)).toBe(false);
+    expect(matchesCondition(event, { time_of_day: { between: ['22:00', '06:00'], tz: 'Asia/Tokyo' } }, at)).toBe(true);
+    expect(matchesCondition(event, { day_of_week: { in: ['sat', 'sun'], tz: 'UTC' } }, at)).toBe(false);
+  });
+
+  test('Nested all / any / none groups', () => {
+    const condition = {
+      event_type: 'payment',
+      any: [
+        { 'metadata.amount': { gt: 10000 } },
+        { all: [{ channel: 'email' }, { 'metadata.customer.tier': { in: ['gold', 'platinum'] } }] },
+      ],
+      none: [{ source: 'test-harness' }],
+    };
+    expect(matchesCondition(event, condition)).toBe(true);
+    expect(matchesCondition({ ...event, source: 'test-harness' }, condition)).toBe(false);
+  });
+
+});
+
+describe('Condition Matcher — Validation', () => {
+
+  test('Valid conditions pass', () => {
+    expect(validateCondition({ event_type: 'promotion', channel: 'email' })).toBeNull();
+    expect(validateCondition({ any: [{ 'metadata.amount': { gt: 1 } }, { message: { regex: '^a' } }] })).toBeNull();
+  });
+
+  test('Errors name the exact path', () => {
+    expect(validateCondition({ colour: 'red' }))
+      .toMatchObject({ path: 'condition.colour' });
+    expect(validateCondition({ all: [{ channel: { in: 'sms' } }] }))
+      .toEqual({ path: 'condition.all[0].channel.in', message: 'must be an array' });
+    expect(validateCondition({ message: { regex: '(' } }).path).toBe('condition.message.regex');
+    expect(validateCondition({ time_of_day: { between: ['25:00', '06:00'] } }).path).toBe('condition.time_of_day.between');
+    expect(validateCondition({ day_of_week: { in: ['funday'] } }).message).toMatch(/not a day/);
+    expect(validateCondition({ none: [] }).path).toBe('condition.none');
+  });
+
+});
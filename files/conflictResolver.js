@@ -7,6 +7,8 @@
  *  - HIGH priority event from a source that fires 20x/hour  → LATER (not NEVER)
  *  - MEDIUM event when user fatigue is maxed                → NEVER
  *  - LOW event that scores ≥ 60 but user is overloaded      → LATER
+ *  - Source over its 2/hr cap, or promo over its 1/4h cap    → LATER until the
+ *    window frees (LOW priority → NEVER)
  *
  * Key principle: Important notifications must NEVER be silently lost.
  * When in doubt, defer rather than suppress.
@@ -17,8 +19,10 @@
  *
  * @param {Object} event
  * @param {number} score  - Composite score (0–100)
- * @param {Object} fatigue - { count, penalty, level }
- * @returns {{ resolved: boolean, decision: string|null, reason: string }}
+ * @param {Object} fatigue - { count, limit, window, penalty, level, capsTripped }
+ * @returns {{ resolved: boolean, decision: string|null, code: string|null, reason: string, retryAt?: string }}
+ *          code — which conflict applied (stable, for the audit breakdown);
+ *          retryAt — for cap deferrals, when the tripped window next has room
  */
 function resolveConflict(event, score, fatigue) {
 
@@ -27,7 +31,8 @@ function resolveConflict(event, score, fatigue) {
     return {
       resolved: true,
       decision: 'LATER',
-      reason:   `CONFLICT RESOLVED: HIGH priority but user fatigue MAXED (${fatigue.count}/hr). ` +
+      code:     'HIGH_PRIORITY_FATIGUE_MAXED',
+      reason:   `CONFLICT RESOLVED: HIGH priority but user fatigue MAXED (${fatigue.count}/${fatigue.limit} per ${fatigue.window}). ` +
                 `Deferred 15 min — not silently dropped.`,
     };
   }
@@ -37,6 +42,7 @@ function resolveConflict(event, score, fatigue) {
     return {
       resolved: true,
       decision: 'LATER',
+      code:     'HIGH_PRIORITY_NOISY_SOURCE',
       reason:   `CONFLICT RESOLVED: HIGH priority but "${event.source}" is a noisy source ` +
                 `and user fatigue is HIGH. Short defer applied.`,
     };
@@ -47,8 +53,32 @@ function resolveConflict(event, score, fatigue) {
     return {
       resolved: true,
       decision: 'NEVER',
+      code:     'MEDIUM_PRIORITY_FATIGUE_MAXED',
       reason:   `CONFLICT RESOLVED: MEDIUM priority suppressed — user at fatigue cap ` +
-                `(${fatigue.count}/${5} per hr). Sending now would worsen alert fatigue.`,
+                `(${fatigue.count}/${fatigue.limit} per ${fatigue.window}). Sending now would worsen alert fatigue.`,
+    };
+  }
+
+  // Source or promo cap tripped → hold until that window frees; LOW isn't worth holding
+  const tripped = (fatigue.capsTripped || [])[0];
+  if (tripped) {
+    const what = tripped.cap === 'promo' ? 'promotion' : `source "${event.source}"`;
+    if (event.priority_hint === 'LOW') {
+      return {
+        resolved: true,
+        decision: 'NEVER',
+        code:     'LOW_PRIORITY_CAP_TRIPPED',
+        reason:   `CONFLICT RESOLVED: LOW priority suppressed — ${what} cap reached ` +
+                  `(${tripped.count}/${tripped.limit} per ${tripped.window}).`,
+      };
+    }
+    return {
+      resolved: true,
+      decision: 'LATER',
+      code:     'CAP_TRIPPED',
+      reason:   `CONFLICT RESOLVED: ${what} cap reached (${tripped.count}/${tripped.limit} per ` +
+                `${tripped.window}). Deferred until the window frees — one service can't use up the user's budget.`,
+      retryAt:  tripped.retryAt,
     };
   }
 
@@ -57,15 +87,15 @@ function resolveConflict(event, score, fatigue) {
     return {
       resolved: true,
       decision: 'LATER',
+      code:     'LOW_PRIORITY_OVERLOADED',
       reason:   `CONFLICT RESOLVED: Score ${score} suggests NOW, but LOW priority + MAXED ` +
                 `fatigue. Deferred to avoid noise.`,
     };
   }
 
-  // Multi-channel: if same event targets multiple channels, let caller handle channel selection
-  // (classifier will pick highest-priority channel, suppress rest)
+  // Multi-channel events arrive here with their channel already chosen (channelSelector.js)
 
-  return { resolved: false, decision: null, reason: '' };
+  return { resolved: false, decision: null, code: null, reason: '' };
 }
 
 /**
@@ -3,9 +3,11 @@
  *
  * Every classification decision is written here — NOW, LATER, or NEVER.
  * This is the source of truth for explainability and auditing.
- * Records are append-only and never deleted.
+ * Records are append-only: never modified, deleted only by the retention
+ * sweep or a user erasure (services/privacyService.js). Each record and
+ * override is hash-chained as written (services/auditChainService.js).
  *
- * SQL (PostgreSQL):
+ * SQL (PostgreSQL — applied by src/storage/migrations.js):
  * ─────────────────
  * CREATE TABLE decisions (
  *   audit_id      VARCHAR(32)  PRIMARY KEY,
@@ -19,11 +21,124 @@
  *   rules_matched JSONB,          -- array of matched rule IDs
  *   schedule_at   TIMESTAMPTZ,    -- populated for LATER decisions
  *   ai_skipped    BOOLEAN DEFAULT FALSE,
- *   created_at    TIMESTAMPTZ DEFAULT NOW()
+ *   event         JSONB,          -- event snapshot (lets operators re-send a NEVER)
+ *   reevaluation_of   VARCHAR(32),  -- audit_id that deferred this event (scheduler re-evaluation)
+ *   original_audit_id VARCHAR(32),  -- first decision in a re-deferral chain
+ *   digest_of     JSONB,          -- digest records: audit_ids of every included item
+ *   breakdown     JSONB,          -- structured score math (GET /v1/audit/:audit_id/explain)
+ *   redacted      JSONB,          -- event fields replaced by the PII policy, e.g. ["message","metadata.email"]
+ *   created_at    TIMESTAMPTZ DEFAULT NOW(),
+ *   chain_partition VARCHAR(64),  -- sha256(user_id), or 'global' (AUDIT_CHAIN_PARTITION)
+ *   chain_seq     BIGINT,         -- position in the partition's chain, from 1
+ *   prev_hash     CHAR(64),       -- hash of entry chain_seq - 1 (64 zeros for the first)
+ *   hash          CHAR(64),       -- sha256(prev_hash | seq | kind | sha256(record))
+ *   signature     CHAR(64)        -- HMAC-SHA256(AUDIT_SIGNING_KEY, hash)
  * );
  *
  * CREATE INDEX idx_decisions_user_ts ON decisions(user_id, created_at DESC);
  * CREATE INDEX idx_decisions_decision  ON decisions(decision);
+ * CREATE INDEX idx_decisions_original  ON decisions(original_audit_id);
+ * CREATE INDEX idx_decisions_ts         ON decisions(created_at DESC, audit_id DESC);  -- GET /v1/audit keyset
+ * CREATE INDEX idx_decisions_event_type ON decisions(event_type, created_at DESC);
+ * CREATE INDEX idx_decisions_retention  ON decisions(decision, created_at);          -- retention sweep
+ * CREATE UNIQUE INDEX idx_decisions_chain ON decisions(chain_partition, chain_seq);
+ *
+ * -- Operator overrides — appended, never updated
+ * CREATE TABLE decision_overrides (
+ *   override_id     VARCHAR(32)  PRIMARY KEY,
+ *   audit_id        VARCHAR(32)  NOT NULL REFERENCES decisions(audit_id),
+ *   notification_id VARCHAR(64)  NOT NULL,
+ *   from_state      VARCHAR(16),  -- original decision or queue status
+ *   override_to     VARCHAR(8)   NOT NULL CHECK (override_to IN ('NOW','LATER','NEVER')),
+ *   operator_id     VARCHAR(64)  NOT NULL,
+ *   reason          TEXT         NOT NULL,
+ *   schedule_at     TIMESTAMPTZ,
+ *   created_at      TIMESTAMPTZ  DEFAULT NOW(),
+ *   chain_partition VARCHAR(64),  -- same chain as the decision's user
+ *   chain_seq       BIGINT,
+ *   prev_hash       CHAR(64),
+ *   hash            CHAR(64),
+ *   signature       CHAR(64)      -- HMAC-SHA256(AUDIT_SIGNING_KEY, hash)
+ * );
+ *
+ * CREATE UNIQUE INDEX idx_overrides_chain ON decision_overrides(chain_partition, chain_seq);
+ *
+ * -- Latest entry of each chain — a write must extend it (optimistic, per partition)
+ * CREATE TABLE audit_chain_heads (
+ *   partition  VARCHAR(64)  PRIMARY KEY,
+ *   seq        BIGINT       NOT NULL,
+ *   hash       CHAR(64)     NOT NULL,
+ *   signature  CHAR(64),                -- HMAC-SHA256(AUDIT_SIGNING_KEY, "head|partition|seq|hash")
+ *   updated_at TIMESTAMPTZ  DEFAULT NOW()
+ * );
+ *
+ * -- Left in place of chained entries deleted by retention or erasure, so
+ * -- GET /v1/audit/verify can tell them from tampering — no record content
+ * CREATE TABLE audit_chain_pruned (
+ *   partition  VARCHAR(64)  NOT NULL,
+ *   seq        BIGINT       NOT NULL,
+ *   kind       VARCHAR(8)   NOT NULL,   -- decision | override
+ *   prev_hash  CHAR(64)     NOT NULL,
+ *   hash       CHAR(64)     NOT NULL,
+ *   signature  CHAR(64),                -- the pruned entry's signature
+ *   reason     VARCHAR(16)  NOT NULL,   -- retention | erasure
+ *   pruned_at  TIMESTAMPTZ  DEFAULT NOW(),
+ *   PRIMARY KEY (partition, seq)
+ * );
+ *
+ * -- Delivery receipts — one row per attempt
+ * CREATE TABLE deliveries (
+ *   delivery_id       VARCHAR(32)  PRIMARY KEY,
+ *   audit_id          VARCHAR(32)  NOT NULL,   -- decision that released it
+ *   original_audit_id VARCHAR(32),             -- first decision of a deferral chain
+ *   user_id           VARCHAR(64)  NOT NULL,
+ *   channel           VARCHAR(16)  NOT NULL,
+ *   adapter           VARCHAR(16),             -- file | smtp | http | custom
+ *   status            VARCHAR(8)   NOT NULL CHECK (status IN ('SENT','FAILED','BOUNCED')),
+ *   provider_id       VARCHAR(256),
+ *   error             TEXT,
+ *   created_at        TIMESTAMPTZ  DEFAULT NOW()
+ * );
+ *
+ * CREATE INDEX idx_deliveries_audit    ON deliveries(audit_id);
+ * CREATE INDEX idx_deliveries_original ON deliveries(original_audit_id);
+ *
+ * -- Hourly analytics rollups — incremented by writeAudit, read by /v1/analytics
+ * CREATE TABLE decision_rollups (
+ *   bucket             TIMESTAMPTZ  NOT NULL,   -- hour (UTC)
+ *   event_type         VARCHAR(64)  NOT NULL,
+ *   source             VARCHAR(128) NOT NULL,
+ *   channel            VARCHAR(16)  NOT NULL,
+ *   decision           VARCHAR(8)   NOT NULL,
+ *   score_bin          SMALLINT     NOT NULL,   -- 0–9 (score / 10; 100 → 9)
+ *   decisions          INTEGER      NOT NULL DEFAULT 0,
+ *   dedup_suppressed   INTEGER      NOT NULL DEFAULT 0,
+ *   fatigue_suppressed INTEGER      NOT NULL DEFAULT 0,
+ *   dnd_deferred       INTEGER      NOT NULL DEFAULT 0,
+ *   ai_checked         INTEGER      NOT NULL DEFAULT 0,
+ *   ai_skipped         INTEGER      NOT NULL DEFAULT 0,
+ *   PRIMARY KEY (bucket, event_type, source, channel, decision, score_bin)
+ * );
+ *
+ * -- Left behind by DELETE /v1/users/:user_id/data — proves an erasure
+ * -- happened without keeping the user_id
+ * CREATE TABLE erasure_tombstones (
+ *   tombstone_id VARCHAR(32)  PRIMARY KEY,
+ *   subject_hash CHAR(64)     NOT NULL,   -- sha256(user_id)
+ *   operator_id  VARCHAR(64)  NOT NULL,
+ *   reason       TEXT,
+ *   erased       JSONB        NOT NULL,   -- { decisions, overrides, deliveries, redis_keys, redis }
+ *   created_at   TIMESTAMPTZ  DEFAULT NOW()
+ * );
+ *
+ * breakdown (scored decisions):
+ *   { decided_by: 'threshold',
+ *     base:     { score: 63, parts: { priority: 25, event_type: 20, channel: 8, freshness: 10 }, capped: false },
+ *     fatigue:  { policy, user_cap, count, limit, window, penalty: 10, level, caps_tripped: [] },
+ *     ai:       { status: 'APPLIED' | 'SKIPPED', outcome: 'ok' | 'timeout' | 'error' | 'dry_run', adjustment: 4 },
+ *     final:    { base: 63, fatigue_penalty: 10, ai_adjustment: 4, unclamped: 57, score: 57 },
+ *     conflict: { resolved: false, code: null, decision: null },
+ *     thresholds: { now: 60, later: 30, reevaluation: false } }
  *
  * Example record:
  * ───────────────
@@ -46,6 +161,12 @@
  *     "conflict": "No conflict detected",
  *     "decision": "score=97 → NOW"
  *   },
+ *   "breakdown": {
+ *     "decided_by": "critical",
+ *     "rule":       null,
+ *     "base":       null,
+ *     "thresholds": { "now": 60, "later": 30, "reevaluation": false }
+ *   },
  *   "rules_matched": ["critical-always-now"],
  *   "schedule_at":   null,
  *   "created_at":    "2025-02-25T14:00:02Z"
@@ -11,10 +11,13 @@
  * 2. NEAR-DEDUP — SimHash of message tokens stored in Redis sorted set.
  *    Matches if Hamming distance between hashes < 5 (85%+ similar content).
  *    Prevents slightly-reworded duplicate promotions slipping through.
+ *
+ * Content fingerprints are not keyed by user, so each user's keys are also
+ * listed in dedup:user:<user_id> — forgetUser() erases them from there.
  */
 
 const crypto = require('crypto');
-const { getRedis } = require('../services/redisService');
+const { getRedis, scanKeys, escapeGlob, keySegment } = require('../services/redisService');
 const logger = require('../utils/logger');
 
 const TTL_TRANSACTIONAL = 600;    // 10 minutes
@@ -25,24 +28,31 @@ const HAMMING_THRESHOLD = 5;      // max bit differences for near-dup
 /**
  * Check whether an incoming event is a duplicate.
  *
+ * Stored fingerprints carry the audit_id that wrote them. Passing
+ * `ownerAuditId` ignores fingerprints written by that decision — used when a
+ * deferred item is re-evaluated and must not collide with itself.
+ *
  * @param {Object} event
+ * @param {Object} [options]
+ * @param {string} [options.ownerAuditId]
  * @returns {{ isDuplicate: boolean, type: string|null, detail: string|null }}
  */
-async function checkDuplicate(event) {
+async function checkDuplicate(event, { ownerAuditId = null } = {}) {
+  const isForeign = v => v && (!ownerAuditId || v !== ownerAuditId);
 
   // 1. Check provided dedupe_key (if given and reliable)
   if (event.dedupe_key) {
     const exists = await redisGet(`dedup:key:${event.dedupe_key}`);
-    if (exists) return { isDuplicate: true, type: 'EXACT_KEY', detail: `dedupe_key=${event.dedupe_key}` };
+    if (isForeign(exists)) return { isDuplicate: true, type: 'EXACT_KEY', detail: `dedupe_key=${event.dedupe_key}` };
   }
 
   // 2. Check SHA-256 content fingerprint
   const fp = buildFingerprint(event);
   const fpExists = await redisGet(`dedup:fp:${fp}`);
-  if (fpExists) return { isDuplicate: true, type: 'EXACT_FINGERPRINT', detail: `sha256=${fp.slice(0, 16)}...` };
+  if (isForeign(fpExists)) return { isDuplicate: true, type: 'EXACT_FINGERPRINT', detail: `sha256=${fp.slice(0, 16)}...` };
 
   // 3. Check SimHash near-duplicate
-  const near = await checkNearDuplicate(event);
+  const near = await checkNearDuplicate(event, ownerAuditId);
   if (near.found) return { isDuplicate: true, type: 'NEAR_DUPLICATE', detail: `hamming_dist=${near.distance}` };
 
   return { isDuplicate: false, type: null, detail: null };
@@ -53,38 +63,63 @@ async function checkDuplicate(event) {
  * Prevents re-delivery of the same event within the TTL window.
  *
  * @param {Object} event
+ * @param {string} [auditId] - decision that owns these fingerprints
  */
-async function storeFingerprint(event) {
+async function storeFingerprint(event, auditId = '1') {
   const redis = getRedis();
   const ttl   = isPromo(event.event_type) ? TTL_PROMO : TTL_TRANSACTIONAL;
   const fp    = buildFingerprint(event);
 
   try {
     // Store content fingerprint
-    await redis.set(`dedup:fp:${fp}`, '1', 'EX', ttl);
+    await redis.set(`dedup:fp:${fp}`, auditId, 'EX', ttl);
 
     // Store dedupe_key if provided
     if (event.dedupe_key) {
-      await redis.set(`dedup:key:${event.dedupe_key}`, '1', 'EX', ttl);
+      await redis.set(`dedup:key:${event.dedupe_key}`, auditId, 'EX', ttl);
     }
 
     // Store SimHash for near-dup detection
     const simhash  = computeSimHash(event.message || '');
-    const simKey   = `sim:${event.user_id}:${event.event_type}`;
+    const simKey   = `sim:${keySegment(event.user_id)}:${event.event_type}`;
     const now      = Date.now();
 
-    await redis.zadd(simKey, now, simhash.toString());
+    await redis.zadd(simKey, now, `${simhash}:${auditId}`);
     await redis.expire(simKey, NEAR_DUP_WINDOW);
 
     // Prune entries older than the window
     await redis.zremrangebyscore(simKey, '-inf', now - NEAR_DUP_WINDOW * 1000);
 
+    // Index the user's fingerprint keys for erasure (kept as long as the longest TTL)
+    const userKey = `dedup:user:${event.user_id}`;
+    await redis.sadd(userKey, `dedup:fp:${fp}`, ...(event.dedupe_key ? [`dedup:key:${event.dedupe_key}`] : []));
+    await redis.expire(userKey, TTL_PROMO);
+
   } catch (err) {
     // Non-fatal — don't block the engine on Redis write failure
     logger.warn(`[DEDUP STORE] Redis write failed: ${err.message}`);
   }
 }
 
+/**
+ * Erase a user's fingerprints, dedupe keys and SimHash sets (GDPR erasure).
+ * Fingerprints written before the per-user index existed are not found and
+ * expire on their own within TTL_PROMO.
+ *
+ * @param {string} userId
+ * @returns {Promise<number>} keys deleted
+ */
+async function forgetUser(userId) {
+  const redis   = getRedis();
+  const userKey = `dedup:user:${userId}`;
+  const keys    = [
+    ...await redis.smembers(userKey),
+    ...await scanKeys(redis, `sim:${escapeGlob(keySegment(userId))}:*`),
+    userKey,
+  ];
+  return redis.del(...keys);
+}
+
 // ── Internal Helpers ──────────────────────────────────────────────────────────
 
 /**
@@ -101,17 +136,19 @@ function buildFingerprint(event) {
  * Check for near-duplicates using stored SimHashes.
  * Returns found=true if any stored hash is within HAMMING_THRESHOLD bits.
  */
-async function checkNearDuplicate(event) {
+async function checkNearDuplicate(event, ownerAuditId = null) {
   if ((event.message || '').length < 10) return { found: false };
 
   try {
     const redis     = getRedis();
-    const simKey    = `sim:${event.user_id}:${event.event_type}`;
+    const simKey    = `sim:${keySegment(event.user_id)}:${event.event_type}`;
     const stored    = await redis.zrange(simKey, 0, -1);
     const current   = computeSimHash(event.message || '');
 
     for (const s of stored) {
-      const dist = hammingDistance(current, BigInt(s));
+      const [hash, owner] = s.split(':');
+      if (ownerAuditId && owner === ownerAuditId) continue;
+      const dist = hammingDistance(current, BigInt(hash));
       if (dist < HAMMING_THRESHOLD) return { found: true, distance: dist };
     }
   } catch (err) {
@@ -157,4 +194,4 @@ async function redisGet(key) {
   catch (err) { logger.warn(`[DEDUP GET] ${key}: ${err.message}`); return null; }
 }
 
-module.exports = { checkDuplicate, storeFingerprint, buildFingerprint };
+module.exports = { checkDuplicate, storeFingerprint, buildFingerprint, forgetUser };
@@ -15,6 +15,107 @@ module.exports = {
     password: process.env.REDIS_PASSWORD || undefined,
   },
 
+  storage: {
+    backend:     process.env.STORAGE_BACKEND || 'memory',   // memory | postgres
+    databaseUrl: process.env.DATABASE_URL    || 'postgres://localhost:5432/notifications',
+    poolSize:    parseInt(process.env.PG_POOL_SIZE) || 10,
+  },
+
+  delivery: {
+    // Adapter per channel: file | smtp | http (http needs DELIVERY_HTTP_URL_<CHANNEL>)
+    adapters: {
+      push:     process.env.DELIVERY_PUSH   || 'file',
+      email:    process.env.DELIVERY_EMAIL  || 'file',
+      sms:      process.env.DELIVERY_SMS    || 'file',
+      'in-app': process.env.DELIVERY_IN_APP || 'file',
+    },
+    outDir: process.env.DELIVERY_OUT_DIR || 'var/deliveries',
+    smtp: {
+      host: process.env.SMTP_HOST || 'localhost',
+      port: parseInt(process.env.SMTP_PORT) || 1025,
+      from: process.env.SMTP_FROM || 'notifications@localhost',
+    },
+    http: {
+      urls: {
+        push:     process.env.DELIVERY_HTTP_URL_PUSH   || null,
+        email:    process.env.DELIVERY_HTTP_URL_EMAIL  || null,
+        sms:      process.env.DELIVERY_HTTP_URL_SMS    || null,
+        'in-app': process.env.DELIVERY_HTTP_URL_IN_APP || null,
+      },
+      timeoutMs: parseInt(process.env.DELIVERY_HTTP_TIMEOUT_MS) || 3000,
+    },
+    retryDelayMs: parseInt(process.env.DELIVERY_RETRY_DELAY_MS) || 60000,
+  },
+
+  digest: {
+    // Low-value LATER items are batched into one notification per user
+    enabled:    process.env.DIGEST_ENABLED !== 'false',
+    cadence:    process.env.DIGEST_CADENCE  || 'hourly',   // hourly | daily | window | off
+    dailyAt:    process.env.DIGEST_DAILY_AT || '09:00',    // user's local time, daily cadence
+    eventTypes: ['promotion', 'low_value_promo', 'system_update'],
+    maxListed:  10,                                       // items listed in the summary text
+  },
+
+  webhooks: {
+    // Outbound decision webhooks — retries back off base × 2^(attempt-1), capped at backoffMaxMs
+    timeoutMs:     parseInt(process.env.WEBHOOK_TIMEOUT_MS)      || 5000,
+    maxAttempts:   parseInt(process.env.WEBHOOK_MAX_ATTEMPTS)    || 5,
+    backoffBaseMs: parseInt(process.env.WEBHOOK_BACKOFF_BASE_MS) || 1000,
+    backoffMaxMs:  5 * 60 * 1000,
+    // SSRF guard — https only in production; private / loopback / link-local hosts refused unless allowed
+    requireHttps:        process.env.NODE_ENV === 'production',
+    allowPrivateTargets: process.env.WEBHOOK_ALLOW_PRIVATE_TARGETS === 'true',
+  },
+
+  events: {
+    // Event contract limits (src/models/event.js — published at GET /v1/schema/event)
+    maxMessageLength: parseInt(process.env.EVENT_MAX_MESSAGE_LENGTH) || 2000,
+    maxTitleLength:   parseInt(process.env.EVENT_MAX_TITLE_LENGTH)   || 256,
+    maxMetadataBytes: parseInt(process.env.EVENT_MAX_METADATA_BYTES) || 8192,
+    strictEventTypes: process.env.EVENT_TYPES_STRICT === 'true',   // reject unknown event types
+    strictFields:     process.env.EVENT_FIELDS_STRICT === 'true',  // reject unknown top-level fields
+  },
+
+  idempotency: {
+    // Replays of POST /v1/notifications/evaluate (Idempotency-Key header, or dedupe_key)
+    ttlSeconds:   parseInt(process.env.IDEMPOTENCY_TTL_SECONDS) || 86400,  // stored responses kept for
+    lockTtlMs:    parseInt(process.env.IDEMPOTENCY_LOCK_TTL_MS) || 30000,  // in-flight claim expires after
+    useDedupeKey: process.env.IDEMPOTENCY_USE_DEDUPE_KEY !== 'false',      // dedupe_key as fallback key
+  },
+
+  audit: {
+    // Tamper-evident hash chain over audit records and overrides (src/services/auditChainService.js)
+    chainEnabled:   process.env.AUDIT_CHAIN_ENABLED !== 'false',
+    chainPartition: process.env.AUDIT_CHAIN_PARTITION || 'user',   // user (one chain per user) | global
+    signingKey:     process.env.AUDIT_SIGNING_KEY     || null,     // HMAC key — required while chaining is on
+  },
+
+  privacy: {
+    // PII policy — event fields replaced with [REDACTED] before the audit write,
+    // e.g. PII_FIELDS=message,title,metadata.email (src/services/privacyService.js); empty turns it off
+    piiFields: (process.env.PII_FIELDS ?? 'metadata.email,metadata.phone,metadata.name')
+      .split(',').map(f => f.trim()).filter(Boolean),
+    // Audit retention per decision, e.g. 90d — unset keeps records forever
+    retention: {
+      NOW:   process.env.AUDIT_RETENTION_NOW   || null,
+      LATER: process.env.AUDIT_RETENTION_LATER || null,
+      NEVER: process.env.AUDIT_RETENTION_NEVER || null,
+    },
+    sweepIntervalMs: parseInt(process.env.AUDIT_RETENTION_SWEEP_MS) || 3600000,
+  },
+
+  ingestion: {
+    // Bus consumer feeding evaluate() — alternative to POST /v1/notifications/evaluate
+    enabled:       process.env.INGESTION_ENABLED === 'true',
+    backend:       process.env.INGESTION_BACKEND  || 'redis',                 // redis | memory
+    stream:        process.env.INGESTION_STREAM   || 'notifications:events',  // dead letters → <stream>:dead
+    group:         process.env.INGESTION_GROUP    || 'notification-engine',
+    batchSize:     parseInt(process.env.INGESTION_BATCH_SIZE)     || 50,
+    blockMs:       parseInt(process.env.INGESTION_BLOCK_MS)       || 1000,
+    claimIdleMs:   parseInt(process.env.INGESTION_CLAIM_IDLE_MS)  || 60000,  // redeliver uncommitted after
+    maxDeliveries: parseInt(process.env.INGESTION_MAX_DELIVERIES) || 5,      // then dead-lettered
+  },
+
   engine: {
     // Decision score thresholds
     nowThreshold:   60,
@@ -36,8 +137,9 @@ module.exports = {
     // Rule hot-reload
     ruleReloadIntervalMs: parseInt(process.env.RULE_RELOAD_INTERVAL_MS) || 30000,
 
-    // DND window (24-hour clock)
+    // Default DND window (24-hour clock) — used for users without saved preferences
     dndStartHour: 23,
     dndEndHour:    8,
+    defaultTimezone: process.env.DEFAULT_TIMEZONE || Intl.DateTimeFormat().resolvedOptions().timeZone,
   },
 };
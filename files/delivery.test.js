@@ -0,0 +1,163 @@
+const fs   = require('fs');
+const os   = require('os');
+const net  = require('net');
+const http = require('http');
+const path = require('path');
+const { createFileAdapter } = require('../src/delivery/fileAdapter');
+const { createHttpAdapter } = require('../src/delivery/httpAdapter');
+const { createSmtpAdapter } = require('../src/delivery/smtpAdapter');
+const {
+  deliver, deliverWithFallback, getDeliveries, registerAdapter, deliveryDispatcher,
+} = require('../src/services/deliveryService');
+const { setStore } = require('../src/services/storageService');
+const { createMemoryStore } = require('../src/storage/memoryStore');
+
+const message = {
+  delivery_id: 'dlv_test0001',
+  audit_id:    'aud_test0001',
+  user_id:     'delivery_user',
+  channel:     'email',
+  event_type:  'payment_received',
+  title:       'Payment received',
+  body:        'You received ₹500\n.hidden line',
+  metadata:    { email: 'user@example.com' },
+};
+
+const listen = server => new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server.address().port)));
+
+describe('Delivery Adapters', () => {
+
+  test('file adapter appends one JSON line per message', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'deliveries-'));
+    const adapter = createFileAdapter({ dir });
+
+    const r = await adapter.send(message);
+    await adapter.send({ ...message, delivery_id: 'dlv_test0002' });
+
+    expect(r.status).toBe('SENT');
+    const lines = fs.readFileSync(path.join(dir, 'email.jsonl'), 'utf8').trim().split('\n').map(JSON.parse);
+    expect(lines.map(l => l.delivery_id)).toEqual(['dlv_test0001', 'dlv_test0002']);
+  });
+
+  test('http adapter — 2xx SENT, 4xx BOUNCED, 5xx throws', async () => {
+    const codes  = [200, 400, 503];
+    const server = http.createServer((req, res) => {
+      const code = codes.shift();
+      res.writeHead(code, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(code === 200 ? { id: 'prov-42' } : { error: 'nope' }));
+    });
+    const port    = await listen(server);
+    const adapter = createHttpAdapter({ url: `http://127.0.0.1:${port}/send` });
+
+    try {
+      expect(await adapter.send(message)).toEqual({ status: 'SENT', provider_id: 'prov-42' });
+      expect(await adapter.send(message)).toMatchObject({ status: 'BOUNCED', detail: 'HTTP 400: nope' });
+      await expect(adapter.send(message)).rejects.toThrow('Provider HTTP 503');
+    } finally {
+      server.close();
+    }
+  });
+
+  test('smtp adapter speaks SMTP to a sink and maps 5xx recipients to BOUNCED', async () => {
+    const received = [];
+    const server = net.createServer(socket => {
+      let data = false;
+      socket.write('220 sink ready\r\n');
+      socket.on('data', chunk => {
+        for (const line of chunk.toString().split('\r\n').filter(Boolean)) {
+          if (data) {
+            received.push(line);
+            if (line === '.') { data = false; socket.write('250 OK queued as Q123\r\n'); }
+          } else if (line.startsWith('EHLO'))         socket.write('250-sink\r\n250 8BITMIME\r\n');
+          else if (line === 'RCPT TO:<bad@example.com>') socket.write('550 No such user\r\n');
+          else if (line === 'DATA')                    { data = true; socket.write('354 End with .\r\n'); }
+          else if (line === 'QUIT')                    socket.end('221 Bye\r\n');
+          else                                         socket.write('250 OK\r\n');
+        }
+      });
+    });
+    const port    = await listen(server);
+    const adapter = createSmtpAdapter({ host: '127.0.0.1', port, from: 'noreply@example.com' });
+
+    try {
+      expect(await adapter.send(message)).toEqual({ status: 'SENT', provider_id: 'OK queued as Q123' });
+      expect(received).toContain('Subject: Payment received');
+      expect(received).toContain('..hidden line');
+
+      const bounced = await adapter.send({ ...message, metadata: { email: 'bad@example.com' } });
+      expect(bounced).toMatchObject({ status: 'BOUNCED', detail: '550 No such user' });
+
+      expect((await adapter.send({ ...message, metadata: {} })).status).toBe('BOUNCED');
+    } finally {
+      server.close();
+    }
+  });
+
+  test('smtp adapter refuses recipients that could inject commands or headers', async () => {
+    const server = net.createServer(socket => socket.destroy());
+    const port   = await listen(server);
+    let connections = 0;
+    server.on('connection', () => connections++);
+    const adapter = createSmtpAdapter({ host: '127.0.0.1', port, from: 'noreply@example.com' });
+
+    try {
+      for (const email of ['user@example.com>\r\nRCPT TO:<x@evil.com', 'user@example.com\nBcc: x@evil.com', 'a<b>@example.com', 'nobody']) {
+        expect(await adapter.send({ ...message, metadata: { email } }))
+          .toEqual({ status: 'FAILED', detail: 'Invalid recipient address (metadata.email)' });
+      }
+      expect(connections).toBe(0);
+    } finally {
+      server.close();
+    }
+  });
+
+});
+
+describe('Delivery Receipts', () => {
+
+  const event = { user_id: 'delivery_user', event_type: 'reminder', message: 'Standup', channel: 'push', metadata: {} };
+
+  beforeEach(() => {
+    const rulesFile = path.join(os.tmpdir(), `delivery-rules-${process.pid}-${Date.now()}.json`);
+    fs.writeFileSync(rulesFile, '[]');
+    setStore(createMemoryStore({ rulesFile }));
+  });
+
+  test('Each attempt is stored and linked to the audit_id', async () => {
+    registerAdapter('push', { name: 'flaky', send: jest.fn()
+      .mockRejectedValueOnce(new Error('gateway down'))
+      .mockResolvedValueOnce({ status: 'SENT', provider_id: 'p-1' }) });
+
+    const failed = await deliver(event, { auditId: 'aud_first' });
+    expect(failed).toMatchObject({ status: 'FAILED', error: 'gateway down', adapter: 'flaky' });
+
+    const sent = await deliver(event, { auditId: 'aud_retry', originalAuditId: 'aud_first' });
+    expect(sent).toMatchObject({ status: 'SENT', provider_id: 'p-1' });
+
+    expect((await getDeliveries('aud_first')).map(d => d.status)).toEqual(['FAILED', 'SENT']);
+  });
+
+  test('Falls back to the next channel until one is SENT', async () => {
+    registerAdapter('push', { name: 'down', send: async () => { throw new Error('gateway down'); } });
+    registerAdapter('email', { name: 'ok', send: async () => ({ status: 'SENT' }) });
+
+    const { receipt, attempts } = await deliverWithFallback(
+      { ...event, channel_fallbacks: ['email', 'sms'] }, { auditId: 'aud_multi' });
+
+    expect(attempts.map(a => `${a.channel}=${a.status}`)).toEqual(['push=FAILED', 'email=SENT']);
+    expect(receipt.channel).toBe('email');
+    expect(await getDeliveries('aud_multi')).toHaveLength(2);
+  });
+
+  test('Scheduler dispatcher throws on FAILED so the item is retried; BOUNCED is returned', async () => {
+    const entry = { event, auditId: 'aud_later', originalAuditId: 'aud_later', lastAuditId: 'aud_reeval' };
+
+    registerAdapter('push', { name: 'down', send: async () => { throw new Error('timeout'); } });
+    await expect(deliveryDispatcher.dispatch(entry)).rejects.toThrow('Delivery failed: timeout');
+
+    registerAdapter('push', { name: 'strict', send: async () => ({ status: 'BOUNCED', detail: 'invalid token' }) });
+    const receipt = await deliveryDispatcher.dispatch(entry);
+    expect(receipt).toMatchObject({ status: 'BOUNCED', audit_id: 'aud_reeval', original_audit_id: 'aud_later' });
+  });
+
+});
@@ -0,0 +1,182 @@
+/**
+ * deliveryService.js — Channel Delivery
+ *
+ * Hands NOW decisions (classifier.finalize) and due LATER items (scheduler)
+ * to a per-channel adapter and stores a delivery receipt linked to the
+ * decision's audit_id.
+ *
+ * Adapter interface:
+ *   { name, async send(message) → { status: 'SENT'|'BOUNCED'|'FAILED', provider_id?, detail? } }
+ *   Throwing means a transient failure → receipt status FAILED. An adapter
+ *   may also return FAILED itself when it refuses a message before sending.
+ *
+ * message: { delivery_id, audit_id, user_id, channel, event_type, title, body, metadata }
+ *
+ * Default adapters (config.delivery, env DELIVERY_<CHANNEL>=file|smtp|http):
+ *   file — JSON lines under DELIVERY_OUT_DIR (all channels, default)
+ *   smtp — SMTP relay / local sink (email)
+ *   http — provider endpoint / local HTTP mock (push, sms, email, in-app)
+ */
+
+const path = require('path');
+const config = require('../../config/default');
+const { getStore } = require('./storageService');
+const { createFileAdapter } = require('../delivery/fileAdapter');
+const { createSmtpAdapter } = require('../delivery/smtpAdapter');
+const { createHttpAdapter } = require('../delivery/httpAdapter');
+const { shortId } = require('../utils/fingerprint');
+const logger = require('../utils/logger');
+
+const CHANNELS = ['push', 'email', 'sms', 'in-app'];
+
+const adapters = new Map(); // channel → adapter
+
+// ── Adapters ──────────────────────────────────────────────────────────────────
+
+/**
+ * Use a specific adapter for a channel (tests, custom providers).
+ * @param {string} channel
+ * @param {{ name: string, send: Function }} adapter
+ */
+function registerAdapter(channel, adapter) {
+  if (!adapter || typeof adapter.send !== 'function') throw new Error('Adapter must implement send(message)');
+  adapters.set(channel, adapter);
+  logger.info(`[DELIVERY] ${channel} → ${adapter.name || 'custom'} adapter`);
+}
+
+function getAdapter(channel) {
+  if (!adapters.has(channel) && CHANNELS.includes(channel)) {
+    adapters.set(channel, createConfiguredAdapter(channel));
+  }
+  return adapters.get(channel) || null;
+}
+
+function createConfiguredAdapter(channel) {
+  const { adapters: kinds, outDir, smtp, http } = config.delivery;
+  const kind = kinds[channel];
+
+  if (kind === 'smtp') return createSmtpAdapter(smtp);
+  if (kind === 'http' && http.urls[channel]) {
+    return createHttpAdapter({ url: http.urls[channel], timeoutMs: http.timeoutMs });
+  }
+  if (kind !== 'file') logger.warn(`[DELIVERY] ${channel}: adapter "${kind}" not usable — falling back to file`);
+  return createFileAdapter({ dir: path.resolve(outDir) });
+}
+
+// ── Delivery ──────────────────────────────────────────────────────────────────
+
+/**
+ * Deliver one notification and record the receipt. Never throws —
+ * a failed send is returned (and stored) as status FAILED.
+ *
+ * @param {Object} event
+ * @param {Object} refs
+ * @param {string} refs.auditId          - decision that released it
+ * @param {string} [refs.originalAuditId] - first decision in a deferral chain
+ * @param {string} [refs.channel]         - defaults to event.channel
+ * @returns {Promise<Object>} receipt { delivery_id, audit_id, channel, adapter, status, ... }
+ */
+async function deliver(event, { auditId, originalAuditId = auditId, channel = event.channel }) {
+  const deliveryId = shortId('dlv');
+  const adapter    = getAdapter(channel);
+
+  const receipt = {
+    delivery_id:       deliveryId,
+    audit_id:          auditId,
+    original_audit_id: originalAuditId,
+    user_id:           event.user_id,
+    channel,
+    adapter:           adapter ? adapter.name : null,
+    status:            'FAILED',
+    provider_id:       null,
+    error:             null,
+    created_at:        null,
+  };
+
+  if (!adapter) {
+    receipt.error = `No delivery adapter for channel "${channel}"`;
+  } else {
+    try {
+      const result = await adapter.send({
+        delivery_id: deliveryId,
+        audit_id:    auditId,
+        user_id:     event.user_id,
+        channel,
+        event_type:  event.event_type,
+        title:       event.title || null,
+        body:        event.message,
+        metadata:    event.metadata || {},
+      });
+      receipt.status      = ['BOUNCED', 'FAILED'].includes(result.status) ? result.status : 'SENT';
+      receipt.provider_id = result.provider_id || null;
+      receipt.error       = result.detail || null;
+    } catch (err) {
+      receipt.error = err.message;
+    }
+  }
+
+  receipt.created_at = new Date().toISOString();
+  try {
+    await getStore().insertDelivery(receipt);
+  } catch (err) {
+    logger.error(`[DELIVERY] Receipt write failed for ${deliveryId}: ${err.message}`);
+  }
+
+  const log = receipt.status === 'SENT' ? 'info' : 'warn';
+  logger[log](`[DELIVERY] ${receipt.status} ${channel} via ${receipt.adapter} | user=${event.user_id} | audit=${auditId}` +
+    (receipt.error ? ` | ${receipt.error}` : ''));
+  return receipt;
+}
+
+/**
+ * Deliver on the event's channel, then on each of its channel_fallbacks
+ * (set by channel selection) until one is SENT. Every attempt gets a receipt.
+ *
+ * @param {Object} event
+ * @param {Object} refs - { auditId, originalAuditId }
+ * @returns {Promise<{ receipt: Object, attempts: Object[] }>}
+ *          receipt — the SENT one, or the last attempt if none succeeded
+ */
+async function deliverWithFallback(event, refs) {
+  const attempts = [];
+  for (const channel of [event.channel, ...(event.channel_fallbacks || [])]) {
+    const receipt = await deliver(event, { ...refs, channel });
+    attempts.push(receipt);
+    if (receipt.status === 'SENT') break;
+  }
+  if (attempts.length > 1) {
+    logger.info(`[DELIVERY] Fallback ${attempts.map(a => `${a.channel}=${a.status}`).join(' → ')} | audit=${refs.auditId}`);
+  }
+  return { receipt: attempts[attempts.length - 1], attempts };
+}
+
+/**
+ * Receipts for a decision — matches either the releasing audit_id or the
+ * original one, so a deferral chain shows every attempt.
+ *
+ * @param {string} auditId
+ * @returns {Promise<Array>}
+ */
+async function getDeliveries(auditId) {
+  return getStore().getDeliveries(auditId);
+}
+
+/**
+ * Scheduler dispatcher backed by the adapters, with channel fallbacks.
+ * FAILED throws so the scheduler retries with backoff; BOUNCED is final.
+ */
+const deliveryDispatcher = {
+  name: 'delivery',
+  async dispatch(entry) {
+    const { receipt } = await deliverWithFallback(entry.event, {
+      auditId:         entry.lastAuditId || entry.auditId,
+      originalAuditId: entry.originalAuditId || entry.auditId,
+    });
+    if (receipt.status === 'FAILED') throw new Error(`Delivery failed: ${receipt.error}`);
+    return receipt;
+  },
+};
+
+module.exports = {
+  deliver, deliverWithFallback, getDeliveries, registerAdapter, deliveryDispatcher, CHANNELS,
+};
@@ -0,0 +1,174 @@
+const fs   = require('fs');
+const os   = require('os');
+const path = require('path');
+const { queueForDigest, processDigests, getPendingDigest } = require('../src/services/digestService');
+const { registerAdapter } = require('../src/services/deliveryService');
+const { savePreferences, localParts } = require('../src/services/preferenceService');
+const { setStore, getStore } = require('../src/services/storageService');
+const { createMemoryStore } = require('../src/storage/memoryStore');
+const { writeAudit } = require('../src/services/auditService');
+const { forceOverride } = require('../src/services/schedulerService');
+const { storeFingerprint } = require('../src/engine/deduplicator');
+
+const RedisMock = require('ioredis-mock');
+
+const mockRedis = new RedisMock();
+
+jest.mock('../src/services/redisService', () => ({
+  ...jest.requireActual('../src/services/redisService'),
+  getRedis: () => mockRedis,
+}));
+jest.mock('../src/services/aiService', () => ({ getAiScore: jest.fn().mockResolvedValue(0) }));
+
+// Distinct texts — items are re-evaluated at flush time and must not near-dup each other
+const BLURBS = [
+  'Winter boots restocked', 'Laptop bags half price', 'Garden tools clearance', 'New crime novels arrived',
+  'Board games bundle deal', 'Espresso beans roasted today', 'Mountain bike service offer', 'Desk lamps two for one',
+  'Wool rugs final markdown', 'Camping tents spring preview', 'Fountain pens engraving free', 'Sun hats summer launch',
+];
+
+// No priority hint — scores in the LATER band, as a deferred promotion would
+const promo = (n, overrides = {}) => ({
+  user_id:       'digest_user',
+  event_type:    'promotion',
+  title:         `Sale ${n}`,
+  message:       BLURBS[n],
+  source:        'promo-svc',
+  channel:       'push',
+  metadata:      {},
+  ...overrides,
+});
+
+const makeDue = userId => mockRedis.zadd('digest:due', Date.now() - 1, userId);
+
+describe('Digest Aggregator', () => {
+
+  const sent = [];
+
+  beforeAll(() => {
+    const rulesFile = path.join(os.tmpdir(), `digest-rules-${process.pid}-${Date.now()}.json`);
+    fs.writeFileSync(rulesFile, '[]');
+    setStore(createMemoryStore({ rulesFile }));
+    registerAdapter('push', { name: 'capture', send: async message => { sent.push(message); return { status: 'SENT' }; } });
+  });
+
+  test('Items are collected and flushed as one notification that references every audit_id', async () => {
+    await savePreferences('digest_user', { quiet_hours: [], digest_cadence: 'hourly' });
+    const scheduleAt = new Date(Date.now() + 3 * 3600000).toISOString();
+
+    const first  = await queueForDigest(promo(1), { auditId: 'aud_dg1', scheduleAt });
+    const second = await queueForDigest(promo(2), { auditId: 'aud_dg2', scheduleAt });
+    expect(second.flush_at).toBe(first.flush_at);
+    expect(new Date(first.flush_at).getUTCMinutes()).toBe(0);
+    expect((await getPendingDigest('digest_user')).items.map(i => i.audit_id)).toEqual(['aud_dg1', 'aud_dg2']);
+
+    await makeDue('digest_user');
+    const summary = await processDigests();
+
+    expect(summary).toMatchObject({ flushed: 1, items: 2 });
+    expect(sent).toHaveLength(1);
+    expect(sent[0]).toMatchObject({ event_type: 'digest', title: '2 updates for you', body: '• Sale 1\n• Sale 2' });
+
+    const [record] = await getStore().listDecisions({ userId: 'digest_user', eventType: 'digest' });
+    expect(record).toMatchObject({ decision: 'NOW', digest_of: ['aud_dg1', 'aud_dg2'] });
+    expect((await getPendingDigest('digest_user')).items).toEqual([]);
+  });
+
+  test('Daily cadence flushes at DIGEST_DAILY_AT in the user\'s time zone', async () => {
+    await savePreferences('daily_user', { timezone: 'Asia/Kolkata', quiet_hours: [], digest_cadence: 'daily' });
+    const r = await queueForDigest(promo(3, { user_id: 'daily_user' }), { auditId: 'aud_dg3', scheduleAt: null });
+
+    expect(r.cadence).toBe('daily');
+    expect(localParts(new Date(r.flush_at), 'Asia/Kolkata').minutes).toBe(9 * 60);
+  });
+
+  test('Cadence "off" leaves the item to the scheduler', async () => {
+    await savePreferences('no_digest_user', { digest_cadence: 'off' });
+    expect(await queueForDigest(promo(4, { user_id: 'no_digest_user' }), { auditId: 'aud_dg4' })).toBeNull();
+  });
+
+  test('A failed delivery puts the items back for a later flush', async () => {
+    await savePreferences('retry_user', { quiet_hours: [] });
+    registerAdapter('email', { name: 'down', send: async () => { throw new Error('relay down'); } });
+    await queueForDigest(promo(5, { user_id: 'retry_user', channel: 'email' }), { auditId: 'aud_dg5' });
+
+    await makeDue('retry_user');
+    expect(await processDigests()).toMatchObject({ flushed: 0, failed: 1 });
+
+    const pending = await getPendingDigest('retry_user');
+    expect(pending.items.map(i => i.audit_id)).toEqual(['aud_dg5']);
+    expect(new Date(pending.flush_at).getTime()).toBeGreaterThan(Date.now());
+  });
+
+  test('Items claimed by a flush that throws are kept and included in the next flush', async () => {
+    await savePreferences('crash_user', { quiet_hours: [] });
+    await queueForDigest(promo(6, { user_id: 'crash_user' }), { auditId: 'aud_dg6' });
+    await makeDue('crash_user');
+
+    const evalScript = mockRedis.eval.bind(mockRedis);
+    const evalSpy    = jest.spyOn(mockRedis, 'eval').mockImplementation((script, ...args) =>
+      (script.includes('LLEN') ? Promise.reject(new Error('connection reset')) : evalScript(script, ...args)));
+    try {
+      expect(await processDigests()).toMatchObject({ flushed: 0, failed: 1 });
+    } finally {
+      evalSpy.mockRestore();
+    }
+
+    const pending = await getPendingDigest('crash_user');
+    expect(pending.items.map(i => i.audit_id)).toEqual(['aud_dg6']);
+    expect(new Date(pending.flush_at).getTime()).toBeGreaterThan(Date.now());
+
+    await queueForDigest(promo(7, { user_id: 'crash_user' }), { auditId: 'aud_dg7' });
+    await makeDue('crash_user');
+    expect(await processDigests()).toMatchObject({ flushed: 1, items: 2 });
+    expect(await getPendingDigest('crash_user')).toMatchObject({ flush_at: null, items: [] });
+  });
+
+  test('Items are re-evaluated at flush time — a duplicate sent meanwhile is dropped and recorded', async () => {
+    await savePreferences('recheck_user', { quiet_hours: [], digest_cadence: 'hourly' });
+    const dup = promo(10, { user_id: 'recheck_user', dedupe_key: 'sale-10' });
+    await queueForDigest(dup, { auditId: 'aud_dg10' });
+    await queueForDigest(promo(11, { user_id: 'recheck_user' }), { auditId: 'aud_dg11' });
+    await storeFingerprint(dup, 'aud_sent10');   // the same sale went out on its own since
+    sent.length = 0;
+
+    await makeDue('recheck_user');
+    expect(await processDigests()).toMatchObject({ flushed: 1, items: 1, dropped: 1 });
+    expect(sent.map(m => m.title)).toEqual(['1 update for you']);
+
+    const [digest] = await getStore().listDecisions({ userId: 'recheck_user', eventType: 'digest' });
+    expect(digest).toMatchObject({ digest_of: ['aud_dg11'], stages: { digest: expect.stringMatching(/dropped=1/) } });
+    const [recheck] = (await getStore().listDecisions({ userId: 'recheck_user', eventType: 'promotion' }))
+      .filter(r => r.reevaluation_of === 'aud_dg10');
+    expect(recheck).toMatchObject({ decision: 'NEVER', stages: { dedup: expect.stringMatching(/EXACT_KEY/) } });
+    expect(digest.stages.dropped).toBe(`aud_dg10 → NEVER (${recheck.audit_id})`);
+  });
+
+  test('Overrides take the item out of the digest — NEVER cancels it, NOW sends it once', async () => {
+    await savePreferences('override_user', { quiet_hours: [], digest_cadence: 'hourly' });
+    for (const [n, auditId] of [[8, 'aud_dg8'], [9, 'aud_dg9']]) {
+      const event = promo(n, { user_id: 'override_user' });
+      const { flush_at } = await queueForDigest(event, { auditId, scheduleAt: null });
+      await writeAudit({
+        audit_id: auditId, user_id: 'override_user', event_type: 'promotion', decision: 'LATER', score: 35,
+        reason: 'Low-value deferral', stages: { digest: `QUEUED (hourly, flush at ${flush_at})` },
+        rules_matched: [], schedule_at: flush_at, event, created_at: new Date().toISOString(),
+      });
+    }
+    const override = (notification_id, override_to) =>
+      forceOverride({ notification_id, override_to, operator_id: 'ops_1', reason: 'Support ticket' });
+    sent.length = 0;
+
+    expect(await override('aud_dg8', 'NEVER')).toMatchObject({ from: 'LATER', override_to: 'NEVER' });
+    expect(await override('aud_dg9', 'NOW')).toMatchObject({ from: 'LATER', override_to: 'NOW' });
+    expect(sent.map(m => m.title)).toEqual(['Sale 9']);
+    expect((await getPendingDigest('override_user')).items).toEqual([]);
+
+    await makeDue('override_user');
+    expect(await processDigests()).toMatchObject({ flushed: 0 });
+    expect(sent).toHaveLength(1);
+
+    await expect(override('aud_dg8', 'NOW')).rejects.toMatchObject({ status: 409 });
+  });
+
+});
@@ -0,0 +1,435 @@
+/**
+ * digestService.js — Digest Aggregator
+ *
+ * Low-value LATER decisions (promotions, system updates, LOW priority) are
+ * not delivered one by one. finalize() hands them here instead of to the
+ * scheduler; they collect per user and are flushed as ONE summarized
+ * notification (event_type "digest") at the user's digest cadence:
+ *
+ *   hourly — top of the next hour
+ *   daily  — next config.digest.dailyAt in the user's time zone
+ *   window — the first queued item's own deferral slot
+ *   off    — no digest; items go through the scheduler as before
+ *
+ * Cadence is the user's `digest_cadence` preference, else DIGEST_CADENCE.
+ * Flush times are moved out of quiet hours, and a flush that finds the user
+ * in DND is postponed to the next open slot.
+ *
+ * Redis layout:
+ *   digest:due              ZSET  user_id → flush time (ms)
+ *   digest:items:<uid>      LIST  JSON { audit_id, original_audit_id, event, queued_at, last_audit_id? }
+ *   digest:flushing:<uid>   LIST  items claimed by a flush that has not completed
+ *
+ * Queueing adds the item and its due entry in one script. A flush claims a
+ * user by pushing the due entry out by DIGEST_FLUSH_LEASE_MS and moving the
+ * items onto the flushing list; the list is only deleted once the digest is
+ * delivered. A failed delivery or error re-arms the due entry for a retry,
+ * and a crashed flush is picked up again when its lease runs out — the
+ * items stay on the flushing list either way, so a digest is delivered at
+ * least once.
+ *
+ * Before a flush includes them, items go back through the pipeline like a
+ * due deferral (classifier.reevaluate — expiry, dedup, rules, DND, fatigue),
+ * each writing its own audit record: NOW items stay in the digest, NEVER
+ * items are dropped, LATER ones are re-deferred. The flushing list is then
+ * cut down to the kept items, which remember their latest re-evaluation so a
+ * retried flush does not see them as duplicates of themselves.
+ *
+ * Each flush writes its own audit record (decision NOW) whose `digest_of`
+ * lists every included audit_id and whose stages list the dropped ones, then
+ * delivers through deliveryService.
+ *
+ * If Redis is unavailable, queueForDigest() returns null and the caller
+ * falls back to the deferred scheduler.
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const config = require('../../config/default');
+const { getRedis } = require('./redisService');
+const { writeAudit } = require('./auditService');
+const { deliverWithFallback } = require('./deliveryService');
+const {
+  getPreferences, checkDND, getNextOpenSlot, isChannelOptedOut, localParts,
+} = require('./preferenceService');
+const { computeScore } = require('../engine/scorer');
+const { incrementCounter } = require('../engine/fatigueGuard');
+const logger = require('../utils/logger');
+
+const DUE_KEY         = 'digest:due';
+const ITEMS_PREFIX    = 'digest:items:';
+const FLUSHING_PREFIX = 'digest:flushing:';
+const CADENCES        = ['hourly', 'daily', 'window', 'off'];
+const CLAIM_BATCH     = 100;
+const TICK_MS         = parseInt(process.env.DIGEST_TICK_MS) || 60000;
+const FLUSH_LEASE_MS  = parseInt(process.env.DIGEST_FLUSH_LEASE_MS) || 5 * 60000;
+
+let flushTimer = null;
+
+// Add an item together with its due entry — the first item of a digest sets the flush time
+const QUEUE_SCRIPT = `
+redis.call('ZADD', KEYS[1], 'NX', ARGV[1], ARGV[2])
+redis.call('RPUSH', KEYS[2], ARGV[3])
+return redis.call('ZSCORE', KEYS[1], ARGV[2])`;
+
+// Claim a due digest: lease the due entry and append new items to the flushing
+// list (behind any left there by an earlier flush that did not complete)
+const CLAIM_SCRIPT = `
+local due = redis.call('ZSCORE', KEYS[1], ARGV[1])
+if not due or tonumber(due) > tonumber(ARGV[2]) then return false end
+redis.call('ZADD', KEYS[1], ARGV[3], ARGV[1])
+local item = redis.call('LPOP', KEYS[2])
+while item do
+  redis.call('RPUSH', KEYS[3], item)
+  item = redis.call('LPOP', KEYS[2])
+end
+return redis.call('LRANGE', KEYS[3], 0, -1)`;
+
+// Re-evaluated — the flushing list keeps only the items the digest will include
+const KEEP_SCRIPT = `
+redis.call('DEL', KEYS[1])
+for i = 1, #ARGV do redis.call('RPUSH', KEYS[1], ARGV[i]) end
+return #ARGV`;
+
+// Digest delivered — drop the flushing list; keep a due entry only for items queued meanwhile
+const COMPLETE_SCRIPT = `
+redis.call('DEL', KEYS[3])
+if redis.call('LLEN', KEYS[2]) > 0 then
+  redis.call('ZADD', KEYS[1], ARGV[2], ARGV[1])
+else
+  redis.call('ZREM', KEYS[1], ARGV[1])
+end
+return 1`;
+
+/**
+ * Is this event a digest candidate? (LATER decisions only — checked by the caller)
+ * @param {Object} event
+ * @returns {boolean}
+ */
+function isDigestible(event) {
+  if (!config.digest.enabled) return false;
+  if (['CRITICAL', 'HIGH'].includes(event.priority_hint)) return false;
+  return event.priority_hint === 'LOW' || config.digest.eventTypes.includes(event.event_type);
+}
+
+/**
+ * Add a deferred item to the user's pending digest.
+ *
+ * @param {Object} event
+ * @param {Object} refs
+ * @param {string} refs.auditId
+ * @param {string} [refs.originalAuditId]
+ * @param {string} refs.scheduleAt - the item's own deferral slot
+ * @returns {Promise<{ cadence: string, flush_at: string }|null>}
+ *          null — not digested (cadence off, Redis unavailable); schedule it normally
+ */
+async function queueForDigest(event, { auditId, originalAuditId = auditId, scheduleAt }) {
+  const prefs   = await getPreferences(event.user_id);
+  const cadence = prefs.digest_cadence || config.digest.cadence;
+  const redis   = getRedis();
+  if (cadence === 'off' || redis.isStub) return null;
+
+  try {
+    const flushAt = new Date(nextFlush(prefs, cadence, scheduleAt)).getTime();
+    const item    = JSON.stringify({
+      audit_id:          auditId,
+      original_audit_id: originalAuditId,
+      event,
+      queued_at:         new Date().toISOString(),
+    });
+    const due = parseInt(await redis.eval(QUEUE_SCRIPT, 2, DUE_KEY, ITEMS_PREFIX + event.user_id,
+      flushAt, event.user_id, item)) || flushAt;
+
+    logger.info(`[DIGEST] Queued ${event.event_type} for user=${event.user_id} (${cadence}) | audit=${auditId}`);
+    return { cadence, flush_at: new Date(due).toISOString() };
+  } catch (err) {
+    logger.warn(`[DIGEST] Queue failed — falling back to scheduler: ${err.message}`);
+    return null;
+  }
+}
+
+/**
+ * Flush every digest that is due.
+ * Called every DIGEST_TICK_MS once startDigestFlusher() runs — safe to run on every instance.
+ *
+ * @returns {Promise<{ flushed: number, items: number, dropped: number, postponed: number, failed: number }>}
+ */
+async function processDigests() {
+  const summary = { flushed: 0, items: 0, dropped: 0, postponed: 0, failed: 0 };
+  const redis   = getRedis();
+  if (redis.isStub) return summary;
+
+  let users;
+  try {
+    users = await redis.zrangebyscore(DUE_KEY, '-inf', Date.now(), 'LIMIT', 0, CLAIM_BATCH);
+  } catch (err) {
+    logger.error(`[DIGEST] Claim failed: ${err.message}`);
+    return summary;
+  }
+
+  for (const userId of users) {
+    const keys = [DUE_KEY, ITEMS_PREFIX + userId, FLUSHING_PREFIX + userId];
+    let items;
+    try {
+      // Only the instance whose claim succeeds flushes this user until the lease runs out
+      const now     = Date.now();
+      const claimed = await redis.eval(CLAIM_SCRIPT, 3, ...keys, userId, now, now + FLUSH_LEASE_MS);
+      if (!claimed) continue;
+      items = claimed.map(JSON.parse);
+    } catch (err) {
+      logger.error(`[DIGEST] Claim failed for user=${userId}: ${err.message}`);
+      continue;
+    }
+
+    try {
+      const prefs = await getPreferences(userId);
+      if (checkDND(prefs).inDND) {
+        await redis.zadd(DUE_KEY, new Date(getNextOpenSlot(prefs)).getTime(), userId);
+        summary.postponed++;
+        continue;
+      }
+
+      const result = items.length > 0 ? await flushDigest(userId, items, prefs) : null;
+      if (result && result.delivery && result.delivery.status === 'FAILED') {
+        await retryLater(redis, userId);
+        summary.failed++;
+        continue;
+      }
+
+      const cadence = prefs.digest_cadence || config.digest.cadence;
+      await redis.eval(COMPLETE_SCRIPT, 3, ...keys, userId, new Date(nextFlush(prefs, cadence, null)).getTime());
+      if (result) {
+        summary.flushed++;
+        summary.items   += result.digest_of.length;
+        summary.dropped += result.dropped.length;
+      }
+    } catch (err) {
+      logger.error(`[DIGEST] Flush failed for user=${userId}: ${err.message}`);
+      summary.failed++;
+      await retryLater(redis, userId).catch(() => {});   // else the lease expiry retries it
+    }
+  }
+
+  if (summary.flushed + summary.failed > 0) {
+    logger.info(`[DIGEST] Flushed ${summary.flushed} digests (${summary.items} items), ${summary.failed} failed`);
+  }
+  return summary;
+}
+
+/**
+ * Start flushing due digests every DIGEST_TICK_MS.
+ * Called once on server startup.
+ */
+function startDigestFlusher() {
+  if (flushTimer) return;
+  flushTimer = setInterval(processDigests, TICK_MS);
+  flushTimer.unref();
+}
+
+/** Stop the flush timer (shutdown, tests). A flush already running completes. */
+function stopDigestFlusher() {
+  clearInterval(flushTimer);
+  flushTimer = null;
+}
+
+/**
+ * Pending digest for a user (monitoring / support).
+ * @param {string} userId
+ * @returns {Promise<{ user_id, flush_at: string|null, items: Object[] }>}
+ */
+async function getPendingDigest(userId) {
+  const redis = getRedis();
+  const [score, flushing, queued] = await Promise.all([
+    redis.zscore(DUE_KEY, userId),
+    redis.lrange(FLUSHING_PREFIX + userId, 0, -1),
+    redis.lrange(ITEMS_PREFIX + userId, 0, -1),
+  ]);
+  return {
+    user_id:  userId,
+    flush_at: score ? new Date(parseInt(score)).toISOString() : null,
+    items:    [...(flushing || []), ...(queued || [])].map(JSON.parse).map(i => ({
+      audit_id:   i.audit_id,
+      event_type: i.event.event_type,
+      title:      i.event.title || null,
+      queued_at:  i.queued_at,
+    })),
+  };
+}
+
+/**
+ * Take one item out of a user's pending digest (operator override).
+ *
+ * @param {string} userId
+ * @param {string} auditId
+ * @returns {Promise<Object|null>} the queued item — null if it is not waiting in the digest
+ *          (never digested, already sent, or claimed by a flush in progress)
+ */
+async function takeFromDigest(userId, auditId) {
+  const redis = getRedis();
+  const raw   = (await redis.lrange(ITEMS_PREFIX + userId, 0, -1)).find(r => JSON.parse(r).audit_id === auditId);
+  // LREM removes nothing if a flush claimed the item since — the flush then owns it
+  if (!raw || (await redis.lrem(ITEMS_PREFIX + userId, 1, raw)) !== 1) return null;
+  return JSON.parse(raw);
+}
+
+/**
+ * Drop a user's pending digest — due entry, queued and claimed items (GDPR erasure).
+ * @param {string} userId
+ * @returns {Promise<number>} Redis keys deleted
+ */
+async function forgetUser(userId) {
+  const redis = getRedis();
+  await redis.zrem(DUE_KEY, userId);
+  return redis.del(ITEMS_PREFIX + userId, FLUSHING_PREFIX + userId);
+}
+
+// ── Internal Helpers ──────────────────────────────────────────────────────────
+
+/**
+ * Build, audit and deliver one digest notification.
+ * @returns {Promise<{ audit_id, decision, digest_of: string[], dropped: string[], delivery: Object|null }>}
+ */
+async function flushDigest(userId, items, prefs) {
+  const now     = new Date();
+  const { live, dropped, redeferred } = await reevaluateItems(userId, items, now);
+  const auditId = `aud_${uuidv4().slice(0, 8)}`;
+  const cadence = prefs.digest_cadence || config.digest.cadence;
+
+  const channels = digestChannels(live, prefs);
+  const event    = buildDigestEvent(userId, live, channels);
+  const decision = live.length > 0 && channels.length > 0 ? 'NOW' : 'NEVER';
+  const reason   = live.length === 0 ? `None of the ${items.length} digest items passed re-evaluation at flush time.`
+    : decision === 'NEVER' ? 'User opted out of every channel the digest items targeted.'
+    : `Digest of ${live.length} deferred notifications (${cadence} cadence).`;
+
+  const stages = {
+    digest:   `items=${live.length}, dropped=${dropped.length}, redeferred=${redeferred.length}, cadence=${cadence}`,
+    channels: channels.length > 0 ? `chosen=${channels[0]}` +
+      (channels.length > 1 ? `, fallbacks=[${channels.slice(1).join(', ')}]` : '') : 'chosen=none',
+  };
+  if (dropped.length > 0) {
+    stages.dropped = dropped.map(i => `${i.audit_id} → NEVER (${i.last_audit_id})`).join(', ');
+  }
+
+  await writeAudit({
+    audit_id:      auditId,
+    event_id:      `digest_${userId}_${now.getTime()}`,
+    user_id:       userId,
+    event_type:    'digest',
+    decision,
+    score:         decision === 'NOW' ? computeScore(event).score : 0,
+    reason,
+    stages,
+    rules_matched: [],
+    schedule_at:   null,
+    event,
+    digest_of:     live.map(i => i.audit_id),
+    created_at:    now.toISOString(),
+  });
+
+  let delivery = null;
+  if (decision === 'NOW') {
+    const { receipt } = await deliverWithFallback(event, { auditId });
+    delivery = { delivery_id: receipt.delivery_id, channel: receipt.channel, status: receipt.status };
+    await incrementCounter(event);
+  }
+
+  logger.info(`[DIGEST] ${decision} digest of ${live.length} items (${dropped.length} dropped) | user=${userId} | audit=${auditId}`);
+  return {
+    audit_id: auditId, decision, digest_of: live.map(i => i.audit_id), dropped: dropped.map(i => i.audit_id), delivery,
+  };
+}
+
+/**
+ * Re-run claimed items through the pipeline, as the scheduler does for a due
+ * deferral, and cut the flushing list down to the ones that stay NOW.
+ *
+ * @returns {Promise<{ live: Object[], dropped: Object[], redeferred: Object[] }>}
+ *          items with `last_audit_id` set to their re-evaluation
+ */
+async function reevaluateItems(userId, items, now) {
+  // Required lazily — classifier depends on this module for queueForDigest
+  const { reevaluate } = require('../engine/classifier');
+  const outcome = { live: [], dropped: [], redeferred: [] };
+
+  for (const item of items) {
+    const result = await reevaluate({
+      event:           item.event,
+      auditId:         item.audit_id,
+      originalAuditId: item.original_audit_id,
+      lastAuditId:     item.last_audit_id || null,
+      scheduleAt:      now.toISOString(),
+    });
+    const kept = { ...item, last_audit_id: result.audit_id };
+    if (result.decision === 'NOW')        outcome.live.push(kept);
+    else if (result.decision === 'NEVER') outcome.dropped.push(kept);
+    else                                  outcome.redeferred.push(kept);   // finalize() queued it again
+  }
+
+  await getRedis().eval(KEEP_SCRIPT, 1, FLUSHING_PREFIX + userId, ...outcome.live.map(i => JSON.stringify(i)));
+  return outcome;
+}
+
+function buildDigestEvent(userId, items, channels) {
+  const max   = config.digest.maxListed;
+  const lines = items.slice(0, max).map(i => `• ${i.event.title || i.event.message}`);
+  if (items.length > max) lines.push(`…and ${items.length - max} more`);
+  const email = items.map(i => i.event.metadata && i.event.metadata.email).find(Boolean);
+
+  return {
+    user_id:           userId,
+    event_type:        'digest',
+    title:             `${items.length} update${items.length === 1 ? '' : 's'} for you`,
+    message:           lines.join('\n'),
+    source:            'digest',
+    priority_hint:     'LOW',
+    timestamp:         new Date().toISOString(),
+    channel:           channels[0] || null,
+    channel_fallbacks: channels.slice(1),
+    dedupe_key:        null,
+    expires_at:        null,
+    metadata: {
+      ...(email ? { email } : {}),
+      items: items.map(i => ({ audit_id: i.audit_id, event_type: i.event.event_type, title: i.event.title || null })),
+    },
+  };
+}
+
+/** The items' channels, most used first, minus any the user has since opted out of. */
+function digestChannels(items, prefs) {
+  const counts = {};
+  for (const i of items) counts[i.event.channel] = (counts[i.event.channel] || 0) + 1;
+  return Object.keys(counts)
+    .filter(c => !isChannelOptedOut(prefs, c))
+    .sort((a, b) => counts[b] - counts[a]);
+}
+
+/**
+ * Next flush time for a new digest.
+ * @returns {string} ISO timestamp, outside quiet hours
+ */
+function nextFlush(prefs, cadence, scheduleAt, now = new Date()) {
+  let t;
+  if (cadence === 'daily') {
+    const [h, m]      = config.digest.dailyAt.split(':').map(Number);
+    const { minutes } = localParts(now, prefs.timezone);
+    const delta = (h * 60 + m - minutes + 1440) % 1440 || 1440;
+    t = new Date(now.getTime() + delta * 60000);
+    t.setSeconds(0, 0);
+  } else if (cadence === 'window') {
+    t = new Date(scheduleAt || now);
+  } else {
+    t = new Date(now);
+    t.setMinutes(60, 0, 0);   // top of the next hour
+  }
+  return getNextOpenSlot(prefs, t);
+}
+
+/** Re-arm the due entry; the claimed items stay on the flushing list for the next claim. */
+async function retryLater(redis, userId) {
+  await redis.zadd(DUE_KEY, Date.now() + config.delivery.retryDelayMs, userId);
+}
+
+module.exports = {
+  isDigestible, queueForDigest, processDigests, startDigestFlusher, stopDigestFlusher,
+  getPendingDigest, takeFromDigest, forgetUser, CADENCES,
+};
@@ -3,10 +3,24 @@
  *
  * Represents a single incoming notification event entering the pipeline.
  *
+ * Contract: EVENT_SCHEMAS holds one JSON Schema per `schema_version`
+ * (published at GET /v1/schema/event). Every entry point — HTTP evaluate,
+ * batch and the bus consumer — runs validateEvent() and then
+ * normalizeEvent(), so they accept and produce exactly the same events.
+ * Events without `schema_version` are read as CURRENT_SCHEMA_VERSION.
+ *
+ * Limits (config.events): message / title length and the serialized size
+ * of metadata. Event types the scorer has no weight for are accepted with
+ * an UNKNOWN_EVENT_TYPE warning (rejected when EVENT_TYPES_STRICT=true);
+ * top-level fields the schema does not define likewise get an UNKNOWN_FIELD
+ * warning and are dropped by normalizeEvent() (rejected when
+ * EVENT_FIELDS_STRICT=true).
+ *
  * SQL (PostgreSQL):
  * ─────────────────
  * CREATE TABLE events (
  *   id          UUID         PRIMARY KEY DEFAULT gen_random_uuid(),
+ *   schema_version VARCHAR(8) NOT NULL DEFAULT '1.0',
  *   user_id     VARCHAR(64)  NOT NULL,
  *   event_type  VARCHAR(64)  NOT NULL,
  *   message     TEXT,
@@ -14,6 +28,8 @@
  *   source      VARCHAR(128),
  *   priority    VARCHAR(16)  CHECK (priority IN ('CRITICAL','HIGH','MEDIUM','LOW')),
  *   channel     VARCHAR(16)  CHECK (channel IN ('push','email','sms','in-app')),
+ *   channels    VARCHAR(16)[],  -- multi-channel candidates (channel = the one chosen)
+ *   channel_selection VARCHAR(8) CHECK (channel_selection IN ('best','ordered')),
  *   dedupe_key  VARCHAR(256),
  *   expires_at  TIMESTAMPTZ,
  *   metadata    JSONB,
@@ -21,8 +37,98 @@
  * );
  */
 
+const config = require('../../config/default');
+const { validateSchema } = require('../utils/jsonSchema');
+const { EVENT_TYPE_SCORES } = require('../engine/scorer');
+
+const PRIORITIES = ['CRITICAL', 'HIGH', 'MEDIUM', 'LOW'];
+const CHANNELS   = ['push', 'email', 'sms', 'in-app'];
+const KNOWN_EVENT_TYPES = Object.keys(EVENT_TYPE_SCORES);
+
+const CURRENT_SCHEMA_VERSION = '1.0';
+
+const { maxMessageLength, maxTitleLength, maxMetadataBytes } = config.events;
+const nullable = schema => ({ ...schema, type: [schema.type, 'null'] });
+
+// One entry per published version — add a new key, never edit a published one
+const EVENT_SCHEMAS = {
+  '1.0': {
+    $schema:  'https://json-schema.org/draft/2020-12/schema',
+    $id:      'urn:notification-engine:schema:event:1.0',
+    title:    'Notification event',
+    type:     'object',
+    required: ['user_id', 'event_type'],
+    properties: {
+      schema_version:    { type: 'string', enum: ['1.0'] },
+      user_id:           { type: 'string', minLength: 1, maxLength: 64 },
+      event_type:        { type: 'string', minLength: 1, maxLength: 64, examples: KNOWN_EVENT_TYPES },
+      title:             nullable({ type: 'string', maxLength: maxTitleLength }),
+      message:           nullable({ type: 'string', maxLength: maxMessageLength }),
+      source:            nullable({ type: 'string', maxLength: 128 }),
+      service:           { type: 'string', maxLength: 128, description: 'Alias of source' },
+      priority_hint:     { type: 'string', enum: PRIORITIES },
+      channel:           { type: 'string', enum: CHANNELS },
+      channels:          { type: 'array', minItems: 1, maxItems: 4, uniqueItems: true, items: { type: 'string', enum: CHANNELS } },
+      channel_selection: { type: 'string', enum: ['best', 'ordered'] },
+      timestamp:         { type: 'string', format: 'date-time' },
+      expires_at:        nullable({ type: 'string', format: 'date-time' }),
+      dedupe_key:        nullable({ type: 'string', maxLength: 256 }),
+      metadata:          { type: 'object', 'x-maxBytes': maxMetadataBytes },
+    },
+  },
+};
+
+/**
+ * Check a raw event against the schema for its schema_version.
+ *
+ * @param {*} raw
+ * @returns {{ version: string|null, errors: Object[], warnings: Object[] }}
+ *          errors / warnings: { path, keyword|code, msg, value } — empty when valid
+ */
+function validateEvent(raw) {
+  const version = raw && typeof raw === 'object' && raw.schema_version !== undefined
+    ? raw.schema_version
+    : CURRENT_SCHEMA_VERSION;
+
+  const schema = EVENT_SCHEMAS[version];
+  if (!schema) {
+    return {
+      version: null,
+      errors: [{
+        path:    'schema_version',
+        keyword: 'enum',
+        msg:     `schema_version ${JSON.stringify(version)} is not supported — supported: ${Object.keys(EVENT_SCHEMAS).join(', ')}`,
+        value:   version,
+      }],
+      warnings: [],
+    };
+  }
+
+  const errors   = validateSchema(schema, raw);
+  const warnings = [];
+  if (raw && typeof raw === 'object' && !Array.isArray(raw)) {
+    for (const key of Object.keys(raw).filter(k => !Object.hasOwn(schema.properties, k))) {
+      const extra = { path: key, code: 'UNKNOWN_FIELD', msg: `${key} is not a known field — ignored`, value: raw[key] };
+      if (config.events.strictFields) errors.push({ ...extra, keyword: 'additionalProperties' });
+      else                            warnings.push(extra);
+    }
+  }
+  if (errors.length === 0 && !KNOWN_EVENT_TYPES.includes(raw.event_type)) {
+    const unknown = {
+      path:  'event_type',
+      code:  'UNKNOWN_EVENT_TYPE',
+      msg:   `event_type "${raw.event_type}" is not a known type — scored with the default type weight`,
+      value: raw.event_type,
+      known: KNOWN_EVENT_TYPES,
+    };
+    if (config.events.strictEventTypes) errors.push({ ...unknown, keyword: 'enum' });
+    else                                 warnings.push(unknown);
+  }
+  return { version, errors, warnings };
+}
+
 /**
- * Validate and normalize a raw incoming event object.
+ * Normalize a raw incoming event object (validate it first with validateEvent).
  * Fills in safe defaults for optional fields.
  *
  * @param {Object} raw
@@ -30,6 +136,7 @@
  */
 function normalizeEvent(raw) {
   return {
+    schema_version: raw.schema_version      || CURRENT_SCHEMA_VERSION,
     user_id:       String(raw.user_id       || ''),
     event_type:    String(raw.event_type    || 'unknown'),
     message:       String(raw.message       || raw.title || ''),
@@ -37,7 +144,9 @@ function normalizeEvent(raw) {
     source:        String(raw.source        || raw.service || 'unknown'),
     priority_hint: validatePriority(raw.priority_hint),
     timestamp:     raw.timestamp            || new Date().toISOString(),
-    channel:       validateChannel(raw.channel),
+    channel:       validateChannel(raw.channel || (Array.isArray(raw.channels) && raw.channels[0])),
+    channels:      validateChannels(raw.channels),
+    channel_selection: raw.channel_selection === 'ordered' ? 'ordered' : 'best',
     metadata:      (raw.metadata && typeof raw.metadata === 'object') ? raw.metadata : {},
     dedupe_key:    raw.dedupe_key           || null,
     expires_at:    raw.expires_at           || null,
@@ -45,11 +154,19 @@ function normalizeEvent(raw) {
 }
 
 function validatePriority(p) {
-  return ['CRITICAL', 'HIGH', 'MEDIUM', 'LOW'].includes(p) ? p : 'MEDIUM';
+  return PRIORITIES.includes(p) ? p : 'MEDIUM';
 }
 
 function validateChannel(c) {
-  return ['push', 'email', 'sms', 'in-app'].includes(c) ? c : 'push';
+  return CHANNELS.includes(c) ? c : 'push';
+}
+
+function validateChannels(list) {
+  if (!Array.isArray(list)) return null;
+  const valid = [...new Set(list)].filter(c => CHANNELS.includes(c));
+  return valid.length > 0 ? valid : null;
 }
 
-module.exports = { normalizeEvent };
+module.exports = {
+  normalizeEvent, validateEvent, EVENT_SCHEMAS, CURRENT_SCHEMA_VERSION, KNOWN_EVENT_TYPES,
+};
@@ -0,0 +1,198 @@
+/**
+ * explainService.js — Decision Explanations
+ *
+ * Turns the structured `breakdown` the classifier stores with every audit
+ * record into an answer for GET /v1/audit/:audit_id/explain:
+ *
+ *   steps             — the score math, one signed term at a time, with a running total
+ *   thresholds        — the NOW / LATER boundaries that applied and the band the score fell in
+ *   what_would_change — the smallest change that flips the outcome
+ *                       ("+7 points would have made this NOW"), plus concrete levers
+ *                       (fatigue penalty, priority_hint) when one of them is enough
+ *
+ * Decisions taken before scoring (expiry, dedup, CRITICAL, opt-out, rules,
+ * DND, conflicts) explain which step decided and what would have let the
+ * event through. Records written before breakdowns were stored, and digest
+ * flushes, have none: breakdown_available is false.
+ */
+
+const { getAuditLog } = require('./auditService');
+const { PRIORITY_SCORES, MAX_BASE_SCORE } = require('../engine/scorer');
+
+const PRIORITY_ORDER = ['LOW', 'MEDIUM', 'HIGH', 'CRITICAL'];
+
+/**
+ * @param {string} auditId
+ * @returns {Promise<Object|null>} null if the audit record does not exist
+ */
+async function explainDecision(auditId) {
+  const record = await getAuditLog(auditId);
+  if (!record) return null;
+
+  const b     = record.breakdown || null;
+  const event = record.event || {};
+  const explanation = {
+    audit_id:            record.audit_id,
+    decision:            record.decision,
+    score:               record.score,
+    reason:              record.reason,
+    decided_by:          b ? b.decided_by : null,
+    breakdown_available: Boolean(b),
+    steps:               [],
+    thresholds:          null,
+    fatigue:             b ? b.fatigue  : null,
+    ai:                  b ? b.ai       : null,
+    conflict:            b ? b.conflict : null,
+    rule:                b ? b.rule     : null,
+    what_would_change:   [],
+    overrides:           record.overrides,
+  };
+  if (!b) return explanation;
+
+  explanation.steps      = buildSteps(b, event);
+  explanation.thresholds = describeThresholds(b, record.score);
+  explanation.what_would_change = hintsFor(b, record, event);
+  return explanation;
+}
+
+// ── Score Math ────────────────────────────────────────────────────────────────
+
+function buildSteps(b, event) {
+  if (!b.base) return [];
+  const steps = [];
+  let total = 0;
+  const add = (step, points, detail) => {
+    total += points;
+    steps.push({ step, points, total, detail });
+  };
+
+  const { parts } = b.base;
+  add('priority',   parts.priority,   `priority_hint ${event.priority_hint || 'MEDIUM'}`);
+  add('event_type', parts.event_type, `event_type ${event.event_type}`);
+  add('channel',    parts.channel,    `channel ${event.channel}`);
+  add('freshness',  parts.freshness,  'event age when scored');
+  if (b.base.capped) add('base_cap', b.base.score - total, `base score capped at ${MAX_BASE_SCORE}`);
+
+  if (b.fatigue) {
+    const f = b.fatigue;
+    add('fatigue_penalty', -f.penalty,
+      `${f.count}/${f.limit} per ${f.window}, level ${f.level} (policy ${f.policy}${f.user_cap ? ', user cap' : ''})`);
+  }
+  if (b.ai) {
+    add('ai_adjustment', b.ai.adjustment,
+      b.ai.status === 'APPLIED' ? 'AI context score' : `AI skipped (${b.ai.error || b.ai.outcome})`);
+  }
+  if (b.final && b.final.score !== b.final.unclamped) {
+    add('clamp', b.final.score - b.final.unclamped, 'final score clamped to 0–100');
+  }
+  return steps;
+}
+
+function describeThresholds(b, score) {
+  const { now, later, reevaluation } = b.thresholds;
+  const scored = b.decided_by === 'threshold' || b.decided_by === 'conflict';
+  return {
+    now,
+    later,
+    reevaluation,
+    band:    scored ? bandFor(score, b.thresholds) : null,
+    applied: !scored ? `not applied — decided by ${b.decided_by}`
+      : reevaluation ? `re-evaluation at the scheduled time: ≥ ${later} → NOW, else NEVER`
+        : `≥ ${now} → NOW, ≥ ${later} → LATER, else NEVER`,
+  };
+}
+
+/** The decision the thresholds alone give a score. */
+function bandFor(score, { now, later, reevaluation }) {
+  if (score >= now)   return 'NOW';
+  if (score >= later) return reevaluation ? 'NOW' : 'LATER';
+  return 'NEVER';
+}
+
+// ── What Would Change ─────────────────────────────────────────────────────────
+
+function hintsFor(b, record, event) {
+  switch (b.decided_by) {
+    case 'threshold': return [...pointHints(b.final.score, b.thresholds), ...leverHints(b, event)];
+    case 'conflict':  return conflictHints(b);
+    case 'expiry':    return [`An expires_at after ${record.created_at} would have let the event be scored.`];
+    case 'dedup':     return [`It matched an earlier notification (${record.stages.dedup}). A different dedupe_key or message, or arriving after the dedup window, would have let it be scored.`];
+    case 'critical':  return ['CRITICAL always sends NOW. Any other priority_hint would have been scored.'];
+    case 'opt_out':   return [`The user has opted out of ${event.channel}. A channel they have not opted out of would have been scored.`];
+    case 'dnd':       return ['The user was in quiet hours. Outside them the event would have been scored.'];
+    case 'rule':      return [`Rule ${b.rule.rule_id} (${b.rule.action}) decided. Disabling the rule or narrowing its condition would have let the event be scored.`];
+    case 'failsafe':  return ['The pipeline failed and the CRITICAL failsafe sent it NOW. No score was computed.'];
+    default:          return [];
+  }
+}
+
+/** Points needed to cross into each other band, e.g. "+7 points would have made this NOW". */
+function pointHints(score, thresholds) {
+  const current = bandFor(score, thresholds);
+  const targets = thresholds.reevaluation
+    ? [['NOW', thresholds.later], ['NEVER', thresholds.later]]
+    : [['NOW', thresholds.now], ['LATER', thresholds.later], ['NEVER', thresholds.later]];
+
+  const hints = [];
+  for (const [target, boundary] of targets) {
+    if (target === current) continue;
+    if (target === 'NEVER') {
+      if (score >= boundary) hints.push(`-${score - boundary + 1} points would have made this NEVER.`);
+    } else if (target === 'LATER' && current === 'NOW') {
+      hints.push(`-${score - thresholds.now + 1} points would have made this LATER.`);
+    } else if (score < boundary) {
+      hints.push(`+${boundary - score} points would have made this ${target}.`);
+    }
+  }
+  return hints;
+}
+
+/** Concrete inputs that alone would have changed the outcome. */
+function leverHints(b, event) {
+  const hints = [];
+  const { score } = b.final;
+  const current = bandFor(score, b.thresholds);
+  const rescore = delta => Math.max(0, Math.min(100, b.final.unclamped + delta));
+
+  if (b.fatigue && b.fatigue.penalty > 0) {
+    const without = bandFor(rescore(b.fatigue.penalty), b.thresholds);
+    if (without !== current) {
+      hints.push(`Without the fatigue penalty (-${b.fatigue.penalty}) the score would have been ${rescore(b.fatigue.penalty)} → ${without}.`);
+    }
+  }
+
+  const priority = event.priority_hint || 'MEDIUM';
+  const next = PRIORITY_ORDER[PRIORITY_ORDER.indexOf(priority) + 1];
+  if (next && next !== 'CRITICAL' && b.base) {
+    // The base score is capped, so a higher priority only adds what fits under the cap
+    const sum     = Object.values(b.base.parts).reduce((a, p) => a + p, 0);
+    const gain    = Math.min(MAX_BASE_SCORE, sum - b.base.parts.priority + PRIORITY_SCORES[next]) - b.base.score;
+    const outcome = bandFor(rescore(gain), b.thresholds);
+    if (gain > 0 && outcome !== current) {
+      hints.push(`priority_hint ${next} instead of ${priority} (+${gain}) would have made this ${outcome}.`);
+    }
+  }
+  return hints;
+}
+
+function conflictHints(b) {
+  const f = b.fatigue;
+  const scoreAlone = `On score alone (${b.final.score}) it would have been ${bandFor(b.final.score, b.thresholds)}.`;
+  switch (b.conflict.code) {
+    case 'HIGH_PRIORITY_FATIGUE_MAXED':
+    case 'MEDIUM_PRIORITY_FATIGUE_MAXED':
+    case 'LOW_PRIORITY_OVERLOADED':
+      return [`The user was at their fatigue cap (${f.count}/${f.limit} per ${f.window}). Fewer than ${f.limit} notifications in that window would have avoided the conflict.`, scoreAlone];
+    case 'HIGH_PRIORITY_NOISY_SOURCE':
+      return [`The source is on the noisy list and fatigue was ${f.level}. Fatigue below HIGH or a different source would have avoided the conflict.`, scoreAlone];
+    case 'CAP_TRIPPED':
+    case 'LOW_PRIORITY_CAP_TRIPPED': {
+      const cap = f.caps_tripped[0];
+      return [`The ${cap.cap} cap was reached (${cap.count}/${cap.limit} per ${cap.window}). It has room again at ${cap.retryAt}.`, scoreAlone];
+    }
+    default:
+      return [scoreAlone];
+  }
+}
+
+module.exports = { explainDecision };
@@ -2,16 +2,20 @@
  * fatigueGuard.js — Alert Fatigue Detection & Rate Limiting
  *
  * Uses Redis sorted sets as sliding window counters.
- * Caps enforced:
+ * Caps come from the fatigue policy resolved for the event (see
+ * fatiguePolicyService.js); the built-in DEFAULT_POLICY keeps the original
+ * env-configured limits:
  *   - Max 5 notifications / hour  (total per user)
  *   - Max 2 per source / hour     (prevents single-service flooding)
  *   - Max 1 promotion / 4 hours   (promo-specific cap)
  *
- * All caps are configurable via environment variables.
- * Fatigue penalty (0–30) is subtracted from the composite score.
+ * Fatigue penalty is read off the policy's penalty curve and subtracted
+ * from the composite score; a tripped source or promo cap is reported
+ * alongside it (capsTripped) for the conflict resolver to act on.
  */
 
-const { getRedis } = require('../services/redisService');
+const { getRedis, scanKeys, escapeGlob, keySegment } = require('../services/redisService');
+const { shortId } = require('../utils/fingerprint');
 const logger = require('../utils/logger');
 
 const CAPS = {
@@ -23,40 +27,100 @@ const CAPS = {
 const W1H = 3600;    // 1 hour in seconds
 const W4H = 14400;   // 4 hours in seconds
 
+const PROMO_TYPES = ['promotion', 'low_value_promo'];
+
+/**
+ * Penalty curve rungs — the highest penalty whose threshold is reached wins.
+ * `ratio` is count / total cap; `count` is an absolute count.
+ */
+const DEFAULT_PENALTY_CURVE = [
+  { ratio: 1.0, penalty: 30 },  // At or over cap
+  { ratio: 0.8, penalty: 20 },  // 80% of cap
+  { ratio: 0.5, penalty: 10 },  // 50% of cap
+  { count: 2,   penalty: 5  },  // Light usage
+];
+
+const DEFAULT_POLICY = Object.freeze({
+  policy_id: 'default',
+  scope:     {},
+  caps: {
+    total:  { count: CAPS.total,  window: '1h' },
+    source: { count: CAPS.source, window: '1h' },
+    promo:  { count: CAPS.promo,  window: '4h' },
+  },
+  penalty_curve: DEFAULT_PENALTY_CURVE,
+});
+
+// Counters are trimmed to the longest window any loaded policy uses
+let counterRetentionSec = W4H;
+
 /**
- * Get fatigue level and penalty for a user.
+ * Get fatigue level and penalty for a user, plus the state of the
+ * per-source and promo caps that apply to this event.
  *
  * @param {string} userId
  * @param {string} source
- * @returns {{ count: number, penalty: number, level: string }}
+ * @param {string} [eventType] - promo cap is only checked for promo types
+ * @param {Object} [policy]    - resolved fatigue policy (defaults to DEFAULT_POLICY)
+ * @returns {{ count: number, limit: number, window: string, penalty: number, level: string,
+ *             policy: string, caps: Object, capsTripped: Array<{ cap, count, limit, window, retryAt }> }}
+ *          caps — { source, promo? } window status; capsTripped — the exceeded ones,
+ *          most specific first
  */
-async function getFatiguePenalty(userId, source) {
+async function getFatiguePenalty(userId, source, eventType, policy = DEFAULT_POLICY) {
+  const { total, source: sourceCap, promo } = policy.caps;
+  const base = { limit: total.count, window: total.window, policy: policy.policy_id };
   let count = 0;
+  const caps = {};
 
   try {
     const redis = getRedis();
     const now   = Date.now();
-    count = await redis.zcount(`freq:${userId}:total`, now - W1H * 1000, now);
+    count = await redis.zcount(`freq:${keySegment(userId)}:total`, now - parseWindow(total.window) * 1000, now);
+
+    caps.source = await windowStatus(redis, `freq:${keySegment(userId)}:${source}`, sourceCap.count, parseWindow(sourceCap.window), now);
+    if (PROMO_TYPES.includes(eventType)) {
+      caps.promo = await windowStatus(redis, `freq:${keySegment(userId)}:promo`, promo.count, parseWindow(promo.window), now);
+    }
   } catch (err) {
     logger.warn(`[FATIGUE] Redis unavailable — returning 0 penalty: ${err.message}`);
-    return { count: 0, penalty: 0, level: 'UNKNOWN' };
+    return { ...base, count: 0, penalty: 0, level: 'UNKNOWN', caps: {}, capsTripped: [] };
   }
 
-  // Smooth penalty curve based on proximity to cap
-  let penalty;
-  const ratio = count / CAPS.total;
-  if (ratio >= 1.0)     penalty = 30;  // At or over cap
-  else if (ratio >= 0.8) penalty = 20; // 80% of cap
-  else if (ratio >= 0.5) penalty = 10; // 50% of cap
-  else if (count >= 2)   penalty = 5;  // Light usage
-  else                   penalty = 0;
-
-  const level = penalty === 0 ? 'LOW'
-    : penalty <= 10 ? 'MEDIUM'
-    : penalty <= 20 ? 'HIGH'
-    : 'MAXED';
-
-  return { count, penalty, level };
+  const capsTripped = ['promo', 'source']
+    .filter(cap => caps[cap] && caps[cap].exceeded)
+    .map(cap => ({
+      cap,
+      count:   caps[cap].count,
+      limit:   caps[cap].limit,
+      window:  policy.caps[cap].window,
+      retryAt: caps[cap].retryAt,
+    }));
+
+  const curve   = policy.penalty_curve || DEFAULT_PENALTY_CURVE;
+  const penalty = penaltyFor(count, total.count, curve);
+  const maxPenalty = Math.max(...curve.map(r => r.penalty));
+
+  const level = count >= total.count ? 'MAXED'
+    : penalty === 0 ? 'LOW'
+    : penalty <= maxPenalty / 3 ? 'MEDIUM'
+    : 'HIGH';
+
+  return { ...base, count, penalty, level, caps, capsTripped };
+}
+
+/**
+ * Read a penalty off a curve.
+ * @param {number} count
+ * @param {number} limit - total cap
+ * @param {Array<{ ratio?: number, count?: number, penalty: number }>} curve
+ * @returns {number}
+ */
+function penaltyFor(count, limit, curve) {
+  return curve.reduce((max, rung) => {
+    const reached = rung.ratio !== undefined ? count / limit >= rung.ratio : count >= rung.count;
+    return reached ? Math.max(max, rung.penalty) : max;
+  }, 0);
 }
 
 /**
@@ -69,26 +133,20 @@ async function incrementCounter(event) {
   try {
     const redis  = getRedis();
     const now    = Date.now();
-    const member = `${now}:${event.event_type}`;
-
-    // Total user counter (1h window)
-    const totalKey = `freq:${event.user_id}:total`;
-    await redis.zadd(totalKey, now, member);
-    await redis.expire(totalKey, W4H);
-    await redis.zremrangebyscore(totalKey, '-inf', now - W1H * 1000);
-
-    // Per-source counter (1h window)
-    const srcKey = `freq:${event.user_id}:${event.source}`;
-    await redis.zadd(srcKey, now, member);
-    await redis.expire(srcKey, W4H);
-    await redis.zremrangebyscore(srcKey, '-inf', now - W1H * 1000);
-
-    // Promo counter (4h window)
-    if (['promotion', 'low_value_promo'].includes(event.event_type)) {
-      const promoKey = `freq:${event.user_id}:promo`;
-      await redis.zadd(promoKey, now, member);
-      await redis.expire(promoKey, W4H);
-      await redis.zremrangebyscore(promoKey, '-inf', now - W4H * 1000);
+    const member = `${now}:${event.event_type}:${shortId('n')}`;   // unique within the same ms
+    const keys   = [`freq:${keySegment(event.user_id)}:total`, `freq:${keySegment(event.user_id)}:${event.source}`];
+
+    // Promo counter only for promo types
+    if (PROMO_TYPES.includes(event.event_type)) keys.push(`freq:${keySegment(event.user_id)}:promo`);
+
+    // Per-channel counter — feeds channel selection for multi-channel events
+    if (event.channel) keys.push(`freq:${keySegment(event.user_id)}:channel:${event.channel}`);
+
+    // Windows are applied at read time — keep enough history for the longest one
+    for (const key of keys) {
+      await redis.zadd(key, now, member);
+      await redis.expire(key, counterRetentionSec);
+      await redis.zremrangebyscore(key, '-inf', now - counterRetentionSec * 1000);
     }
 
   } catch (err) {
@@ -96,34 +154,153 @@ async function incrementCounter(event) {
   }
 }
 
+/**
+ * Keep counter history for at least `seconds` (called when policies reload).
+ * @param {number} seconds
+ */
+function setCounterRetention(seconds) {
+  counterRetentionSec = Math.max(W4H, seconds);
+}
+
 /**
  * Check if a specific cap is already exceeded.
  * @param {string} userId
  * @param {'total'|'source'|'promo'} capType
  * @param {string} [source]
+ * @param {Object} [policy]
  * @returns {Promise<boolean>}
  */
-async function isCapExceeded(userId, capType, source = '') {
-  try {
-    const redis = getRedis();
-    const now   = Date.now();
+async function isCapExceeded(userId, capType, source = '', policy = DEFAULT_POLICY) {
+  const key = capType === 'source' ? `freq:${keySegment(userId)}:${source}` : `freq:${keySegment(userId)}:${capType}`;
+  const cap = policy.caps[capType];
+  if (!cap) return false;
 
-    if (capType === 'total') {
-      const n = await redis.zcount(`freq:${userId}:total`, now - W1H * 1000, now);
-      return n >= CAPS.total;
-    }
-    if (capType === 'source') {
-      const n = await redis.zcount(`freq:${userId}:${source}`, now - W1H * 1000, now);
-      return n >= CAPS.source;
-    }
-    if (capType === 'promo') {
-      const n = await redis.zcount(`freq:${userId}:promo`, now - W4H * 1000, now);
-      return n >= CAPS.promo;
-    }
+  try {
+    const status = await windowStatus(getRedis(), key, cap.count, parseWindow(cap.window), Date.now());
+    return status.exceeded;
   } catch (err) {
     logger.warn(`[CAP CHECK] Redis unavailable — returning false: ${err.message}`);
   }
   return false;
 }
 
-module.exports = { getFatiguePenalty, incrementCounter, isCapExceeded, CAPS };
+/**
+ * How loaded one channel is for a user, measured against the total cap of
+ * the policy that applies to that channel.
+ *
+ * @param {string} userId
+ * @param {string} channel
+ * @param {Object} [policy] - fatigue policy resolved for this channel
+ * @returns {Promise<{ channel, count, limit, window, penalty, exceeded }>}
+ */
+async function getChannelLoad(userId, channel, policy = DEFAULT_POLICY) {
+  const { total } = policy.caps;
+  const base = { channel, limit: total.count, window: total.window };
+
+  try {
+    const status = await windowStatus(getRedis(), `freq:${keySegment(userId)}:channel:${channel}`,
+      total.count, parseWindow(total.window), Date.now());
+    const penalty = penaltyFor(status.count, total.count, policy.penalty_curve || DEFAULT_PENALTY_CURVE);
+    return { ...base, count: status.count, penalty, exceeded: status.exceeded };
+  } catch (err) {
+    logger.warn(`[FATIGUE] Redis unavailable — ${channel} load unknown: ${err.message}`);
+    return { ...base, count: 0, penalty: 0, exceeded: false };
+  }
+}
+
+// ── Rule max_per Counters ─────────────────────────────────────────────────────
+
+/**
+ * Parse a rule window string ("30m", "4h", "1d") into seconds.
+ * @param {string} window
+ * @returns {number} seconds (defaults to 1 hour if unparseable)
+ */
+function parseWindow(window) {
+  const m = /^(\d+)\s*(s|m|h|d)$/.exec(String(window || '').trim());
+  if (!m) return W1H;
+  return parseInt(m[1]) * { s: 1, m: 60, h: 3600, d: 86400 }[m[2]];
+}
+
+/**
+ * Check a rule's max_per sliding window for a user.
+ * Rules without max_per are never capped.
+ *
+ * @param {string} userId
+ * @param {Object} rule - { rule_id, max_per: { count, window } }
+ * @returns {Promise<{ count: number, limit: number|null, exceeded: boolean, retryAt: string|null }>}
+ *          retryAt — ISO time at which the window next has room
+ */
+async function checkRuleCap(userId, rule) {
+  if (!rule.max_per) return { count: 0, limit: null, exceeded: false, retryAt: null };
+
+  const limit     = rule.max_per.count;
+  const windowSec = parseWindow(rule.max_per.window);
+
+  try {
+    return await windowStatus(getRedis(), `freq:${keySegment(userId)}:rule:${rule.rule_id}`, limit, windowSec, Date.now());
+  } catch (err) {
+    logger.warn(`[RULE CAP] Redis unavailable — treating ${rule.rule_id} as uncapped: ${err.message}`);
+    return { count: 0, limit, exceeded: false, retryAt: null };
+  }
+}
+
+/**
+ * Record one event against a rule's max_per window.
+ * Same sorted-set layout as the fatigue counters above.
+ *
+ * @param {string} userId
+ * @param {Object} rule
+ */
+async function incrementRuleCounter(userId, rule) {
+  if (!rule.max_per) return;
+
+  try {
+    const redis     = getRedis();
+    const now       = Date.now();
+    const windowSec = parseWindow(rule.max_per.window);
+    const key       = `freq:${keySegment(userId)}:rule:${rule.rule_id}`;
+
+    await redis.zadd(key, now, `${now}:${rule.rule_id}:${shortId('n')}`);
+    await redis.expire(key, windowSec);
+    await redis.zremrangebyscore(key, '-inf', now - windowSec * 1000);
+
+  } catch (err) {
+    logger.warn(`[RULE COUNTER] Redis write failed: ${err.message}`);
+  }
+}
+
+/**
+ * Erase every frequency counter for a user — total, source, promo, channel
+ * and rule windows (GDPR erasure).
+ *
+ * @param {string} userId
+ * @returns {Promise<number>} keys deleted
+ */
+async function forgetUser(userId) {
+  const redis = getRedis();
+  const keys  = await scanKeys(redis, `freq:${escapeGlob(keySegment(userId))}:*`);
+  return keys.length > 0 ? redis.del(...keys) : 0;
+}
+
+// ── Internal Helpers ──────────────────────────────────────────────────────────
+
+/**
+ * Count a sliding window and, if it is full, work out when it next has room.
+ * @returns {Promise<{ count, limit, exceeded, retryAt }>}
+ */
+async function windowStatus(redis, key, limit, windowSec, now) {
+  const count = await redis.zcount(key, now - windowSec * 1000, now);
+  if (count < limit) return { count, limit, exceeded: false, retryAt: null };
+
+  // Next slot opens when enough in-window entries slide out to drop below the limit.
+  // Indexing by (count - limit) spreads successive over-cap events across later slots.
+  const entry   = await redis.zrangebyscore(key, now - windowSec * 1000, now, 'WITHSCORES', 'LIMIT', count - limit, 1);
+  const entryTs = entry.length >= 2 ? parseInt(entry[1]) : now;
+  return { count, limit, exceeded: true, retryAt: new Date(entryTs + windowSec * 1000).toISOString() };
+}
+
+module.exports = {
+  getFatiguePenalty, incrementCounter, isCapExceeded, getChannelLoad, CAPS,
+  DEFAULT_POLICY, penaltyFor, setCounterRetention,
+  parseWindow, checkRuleCap, incrementRuleCounter, forgetUser,
+};
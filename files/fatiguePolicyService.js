@@ -0,0 +1,178 @@
+/**
+ * fatiguePolicyService.js — Configurable Fatigue Budgets
+ *
+ * Fatigue policies replace the single set of global caps. Each policy is
+ * scoped by any of user segment, channel and event type:
+ *
+ *   {
+ *     policy_id:     "enterprise-email",
+ *     scope:         { segment: "enterprise", channel: "email" },
+ *     caps:          { total:  { count: 20, window: "1h" },
+ *                      source: { count: 5,  window: "1h" },
+ *                      promo:  { count: 1,  window: "24h" } },
+ *     penalty_curve: [{ ratio: 1, penalty: 25 }, { ratio: 0.5, penalty: 5 }],
+ *     priority:      10,
+ *     enabled:       true
+ *   }
+ *
+ * Resolution: among enabled policies whose scope matches, the most specific
+ * (most scope keys) wins, then the highest priority. Omitted caps / curve
+ * fall back to DEFAULT_POLICY (the env-configured limits). A user's own
+ * fatigue_cap (preferences) tightens the total cap but never loosens it.
+ *
+ * Stored via the storage adapter and hot-reloaded like rules.
+ */
+
+const { getStore } = require('./storageService');
+const { DEFAULT_POLICY, parseWindow, setCounterRetention } = require('../engine/fatigueGuard');
+const logger = require('../utils/logger');
+
+const RELOAD_INTERVAL = parseInt(process.env.POLICY_RELOAD_INTERVAL_MS) || 30000;
+const SCOPE_KEYS      = ['segment', 'channel', 'event_type'];
+
+let cachedPolicies = [];
+let reloadTimer = null;
+
+// ── Policy Loading ────────────────────────────────────────────────────────────
+
+/**
+ * Load and cache policies from the storage backend.
+ * Falls back to previously cached policies if the backend is unavailable.
+ */
+async function loadPolicies() {
+  try {
+    const store  = getStore();
+    const parsed = await store.listFatiguePolicies();
+    cachedPolicies = parsed.filter(p => p.enabled !== false);
+    setCounterRetention(longestWindow(cachedPolicies));
+    logger.info(`[FATIGUE POLICY] Loaded ${cachedPolicies.length} active policies from ${store.name} store`);
+  } catch (err) {
+    logger.warn(`[FATIGUE POLICY] Load failed: ${err.message} — continuing with ${cachedPolicies.length} cached policies`);
+  }
+}
+
+/**
+ * Start the hot-reload loop.
+ * Called once on server startup.
+ */
+function initPolicyLoader() {
+  if (reloadTimer) return;
+  loadPolicies();
+  reloadTimer = setInterval(loadPolicies, RELOAD_INTERVAL);
+  reloadTimer.unref();
+  logger.info(`[FATIGUE POLICY] Hot-reload active every ${RELOAD_INTERVAL / 1000}s`);
+}
+
+/** Stop the hot-reload loop (shutdown, tests). */
+function stopPolicyLoader() {
+  clearInterval(reloadTimer);
+  reloadTimer = null;
+}
+
+// ── Resolution ────────────────────────────────────────────────────────────────
+
+/**
+ * Pick the fatigue policy for an event and apply the user's own cap.
+ *
+ * @param {Object} event - { channel, event_type }
+ * @param {Object} prefs - user preferences ({ segment, fatigue_cap })
+ * @returns {Object} effective policy { policy_id, caps, penalty_curve, user_cap }
+ */
+function resolvePolicy(event, prefs = {}) {
+  const facts = { segment: prefs.segment, channel: event.channel, event_type: event.event_type };
+
+  const match = cachedPolicies
+    .filter(p => Object.entries(p.scope || {}).every(([k, v]) => !v || v === '*' || facts[k] === v))
+    .sort((a, b) => specificity(b) - specificity(a) || (b.priority || 0) - (a.priority || 0))[0];
+
+  const policy = {
+    policy_id:     match ? match.policy_id : DEFAULT_POLICY.policy_id,
+    caps:          { ...DEFAULT_POLICY.caps, ...(match && match.caps) },
+    penalty_curve: (match && match.penalty_curve) || DEFAULT_POLICY.penalty_curve,
+    user_cap:      false,
+  };
+
+  // A user may ask for fewer notifications than their policy allows — never more
+  const own = prefs.fatigue_cap;
+  if (own && rate(own) < rate(policy.caps.total)) {
+    policy.caps     = { ...policy.caps, total: { count: own.count, window: own.window } };
+    policy.user_cap = true;
+  }
+  return policy;
+}
+
+// ── Management ────────────────────────────────────────────────────────────────
+
+/**
+ * List every stored policy, including disabled ones.
+ * @returns {Promise<Array>}
+ */
+async function listPolicies() {
+  return getStore().listFatiguePolicies();
+}
+
+/**
+ * @param {string} policyId
+ * @returns {Promise<Object>}
+ * @throws 404 if the policy does not exist
+ */
+async function getPolicy(policyId) {
+  const policy = (await listPolicies()).find(p => p.policy_id === policyId);
+  if (!policy) throw httpError(404, `Fatigue policy ${policyId} not found`);
+  return policy;
+}
+
+/**
+ * Create or update a policy. Triggers an immediate cache reload.
+ *
+ * @param {Object} policy
+ * @param {string} [updatedBy]
+ * @returns {Promise<Object>} saved policy
+ */
+async function savePolicy(policy, updatedBy = null) {
+  const saved = await getStore().upsertFatiguePolicy({
+    ...policy,
+    updated_at: new Date().toISOString(),
+    updated_by: updatedBy,
+  });
+  await loadPolicies();
+  logger.info(`[FATIGUE POLICY] Saved policy: ${policy.policy_id}`);
+  return saved;
+}
+
+/**
+ * @param {string} policyId
+ * @throws 404 if the policy does not exist
+ */
+async function deletePolicy(policyId) {
+  if (!await getStore().deleteFatiguePolicy(policyId)) {
+    throw httpError(404, `Fatigue policy ${policyId} not found`);
+  }
+  await loadPolicies();
+  logger.info(`[FATIGUE POLICY] Deleted policy: ${policyId}`);
+}
+
+// ── Internal Helpers ──────────────────────────────────────────────────────────
+
+function specificity(policy) {
+  return SCOPE_KEYS.filter(k => policy.scope && policy.scope[k] && policy.scope[k] !== '*').length;
+}
+
+function rate(cap) {
+  return cap.count / parseWindow(cap.window);
+}
+
+function longestWindow(policies) {
+  return Math.max(0, ...policies.flatMap(p => Object.values(p.caps || {}).map(c => parseWindow(c.window))));
+}
+
+function httpError(status, message) {
+  const err  = new Error(message);
+  err.status = status;
+  return err;
+}
+
+module.exports = {
+  resolvePolicy, listPolicies, getPolicy, savePolicy, deletePolicy,
+  initPolicyLoader, stopPolicyLoader, loadPolicies, SCOPE_KEYS,
+};
@@ -0,0 +1,30 @@
+/**
+ * fileAdapter.js — File Delivery Adapter (local stand-in)
+ *
+ * Appends each message as one JSON line to <dir>/<channel>.jsonl.
+ * Default adapter for every channel, so a fresh checkout "delivers"
+ * without any provider credentials — tail the files to watch traffic.
+ */
+
+const fs   = require('fs');
+const path = require('path');
+
+/**
+ * @param {Object} options
+ * @param {string} options.dir - output directory (created on first send)
+ * @returns {{ name: string, send: Function }}
+ */
+function createFileAdapter({ dir }) {
+  return {
+    name: 'file',
+
+    async send(message) {
+      await fs.promises.mkdir(dir, { recursive: true });
+      const file = path.join(dir, `${message.channel}.jsonl`);
+      await fs.promises.appendFile(file, JSON.stringify({ ...message, sent_at: new Date().toISOString() }) + '\n');
+      return { status: 'SENT', provider_id: `${path.basename(file)}#${message.delivery_id}` };
+    },
+  };
+}
+
+module.exports = { createFileAdapter };
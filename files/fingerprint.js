@@ -22,4 +22,17 @@ function shortId(prefix = 'id') {
   return `${prefix}_${crypto.randomBytes(4).toString('hex')}`;
 }
 
-module.exports = { buildFingerprint, shortId };
+/**
+ * JSON with sorted object keys, so key order never changes a hash of it.
+ * @param {*} value
+ * @returns {string}
+ */
+function stableStringify(value) {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(k => `${JSON.stringify(k)}:${stableStringify(value[k])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+module.exports = { buildFingerprint, shortId, stableStringify };
@@ -0,0 +1,53 @@
+/**
+ * httpAdapter.js — HTTP Delivery Adapter
+ *
+ * POSTs the message as JSON to a provider endpoint — a push / SMS gateway,
+ * or a local HTTP mock during development.
+ *
+ * Response mapping:
+ *   2xx                  → SENT     (provider_id from body.id, if any)
+ *   4xx (not 408 / 429)  → BOUNCED  (permanent — retrying won't help)
+ *   5xx, 408, 429, error → thrown   (FAILED — retried by the caller)
+ */
+
+/**
+ * @param {Object} options
+ * @param {string} options.url
+ * @param {number} [options.timeoutMs]
+ * @param {Object} [options.headers] - e.g. provider auth
+ * @returns {{ name: string, send: Function }}
+ */
+function createHttpAdapter({ url, timeoutMs = 3000, headers = {} }) {
+  return {
+    name: 'http',
+
+    async send(message) {
+      const controller = new AbortController();
+      const timer = setTimeout(() => controller.abort(), timeoutMs);
+
+      try {
+        const response = await fetch(url, {
+          method:  'POST',
+          headers: { 'Content-Type': 'application/json', ...headers },
+          body:    JSON.stringify(message),
+          signal:  controller.signal,
+        });
+        const body = await response.json().catch(() => ({}));
+
+        if (response.ok) return { status: 'SENT', provider_id: body.id || null };
+        if (response.status < 500 && ![408, 429].includes(response.status)) {
+          return { status: 'BOUNCED', detail: `HTTP ${response.status}${body.error ? `: ${body.error}` : ''}` };
+        }
+        throw new Error(`Provider HTTP ${response.status}`);
+
+      } catch (err) {
+        if (err.name === 'AbortError') throw new Error(`Provider timeout (>${timeoutMs}ms)`);
+        throw err;
+      } finally {
+        clearTimeout(timer);
+      }
+    },
+  };
+}
+
+module.exports = { createHttpAdapter };
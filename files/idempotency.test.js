@@ -0,0 +1,127 @@
+const express = require('express');
+const request = require('supertest');
+const { setupRoutes } = require('../src/api/routes');
+const { errorHandler } = require('../src/api/middleware');
+const { registerAdapter } = require('../src/services/deliveryService');
+const { setStore } = require('../src/services/storageService');
+const { createMemoryStore } = require('../src/storage/memoryStore');
+
+// Strings with SET NX for idempotency and dedup keys; the rest of the pipeline sees an empty Redis
+const mockRedis = {
+  strings: new Map(),
+  async get(key) {
+    return this.strings.get(key) ?? null;
+  },
+  async set(key, value, ...args) {
+    if (args.includes('NX') && this.strings.has(key)) return null;
+    this.strings.set(key, value);
+    return 'OK';
+  },
+  async del(key) {
+    return this.strings.delete(key) ? 1 : 0;
+  },
+  eval:             async () => [],
+  zadd:             async () => 1,
+  zcount:           async () => 0,
+  zrange:           async () => [],
+  zrangebyscore:    async () => [],
+  zremrangebyscore: async () => 0,
+  expire:           async () => 1,
+};
+
+jest.mock('../src/services/redisService', () => ({
+  ...jest.requireActual('../src/services/redisService'),
+  getRedis: () => mockRedis,
+}));
+jest.mock('../src/services/aiService', () => ({ getAiScore: jest.fn().mockResolvedValue(0) }));
+
+const app = express();
+app.use(express.json());
+setupRoutes(app);
+app.use(errorHandler);
+
+const event = (overrides = {}) => ({
+  user_id:       'idem_user',
+  event_type:    'security_alert',
+  message:       'New login from Lisbon',
+  priority_hint: 'CRITICAL',
+  channel:       'push',
+  ...overrides,
+});
+
+const evaluate = (body, key) => {
+  const req = request(app).post('/v1/notifications/evaluate');
+  return (key ? req.set('Idempotency-Key', key) : req).send(body);
+};
+
+describe('Idempotent Evaluate', () => {
+
+  const sent = [];
+  let gate = null;   // holds delivery open while set
+
+  beforeAll(() => {
+    setStore(createMemoryStore());
+    registerAdapter('push', {
+      name: 'noop',
+      send: async message => {
+        if (gate) await gate;
+        sent.push(message);
+        return { status: 'SENT' };
+      },
+    });
+  });
+
+  test('A retry with the same Idempotency-Key replays the original decision', async () => {
+    const first = await evaluate(event(), 'retry-1');
+    expect(first.status).toBe(200);
+    expect(first.body.decision).toBe('NOW');
+    expect(first.headers['idempotent-replayed']).toBeUndefined();
+
+    const retry = await evaluate(event(), 'retry-1');
+    expect(retry.status).toBe(200);
+    expect(retry.headers['idempotent-replayed']).toBe('true');
+    expect(retry.body).toEqual(first.body);
+    expect(sent.filter(m => m.audit_id === first.body.audit_id)).toHaveLength(1);
+
+    // Without the key the same body is a plain duplicate
+    const plain = await evaluate(event());
+    expect(plain.body.audit_id).not.toBe(first.body.audit_id);
+  });
+
+  test('Same key with a different body → 422; key still in flight → 409; malformed key → 400', async () => {
+    await evaluate(event({ message: 'Password changed' }), 'retry-2').expect(200);
+    const reused = await evaluate(event({ message: 'Password changed again' }), 'retry-2');
+    expect(reused.status).toBe(422);
+
+    let open;
+    gate = new Promise(resolve => { open = resolve; });
+    const slow = evaluate(event({ message: 'Slow one' }), 'retry-3').then(res => res);   // sent now, held at delivery
+    await new Promise(resolve => setTimeout(resolve, 50));
+
+    const concurrent = await evaluate(event({ message: 'Slow one' }), 'retry-3');
+    expect(concurrent.status).toBe(409);
+    expect(concurrent.headers['retry-after']).toBe('1');
+
+    gate = null;
+    open();
+    expect((await slow).status).toBe(200);
+    expect((await evaluate(event({ message: 'Slow one' }), 'retry-3')).headers['idempotent-replayed']).toBe('true');
+
+    const bad = await evaluate(event(), 'has spaces');
+    expect(bad.status).toBe(400);
+    expect(bad.body.details[0].path).toBe('Idempotency-Key');
+  });
+
+  test('dedupe_key doubles as the key — a retried body replays, a new body is deduplicated', async () => {
+    const first = await evaluate(event({ message: 'Card used in Porto', dedupe_key: 'card-42' }));
+    const retry = await evaluate(event({ message: 'Card used in Porto', dedupe_key: 'card-42' }));
+    expect(retry.headers['idempotent-replayed']).toBe('true');
+    expect(retry.body.audit_id).toBe(first.body.audit_id);
+
+    const other = await evaluate(event({ message: 'Card used in Faro', dedupe_key: 'card-42', priority_hint: 'HIGH' }));
+    expect(other.headers['idempotent-replayed']).toBeUndefined();
+    expect(other.body.decision).toBe('NEVER');
+    expect(other.body.reason).toMatch(/Duplicate suppressed \(EXACT_KEY\)/);
+  });
+
+});
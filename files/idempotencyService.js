@@ -0,0 +1,121 @@
+/**
+ * idempotencyService.js — Idempotent Evaluate Requests
+ *
+ * A producer that retries POST /v1/notifications/evaluate after a timeout
+ * must get the original answer back, not a fresh NEVER from the dedup
+ * guard with a new audit_id. The first request claims its key in Redis;
+ * once it finishes, the response (decision, audit_id, delivery …) is stored
+ * under the key and replayed unchanged for IDEMPOTENCY_TTL_SECONDS.
+ *
+ * Keys (scoped per user; <user_id> with ':' and '%' percent-encoded):
+ *   Idempotency-Key header  → idem:<user_id>:key:<sha256(key)>
+ *   dedupe_key (fallback)   → idem:<user_id>:dedupe:<sha256(dedupe_key)>
+ *
+ * Each entry carries a fingerprint of the request body. Reusing a header
+ * key for a different body is a client error (MISMATCH → 422); a dedupe_key
+ * reused for a different body is simply evaluated — the dedup guard
+ * decides, as before.
+ *
+ * Redis unavailable → SKIPPED: the request is evaluated without replay
+ * protection rather than rejected.
+ */
+
+const crypto = require('crypto');
+const config = require('../../config/default');
+const { getRedis, scanKeys, escapeGlob, keySegment } = require('./redisService');
+const { stableStringify } = require('../utils/fingerprint');
+const logger = require('../utils/logger');
+
+/**
+ * Claim an idempotency key before evaluating.
+ *
+ * @param {Object} options
+ * @param {string} options.userId
+ * @param {string} [options.key]       - Idempotency-Key header
+ * @param {Object} options.body        - raw request body
+ * @returns {Promise<
+ *   { status: 'ACQUIRED', handle } |
+ *   { status: 'REPLAY', response } |
+ *   { status: 'IN_PROGRESS' | 'MISMATCH' | 'SKIPPED' }>}
+ */
+async function claimIdempotency({ userId, key, body }) {
+  const source = key ? 'key' : config.idempotency.useDedupeKey && body.dedupe_key ? 'dedupe' : null;
+  if (!source) return { status: 'SKIPPED' };
+
+  const redis = getRedis();
+  if (redis.isStub) {
+    logger.warn('[IDEMPOTENCY] Redis unavailable — evaluating without replay protection');
+    return { status: 'SKIPPED' };
+  }
+
+  const redisKey    = `idem:${keySegment(userId)}:${source}:${sha256(source === 'key' ? key : body.dedupe_key)}`;
+  const fingerprint = sha256(stableStringify(body));
+
+  try {
+    const pending = JSON.stringify({ state: 'PENDING', fingerprint, started_at: new Date().toISOString() });
+    if (await redis.set(redisKey, pending, 'PX', config.idempotency.lockTtlMs, 'NX')) {
+      return { status: 'ACQUIRED', handle: { redisKey, fingerprint } };
+    }
+
+    const entry = JSON.parse(await redis.get(redisKey) || 'null');
+    if (!entry) return { status: 'SKIPPED' };   // expired between SET NX and GET
+
+    if (entry.fingerprint !== fingerprint) {
+      return source === 'key' ? { status: 'MISMATCH' } : { status: 'SKIPPED' };
+    }
+    if (entry.state === 'PENDING') return { status: 'IN_PROGRESS' };
+
+    logger.info(`[IDEMPOTENCY] Replaying ${entry.response.audit_id} for user=${userId}`);
+    return { status: 'REPLAY', response: entry.response };
+
+  } catch (err) {
+    logger.warn(`[IDEMPOTENCY] ${err.message} — evaluating without replay protection`);
+    return { status: 'SKIPPED' };
+  }
+}
+
+/**
+ * Store the finished response under a claimed key.
+ * @param {Object} handle   - from claimIdempotency()
+ * @param {Object} response - exact response body to replay
+ */
+async function completeIdempotency(handle, response) {
+  const entry = { state: 'DONE', fingerprint: handle.fingerprint, response, completed_at: new Date().toISOString() };
+  try {
+    await getRedis().set(handle.redisKey, JSON.stringify(entry), 'EX', config.idempotency.ttlSeconds);
+  } catch (err) {
+    logger.warn(`[IDEMPOTENCY] Could not store response: ${err.message}`);
+  }
+}
+
+/**
+ * Give a claimed key back after a failed evaluation, so a retry runs again.
+ * @param {Object} handle
+ */
+async function releaseIdempotency(handle) {
+  try {
+    await getRedis().del(handle.redisKey);
+  } catch (err) {
+    logger.warn(`[IDEMPOTENCY] Could not release key: ${err.message}`);
+  }
+}
+
+/**
+ * Erase a user's stored responses and in-flight claims (GDPR erasure).
+ *
+ * @param {string} userId
+ * @returns {Promise<number>} keys deleted
+ */
+async function forgetUser(userId) {
+  const redis = getRedis();
+  const keys  = await scanKeys(redis, `idem:${escapeGlob(keySegment(userId))}:*`);
+  return keys.length > 0 ? redis.del(...keys) : 0;
+}
+
+// ── Internal Helpers ──────────────────────────────────────────────────────────
+
+function sha256(value) {
+  return crypto.createHash('sha256').update(String(value)).digest('hex');
+}
+
+module.exports = { claimIdempotency, completeIdempotency, releaseIdempotency, forgetUser };
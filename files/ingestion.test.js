@@ -0,0 +1,107 @@
+const { processMessage, pollOnce, setConsumer } = require('../src/services/ingestionService');
+const { createMemoryConsumer } = require('../src/ingestion/memoryConsumer');
+const { createRedisStreamConsumer } = require('../src/ingestion/redisStreamConsumer');
+const { registerAdapter } = require('../src/services/deliveryService');
+const { setStore, getStore } = require('../src/services/storageService');
+const { createMemoryStore } = require('../src/storage/memoryStore');
+const { closeRedis } = require('../src/services/redisService');
+
+jest.mock('../src/services/aiService', () => ({ getAiScore: jest.fn().mockResolvedValue(0) }));
+
+const event = (overrides = {}) => ({
+  user_id:       'bus_user',
+  event_type:    'security_alert',
+  message:       'New login from Berlin',
+  source:        'auth-service',
+  priority_hint: 'CRITICAL',
+  channel:       'push',
+  ...overrides,
+});
+
+describe('Ingestion Consumer', () => {
+
+  let consumer;
+
+  beforeAll(() => {
+    setStore(createMemoryStore());
+    registerAdapter('push', { name: 'noop', send: async () => ({ status: 'SENT' }) });
+  });
+
+  afterAll(closeRedis);
+
+  beforeEach(() => {
+    consumer = createMemoryConsumer({ claimIdleMs: 0 });
+    setConsumer(consumer);
+  });
+
+  test('Valid events are evaluated, audited and committed', async () => {
+    await consumer.publish(event());
+    await consumer.publish(event({ message: 'Second login', dedupe_key: 'login-2' }));
+
+    expect(await pollOnce()).toEqual({ received: 2, evaluated: 2, dead_lettered: 0, retried: 0 });
+    const records = await getStore().listDecisions({ userId: 'bus_user' });
+    expect(records.map(r => r.decision)).toEqual(['NOW', 'NOW']);
+
+    // Committed — nothing comes back even with claimIdleMs 0
+    expect(await consumer.poll()).toEqual([]);
+  });
+
+  test('Unparseable and invalid events go to the dead-letter stream', async () => {
+    await consumer.publish('{"user_id": "bus_user", ');
+    await consumer.publish({ event_type: 'reminder' });
+
+    expect(await pollOnce()).toMatchObject({ received: 2, dead_lettered: 2 });
+    const dead = await consumer.listDeadLetters();
+    expect(dead.map(d => d.reason)).toEqual([
+      'Invalid event: user_id is required',
+      expect.stringMatching(/^Unparseable JSON/),
+    ]);
+    expect(await consumer.poll()).toEqual([]);
+  });
+
+  test('Not committed until the audit record is written — redelivered, then dead-lettered', async () => {
+    const spy = jest.spyOn(getStore(), 'getDecision').mockResolvedValue(null);
+    try {
+      const id = await consumer.publish(event({ user_id: 'bus_retry' }));
+
+      let outcome;
+      for (let attempt = 1; attempt <= 5; attempt++) {
+        const [message] = await consumer.poll();
+        expect(message).toMatchObject({ id, deliveries: attempt });
+        outcome = await processMessage(message);
+      }
+
+      expect(outcome).toMatchObject({ status: 'DEAD_LETTERED', reason: expect.stringMatching(/^Evaluation failed 5 times: audit record aud_\w+ was not written$/) });
+      expect(await consumer.poll()).toEqual([]);
+    } finally {
+      spy.mockRestore();
+    }
+  });
+
+  test('Redis Streams consumer — group read, reclaim with delivery count, ack, dead letter', async () => {
+    const calls = [];
+    const entries = [['1-0', ['event', '{"user_id":"u"}']]];
+    const redis = {
+      xgroup:     jest.fn().mockRejectedValue(new Error('BUSYGROUP Consumer Group name already exists')),
+      xautoclaim: jest.fn()
+        .mockResolvedValueOnce(['0-0', []])
+        .mockResolvedValueOnce(['0-0', entries]),
+      xpending:   jest.fn().mockResolvedValue([['1-0', 'c1', 61000, 2]]),
+      xreadgroup: jest.fn().mockResolvedValue([['events', entries]]),
+      xack:       jest.fn(async (...args) => { calls.push(['xack', ...args]); return 1; }),
+      xadd:       jest.fn(async (...args) => { calls.push(['xadd', ...args]); return '9-0'; }),
+    };
+    const streams = createRedisStreamConsumer({ redis, stream: 'events', group: 'engine', consumer: 'c1' });
+
+    expect(await streams.poll({ max: 10, blockMs: 500 })).toEqual([{ id: '1-0', value: '{"user_id":"u"}', deliveries: 1 }]);
+    expect(redis.xreadgroup).toHaveBeenCalledWith('GROUP', 'engine', 'c1', 'COUNT', 10, 'BLOCK', 500, 'STREAMS', 'events', '>');
+
+    expect(await streams.poll({ max: 10 })).toEqual([{ id: '1-0', value: '{"user_id":"u"}', deliveries: 2 }]);
+
+    await streams.deadLetter({ id: '1-0', value: 'x' }, 'Invalid event');
+    expect(calls[0]).toEqual(['xadd', 'events:dead', 'MAXLEN', '~', 1000000, '*',
+      'event', 'x', 'reason', 'Invalid event', 'source_id', '1-0', 'failed_at', expect.any(String)]);
+    expect(calls[1]).toEqual(['xack', 'events', 'engine', '1-0']);
+  });
+
+});
@@ -0,0 +1,190 @@
+/**
+ * ingestionService.js — Message-Bus Ingestion
+ *
+ * Alternative to POST /v1/notifications/evaluate for producers that publish
+ * to a bus. A consumer loop polls the configured backend and feeds every
+ * message through the shared event contract (validateEvent() and
+ * normalizeEvent(), src/models/event.js) and evaluate():
+ *
+ *   unparseable / invalid  → dead-letter stream, committed
+ *   evaluated + audited    → committed
+ *   evaluation failed      → left uncommitted; redelivered after claimIdleMs,
+ *                            dead-lettered after maxDeliveries attempts
+ *
+ * Offsets are committed only once the decision's audit record is readable,
+ * so delivery is at-least-once; a redelivered event that was already
+ * evaluated is caught by the dedup stage.
+ *
+ * Consumer interface (src/ingestion/*):
+ *   publish(value)              → message id (producers, local stand-in)
+ *   poll({ max, blockMs })      → [{ id, value, deliveries }] — new and reclaimed messages
+ *   commit(id)
+ *   deadLetter(message, reason) → copies to the dead-letter stream and commits
+ *   listDeadLetters(limit)      → newest first
+ *   close()
+ *
+ * Backends (config.ingestion.backend, env INGESTION_BACKEND):
+ *   redis  — Redis Streams consumer group (default)
+ *   memory — in-process stand-in for local runs and tests
+ */
+
+const config = require('../../config/default');
+const { evaluate } = require('../engine/classifier');
+const { normalizeEvent, validateEvent } = require('../models/event');
+const { getStore } = require('./storageService');
+const { createMemoryConsumer } = require('../ingestion/memoryConsumer');
+const { createRedisStreamConsumer } = require('../ingestion/redisStreamConsumer');
+const logger = require('../utils/logger');
+
+const ERROR_BACKOFF_MS = 5000;
+
+let consumer = null;
+let running  = false;
+let loop     = null;
+
+// ── Consumer ──────────────────────────────────────────────────────────────────
+
+/**
+ * Use a specific consumer (tests, custom buses).
+ * @param {Object} c - implements the consumer interface
+ */
+function setConsumer(c) {
+  for (const fn of ['poll', 'commit', 'deadLetter']) {
+    if (!c || typeof c[fn] !== 'function') throw new Error(`Consumer must implement ${fn}()`);
+  }
+  consumer = c;
+  logger.info(`[INGESTION] Consumer: ${c.name || 'custom'}`);
+}
+
+/**
+ * Get the active consumer — builds the configured one on first use.
+ * @returns {Object}
+ */
+function getConsumer() {
+  if (!consumer) consumer = createConfiguredConsumer();
+  return consumer;
+}
+
+function createConfiguredConsumer() {
+  const { backend, stream, group, claimIdleMs } = config.ingestion;
+  if (backend === 'memory') return createMemoryConsumer({ claimIdleMs });
+
+  const Redis = require('ioredis');
+  const redis = new Redis({ ...config.redis, maxRetriesPerRequest: null });
+  redis.on('error', err => logger.warn(`[INGESTION] Redis error: ${err.message}`));
+  return createRedisStreamConsumer({ redis, stream, group, claimIdleMs });
+}
+
+// ── Processing ────────────────────────────────────────────────────────────────
+
+/**
+ * Handle one bus message. Never throws.
+ *
+ * @param {{ id, value, deliveries }} message
+ * @returns {Promise<{ id, status: 'EVALUATED'|'DEAD_LETTERED'|'RETRY', audit_id?, decision?, reason? }>}
+ */
+async function processMessage(message) {
+  const c = getConsumer();
+
+  let raw;
+  try {
+    raw = JSON.parse(message.value);
+  } catch (err) {
+    return deadLetter(c, message, `Unparseable JSON: ${err.message}`);
+  }
+  const { errors, warnings } = validateEvent(raw);
+  if (errors.length > 0) return deadLetter(c, message, `Invalid event: ${errors.map(e => e.msg).join('; ')}`);
+  for (const w of warnings) logger.warn(`[INGESTION] ${message.id}: ${w.msg}`);
+
+  try {
+    const result = await evaluate(normalizeEvent(raw));
+
+    // The audit write is non-fatal inside the pipeline — confirm it before committing
+    if (!await getStore().getDecision(result.audit_id)) {
+      throw new Error(`audit record ${result.audit_id} was not written`);
+    }
+    await c.commit(message.id);
+    return { id: message.id, status: 'EVALUATED', audit_id: result.audit_id, decision: result.decision };
+
+  } catch (err) {
+    const attempts = message.deliveries || 1;
+    if (attempts >= config.ingestion.maxDeliveries) {
+      return deadLetter(c, message, `Evaluation failed ${attempts} times: ${err.message}`);
+    }
+    logger.warn(`[INGESTION] ${message.id} not committed (attempt ${attempts}): ${err.message}`);
+    return { id: message.id, status: 'RETRY', reason: err.message };
+  }
+}
+
+/**
+ * Poll one batch and process it. Messages run in order, one at a time,
+ * so a user's events are evaluated in publish order.
+ *
+ * @param {Object} [options] - { blockMs }
+ * @returns {Promise<{ received, evaluated, dead_lettered, retried }>}
+ */
+async function pollOnce({ blockMs = 0 } = {}) {
+  const summary  = { received: 0, evaluated: 0, dead_lettered: 0, retried: 0 };
+  const messages = await getConsumer().poll({ max: config.ingestion.batchSize, blockMs });
+  summary.received = messages.length;
+
+  for (const message of messages) {
+    const { status } = await processMessage(message);
+    if (status === 'EVALUATED')          summary.evaluated++;
+    else if (status === 'DEAD_LETTERED') summary.dead_lettered++;
+    else                                 summary.retried++;
+  }
+
+  if (messages.length > 0) {
+    logger.info(`[INGESTION] ${summary.evaluated} evaluated, ${summary.dead_lettered} dead-lettered, ${summary.retried} to retry`);
+  }
+  return summary;
+}
+
+/**
+ * Start the consumer loop (no-op unless INGESTION_ENABLED=true).
+ * Called once on server startup.
+ */
+function startIngestion() {
+  if (!config.ingestion.enabled || running) return;
+  running = true;
+  logger.info(`[INGESTION] Consuming ${config.ingestion.stream} (${config.ingestion.backend}, group ${config.ingestion.group})`);
+
+  loop = (async () => {
+    while (running) {
+      try {
+        await pollOnce({ blockMs: config.ingestion.blockMs });
+      } catch (err) {
+        logger.error(`[INGESTION] Poll failed: ${err.message} — retrying in ${ERROR_BACKOFF_MS / 1000}s`);
+        await new Promise(resolve => setTimeout(resolve, ERROR_BACKOFF_MS));
+      }
+    }
+  })();
+}
+
+/**
+ * Stop the loop after the current batch, then close the consumer.
+ */
+async function stopIngestion() {
+  running = false;
+  await loop;
+  loop = null;
+  if (consumer && consumer.close) await consumer.close();
+}
+
+// ── Internal Helpers ──────────────────────────────────────────────────────────
+
+async function deadLetter(c, message, reason) {
+  try {
+    await c.deadLetter(message, reason);
+    logger.warn(`[INGESTION] Dead-lettered ${message.id}: ${reason}`);
+    return { id: message.id, status: 'DEAD_LETTERED', reason };
+  } catch (err) {
+    logger.error(`[INGESTION] Dead-letter failed for ${message.id}: ${err.message}`);
+    return { id: message.id, status: 'RETRY', reason: err.message };
+  }
+}
+
+module.exports = {
+  processMessage, pollOnce, startIngestion, stopIngestion, setConsumer, getConsumer,
+};
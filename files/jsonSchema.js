@@ -0,0 +1,105 @@
+/**
+ * jsonSchema.js — Minimal JSON Schema Validator
+ *
+ * Checks a value against the subset of JSON Schema (draft 2020-12) the
+ * event contract uses, so the published schema and the server-side check
+ * are the same document:
+ *
+ *   type (incl. arrays of types), enum, required, properties,
+ *   additionalProperties: false, minLength / maxLength (code points),
+ *   minItems / maxItems, uniqueItems, items, format: date-time
+ *
+ * plus one extension keyword:
+ *
+ *   x-maxBytes — UTF-8 size of the JSON-serialized value
+ *
+ * Annotations ($schema, $id, title, description, examples) are ignored.
+ */
+
+// RFC 3339 date-time — date, time with seconds and an offset; date-only values fail
+const ISO_DATE_TIME = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}:\d{2})$/;
+
+/**
+ * @param {Object} schema
+ * @param {*} value
+ * @returns {Array<{ path: string, keyword: string, msg: string, value: * }>} empty if valid
+ */
+function validateSchema(schema, value) {
+  const errors = [];
+  check(schema, value, '', errors);
+  return errors;
+}
+
+// ── Internal Helpers ──────────────────────────────────────────────────────────
+
+function check(schema, value, path, errors) {
+  const fail = (keyword, msg) => errors.push({ path, keyword, msg: `${path || 'body'} ${msg}`, value });
+
+  if (schema.type) {
+    const types = [].concat(schema.type);
+    if (!types.some(t => isType(value, t))) return fail('type', `must be ${types.join(' or ')}`);
+  }
+  if (value === null) return;
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    return fail('enum', `must be one of ${schema.enum.join(', ')}`);
+  }
+
+  if (typeof value === 'string') {
+    const length = [...value].length;
+    if (schema.minLength !== undefined && length < schema.minLength) {
+      fail('minLength', schema.minLength === 1 ? 'must not be empty' : `must be at least ${schema.minLength} characters`);
+    }
+    if (schema.maxLength !== undefined && length > schema.maxLength) {
+      fail('maxLength', `must be at most ${schema.maxLength} characters (got ${length})`);
+    }
+    if (schema.format === 'date-time' && !(ISO_DATE_TIME.test(value) && !isNaN(Date.parse(value)))) {
+      fail('format', 'must be an RFC 3339 date-time, e.g. 2025-02-25T18:00:00Z');
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) fail('minItems', `must have at least ${schema.minItems} items`);
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) fail('maxItems', `must have at most ${schema.maxItems} items`);
+    if (schema.uniqueItems && new Set(value.map(v => JSON.stringify(v))).size !== value.length) {
+      fail('uniqueItems', 'must not contain duplicates');
+    }
+    if (schema.items) value.forEach((item, i) => check(schema.items, item, `${path}[${i}]`, errors));
+  }
+
+  if (isType(value, 'object')) {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) {
+        errors.push({ path: join(path, key), keyword: 'required', msg: `${join(path, key)} is required`, value: undefined });
+      }
+    }
+    for (const [key, v] of Object.entries(value)) {
+      const sub = schema.properties && schema.properties[key];
+      if (sub) check(sub, v, join(path, key), errors);
+      else if (schema.additionalProperties === false) {
+        errors.push({ path: join(path, key), keyword: 'additionalProperties', msg: `${join(path, key)} is not a known field`, value: v });
+      }
+    }
+  }
+
+  if (schema['x-maxBytes'] !== undefined) {
+    const bytes = Buffer.byteLength(JSON.stringify(value));
+    if (bytes > schema['x-maxBytes']) fail('x-maxBytes', `must serialize to at most ${schema['x-maxBytes']} bytes (got ${bytes})`);
+  }
+}
+
+function isType(value, type) {
+  switch (type) {
+    case 'null':    return value === null;
+    case 'object':  return value !== null && typeof value === 'object' && !Array.isArray(value);
+    case 'array':   return Array.isArray(value);
+    case 'integer': return Number.isInteger(value);
+    default:        return typeof value === type;   // string, number, boolean
+  }
+}
+
+function join(path, key) {
+  return path ? `${path}.${key}` : key;
+}
+
+module.exports = { validateSchema };
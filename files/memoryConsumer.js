@@ -0,0 +1,87 @@
+/**
+ * memoryConsumer.js — In-Process Ingestion Consumer
+ *
+ * Local stand-in for the message bus (INGESTION_BACKEND=memory): producers
+ * in the same process publish() and the ingestion loop polls. Same
+ * semantics as the Redis Streams consumer — a polled message stays pending
+ * until committed or dead-lettered, and is handed out again once it has
+ * been pending for claimIdleMs. Nothing survives a restart.
+ *
+ * Implements the consumer interface — see ingestionService.js.
+ */
+
+/**
+ * @param {Object} [options]
+ * @param {number} [options.claimIdleMs] - redeliver uncommitted messages after this long
+ * @returns {Object} consumer
+ */
+function createMemoryConsumer({ claimIdleMs = 60000 } = {}) {
+  const log     = [];        // { id, value }, publish order
+  const pending = new Map(); // id → { message, deliveredAt, deliveries }
+  const dead    = [];        // dead-letter stream
+  let cursor = 0;
+  let seq    = 0;
+  let wake   = null;
+
+  const take = max => {
+    const now = Date.now();
+    const out = [];
+
+    // Stale pending first, like XAUTOCLAIM
+    for (const p of pending.values()) {
+      if (out.length >= max) break;
+      if (now - p.deliveredAt < claimIdleMs) continue;
+      p.deliveredAt = now;
+      p.deliveries += 1;
+      out.push({ ...p.message, deliveries: p.deliveries });
+    }
+    while (out.length < max && cursor < log.length) {
+      const message = log[cursor++];
+      pending.set(message.id, { message, deliveredAt: now, deliveries: 1 });
+      out.push({ ...message, deliveries: 1 });
+    }
+    return out;
+  };
+
+  return {
+    name: 'memory',
+
+    async publish(value) {
+      const id = `${Date.now()}-${seq++}`;
+      log.push({ id, value: typeof value === 'string' ? value : JSON.stringify(value) });
+      if (wake) wake();
+      return id;
+    },
+
+    async poll({ max = 50, blockMs = 0 } = {}) {
+      const batch = take(max);
+      if (batch.length > 0 || blockMs <= 0) return batch;
+
+      await new Promise(resolve => {
+        const timer = setTimeout(resolve, blockMs);
+        wake = () => { clearTimeout(timer); resolve(); };
+      });
+      wake = null;
+      return take(max);
+    },
+
+    async commit(id) {
+      pending.delete(id);
+    },
+
+    async deadLetter(message, reason) {
+      dead.push({ id: message.id, value: message.value, reason, failed_at: new Date().toISOString() });
+      pending.delete(message.id);
+    },
+
+    async listDeadLetters(limit = 100) {
+      return dead.slice(-limit).reverse();
+    },
+
+    async close() {
+      if (wake) wake();
+    },
+  };
+}
+
+module.exports = { createMemoryConsumer };
@@ -0,0 +1,432 @@
+/**
+ * memoryStore.js — In-Process Storage Adapter
+ *
+ * Default backend (STORAGE_BACKEND=memory). Audit records, overrides,
+ * audit chain heads, delivery receipts, webhook subscriptions and their
+ * delivery log, analytics rollups, per-user history and preferences live in
+ * process Maps and are lost on restart; rules are persisted to
+ * config/rules.json as before, their version history to
+ * config/rules.history.json, and fatigue policies to
+ * config/fatigue-policies.json.
+ * These files are replaced atomically (temp file + rename) so a crashed or
+ * concurrent write never leaves them half-written.
+ *
+ * Implements the same interface as postgresStore.js — see storageService.js.
+ */
+
+const fs     = require('fs');
+const path   = require('path');
+const crypto = require('crypto');
+
+const RULES_FILE    = path.join(__dirname, '../../config/rules.json');
+const POLICIES_FILE = path.join(__dirname, '../../config/fatigue-policies.json');
+const HISTORY_LIMIT = 100;
+const ROLLUP_KEY    = ['bucket', 'event_type', 'source', 'channel', 'decision', 'score_bin'];
+
+/**
+ * @param {Object} [options]
+ * @param {string} [options.rulesFile]    - override config/rules.json (tests)
+ * @param {string} [options.policiesFile] - override config/fatigue-policies.json (tests)
+ * @returns {Object} storage adapter
+ */
+function createMemoryStore({ rulesFile = RULES_FILE, policiesFile = POLICIES_FILE } = {}) {
+  const historyFile = rulesFile.replace(/\.json$/, '') + '.history.json';
+
+  const auditStore    = new Map(); // audit_id → record
+  const historyStore  = new Map(); // user_id  → recent decisions[]
+  const overrideStore = new Map(); // audit_id → overrides[]
+  const deliveryStore = [];        // delivery receipts, oldest first
+  const webhookStore  = new Map(); // webhook_id → subscription
+  const attemptStore  = [];        // webhook delivery log, oldest first
+  const tombstones    = [];        // erasure tombstones, oldest first
+  const chainHeads    = new Map(); // chain partition → { partition, seq, hash }
+  const prunedStore   = [];        // pruned chain markers
+  const rollupStore   = new Map(); // rollup key (JSON) → hourly analytics row
+  const prefStore     = new Map(); // user_id → preference profile
+
+  /** Move a partition's head to a new entry — only if it extends the current head. */
+  const advanceHead = ({ partition, seq, hash }, signature = null) => {
+    const head = chainHeads.get(partition);
+    if ((head ? head.seq : 0) !== seq - 1) throw chainConflict(partition);
+    chainHeads.set(partition, { partition, seq, hash, signature });
+  };
+
+  /** Append a rule history entry — VERSION_CONFLICT if (rule_id, version) is taken. */
+  const appendVersion = record => {
+    const versions = readJson(historyFile);
+    if (versions.some(v => v.rule_id === record.rule_id && v.version === record.version)) {
+      const err = new Error(`Rule ${record.rule_id} version ${record.version} already exists`);
+      err.code  = 'VERSION_CONFLICT';
+      throw err;
+    }
+    writeJsonAtomic(historyFile, [...versions, record]);
+  };
+
+  /** Leave a pruned marker for a chained entry about to be deleted. */
+  const prune = (kind, entry, reason) => {
+    if (!entry.chain) return;
+    const { partition, seq, prev_hash, hash, signature = null } = entry.chain;
+    prunedStore.push({ partition, seq, kind, prev_hash, hash, signature, reason, pruned_at: new Date().toISOString() });
+  };
+
+  /** Remove decisions with their overrides, receipts and history entries. */
+  const dropDecisions = (auditIds, reason) => {
+    let overrides = 0;
+    for (const id of auditIds) {
+      const record = auditStore.get(id);
+      prune('decision', record, reason);
+      (overrideStore.get(id) || []).forEach(o => prune('override', o, reason));
+      overrides += (overrideStore.get(id) || []).length;
+      overrideStore.delete(id);
+      auditStore.delete(id);
+      const history = historyStore.get(record.user_id) || [];
+      historyStore.set(record.user_id, history.filter(h => !auditIds.has(h.audit_id)));
+    }
+    return { overrides, deliveries: removeWhere(deliveryStore, d => auditIds.has(d.audit_id)) };
+  };
+
+  return {
+    name: 'memory',
+
+    async migrate() { return []; },
+
+    // ── Decisions ──────────────────────────────────────────────────────────
+    async insertDecision(record, { headSignature } = {}) {
+      if (record.chain) advanceHead(record.chain, headSignature);
+      auditStore.set(record.audit_id, record);
+
+      // Per-user history (keep last 100)
+      const history = historyStore.get(record.user_id) || [];
+      history.unshift({
+        audit_id:   record.audit_id,
+        decision:   record.decision,
+        event_type: record.event_type,
+        score:      record.score,
+        created_at: record.created_at,
+      });
+      historyStore.set(record.user_id, history.slice(0, HISTORY_LIMIT));
+    },
+
+    async getDecision(auditId) {
+      return auditStore.get(auditId) || null;
+    },
+
+    async listDecisions({ since, userId, eventType, limit = HISTORY_LIMIT } = {}) {
+      const cutoff = since ? new Date(since).getTime() : 0;
+      return [...auditStore.values()]
+        .filter(r => new Date(r.created_at).getTime() > cutoff)
+        .filter(r => !userId    || r.user_id === userId)
+        .filter(r => !eventType || r.event_type === eventType)
+        .sort((a, b) => new Date(b.created_at) - new Date(a.created_at))
+        .slice(0, limit);
+    },
+
+    async searchDecisions(filters = {}) {
+      const { after, limit = HISTORY_LIMIT } = filters;
+      return [...auditStore.values()]
+        .filter(r => matchesSearch(r, filters))
+        .sort(newestFirst)
+        .filter(r => !after || newestFirst(r, after) > 0)
+        .slice(0, limit);
+    },
+
+    async purgeDecisions({ decision, before, limit = 1000 }) {
+      const cutoff = new Date(before).getTime();
+      const ids = [...auditStore.values()]
+        .filter(r => r.decision === decision && new Date(r.created_at).getTime() < cutoff)
+        .slice(0, limit)
+        .map(r => r.audit_id);
+      dropDecisions(new Set(ids), 'retention');
+      return ids.length;
+    },
+
+    async eraseUser(userId) {
+      const ids = new Set([...auditStore.values()].filter(r => r.user_id === userId).map(r => r.audit_id));
+      const { overrides, deliveries } = dropDecisions(ids, 'erasure');
+      historyStore.delete(userId);
+      return {
+        decisions:  ids.size,
+        overrides,
+        deliveries: deliveries + removeWhere(deliveryStore, d => d.user_id === userId),
+      };
+    },
+
+    // ── Erasure Tombstones ─────────────────────────────────────────────────
+    async insertTombstone(record) {
+      tombstones.push(record);
+    },
+
+    async listTombstones(subjectHash) {
+      return tombstones.filter(t => t.subject_hash === subjectHash);
+    },
+
+    async recentDecisions(userId, sinceIso) {
+      const cutoff = new Date(sinceIso).getTime();
+      return (historyStore.get(userId) || []).filter(h => new Date(h.created_at).getTime() > cutoff);
+    },
+
+    // ── Preferences ────────────────────────────────────────────────────────
+    async getPreferences(userId) {
+      return prefStore.get(userId) || null;
+    },
+
+    async upsertPreferences(profile) {
+      prefStore.set(profile.user_id, profile);
+      return profile;
+    },
+
+    async deletePreferences(userId) {
+      return prefStore.delete(userId);
+    },
+
+    // ── Overrides ──────────────────────────────────────────────────────────
+    async insertOverride(record, { headSignature } = {}) {
+      if (record.chain) advanceHead(record.chain, headSignature);
+      const list = overrideStore.get(record.audit_id) || [];
+      overrideStore.set(record.audit_id, [...list, record]);
+    },
+
+    async getOverrides(auditId) {
+      return overrideStore.get(auditId) || [];
+    },
+
+    // ── Audit Chain ────────────────────────────────────────────────────────
+    async getChainHead(partition) {
+      return chainHeads.get(partition) || null;
+    },
+
+    async listChainHeads() {
+      return [...chainHeads.values()];
+    },
+
+    async listChainEntries(partition, { afterSeq = 0, limit = HISTORY_LIMIT } = {}) {
+      const entry = kind => record => ({
+        kind,
+        seq:       record.chain.seq,
+        prev_hash: record.chain.prev_hash,
+        hash:      record.chain.hash,
+        signature: record.chain.signature ?? null,
+        record,
+      });
+      const inPartition = r => r.chain && r.chain.partition === partition;
+      return [
+        ...[...auditStore.values()].filter(inPartition).map(entry('decision')),
+        ...[...overrideStore.values()].flat().filter(inPartition).map(entry('override')),
+        ...prunedStore.filter(m => m.partition === partition)
+          .map(({ seq, kind, prev_hash, hash, signature, reason }) => ({ kind, seq, prev_hash, hash, signature, record: null, reason })),
+      ]
+        .filter(e => e.seq > afterSeq)
+        .sort((a, b) => a.seq - b.seq)
+        .slice(0, limit);
+    },
+
+    // ── Analytics Rollups ──────────────────────────────────────────────────
+    async incrementRollup(key, counts) {
+      const id  = JSON.stringify(ROLLUP_KEY.map(k => key[k]));
+      const row = rollupStore.get(id) || { ...key, ...Object.fromEntries(Object.keys(counts).map(c => [c, 0])) };
+      for (const [c, n] of Object.entries(counts)) row[c] += n;
+      rollupStore.set(id, row);
+    },
+
+    async listRollups({ from, to, eventType, source, channel }) {
+      const start = new Date(from).getTime();
+      const end   = new Date(to).getTime();
+      return [...rollupStore.values()]
+        .filter(r => new Date(r.bucket).getTime() >= start && new Date(r.bucket).getTime() < end)
+        .filter(r => (!eventType || r.event_type === eventType)
+          && (!source  || r.source === source)
+          && (!channel || r.channel === channel))
+        .map(r => ({ ...r }));
+    },
+
+    // ── Deliveries ─────────────────────────────────────────────────────────
+    async insertDelivery(record) {
+      deliveryStore.push(record);
+    },
+
+    async getDeliveries(auditId) {
+      return deliveryStore.filter(d => d.audit_id === auditId || d.original_audit_id === auditId);
+    },
+
+    // ── Webhooks ───────────────────────────────────────────────────────────
+    async listWebhooks() {
+      return [...webhookStore.values()];
+    },
+
+    async getWebhook(webhookId) {
+      return webhookStore.get(webhookId) || null;
+    },
+
+    async upsertWebhook(webhook) {
+      webhookStore.set(webhook.webhook_id, webhook);
+      return webhook;
+    },
+
+    async deleteWebhook(webhookId) {
+      return webhookStore.delete(webhookId);
+    },
+
+    async insertWebhookAttempt(record) {
+      attemptStore.push(record);
+    },
+
+    async listWebhookAttempts(webhookId, limit = HISTORY_LIMIT) {
+      return attemptStore.filter(a => a.webhook_id === webhookId).reverse().slice(0, limit);
+    },
+
+    // ── Rules ──────────────────────────────────────────────────────────────
+    async listRules() {
+      return readJson(rulesFile);
+    },
+
+    async getRule(ruleId) {
+      return readJson(rulesFile).find(r => r.rule_id === ruleId) || null;
+    },
+
+    async upsertRule(rule) {
+      const existing = readJson(rulesFile);
+
+      const idx = existing.findIndex(r => r.rule_id === rule.rule_id);
+      if (idx >= 0) existing[idx] = { ...existing[idx], ...rule };
+      else          existing.push(rule);
+
+      writeJsonAtomic(rulesFile, existing);
+      return idx >= 0 ? existing[idx] : rule;
+    },
+
+    async deleteRule(ruleId) {
+      const existing = readJson(rulesFile);
+      const remaining = existing.filter(r => r.rule_id !== ruleId);
+      if (remaining.length === existing.length) return false;
+
+      writeJsonAtomic(rulesFile, remaining);
+      return true;
+    },
+
+    // ── Rule Versions ──────────────────────────────────────────────────────
+    async insertRuleVersion(record) {
+      appendVersion(record);
+    },
+
+    async commitRuleVersion(record, rule) {
+      // Read both files before writing either, and no await in between — nothing interleaves
+      const existing = readJson(rulesFile);
+      const idx      = existing.findIndex(r => r.rule_id === record.rule_id);
+      appendVersion(record);
+      if (!rule) {
+        if (idx >= 0) writeJsonAtomic(rulesFile, existing.filter(r => r.rule_id !== record.rule_id));
+        return null;
+      }
+      if (idx >= 0) existing[idx] = { ...existing[idx], ...rule };
+      else          existing.push(rule);
+      writeJsonAtomic(rulesFile, existing);
+      return idx >= 0 ? existing[idx] : rule;
+    },
+
+    async listRuleVersions(ruleId) {
+      return readJson(historyFile)
+        .filter(v => v.rule_id === ruleId)
+        .sort((a, b) => a.version - b.version);
+    },
+
+    // ── Fatigue Policies ───────────────────────────────────────────────────
+    async listFatiguePolicies() {
+      return readJson(policiesFile);
+    },
+
+    async upsertFatiguePolicy(policy) {
+      const existing = readJson(policiesFile);
+      const idx = existing.findIndex(p => p.policy_id === policy.policy_id);
+      if (idx >= 0) existing[idx] = policy;
+      else          existing.push(policy);
+
+      writeJsonAtomic(policiesFile, existing);
+      return policy;
+    },
+
+    async deleteFatiguePolicy(policyId) {
+      const existing  = readJson(policiesFile);
+      const remaining = existing.filter(p => p.policy_id !== policyId);
+      if (remaining.length === existing.length) return false;
+
+      writeJsonAtomic(policiesFile, remaining);
+      return true;
+    },
+
+    async close() {},
+  };
+}
+
+// ── Internal Helpers ──────────────────────────────────────────────────────────
+
+function matchesSearch(r, { userId, decision, eventType, source, ruleId, from, to, minScore, maxScore }) {
+  const ts = new Date(r.created_at).getTime();
+  return (!userId    || r.user_id === userId)
+    && (!decision    || r.decision === decision)
+    && (!eventType   || r.event_type === eventType)
+    && (!source      || (r.event && r.event.source) === source)
+    && (!ruleId      || (r.rules_matched || []).includes(ruleId))
+    && (!from        || ts >= new Date(from).getTime())
+    && (!to          || ts < new Date(to).getTime())
+    && (minScore == null || r.score >= minScore)
+    && (maxScore == null || r.score <= maxScore);
+}
+
+function chainConflict(partition) {
+  const err = new Error(`Audit chain ${partition} has moved on`);
+  err.code  = 'CHAIN_CONFLICT';
+  return err;
+}
+
+/** Remove matching items from an array in place; returns how many went. */
+function removeWhere(list, predicate) {
+  const before = list.length;
+  const kept   = list.filter(item => !predicate(item));
+  list.splice(0, list.length, ...kept);
+  return before - kept.length;
+}
+
+/** Search order: created_at DESC, audit_id DESC (the keyset cursor order). */
+function newestFirst(a, b) {
+  const diff = new Date(b.created_at) - new Date(a.created_at);
+  if (diff !== 0) return diff;
+  return a.audit_id < b.audit_id ? 1 : a.audit_id > b.audit_id ? -1 : 0;
+}
+
+/**
+ * A JSON array file, or [] if it does not exist yet. Any other read or parse
+ * error is thrown — writers read-modify-write these files, so treating a
+ * corrupt file as empty would overwrite every other entry.
+ */
+function readJson(file) {
+  let raw;
+  try {
+    raw = fs.readFileSync(file, 'utf8');
+  } catch (err) {
+    if (err.code === 'ENOENT') return [];
+    throw err;
+  }
+  try {
+    return JSON.parse(raw);
+  } catch (err) {
+    throw new Error(`${path.basename(file)} is not valid JSON: ${err.message}`);
+  }
+}
+
+/**
+ * Write to a unique temp file in the same directory, then rename over the
+ * target — rename is atomic on POSIX, so readers see the old or new file,
+ * never a partial one.
+ */
+function writeJsonAtomic(file, data) {
+  const tmp = `${file}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+  try {
+    fs.writeFileSync(tmp, JSON.stringify(data, null, 2));
+    fs.renameSync(tmp, file);
+  } catch (err) {
+    fs.rmSync(tmp, { force: true });
+    throw err;
+  }
+}
+
+module.exports = { createMemoryStore };
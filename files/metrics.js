@@ -0,0 +1,98 @@
+/**
+ * metrics.js — Metrics Registry (prom-client)
+ *
+ * Counters, histograms and gauges are registered once at module load by the
+ * code they measure and rendered by GET /metrics in the Prometheus text
+ * format. They are prom-client metrics on a registry of our own; gauges read
+ * their value at scrape time through a collect() callback, so queue depths
+ * are never stale.
+ *
+ *   const decisions = counter('notification_decisions_total', 'Decisions made', ['decision']);
+ *   decisions.inc({ decision: 'NOW' });
+ *
+ * Label values must come from small, fixed sets — every distinct value is a
+ * new time series. Map anything caller-supplied onto known values first.
+ *
+ * Per process — with several instances, Prometheus scrapes each one and
+ * aggregates with sum().
+ */
+
+const { Registry, Counter, Histogram, Gauge } = require('prom-client');
+const logger = require('./logger');
+
+const DEFAULT_BUCKETS = [0.001, 0.0025, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5];
+
+const registry = new Registry();
+
+// ── Metric Types ──────────────────────────────────────────────────────────────
+
+/**
+ * @param {string}   name
+ * @param {string}   help
+ * @param {string[]} [labelNames]
+ * @returns {Counter} inc(labels?, value?)
+ */
+function counter(name, help, labelNames = []) {
+  return new Counter({ name, help, labelNames, registers: [registry] });
+}
+
+/**
+ * @param {string}   name
+ * @param {string}   help
+ * @param {string[]} [labelNames]
+ * @param {number[]} [buckets] - upper bounds in seconds, ascending
+ * @returns {Histogram} observe(labels, value), startTimer(labels?) → end(labels?)
+ */
+function histogram(name, help, labelNames = [], buckets = DEFAULT_BUCKETS) {
+  return new Histogram({ name, help, labelNames, buckets, registers: [registry] });
+}
+
+/**
+ * Gauge read at scrape time.
+ *
+ * @param {string}   name
+ * @param {string}   help
+ * @param {string[]} labelNames
+ * @param {Function} collect - async () → number | [{ labels, value }]
+ * @returns {Gauge}
+ */
+function gauge(name, help, labelNames, collect) {
+  return new Gauge({
+    name, help, labelNames, registers: [registry],
+    async collect() {
+      const value = await collect();
+      this.reset();
+      for (const s of Array.isArray(value) ? value : [{ labels: {}, value }]) this.set(s.labels, s.value);
+    },
+  });
+}
+
+// ── Exposition ────────────────────────────────────────────────────────────────
+
+/** Content-Type of renderMetrics() output. */
+const contentType = registry.contentType;
+
+/**
+ * Render every registered metric in the Prometheus text format.
+ * A gauge whose collect() fails is left out of this scrape.
+ *
+ * @returns {Promise<string>}
+ */
+async function renderMetrics() {
+  const blocks = [];
+  for (const metric of registry.getMetricsAsArray()) {
+    try {
+      blocks.push(await registry.getSingleMetricAsString(metric.name));
+    } catch (err) {
+      logger.warn(`[METRICS] ${metric.name} collect failed: ${err.message}`);
+    }
+  }
+  return blocks.join('\n') + '\n';
+}
+
+/** Zero every metric (tests). */
+function resetMetrics() {
+  registry.resetMetrics();
+}
+
+module.exports = { counter, histogram, gauge, renderMetrics, resetMetrics, contentType };
@@ -0,0 +1,16 @@
+/**
+ * migrate.js — Apply pending PostgreSQL migrations
+ *
+ * Usage: STORAGE_BACKEND=postgres DATABASE_URL=postgres://… npm run migrate
+ */
+
+require('dotenv').config();
+const { initStorage, getStore } = require('../src/services/storageService');
+const logger = require('../src/utils/logger');
+
+initStorage()
+  .then(() => getStore().close())
+  .catch(err => {
+    logger.error(`[MIGRATE] ${err.message}`);
+    process.exit(1);
+  });
@@ -0,0 +1,281 @@
+/**
+ * migrations.js — PostgreSQL Schema Migrations
+ *
+ * Ordered, append-only list. Applied migrations are recorded in
+ * schema_migrations; postgresStore.migrate() runs whatever is missing,
+ * each in its own transaction.
+ *
+ * Never edit a migration that has shipped — add a new one.
+ * Table definitions mirror the DDL documented in src/models/*.js.
+ */
+
+module.exports = [
+  {
+    id:   1,
+    name: 'create_decisions_rules',
+    up: `
+      CREATE TABLE decisions (
+        audit_id          VARCHAR(32)  PRIMARY KEY,
+        event_id          VARCHAR(256),
+        user_id           VARCHAR(64)  NOT NULL,
+        event_type        VARCHAR(64),
+        decision          VARCHAR(8)   NOT NULL CHECK (decision IN ('NOW','LATER','NEVER')),
+        score             SMALLINT,
+        reason            TEXT,
+        stages            JSONB,
+        rules_matched     JSONB,
+        schedule_at       TIMESTAMPTZ,
+        ai_skipped        BOOLEAN      DEFAULT FALSE,
+        event             JSONB,
+        reevaluation_of   VARCHAR(32),
+        original_audit_id VARCHAR(32),
+        created_at        TIMESTAMPTZ  DEFAULT NOW()
+      );
+
+      CREATE INDEX idx_decisions_user_ts  ON decisions(user_id, created_at DESC);
+      CREATE INDEX idx_decisions_decision ON decisions(decision);
+      CREATE INDEX idx_decisions_original ON decisions(original_audit_id);
+
+      CREATE TABLE decision_overrides (
+        override_id     VARCHAR(32)  PRIMARY KEY,
+        audit_id        VARCHAR(32)  NOT NULL REFERENCES decisions(audit_id),
+        notification_id VARCHAR(64)  NOT NULL,
+        from_state      VARCHAR(16),
+        override_to     VARCHAR(8)   NOT NULL CHECK (override_to IN ('NOW','LATER','NEVER')),
+        operator_id     VARCHAR(64)  NOT NULL,
+        reason          TEXT         NOT NULL,
+        schedule_at     TIMESTAMPTZ,
+        created_at      TIMESTAMPTZ  DEFAULT NOW()
+      );
+
+      CREATE INDEX idx_overrides_audit ON decision_overrides(audit_id);
+
+      CREATE TABLE rules (
+        rule_id     VARCHAR(64)  PRIMARY KEY,
+        condition   JSONB        NOT NULL,
+        action      VARCHAR(16)  NOT NULL CHECK (action IN ('DEFER','SUPPRESS','SEND_NOW','CAP')),
+        max_per     JSONB,
+        priority    SMALLINT     DEFAULT 10,
+        enabled     BOOLEAN      DEFAULT TRUE,
+        description TEXT,
+        updated_at  TIMESTAMPTZ  DEFAULT NOW(),
+        updated_by  VARCHAR(64)
+      );
+    `,
+  },
+  {
+    id:   2,
+    name: 'rule_versions',
+    up: `
+      ALTER TABLE rules ADD COLUMN version INTEGER DEFAULT 1;
+
+      CREATE TABLE rule_versions (
+        rule_id          VARCHAR(64)  NOT NULL,
+        version          INTEGER      NOT NULL,
+        change           VARCHAR(16)  NOT NULL CHECK (change IN ('CREATE','UPDATE','DELETE','ROLLBACK')),
+        rule             JSONB,
+        restored_version INTEGER,
+        updated_by       VARCHAR(64),
+        created_at       TIMESTAMPTZ  DEFAULT NOW(),
+        PRIMARY KEY (rule_id, version)
+      );
+    `,
+  },
+  {
+    id:   3,
+    name: 'fatigue_policies',
+    up: `
+      CREATE TABLE fatigue_policies (
+        policy_id     VARCHAR(64)  PRIMARY KEY,
+        scope         JSONB        NOT NULL DEFAULT '{}',
+        caps          JSONB,
+        penalty_curve JSONB,
+        priority      SMALLINT     DEFAULT 10,
+        enabled       BOOLEAN      DEFAULT TRUE,
+        description   TEXT,
+        updated_at    TIMESTAMPTZ  DEFAULT NOW(),
+        updated_by    VARCHAR(64)
+      );
+    `,
+  },
+  {
+    id:   4,
+    name: 'deliveries',
+    up: `
+      CREATE TABLE deliveries (
+        delivery_id       VARCHAR(32)  PRIMARY KEY,
+        audit_id          VARCHAR(32)  NOT NULL,
+        original_audit_id VARCHAR(32),
+        user_id           VARCHAR(64)  NOT NULL,
+        channel           VARCHAR(16)  NOT NULL,
+        adapter           VARCHAR(16),
+        status            VARCHAR(8)   NOT NULL CHECK (status IN ('SENT','FAILED','BOUNCED')),
+        provider_id       VARCHAR(256),
+        error             TEXT,
+        created_at        TIMESTAMPTZ  DEFAULT NOW()
+      );
+
+      CREATE INDEX idx_deliveries_audit    ON deliveries (audit_id);
+      CREATE INDEX idx_deliveries_original ON deliveries (original_audit_id);
+    `,
+  },
+  {
+    id:   5,
+    name: 'decision_digest_of',
+    up: `
+      ALTER TABLE decisions ADD COLUMN digest_of JSONB;
+    `,
+  },
+  {
+    id:   6,
+    name: 'webhooks',
+    up: `
+      CREATE TABLE webhooks (
+        webhook_id  VARCHAR(32)  PRIMARY KEY,
+        url         TEXT         NOT NULL,
+        secret      VARCHAR(128) NOT NULL,
+        events      JSONB        NOT NULL,
+        filter      JSONB        NOT NULL DEFAULT '{}',
+        enabled     BOOLEAN      DEFAULT TRUE,
+        description TEXT,
+        created_at  TIMESTAMPTZ  DEFAULT NOW(),
+        updated_at  TIMESTAMPTZ  DEFAULT NOW(),
+        updated_by  VARCHAR(64)
+      );
+
+      CREATE TABLE webhook_attempts (
+        attempt_id      VARCHAR(32)  PRIMARY KEY,
+        webhook_id      VARCHAR(32)  NOT NULL,
+        event_id        VARCHAR(32)  NOT NULL,
+        event_type      VARCHAR(32)  NOT NULL,
+        audit_id        VARCHAR(32),
+        attempt         SMALLINT     NOT NULL,
+        status          VARCHAR(8)   NOT NULL CHECK (status IN ('SENT','RETRYING','FAILED')),
+        response_status SMALLINT,
+        error           TEXT,
+        duration_ms     INTEGER,
+        next_retry_at   TIMESTAMPTZ,
+        created_at      TIMESTAMPTZ  DEFAULT NOW()
+      );
+
+      CREATE INDEX idx_webhook_attempts_webhook ON webhook_attempts (webhook_id, created_at DESC);
+    `,
+  },
+  {
+    id:   7,
+    name: 'decision_breakdown',
+    up: `
+      ALTER TABLE decisions ADD COLUMN breakdown JSONB;
+    `,
+  },
+  {
+    id:   8,
+    name: 'decision_search_indexes',
+    up: `
+      CREATE INDEX idx_decisions_ts         ON decisions (created_at DESC, audit_id DESC);
+      CREATE INDEX idx_decisions_event_type ON decisions (event_type, created_at DESC);
+    `,
+  },
+  {
+    id:   9,
+    name: 'privacy_redaction_and_erasure',
+    up: `
+      ALTER TABLE decisions ADD COLUMN redacted JSONB;
+      CREATE INDEX idx_decisions_retention ON decisions (decision, created_at);
+
+      CREATE TABLE erasure_tombstones (
+        tombstone_id VARCHAR(32)  PRIMARY KEY,
+        subject_hash CHAR(64)     NOT NULL,
+        operator_id  VARCHAR(64)  NOT NULL,
+        reason       TEXT,
+        erased       JSONB        NOT NULL,
+        created_at   TIMESTAMPTZ  DEFAULT NOW()
+      );
+
+      CREATE INDEX idx_tombstones_subject ON erasure_tombstones (subject_hash);
+    `,
+  },
+  {
+    id:   10,
+    name: 'audit_hash_chain',
+    up: `
+      ALTER TABLE decisions ADD COLUMN chain_partition VARCHAR(64);
+      ALTER TABLE decisions ADD COLUMN chain_seq       BIGINT;
+      ALTER TABLE decisions ADD COLUMN prev_hash       CHAR(64);
+      ALTER TABLE decisions ADD COLUMN hash            CHAR(64);
+      CREATE UNIQUE INDEX idx_decisions_chain ON decisions (chain_partition, chain_seq);
+
+      ALTER TABLE decision_overrides ADD COLUMN chain_partition VARCHAR(64);
+      ALTER TABLE decision_overrides ADD COLUMN chain_seq       BIGINT;
+      ALTER TABLE decision_overrides ADD COLUMN prev_hash       CHAR(64);
+      ALTER TABLE decision_overrides ADD COLUMN hash            CHAR(64);
+      ALTER TABLE decision_overrides ADD COLUMN signature       CHAR(64);
+      CREATE UNIQUE INDEX idx_overrides_chain ON decision_overrides (chain_partition, chain_seq);
+
+      CREATE TABLE audit_chain_heads (
+        partition  VARCHAR(64)  PRIMARY KEY,
+        seq        BIGINT       NOT NULL,
+        hash       CHAR(64)     NOT NULL,
+        updated_at TIMESTAMPTZ  DEFAULT NOW()
+      );
+
+      CREATE TABLE audit_chain_pruned (
+        partition  VARCHAR(64)  NOT NULL,
+        seq        BIGINT       NOT NULL,
+        kind       VARCHAR(8)   NOT NULL CHECK (kind IN ('decision','override')),
+        prev_hash  CHAR(64)     NOT NULL,
+        hash       CHAR(64)     NOT NULL,
+        reason     VARCHAR(16)  NOT NULL CHECK (reason IN ('retention','erasure')),
+        pruned_at  TIMESTAMPTZ  DEFAULT NOW(),
+        PRIMARY KEY (partition, seq)
+      );
+    `,
+  },
+  {
+    id:   11,
+    name: 'decision_rollups',
+    up: `
+      CREATE TABLE decision_rollups (
+        bucket             TIMESTAMPTZ  NOT NULL,
+        event_type         VARCHAR(64)  NOT NULL,
+        source             VARCHAR(128) NOT NULL,
+        channel            VARCHAR(16)  NOT NULL,
+        decision           VARCHAR(8)   NOT NULL,
+        score_bin          SMALLINT     NOT NULL,
+        decisions          INTEGER      NOT NULL DEFAULT 0,
+        dedup_suppressed   INTEGER      NOT NULL DEFAULT 0,
+        fatigue_suppressed INTEGER      NOT NULL DEFAULT 0,
+        dnd_deferred       INTEGER      NOT NULL DEFAULT 0,
+        ai_checked         INTEGER      NOT NULL DEFAULT 0,
+        ai_skipped         INTEGER      NOT NULL DEFAULT 0,
+        PRIMARY KEY (bucket, event_type, source, channel, decision, score_bin)
+      );
+    `,
+  },
+  {
+    id:   12,
+    name: 'audit_chain_signatures',
+    up: `
+      ALTER TABLE decisions          ADD COLUMN signature CHAR(64);
+      ALTER TABLE audit_chain_heads  ADD COLUMN signature CHAR(64);
+      ALTER TABLE audit_chain_pruned ADD COLUMN signature CHAR(64);
+    `,
+  },
+  {
+    id:   13,
+    name: 'user_preferences',
+    up: `
+      CREATE TABLE user_preferences (
+        user_id          VARCHAR(64)  PRIMARY KEY,
+        timezone         VARCHAR(64)  NOT NULL,
+        quiet_hours      JSONB        NOT NULL DEFAULT '[]',
+        focus_mode       JSONB,
+        channel_opt_outs JSONB        NOT NULL DEFAULT '[]',
+        segment          VARCHAR(64),
+        fatigue_cap      JSONB,
+        digest_cadence   VARCHAR(16),
+        updated_at       TIMESTAMPTZ  DEFAULT NOW()
+      );
+    `,
+  },
+];
@@ -0,0 +1,702 @@
+/**
+ * postgresStore.js — PostgreSQL Storage Adapter
+ *
+ * Selected with STORAGE_BACKEND=postgres. Audit records, overrides,
+ * delivery receipts, webhooks, rules and user preferences survive restarts
+ * and are shared by every engine instance. Chained writes advance audit_chain_heads in the
+ * same transaction, so instances sharing a partition never fork its chain.
+ * Schema lives in src/storage/migrations.js (mirrors src/models/*.js).
+ *
+ * Implements the same interface as memoryStore.js — see storageService.js.
+ */
+
+const migrations = require('./migrations');
+const logger = require('../utils/logger');
+
+const DECISION_COLUMNS = [
+  'audit_id', 'event_id', 'user_id', 'event_type', 'decision', 'score', 'reason',
+  'stages', 'rules_matched', 'schedule_at', 'ai_skipped', 'event',
+  'reevaluation_of', 'original_audit_id', 'digest_of', 'breakdown', 'redacted', 'created_at',
+  'chain_partition', 'chain_seq', 'prev_hash', 'hash', 'signature',
+];
+
+const ROLLUP_KEY      = ['bucket', 'event_type', 'source', 'channel', 'decision', 'score_bin'];
+const ROLLUP_COUNTERS = ['decisions', 'dedup_suppressed', 'fatigue_suppressed', 'dnd_deferred', 'ai_checked', 'ai_skipped'];
+
+const HISTORY_LIMIT = 100;
+
+/**
+ * @param {Object} options
+ * @param {Object} [options.pool]             - pg Pool (or compatible, e.g. pg-mem)
+ * @param {string} [options.connectionString] - used when no pool is given
+ * @returns {Object} storage adapter
+ */
+function createPostgresStore({ pool, connectionString, max } = {}) {
+  if (!pool) {
+    const { Pool } = require('pg');
+    pool = new Pool({ connectionString, max });
+    pool.on('error', err => logger.error(`[POSTGRES] Idle client error: ${err.message}`));
+  }
+
+  return {
+    name: 'postgres',
+
+    /**
+     * Apply pending migrations in order.
+     * @returns {Promise<number[]>} ids applied in this run
+     */
+    async migrate() {
+      const exists = await pool.query(
+        `SELECT 1 FROM information_schema.tables WHERE table_name = 'schema_migrations'`
+      );
+      if (exists.rows.length === 0) {
+        await pool.query(`
+          CREATE TABLE schema_migrations (
+            id         INTEGER     PRIMARY KEY,
+            name       TEXT        NOT NULL,
+            applied_at TIMESTAMPTZ DEFAULT NOW()
+          )`);
+      }
+
+      const { rows } = await pool.query('SELECT id FROM schema_migrations');
+      const done     = new Set(rows.map(r => Number(r.id)));
+      const applied  = [];
+
+      for (const m of migrations) {
+        if (done.has(m.id)) continue;
+
+        const client = await pool.connect();
+        try {
+          await client.query('BEGIN');
+          await client.query(m.up);
+          await client.query('INSERT INTO schema_migrations (id, name) VALUES ($1, $2)', [m.id, m.name]);
+          await client.query('COMMIT');
+          applied.push(m.id);
+          logger.info(`[POSTGRES] Applied migration ${m.id}_${m.name}`);
+        } catch (err) {
+          await client.query('ROLLBACK');
+          throw new Error(`Migration ${m.id}_${m.name} failed: ${err.message}`);
+        } finally {
+          client.release();
+        }
+      }
+      return applied;
+    },
+
+    // ── Decisions ──────────────────────────────────────────────────────────
+    async insertDecision(record, { headSignature } = {}) {
+      const row = {
+        ...record,
+        stages:        JSON.stringify(record.stages || {}),
+        rules_matched: JSON.stringify(record.rules_matched || []),
+        event:         record.event ? JSON.stringify(record.event) : null,
+        digest_of:     record.digest_of ? JSON.stringify(record.digest_of) : null,
+        breakdown:     record.breakdown ? JSON.stringify(record.breakdown) : null,
+        redacted:      record.redacted ? JSON.stringify(record.redacted) : null,
+        ai_skipped:    String(record.stages?.ai || '').startsWith('SKIPPED'),
+        ...chainColumns(record.chain),
+      };
+      const values = DECISION_COLUMNS.map(c => row[c] ?? null);
+      const params = DECISION_COLUMNS.map((_, i) => `$${i + 1}`);
+      const insert = db => db.query(
+        `INSERT INTO decisions (${DECISION_COLUMNS.join(', ')}) VALUES (${params.join(', ')})`,
+        values
+      );
+
+      if (!record.chain) {
+        await insert(pool);
+        return;
+      }
+      await transaction(pool, async client => {
+        await advanceHead(client, record.chain, headSignature);
+        await insert(client);
+      });
+    },
+
+    async getDecision(auditId) {
+      const { rows } = await pool.query('SELECT * FROM decisions WHERE audit_id = $1', [auditId]);
+      return rows[0] ? toDecision(rows[0]) : null;
+    },
+
+    async listDecisions({ since, userId, eventType, limit = HISTORY_LIMIT } = {}) {
+      const where  = [];
+      const values = [];
+      const add = (sql, value) => { values.push(value); where.push(`${sql} $${values.length}`); };
+
+      if (since)     add('created_at >', since);
+      if (userId)    add('user_id =', userId);
+      if (eventType) add('event_type =', eventType);
+      values.push(limit);
+
+      const { rows } = await pool.query(
+        `SELECT * FROM decisions
+          ${where.length ? `WHERE ${where.join(' AND ')}` : ''}
+          ORDER BY created_at DESC
+          LIMIT $${values.length}`,
+        values
+      );
+      return rows.map(toDecision);
+    },
+
+    async searchDecisions({
+      userId, decision, eventType, source, ruleId, from, to, minScore, maxScore, after, limit = HISTORY_LIMIT,
+    } = {}) {
+      const where  = [];
+      const values = [];
+      const add = (sql, value) => { values.push(value); where.push(`${sql} $${values.length}`); };
+
+      if (userId)           add('user_id =', userId);
+      if (decision)         add('decision =', decision);
+      if (eventType)        add('event_type =', eventType);
+      if (source)           add(`event->>'source' =`, source);
+      if (ruleId) {
+        values.push(JSON.stringify([ruleId]));
+        where.push(`rules_matched @> $${values.length}::jsonb`);
+      }
+      if (from)             add('created_at >=', from);
+      if (to)               add('created_at <', to);
+      if (minScore != null) add('score >=', minScore);
+      if (maxScore != null) add('score <=', maxScore);
+      if (after) {
+        // Keyset: rows strictly after the cursor in (created_at DESC, audit_id DESC) order
+        values.push(after.created_at, after.audit_id);
+        const ts = `$${values.length - 1}`;
+        const id = `$${values.length}`;
+        where.push(`(created_at < ${ts} OR (created_at = ${ts} AND audit_id < ${id}))`);
+      }
+      values.push(limit);
+
+      const { rows } = await pool.query(
+        `SELECT * FROM decisions
+          ${where.length ? `WHERE ${where.join(' AND ')}` : ''}
+          ORDER BY created_at DESC, audit_id DESC
+          LIMIT $${values.length}`,
+        values
+      );
+      return rows.map(toDecision);
+    },
+
+    async purgeDecisions({ decision, before, limit = 1000 }) {
+      const { rows } = await pool.query(
+        `SELECT audit_id FROM decisions
+          WHERE decision = $1 AND created_at < $2
+          ORDER BY created_at
+          LIMIT $3`,
+        [decision, before, limit]
+      );
+      if (rows.length === 0) return 0;
+
+      const ids = rows.map(r => r.audit_id);
+      const list = ids.map((_, i) => `$${i + 1}`).join(', ');
+      await transaction(pool, async client => {
+        await pruneChain(client, 'retention', `audit_id IN (${list})`, ids);
+        await client.query(`DELETE FROM decision_overrides WHERE audit_id IN (${list})`, ids);
+        await client.query(`DELETE FROM deliveries WHERE audit_id IN (${list})`, ids);
+        await client.query(`DELETE FROM decisions WHERE audit_id IN (${list})`, ids);
+      });
+      return ids.length;
+    },
+
+    async eraseUser(userId) {
+      return transaction(pool, async client => {
+        await pruneChain(client, 'erasure', 'user_id = $1', [userId]);
+        const overrides = await client.query(
+          `DELETE FROM decision_overrides
+            WHERE audit_id IN (SELECT audit_id FROM decisions WHERE user_id = $1)`,
+          [userId]
+        );
+        const deliveries = await client.query('DELETE FROM deliveries WHERE user_id = $1', [userId]);
+        const decisions  = await client.query('DELETE FROM decisions WHERE user_id = $1', [userId]);
+        return {
+          decisions:  decisions.rowCount,
+          overrides:  overrides.rowCount,
+          deliveries: deliveries.rowCount,
+        };
+      });
+    },
+
+    // ── Erasure Tombstones ─────────────────────────────────────────────────
+    async insertTombstone(record) {
+      await pool.query(
+        `INSERT INTO erasure_tombstones (tombstone_id, subject_hash, operator_id, reason, erased, created_at)
+         VALUES ($1, $2, $3, $4, $5, $6)`,
+        [record.tombstone_id, record.subject_hash, record.operator_id, record.reason,
+          JSON.stringify(record.erased), record.created_at]
+      );
+    },
+
+    async listTombstones(subjectHash) {
+      const { rows } = await pool.query(
+        'SELECT * FROM erasure_tombstones WHERE subject_hash = $1 ORDER BY created_at',
+        [subjectHash]
+      );
+      return rows.map(r => ({ ...r, created_at: toIso(r.created_at) }));
+    },
+
+    async recentDecisions(userId, sinceIso) {
+      const { rows } = await pool.query(
+        `SELECT audit_id, decision, event_type, score, created_at
+           FROM decisions
+          WHERE user_id = $1 AND created_at > $2
+          ORDER BY created_at DESC
+          LIMIT ${HISTORY_LIMIT}`,
+        [userId, sinceIso]
+      );
+      return rows.map(r => ({ ...r, created_at: toIso(r.created_at) }));
+    },
+
+    // ── Preferences ────────────────────────────────────────────────────────
+    async getPreferences(userId) {
+      const { rows } = await pool.query('SELECT * FROM user_preferences WHERE user_id = $1', [userId]);
+      return rows[0] ? { ...rows[0], updated_at: toIso(rows[0].updated_at) } : null;
+    },
+
+    async upsertPreferences(profile) {
+      const { rows } = await pool.query(
+        `INSERT INTO user_preferences (user_id, timezone, quiet_hours, focus_mode, channel_opt_outs, segment,
+                                       fatigue_cap, digest_cadence, updated_at)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, COALESCE($9, NOW()))
+         ON CONFLICT (user_id) DO UPDATE SET
+           timezone         = EXCLUDED.timezone,
+           quiet_hours      = EXCLUDED.quiet_hours,
+           focus_mode       = EXCLUDED.focus_mode,
+           channel_opt_outs = EXCLUDED.channel_opt_outs,
+           segment          = EXCLUDED.segment,
+           fatigue_cap      = EXCLUDED.fatigue_cap,
+           digest_cadence   = EXCLUDED.digest_cadence,
+           updated_at       = EXCLUDED.updated_at
+         RETURNING *`,
+        [profile.user_id, profile.timezone, JSON.stringify(profile.quiet_hours || []),
+          profile.focus_mode ? JSON.stringify(profile.focus_mode) : null,
+          JSON.stringify(profile.channel_opt_outs || []), profile.segment ?? null,
+          profile.fatigue_cap ? JSON.stringify(profile.fatigue_cap) : null,
+          profile.digest_cadence ?? null, profile.updated_at ?? null]
+      );
+      return { ...rows[0], updated_at: toIso(rows[0].updated_at) };
+    },
+
+    async deletePreferences(userId) {
+      const { rowCount } = await pool.query('DELETE FROM user_preferences WHERE user_id = $1', [userId]);
+      return rowCount > 0;
+    },
+
+    // ── Overrides ──────────────────────────────────────────────────────────
+    async insertOverride(record, { headSignature } = {}) {
+      const chain  = chainColumns(record.chain);
+      const insert = db => db.query(
+        `INSERT INTO decision_overrides
+           (override_id, audit_id, notification_id, from_state, override_to,
+            operator_id, reason, schedule_at, created_at,
+            chain_partition, chain_seq, prev_hash, hash, signature)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)`,
+        [record.override_id, record.audit_id, record.notification_id, record.from,
+          record.override_to, record.operator_id, record.reason, record.schedule_at,
+          record.created_at, chain.chain_partition, chain.chain_seq, chain.prev_hash,
+          chain.hash, chain.signature]
+      );
+
+      if (!record.chain) {
+        await insert(pool);
+        return;
+      }
+      await transaction(pool, async client => {
+        await advanceHead(client, record.chain, headSignature);
+        await insert(client);
+      });
+    },
+
+    async getOverrides(auditId) {
+      const { rows } = await pool.query(
+        'SELECT * FROM decision_overrides WHERE audit_id = $1 ORDER BY created_at',
+        [auditId]
+      );
+      return rows.map(toOverride);
+    },
+
+    // ── Audit Chain ────────────────────────────────────────────────────────
+    async getChainHead(partition) {
+      const { rows } = await pool.query('SELECT * FROM audit_chain_heads WHERE partition = $1', [partition]);
+      return rows[0] ? toHead(rows[0]) : null;
+    },
+
+    async listChainHeads() {
+      const { rows } = await pool.query('SELECT * FROM audit_chain_heads ORDER BY partition');
+      return rows.map(toHead);
+    },
+
+    async listChainEntries(partition, { afterSeq = 0, limit = HISTORY_LIMIT } = {}) {
+      // Each source is read up to `limit` past afterSeq; merged, the first `limit` are complete
+      const page = table => pool.query(
+        `SELECT * FROM ${table} WHERE chain_partition = $1 AND chain_seq > $2 ORDER BY chain_seq LIMIT $3`,
+        [partition, afterSeq, limit]
+      );
+      const [decisions, overrides, pruned] = await Promise.all([
+        page('decisions'),
+        page('decision_overrides'),
+        pool.query(
+          'SELECT * FROM audit_chain_pruned WHERE partition = $1 AND seq > $2 ORDER BY seq LIMIT $3',
+          [partition, afterSeq, limit]
+        ),
+      ]);
+      const entry = (kind, record) => ({
+        kind,
+        seq:       record.chain.seq,
+        prev_hash: record.chain.prev_hash,
+        hash:      record.chain.hash,
+        signature: record.chain.signature ?? null,
+        record,
+      });
+      return [
+        ...decisions.rows.map(r => entry('decision', toDecision(r))),
+        ...overrides.rows.map(r => entry('override', toOverride(r))),
+        ...pruned.rows.map(r => ({
+          kind: r.kind, seq: Number(r.seq), prev_hash: r.prev_hash, hash: r.hash,
+          signature: r.signature, record: null, reason: r.reason,
+        })),
+      ]
+        .sort((a, b) => a.seq - b.seq)
+        .slice(0, limit);
+    },
+
+    // ── Analytics Rollups ──────────────────────────────────────────────────
+    async incrementRollup(key, counts) {
+      const columns = [...ROLLUP_KEY, ...ROLLUP_COUNTERS];
+      await pool.query(
+        `INSERT INTO decision_rollups (${columns.join(', ')})
+         VALUES (${columns.map((_, i) => `$${i + 1}`).join(', ')})
+         ON CONFLICT (${ROLLUP_KEY.join(', ')}) DO UPDATE SET
+           ${ROLLUP_COUNTERS.map(c => `${c} = decision_rollups.${c} + EXCLUDED.${c}`).join(', ')}`,
+        [...ROLLUP_KEY.map(k => key[k]), ...ROLLUP_COUNTERS.map(c => counts[c] || 0)]
+      );
+    },
+
+    async listRollups({ from, to, eventType, source, channel }) {
+      const values = [from, to];
+      const where  = ['bucket >= $1', 'bucket < $2'];
+      const add = (column, value) => { values.push(value); where.push(`${column} = $${values.length}`); };
+
+      if (eventType) add('event_type', eventType);
+      if (source)    add('source', source);
+      if (channel)   add('channel', channel);
+
+      const { rows } = await pool.query(`SELECT * FROM decision_rollups WHERE ${where.join(' AND ')}`, values);
+      return rows.map(r => ({
+        ...r,
+        bucket:    toIso(r.bucket),
+        score_bin: Number(r.score_bin),
+        ...Object.fromEntries(ROLLUP_COUNTERS.map(c => [c, Number(r[c])])),
+      }));
+    },
+
+    // ── Deliveries ─────────────────────────────────────────────────────────
+    async insertDelivery(record) {
+      await pool.query(
+        `INSERT INTO deliveries
+           (delivery_id, audit_id, original_audit_id, user_id, channel, adapter,
+            status, provider_id, error, created_at)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)`,
+        [record.delivery_id, record.audit_id, record.original_audit_id, record.user_id,
+          record.channel, record.adapter, record.status, record.provider_id, record.error,
+          record.created_at]
+      );
+    },
+
+    async getDeliveries(auditId) {
+      const { rows } = await pool.query(
+        'SELECT * FROM deliveries WHERE audit_id = $1 OR original_audit_id = $1 ORDER BY created_at',
+        [auditId]
+      );
+      return rows.map(r => ({ ...r, created_at: toIso(r.created_at) }));
+    },
+
+    // ── Webhooks ───────────────────────────────────────────────────────────
+    async listWebhooks() {
+      const { rows } = await pool.query('SELECT * FROM webhooks ORDER BY created_at');
+      return rows.map(toWebhook);
+    },
+
+    async getWebhook(webhookId) {
+      const { rows } = await pool.query('SELECT * FROM webhooks WHERE webhook_id = $1', [webhookId]);
+      return rows[0] ? toWebhook(rows[0]) : null;
+    },
+
+    async upsertWebhook(webhook) {
+      const { rows } = await pool.query(
+        `INSERT INTO webhooks (webhook_id, url, secret, events, filter, enabled, description, created_at, updated_at, updated_by)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, COALESCE($8, NOW()), COALESCE($9, NOW()), $10)
+         ON CONFLICT (webhook_id) DO UPDATE SET
+           url         = EXCLUDED.url,
+           secret      = EXCLUDED.secret,
+           events      = EXCLUDED.events,
+           filter      = EXCLUDED.filter,
+           enabled     = EXCLUDED.enabled,
+           description = EXCLUDED.description,
+           updated_at  = EXCLUDED.updated_at,
+           updated_by  = EXCLUDED.updated_by
+         RETURNING *`,
+        [webhook.webhook_id, webhook.url, webhook.secret, JSON.stringify(webhook.events || []),
+          JSON.stringify(webhook.filter || {}), webhook.enabled !== false, webhook.description ?? null,
+          webhook.created_at ?? null, webhook.updated_at ?? null, webhook.updated_by ?? null]
+      );
+      return toWebhook(rows[0]);
+    },
+
+    async deleteWebhook(webhookId) {
+      const { rowCount } = await pool.query('DELETE FROM webhooks WHERE webhook_id = $1', [webhookId]);
+      return rowCount > 0;
+    },
+
+    async insertWebhookAttempt(record) {
+      await pool.query(
+        `INSERT INTO webhook_attempts
+           (attempt_id, webhook_id, event_id, event_type, audit_id, attempt, status,
+            response_status, error, duration_ms, next_retry_at, created_at)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)`,
+        [record.attempt_id, record.webhook_id, record.event_id, record.event_type, record.audit_id,
+          record.attempt, record.status, record.response_status, record.error, record.duration_ms,
+          record.next_retry_at, record.created_at]
+      );
+    },
+
+    async listWebhookAttempts(webhookId, limit = HISTORY_LIMIT) {
+      const { rows } = await pool.query(
+        'SELECT * FROM webhook_attempts WHERE webhook_id = $1 ORDER BY created_at DESC LIMIT $2',
+        [webhookId, limit]
+      );
+      return rows.map(r => ({ ...r, next_retry_at: toIso(r.next_retry_at), created_at: toIso(r.created_at) }));
+    },
+
+    // ── Rules ──────────────────────────────────────────────────────────────
+    async listRules() {
+      const { rows } = await pool.query('SELECT * FROM rules ORDER BY priority DESC, rule_id');
+      return rows.map(r => ({ ...r, updated_at: toIso(r.updated_at) }));
+    },
+
+    async getRule(ruleId) {
+      const { rows } = await pool.query('SELECT * FROM rules WHERE rule_id = $1', [ruleId]);
+      return rows[0] ? { ...rows[0], updated_at: toIso(rows[0].updated_at) } : null;
+    },
+
+    async upsertRule(rule) {
+      return upsertRuleRow(pool, rule);
+    },
+
+    async deleteRule(ruleId) {
+      const { rowCount } = await pool.query('DELETE FROM rules WHERE rule_id = $1', [ruleId]);
+      return rowCount > 0;
+    },
+
+    // ── Rule Versions ──────────────────────────────────────────────────────
+    async insertRuleVersion(record) {
+      await insertRuleVersionRow(pool, record);
+    },
+
+    async commitRuleVersion(record, rule) {
+      return transaction(pool, async client => {
+        await insertRuleVersionRow(client, record);
+        if (rule) return upsertRuleRow(client, rule);
+        await client.query('DELETE FROM rules WHERE rule_id = $1', [record.rule_id]);
+        return null;
+      });
+    },
+
+    async listRuleVersions(ruleId) {
+      const { rows } = await pool.query(
+        'SELECT * FROM rule_versions WHERE rule_id = $1 ORDER BY version',
+        [ruleId]
+      );
+      return rows.map(r => ({ ...r, created_at: toIso(r.created_at) }));
+    },
+
+    // ── Fatigue Policies ───────────────────────────────────────────────────
+    async listFatiguePolicies() {
+      const { rows } = await pool.query('SELECT * FROM fatigue_policies ORDER BY priority DESC, policy_id');
+      return rows.map(r => ({ ...r, updated_at: toIso(r.updated_at) }));
+    },
+
+    async upsertFatiguePolicy(policy) {
+      const { rows } = await pool.query(
+        `INSERT INTO fatigue_policies (policy_id, scope, caps, penalty_curve, priority, enabled, description, updated_at, updated_by)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, COALESCE($8, NOW()), $9)
+         ON CONFLICT (policy_id) DO UPDATE SET
+           scope         = EXCLUDED.scope,
+           caps          = EXCLUDED.caps,
+           penalty_curve = EXCLUDED.penalty_curve,
+           priority      = EXCLUDED.priority,
+           enabled       = EXCLUDED.enabled,
+           description   = EXCLUDED.description,
+           updated_at    = EXCLUDED.updated_at,
+           updated_by    = EXCLUDED.updated_by
+         RETURNING *`,
+        [policy.policy_id, JSON.stringify(policy.scope || {}),
+          policy.caps ? JSON.stringify(policy.caps) : null,
+          policy.penalty_curve ? JSON.stringify(policy.penalty_curve) : null,
+          policy.priority ?? 10, policy.enabled !== false, policy.description ?? null,
+          policy.updated_at ?? null, policy.updated_by ?? null]
+      );
+      return { ...rows[0], updated_at: toIso(rows[0].updated_at) };
+    },
+
+    async deleteFatiguePolicy(policyId) {
+      const { rowCount } = await pool.query('DELETE FROM fatigue_policies WHERE policy_id = $1', [policyId]);
+      return rowCount > 0;
+    },
+
+    async close() {
+      await pool.end();
+    },
+  };
+}
+
+// ── Internal Helpers ──────────────────────────────────────────────────────────
+
+/** Run fn(client) inside BEGIN / COMMIT, rolling back if it throws. */
+async function transaction(pool, fn) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const result = await fn(client);
+    await client.query('COMMIT');
+    return result;
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Move a partition's head to a new chain entry, inside the caller's
+ * transaction — only if the head is still the entry it extends.
+ * @throws CHAIN_CONFLICT if another writer got there first
+ */
+async function advanceHead(client, { partition, seq, hash }, signature = null) {
+  const { rowCount } = seq === 1
+    ? await client.query(
+      'INSERT INTO audit_chain_heads (partition, seq, hash, signature) VALUES ($1, $2, $3, $4) ON CONFLICT DO NOTHING',
+      [partition, seq, hash, signature])
+    : await client.query(
+      `UPDATE audit_chain_heads SET seq = $2, hash = $3, signature = $4, updated_at = NOW()
+        WHERE partition = $1 AND seq = $5`,
+      [partition, seq, hash, signature, seq - 1]);
+  if (rowCount === 0) {
+    const err = new Error(`Audit chain ${partition} has moved on`);
+    err.code  = 'CHAIN_CONFLICT';
+    throw err;
+  }
+}
+
+/** Insert or merge a rule by rule_id (pool or transaction client). */
+async function upsertRuleRow(db, rule) {
+  const { rows } = await db.query(
+    `INSERT INTO rules (rule_id, condition, action, max_per, priority, enabled, description, version, updated_at, updated_by)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, COALESCE($9, NOW()), $10)
+     ON CONFLICT (rule_id) DO UPDATE SET
+       condition   = EXCLUDED.condition,
+       action      = EXCLUDED.action,
+       max_per     = EXCLUDED.max_per,
+       priority    = EXCLUDED.priority,
+       enabled     = EXCLUDED.enabled,
+       description = COALESCE(EXCLUDED.description, rules.description),
+       version     = EXCLUDED.version,
+       updated_at  = EXCLUDED.updated_at,
+       updated_by  = EXCLUDED.updated_by
+     RETURNING *`,
+    [rule.rule_id, JSON.stringify(rule.condition), rule.action,
+      rule.max_per ? JSON.stringify(rule.max_per) : null,
+      rule.priority ?? 10, rule.enabled !== false, rule.description ?? null,
+      rule.version ?? 1, rule.updated_at ?? null, rule.updated_by ?? null]
+  );
+  return { ...rows[0], updated_at: toIso(rows[0].updated_at) };
+}
+
+/**
+ * Append a rule history row (pool or transaction client).
+ * @throws VERSION_CONFLICT if (rule_id, version) is taken
+ */
+async function insertRuleVersionRow(db, record) {
+  try {
+    await db.query(
+      `INSERT INTO rule_versions (rule_id, version, change, rule, restored_version, updated_by, created_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+      [record.rule_id, record.version, record.change,
+        record.rule ? JSON.stringify(record.rule) : null,
+        record.restored_version ?? null, record.updated_by ?? null, record.created_at]
+    );
+  } catch (err) {
+    if (err.code !== '23505') throw err;
+    const conflict = new Error(`Rule ${record.rule_id} version ${record.version} already exists`);
+    conflict.code  = 'VERSION_CONFLICT';
+    throw conflict;
+  }
+}
+
+/** Leave pruned markers for the chained decisions matching `where` and their overrides. */
+async function pruneChain(client, reason, where, values) {
+  const reasonParam = `$${values.length + 1}`;
+  await client.query(
+    `INSERT INTO audit_chain_pruned (partition, seq, kind, prev_hash, hash, signature, reason)
+     SELECT chain_partition, chain_seq, 'decision', prev_hash, hash, signature, ${reasonParam}
+       FROM decisions WHERE chain_partition IS NOT NULL AND ${where}`,
+    [...values, reason]
+  );
+  await client.query(
+    `INSERT INTO audit_chain_pruned (partition, seq, kind, prev_hash, hash, signature, reason)
+     SELECT chain_partition, chain_seq, 'override', prev_hash, hash, signature, ${reasonParam}
+       FROM decision_overrides
+      WHERE chain_partition IS NOT NULL
+        AND audit_id IN (SELECT audit_id FROM decisions WHERE ${where})`,
+    [...values, reason]
+  );
+}
+
+function chainColumns(chain) {
+  return chain
+    ? {
+      chain_partition: chain.partition, chain_seq: chain.seq, prev_hash: chain.prev_hash, hash: chain.hash,
+      signature: chain.signature ?? null,
+    }
+    : { chain_partition: null, chain_seq: null, prev_hash: null, hash: null, signature: null };
+}
+
+function toChain({ chain_partition, chain_seq, prev_hash, hash, signature }) {
+  if (!chain_partition) return null;
+  return { partition: chain_partition, seq: Number(chain_seq), prev_hash, hash, signature };
+}
+
+function toDecision(row) {
+  const { chain_partition, chain_seq, prev_hash, hash, signature, ...rest } = row;
+  return {
+    ...rest,
+    score:       row.score === null ? null : Number(row.score),
+    schedule_at: toIso(row.schedule_at),
+    created_at:  toIso(row.created_at),
+    chain:       toChain({ chain_partition, chain_seq, prev_hash, hash, signature }),
+  };
+}
+
+function toOverride(row) {
+  const { from_state, chain_partition, chain_seq, prev_hash, hash, signature, ...rest } = row;
+  return {
+    ...rest,
+    from:        from_state,
+    schedule_at: toIso(row.schedule_at),
+    created_at:  toIso(row.created_at),
+    chain:       toChain({ chain_partition, chain_seq, prev_hash, hash, signature }),
+  };
+}
+
+function toHead(row) {
+  return { partition: row.partition, seq: Number(row.seq), hash: row.hash, signature: row.signature ?? null };
+}
+
+function toWebhook(row) {
+  return { ...row, created_at: toIso(row.created_at), updated_at: toIso(row.updated_at) };
+}
+
+function toIso(v) {
+  return v instanceof Date ? v.toISOString() : v;
+}
+
+module.exports = { createPostgresStore };
@@ -0,0 +1,218 @@
+/**
+ * preferenceService.js — User Notification Preferences
+ *
+ * Per-user profile consulted by Stage 4 (DND / Quiet Hours) and Stage 9
+ * (Decision Boundary) so that quiet hours and deferral slots are computed
+ * in the user's own time zone rather than server-local time.
+ *
+ * Profile shape:
+ *   {
+ *     user_id:          "user_8821",
+ *     timezone:         "Asia/Kolkata",              // IANA zone
+ *     quiet_hours:      [{ days: ["mon", ...], start: "23:00", end: "08:00" }],
+ *     focus_mode:       { enabled: true, until: "2025-02-25T18:00:00Z" | null },
+ *     channel_opt_outs: ["sms"],
+ *     segment:          "enterprise" | null,          // selects fatigue policy
+ *     fatigue_cap:      { count: 3, window: "1h" } | null, // user's own total cap
+ *     digest_cadence:   "hourly" | "daily" | "window" | "off" | null, // null = DIGEST_CADENCE
+ *     updated_at:       ISO timestamp
+ *   }
+ *
+ * Quiet windows where end <= start wrap past midnight; `days` names the day
+ * the window starts on (omit for every day).
+ *
+ * Users without a stored profile get the config/default.js DND window in the
+ * server's time zone — the engine's original behavior.
+ *
+ * Profiles are kept by the storage adapter (storageService.js) — process
+ * memory by default, the user_preferences table with STORAGE_BACKEND=postgres.
+ */
+
+const config = require('../../config/default');
+const { getStore } = require('./storageService');
+const logger = require('../utils/logger');
+
+const DAYS             = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const FOCUS_RECHECK_MS = 60 * 60 * 1000;  // open-ended focus mode → retry in 1h
+const MAX_WINDOW_HOPS  = 14;              // adjacent quiet windows to skip through
+
+/**
+ * Default profile for users who have not set preferences.
+ * @param {string} userId
+ * @returns {Object}
+ */
+function defaultPreferences(userId) {
+  const pad = h => `${String(h).padStart(2, '0')}:00`;
+  return {
+    user_id:          userId,
+    timezone:         config.engine.defaultTimezone,
+    quiet_hours:      [{ days: DAYS, start: pad(config.engine.dndStartHour), end: pad(config.engine.dndEndHour) }],
+    focus_mode:       { enabled: false, until: null },
+    channel_opt_outs: [],
+    segment:          null,
+    fatigue_cap:      null,
+    digest_cadence:   null,
+    updated_at:       null,
+  };
+}
+
+/**
+ * Get a user's preferences, falling back to defaults.
+ *
+ * @param {string} userId
+ * @returns {Promise<Object>}
+ */
+async function getPreferences(userId) {
+  return (await getStore().getPreferences(userId)) || defaultPreferences(userId);
+}
+
+/**
+ * Create or update a user's preferences.
+ * Omitted fields keep their current (or default) values.
+ *
+ * @param {string} userId
+ * @param {Object} updates
+ * @returns {Promise<Object>} saved profile
+ */
+async function savePreferences(userId, updates) {
+  const current = await getPreferences(userId);
+  const saved   = {
+    ...current,
+    ...updates,
+    user_id:    userId,
+    updated_at: new Date().toISOString(),
+  };
+  const stored = await getStore().upsertPreferences(saved);
+  logger.info(`[PREFS] Saved preferences for user=${userId} tz=${stored.timezone}`);
+  return stored;
+}
+
+/**
+ * Delete a user's stored profile (GDPR erasure) — they get the defaults again.
+ *
+ * @param {string} userId
+ * @returns {Promise<boolean>} true if a profile was stored
+ */
+async function deletePreferences(userId) {
+  return getStore().deletePreferences(userId);
+}
+
+// ── Evaluation Helpers ────────────────────────────────────────────────────────
+
+/**
+ * Check whether the user is in a quiet window or focus mode at `at`.
+ *
+ * @param {Object} prefs
+ * @param {Date}   [at]
+ * @returns {{ inDND: boolean, window: string|null, reason: 'QUIET_HOURS'|'FOCUS_MODE'|null }}
+ */
+function checkDND(prefs, at = new Date()) {
+  if (isFocusActive(prefs, at)) {
+    return { inDND: true, window: 'focus mode', reason: 'FOCUS_MODE' };
+  }
+
+  const w = findQuietWindow(prefs, at);
+  return w
+    ? { inDND: true, window: `${w.start}–${w.end} ${prefs.timezone}`, reason: 'QUIET_HOURS' }
+    : { inDND: false, window: null, reason: null };
+}
+
+/**
+ * Earliest time at or after `from` that is outside every quiet window
+ * and focus mode, evaluated in the user's time zone.
+ *
+ * @param {Object} prefs
+ * @param {Date}   [from]
+ * @returns {string} ISO timestamp
+ */
+function getNextOpenSlot(prefs, from = new Date()) {
+  let t = new Date(from);
+
+  for (let hop = 0; hop < MAX_WINDOW_HOPS; hop++) {
+    if (isFocusActive(prefs, t)) {
+      const until = prefs.focus_mode.until ? new Date(prefs.focus_mode.until) : null;
+      t = until && until > t ? until : new Date(t.getTime() + FOCUS_RECHECK_MS);
+      continue;
+    }
+
+    const w = findQuietWindow(prefs, t);
+    if (!w) return t.toISOString();
+
+    const { minutes } = localParts(t, prefs.timezone);
+    const delta = (toMinutes(w.end) - minutes + 1440) % 1440 || 1440;
+    t = new Date(t.getTime() + delta * 60000);
+    t.setSeconds(0, 0);
+  }
+
+  logger.warn(`[PREFS] No open slot found for user=${prefs.user_id} — using ${t.toISOString()}`);
+  return t.toISOString();
+}
+
+/**
+ * @param {Object} prefs
+ * @param {string} channel
+ * @returns {boolean}
+ */
+function isChannelOptedOut(prefs, channel) {
+  return (prefs.channel_opt_outs || []).includes(channel);
+}
+
+/**
+ * @param {string} tz
+ * @returns {boolean} true if tz is a valid IANA time zone
+ */
+function isValidTimezone(tz) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: tz });
+    return true;
+  } catch (_) {
+    return false;
+  }
+}
+
+// ── Internal Helpers ──────────────────────────────────────────────────────────
+
+function isFocusActive(prefs, at) {
+  const f = prefs.focus_mode;
+  if (!f || !f.enabled) return false;
+  return !f.until || new Date(f.until) > at;
+}
+
+/** Return the quiet window covering `at` in the user's zone, or null. */
+function findQuietWindow(prefs, at) {
+  const { day, minutes } = localParts(at, prefs.timezone);
+  const yesterday = DAYS[(DAYS.indexOf(day) + 6) % 7];
+
+  return (prefs.quiet_hours || []).find(w => {
+    const days  = w.days && w.days.length ? w.days : DAYS;
+    const start = toMinutes(w.start);
+    const end   = toMinutes(w.end);
+
+    if (start < end) return days.includes(day) && minutes >= start && minutes < end;
+    // Overnight window — started today, or started yesterday and still running
+    return (days.includes(day) && minutes >= start) || (days.includes(yesterday) && minutes < end);
+  }) || null;
+}
+
+/** Weekday and minute-of-day for an instant in an IANA zone. */
+function localParts(at, timezone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone, weekday: 'short', hour: '2-digit', minute: '2-digit', hourCycle: 'h23',
+  }).formatToParts(at);
+  const get = type => parts.find(p => p.type === type).value;
+
+  return {
+    day:     get('weekday').toLowerCase().slice(0, 3),
+    minutes: parseInt(get('hour')) * 60 + parseInt(get('minute')),
+  };
+}
+
+function toMinutes(hhmm) {
+  const [h, m] = hhmm.split(':').map(Number);
+  return h * 60 + m;
+}
+
+module.exports = {
+  getPreferences, savePreferences, deletePreferences, checkDND, getNextOpenSlot,
+  isChannelOptedOut, isValidTimezone, localParts, DAYS,
+};
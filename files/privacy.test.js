@@ -0,0 +1,221 @@
+const crypto  = require('crypto');
+const express = require('express');
+const request = require('supertest');
+const config  = require('../config/default');
+const { setupRoutes } = require('../src/api/routes');
+const { errorHandler } = require('../src/api/middleware');
+const { registerAdapter } = require('../src/services/deliveryService');
+const { setStore, getStore } = require('../src/services/storageService');
+const { createMemoryStore } = require('../src/storage/memoryStore');
+const { sweepRetention } = require('../src/services/privacyService');
+const { savePreferences, getPreferences } = require('../src/services/preferenceService');
+const { scheduleDeferred } = require('../src/services/schedulerService');
+
+// Strings, sets and sorted sets, with SCAN MATCH — enough for dedup, fatigue, idempotency and erasure
+const mockRedis = {
+  data: new Map(),
+  async get(key) {
+    return this.data.get(key) ?? null;
+  },
+  async set(key, value, ...args) {
+    if (args.includes('NX') && this.data.has(key)) return null;
+    this.data.set(key, value);
+    return 'OK';
+  },
+  async del(...keys) {
+    return keys.filter(k => this.data.delete(k)).length;
+  },
+  async sadd(key, ...members) {
+    const set = this.data.get(key) || new Set();
+    members.forEach(m => set.add(m));
+    this.data.set(key, set);
+    return members.length;
+  },
+  async smembers(key) {
+    return [...(this.data.get(key) || [])];
+  },
+  async zadd(key, score, member) {
+    this.data.set(key, [...(this.data.get(key) || []), [score, member]]);
+    return 1;
+  },
+  async zrange(key) {
+    return (this.data.get(key) || []).map(([, m]) => m);
+  },
+  async zrem(key, member) {
+    const before = this.data.get(key);
+    if (!before) return 0;
+    this.data.set(key, before.filter(([, m]) => m !== member));
+    return before.length - this.data.get(key).length;
+  },
+  async ttl(key) {
+    return this.data.has(key) ? -1 : -2;
+  },
+  async scan(cursor, match, pattern) {
+    // Glob (* and backslash escapes) → RegExp
+    const literal = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const re = new RegExp(`^${pattern.replace(/\\(.)|(\*)|([^\\*]+)/g, (_, esc, star, text) => (star ? '.*' : literal(esc ?? text)))}$`);
+    return ['0', [...this.data.keys()].filter(k => re.test(k))];
+  },
+  eval:             async () => [],
+  zcount:           async () => 0,
+  zrangebyscore:    async () => [],
+  zremrangebyscore: async () => 0,
+  expire:           async () => 1,
+};
+
+jest.mock('../src/services/redisService', () => ({
+  ...jest.requireActual('../src/services/redisService'),
+  getRedis: () => mockRedis,
+}));
+jest.mock('../src/services/aiService', () => ({ getAiScore: jest.fn().mockResolvedValue(0) }));
+
+const app = express();
+app.use(express.json());
+setupRoutes(app);
+app.use(errorHandler);
+
+const event = (overrides = {}) => ({
+  user_id:       'privacy_user',
+  event_type:    'security_alert',
+  message:       'Password reset for jane@example.com',
+  priority_hint: 'CRITICAL',
+  channel:       'push',
+  ...overrides,
+});
+
+const evaluate = (body, key) => {
+  const req = request(app).post('/v1/notifications/evaluate');
+  return (key ? req.set('Idempotency-Key', key) : req).send(body);
+};
+
+describe('Privacy — redaction, retention and erasure', () => {
+
+  const sent = [];
+
+  beforeAll(() => {
+    registerAdapter('push', { name: 'capture', send: async message => { sent.push(message); return { status: 'SENT' }; } });
+  });
+  beforeEach(() => {
+    setStore(createMemoryStore());
+    mockRedis.data.clear();
+  });
+  afterEach(() => {
+    config.privacy.piiFields = [];
+    config.privacy.retention = { NOW: null, LATER: null, NEVER: null };
+  });
+
+  test('PII fields are redacted in the audit record, not in the delivered notification', async () => {
+    config.privacy.piiFields = ['message', 'dedupe_key', 'metadata.email'];
+    const body = event({ dedupe_key: 'reset-jane@example.com', metadata: { email: 'jane@example.com', plan: 'pro' } });
+
+    const first = await evaluate(body);
+    expect(sent[sent.length - 1]).toMatchObject({ body: 'Password reset for jane@example.com', metadata: { email: 'jane@example.com' } });
+
+    const audit = (await request(app).get(`/v1/audit/${first.body.audit_id}`)).body;
+    expect(audit.event).toMatchObject({ message: '[REDACTED]', dedupe_key: '[REDACTED]', metadata: { email: '[REDACTED]', plan: 'pro' } });
+    expect(audit.redacted).toEqual(['message', 'dedupe_key', 'metadata.email']);
+    expect(JSON.stringify(audit)).not.toContain('jane@example.com');
+
+    // Values are scrubbed from stage text too, and a redacted message cannot be re-sent
+    const dup = await evaluate({ ...body, priority_hint: 'HIGH' }, 'other-key');
+    expect(dup.body.decision).toBe('NEVER');
+    const dupAudit = (await request(app).get(`/v1/audit/${dup.body.audit_id}`)).body;
+    expect(dupAudit.stages.dedup).toBe('EXACT_KEY: dedupe_key=[REDACTED]');
+
+    const resend = await request(app).post('/v1/notifications/override')
+      .send({ notification_id: dup.body.audit_id, override_to: 'NOW', operator_id: 'ops_1', reason: 'test' });
+    expect(resend.status).toBe(409);
+    expect(resend.body.error).toMatch(/redacted/);
+  });
+
+  test('Retention sweep deletes records past the window for their decision only', async () => {
+    const old = new Date(Date.now() - 2 * 86400000).toISOString();
+    const record = (audit_id, decision, created_at) => ({
+      audit_id, user_id: 'privacy_user', event_type: 'reminder', decision, score: 10, stages: {}, created_at,
+    });
+    await getStore().insertDecision(record('aud_oldnever', 'NEVER', old));
+    await getStore().insertDecision(record('aud_oldnow00', 'NOW', old));
+    await getStore().insertDecision(record('aud_newnever', 'NEVER', new Date().toISOString()));
+    await getStore().insertOverride({ override_id: 'ovr_1', audit_id: 'aud_oldnever', override_to: 'NOW' });
+
+    config.privacy.retention = { NOW: null, LATER: '30d', NEVER: '1d' };
+    expect(await sweepRetention()).toEqual({ LATER: 0, NEVER: 1 });
+
+    expect(await getStore().getDecision('aud_oldnever')).toBeNull();
+    expect(await getStore().getOverrides('aud_oldnever')).toEqual([]);
+    expect(await getStore().getDecision('aud_oldnow00')).not.toBeNull();
+    expect(await getStore().getDecision('aud_newnever')).not.toBeNull();
+  });
+
+  test('DELETE /v1/users/:user_id/data erases store and Redis state and leaves a tombstone', async () => {
+    // "u*1" as a glob would also match u21 — the erasure must not touch it
+    const erased = await evaluate(event({ user_id: 'u*1', dedupe_key: 'u1-reset' }), 'retry-u1');
+    await evaluate(event({ user_id: 'u*1', message: 'New login from Oslo', source: 'auth' }));
+    await evaluate(event({ user_id: 'u21' }), 'retry-u21');
+
+    const keysOf = user => [...mockRedis.data.keys()].filter(k => k.includes(`:${user}:`) || k.endsWith(`:${user}`));
+    const own          = keysOf('u*1');
+    const fingerprints = await mockRedis.smembers('dedup:user:u*1');
+    expect(own).toEqual(expect.arrayContaining(['freq:u*1:total', 'dedup:user:u*1', 'sim:u*1:security_alert']));
+    expect(fingerprints).toContain('dedup:key:u1-reset');
+    const kept = [...mockRedis.data.keys()].filter(k => !own.includes(k) && !fingerprints.includes(k));
+
+    const bad = await request(app).delete('/v1/users/u*1/data').send({});
+    expect(bad.status).toBe(400);
+
+    const res = await request(app).delete('/v1/users/u*1/data').send({ operator_id: 'dpo_1', reason: 'GDPR art. 17 request' });
+    expect(res.status).toBe(200);
+    const { tombstone } = res.body;
+    expect(tombstone).toMatchObject({
+      subject_hash: crypto.createHash('sha256').update('u*1').digest('hex'),
+      operator_id:  'dpo_1',
+      erased:       { decisions: 2, overrides: 0, deliveries: 2, redis: 'ERASED' },
+    });
+    expect(tombstone.erased.redis_keys).toBe(own.length + fingerprints.length);
+    expect(JSON.stringify(tombstone)).not.toContain('u*1');
+
+    expect([...mockRedis.data.keys()].sort()).toEqual(kept.sort());
+    expect(keysOf('u21').length).toBeGreaterThan(0);
+    await request(app).get(`/v1/audit/${erased.body.audit_id}`).expect(404);
+    expect((await request(app).get('/v1/audit').query({ user_id: 'u*1' })).body.count).toBe(0);
+    expect((await request(app).get('/v1/notifications/history/u*1')).body.count).toBe(0);
+    expect((await request(app).get('/v1/audit').query({ user_id: 'u21' })).body.count).toBe(1);
+
+    const erasures = await request(app).get('/v1/users/u*1/data/erasures');
+    expect(erasures.body).toMatchObject({ total: 1, erasures: [{ tombstone_id: tombstone.tombstone_id }] });
+  });
+
+  test('A user ID that another one starts with ("p" and "p:rule") erases only its own keys', async () => {
+    await evaluate(event({ user_id: 'p', source: 'auth' }), 'retry-p');
+    await evaluate(event({ user_id: 'p:rule', message: 'New login from Oslo', source: 'auth' }), 'retry-p');
+
+    const other = [...mockRedis.data.keys()].filter(k => k.includes(':p%3Arule:'));
+    expect(other).toEqual(expect.arrayContaining(['freq:p%3Arule:total', 'sim:p%3Arule:security_alert']));
+    expect(other.some(k => k.startsWith('idem:p%3Arule:key:'))).toBe(true);
+
+    await request(app).delete('/v1/users/p/data').send({ operator_id: 'dpo_1' }).expect(200);
+
+    const left = [...mockRedis.data.keys()];
+    expect(left.filter(k => /^(freq|idem|sim):p:/.test(k))).toEqual([]);
+    expect(left).toEqual(expect.arrayContaining(other));
+  });
+
+  test('Erasure drops preferences, deferred entries and the pending digest, so nothing is delivered later', async () => {
+    const later = new Date(Date.now() + 3600000).toISOString();
+    await savePreferences('gone_user', { timezone: 'Europe/Oslo' });
+    const gone = await scheduleDeferred(event({ user_id: 'gone_user', event_type: 'reminder' }), later, 'aud_gone0001');
+    const kept = await scheduleDeferred(event({ user_id: 'kept_user', event_type: 'reminder' }), later, 'aud_kept0001');
+    mockRedis.data.set('digest:items:gone_user', ['{"audit_id":"aud_gone0002"}']);
+    await mockRedis.zadd('digest:due', Date.now(), 'gone_user');
+
+    const res = await request(app).delete('/v1/users/gone_user/data').send({ operator_id: 'dpo_1' });
+    expect(res.body.tombstone.erased).toMatchObject({ preferences: true, redis_keys: 4, redis: 'ERASED' });
+
+    expect(await mockRedis.zrange('sched:queue')).toEqual([kept.id]);
+    expect(await mockRedis.zrange('digest:due')).toEqual([]);
+    expect([...mockRedis.data.keys()].filter(k => k.includes('gone'))).toEqual([]);
+    expect(await mockRedis.get(`sched:item:${gone.id}`)).toBeNull();
+    expect((await getPreferences('gone_user')).timezone).not.toBe('Europe/Oslo');
+  });
+
+});
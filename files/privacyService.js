@@ -0,0 +1,228 @@
+/**
+ * privacyService.js — Audit Redaction, Retention and User Erasure
+ *
+ * Redaction — redactRecord() applies the PII field policy (PII_FIELDS) to
+ *   every audit record before it is written: listed event fields become
+ *   "[REDACTED]" in the event snapshot and their values are scrubbed from
+ *   stages, reason and event_id. record.redacted lists the fields replaced.
+ *   A NEVER whose message was redacted can no longer be re-sent by override.
+ *
+ * Retention — sweepRetention() deletes audit records (with their overrides
+ *   and receipts) older than the window set for their decision:
+ *   AUDIT_RETENTION_NOW / _LATER / _NEVER, e.g. 90d. Unset keeps them.
+ *
+ * Erasure — eraseUser() removes a user's audit records (parked ones too),
+ *   overrides, delivery receipts, history and preferences from the store,
+ *   and their dedup fingerprints, SimHash sets, fatigue counters, idempotent
+ *   responses, deferred entries, pending digest and queued webhook retries
+ *   from Redis — so nothing queued for them is delivered afterwards — then
+ *   leaves a tombstone: sha256(user_id), who asked, why and what was
+ *   erased — never the user_id itself.
+ */
+
+const crypto = require('crypto');
+const config = require('../../config/default');
+const { getStore } = require('./storageService');
+const { getRedis } = require('./redisService');
+const { forgetUser: forgetFingerprints } = require('../engine/deduplicator');
+const { forgetUser: forgetCounters, parseWindow } = require('../engine/fatigueGuard');
+const { forgetUser: forgetResponses } = require('./idempotencyService');
+const { forgetUser: forgetWebhookRetries } = require('./webhookService');
+const { deletePreferences } = require('./preferenceService');
+const { shortId } = require('../utils/fingerprint');
+const { counter } = require('../utils/metrics');
+const logger = require('../utils/logger');
+
+const REDACTED         = '[REDACTED]';
+const PII_FIELD        = /^(message|title|dedupe_key|source|metadata(\.[\w-]+)+)$/;
+const WINDOW           = /^\d+\s*(s|m|h|d)$/;
+const MIN_SCRUB_LENGTH = 4;      // shorter values are not scrubbed from free text
+const PURGE_BATCH      = 1000;
+
+let sweepTimer = null;
+
+const purgedTotal = counter('audit_records_purged_total',
+  'Audit records deleted by the retention sweep', ['decision']);
+
+for (const field of config.privacy.piiFields) {
+  if (!PII_FIELD.test(field)) logger.warn(`[PRIVACY] PII_FIELDS entry "${field}" is not a redactable event field — ignored`);
+}
+
+// ── Redaction ─────────────────────────────────────────────────────────────────
+
+/**
+ * Copy of an audit record with the PII policy applied. The record passed in
+ * (and its event, which the pipeline still delivers) is never modified.
+ *
+ * @param {Object}   record
+ * @param {string[]} [fields] - defaults to config.privacy.piiFields
+ * @returns {Object}
+ */
+function redactRecord(record, fields = config.privacy.piiFields) {
+  if (!record.event || fields.length === 0) return record;
+
+  const event    = structuredClone(record.event);
+  const redacted = [];
+  const values   = [];
+  for (const field of fields.filter(f => PII_FIELD.test(f))) {
+    const path   = field.split('.');
+    const key    = path.pop();
+    const parent = path.reduce((obj, k) => (obj && typeof obj === 'object' ? obj[k] : undefined), event);
+    if (!parent || typeof parent !== 'object' || parent[key] === undefined || parent[key] === null) continue;
+
+    collectStrings(parent[key], values);
+    parent[key] = REDACTED;
+    redacted.push(field);
+  }
+  if (redacted.length === 0) return record;
+
+  const scrub = text => values.reduce((t, v) => t.split(v).join(REDACTED), text);
+  return {
+    ...record,
+    event_id: typeof record.event_id === 'string' ? scrub(record.event_id) : record.event_id,
+    reason:   typeof record.reason === 'string' ? scrub(record.reason) : record.reason,
+    stages:   Object.fromEntries(Object.entries(record.stages || {})
+      .map(([stage, text]) => [stage, typeof text === 'string' ? scrub(text) : text])),
+    event,
+    redacted,
+  };
+}
+
+// ── Retention ─────────────────────────────────────────────────────────────────
+
+/**
+ * Delete audit records past their decision's retention window.
+ *
+ * @param {number} [now] - ms epoch
+ * @returns {Promise<Object>} records deleted per decision, e.g. { NEVER: 120 }
+ */
+async function sweepRetention(now = Date.now()) {
+  const purged = {};
+  for (const [decision, window] of Object.entries(config.privacy.retention)) {
+    if (!window) continue;
+    if (!WINDOW.test(window)) {
+      logger.warn(`[RETENTION] ${decision} window "${window}" is not like 30d — skipped`);
+      continue;
+    }
+
+    const before = new Date(now - parseWindow(window) * 1000).toISOString();
+    let total = 0;
+    let batch;
+    do {
+      batch  = await getStore().purgeDecisions({ decision, before, limit: PURGE_BATCH });
+      total += batch;
+    } while (batch === PURGE_BATCH);
+
+    purged[decision] = total;
+    if (total > 0) {
+      purgedTotal.inc({ decision }, total);
+      logger.info(`[RETENTION] Purged ${total} ${decision} record(s) older than ${window}`);
+    }
+  }
+  return purged;
+}
+
+/**
+ * Start the retention sweep (runs now, then every AUDIT_RETENTION_SWEEP_MS).
+ * Does nothing if no retention window is configured.
+ */
+function initRetentionSweeper() {
+  if (sweepTimer || !Object.values(config.privacy.retention).some(Boolean)) return;
+
+  const sweep = () => sweepRetention().catch(err => logger.error(`[RETENTION] Sweep failed: ${err.message}`));
+  sweep();
+  sweepTimer = setInterval(sweep, config.privacy.sweepIntervalMs);
+  sweepTimer.unref();
+}
+
+/** Stop the retention sweep (shutdown, tests). */
+function stopRetentionSweeper() {
+  clearInterval(sweepTimer);
+  sweepTimer = null;
+}
+
+// ── Erasure ───────────────────────────────────────────────────────────────────
+
+/**
+ * Erase everything stored about a user and leave a tombstone.
+ *
+ * Redis state is erased only if Redis is reachable; otherwise the tombstone
+ * says redis: 'UNAVAILABLE' (or 'FAILED') and the request can be repeated —
+ * every key involved also expires on its own.
+ *
+ * @param {string} userId
+ * @param {{ operator_id: string, reason?: string }} request
+ * @returns {Promise<Object>} the tombstone
+ */
+async function eraseUser(userId, { operator_id, reason = null }) {
+  // Required lazily — all three reach auditService, which loads this module for redactRecord
+  const { forgetUser: forgetDeferred } = require('./schedulerService');
+  const { forgetUser: forgetDigest } = require('./digestService');
+  const { forgetParked } = require('./auditService');
+
+  const store  = getStore();
+  const stored = await store.eraseUser(userId);
+  const erased = {
+    ...stored,
+    decisions:   stored.decisions + forgetParked(userId),   // incl. records still waiting to be written
+    preferences: await deletePreferences(userId),
+    redis_keys:  0,
+    redis:       'ERASED',
+  };
+
+  if (getRedis().isStub) {
+    erased.redis = 'UNAVAILABLE';
+  } else {
+    try {
+      erased.redis_keys = await forgetFingerprints(userId) + await forgetCounters(userId)
+        + await forgetResponses(userId) + await forgetDeferred(userId) + await forgetDigest(userId)
+        + await forgetWebhookRetries(userId);
+    } catch (err) {
+      erased.redis = 'FAILED';
+      logger.error(`[ERASURE] Redis erase failed: ${err.message}`);
+    }
+  }
+
+  const tombstone = {
+    tombstone_id: shortId('tmb'),
+    subject_hash: subjectHash(userId),
+    operator_id,
+    reason,
+    erased,
+    created_at:   new Date().toISOString(),
+  };
+  await store.insertTombstone(tombstone);
+
+  logger.info(`[ERASURE] ${tombstone.tombstone_id} by ${operator_id}: ${erased.decisions} decision(s), redis ${erased.redis}`);
+  return tombstone;
+}
+
+/**
+ * Tombstones left for a user ID — answers "was this user erased, and when".
+ *
+ * @param {string} userId
+ * @returns {Promise<Object[]>}
+ */
+async function getErasures(userId) {
+  return getStore().listTombstones(subjectHash(userId));
+}
+
+// ── Internal Helpers ──────────────────────────────────────────────────────────
+
+function subjectHash(userId) {
+  return crypto.createHash('sha256').update(String(userId)).digest('hex');
+}
+
+/** Every string (and number) inside a value, long enough to scrub safely. */
+function collectStrings(value, out) {
+  if (value && typeof value === 'object') {
+    Object.values(value).forEach(v => collectStrings(v, out));
+  } else if (typeof value === 'string' || typeof value === 'number') {
+    const s = String(value);
+    if (s.length >= MIN_SCRUB_LENGTH) out.push(s);
+  }
+}
+
+module.exports = {
+  redactRecord, sweepRetention, initRetentionSweeper, stopRetentionSweeper, eraseUser, getErasures, REDACTED,
+};
@@ -9,13 +9,23 @@
  * Circuit breaker pattern:
  *  - After 3 consecutive failures in 5s → stub mode activated
  *  - Reconnect retried automatically with exponential backoff
+ *
+ * Each switch into stub mode counts towards redis_stub_mode_activations_total
+ * (GET /metrics); redis_stub_mode is 1 while it lasts.
  */
 
 const Redis = require('ioredis');
+const { counter, gauge } = require('../utils/metrics');
 const logger = require('../utils/logger');
 
 let client = null;
 let connected = false;
+let stubMode  = false;
+
+const stubActivationsTotal = counter('redis_stub_mode_activations_total',
+  'Times the engine fell back to the no-op Redis stub');
+gauge('redis_stub_mode', 'Whether Redis calls currently go to the no-op stub (1) or Redis (0)', [],
+  async () => (stubMode ? 1 : 0));
 
 /**
  * Initialize Redis connection.
@@ -32,7 +42,7 @@ function initRedis() {
     lazyConnect:          true,
   });
 
-  client.on('ready',  () => { connected = true;  logger.info('[REDIS] Connected and ready'); });
+  client.on('ready',  () => { connected = true; stubMode = false; logger.info('[REDIS] Connected and ready'); });
   client.on('close',  () => { connected = false; logger.warn('[REDIS] Connection closed'); });
   client.on('error',  (e) => logger.warn(`[REDIS ERROR] ${e.message}`));
 
@@ -43,13 +53,31 @@ function initRedis() {
   return client;
 }
 
+/**
+ * Close the connection and stop reconnecting (shutdown, tests).
+ * A later getRedis() opens a new one.
+ */
+async function closeRedis() {
+  if (!client) return;
+  const closing = client;
+  client    = null;
+  connected = false;
+  if (closing.status === 'ready') await closing.quit().catch(() => closing.disconnect());
+  else closing.disconnect();
+}
+
 /**
  * Get the Redis client.
  * Returns a safe no-op stub if Redis is unavailable.
  */
 function getRedis() {
   if (!client) initRedis();
-  return connected ? client : createStub();
+  if (connected) return client;
+  if (!stubMode) {
+    stubMode = true;
+    stubActivationsTotal.inc();
+  }
+  return createStub();
 }
 
 /**
@@ -59,17 +87,64 @@ function getRedis() {
 function createStub() {
   const noop = async () => null;
   return {
+    isStub:           true,
     get:              noop,
     set:              noop,
+    del:              async () => 0,
+    eval:             async () => [],
     zadd:             noop,
+    zrem:             async () => 0,
+    zcard:            async () => 0,
     zrange:           async () => [],
     zrangebyscore:    async () => [],
     zremrangebyscore: noop,
     zcount:           async () => 0,
+    zscore:           noop,
+    rpush:            noop,
+    lrange:           async () => [],
+    lrem:             async () => 0,
+    rename:           noop,
     expire:           noop,
+    ttl:              async () => -2,
+    sadd:             noop,
+    smembers:         async () => [],
+    scan:             async () => ['0', []],
   };
 }
 
+/**
+ * All keys matching a glob pattern, via SCAN (never KEYS — it blocks Redis).
+ * Escape user-supplied parts with escapeGlob().
+ *
+ * @param {Object} redis
+ * @param {string} pattern - e.g. `freq:${escapeGlob(keySegment(userId))}:*`
+ * @returns {Promise<string[]>}
+ */
+async function scanKeys(redis, pattern) {
+  const keys = [];
+  let cursor = '0';
+  do {
+    const [next, batch] = await redis.scan(cursor, 'MATCH', pattern, 'COUNT', 500);
+    keys.push(...batch);
+    cursor = next;
+  } while (cursor !== '0');
+  return keys;
+}
+
+/** Escape glob metacharacters so a value matches only itself in a SCAN pattern. */
+function escapeGlob(value) {
+  return String(value).replace(/[*?[\]\\]/g, '\\$&');
+}
+
+/**
+ * A value as one ':'-separated key segment: ':' and '%' are percent-encoded,
+ * so `prefix:<segment>:*` cannot also match a longer value that starts with
+ * it ("a" vs "a:b"). Values without either character are unchanged.
+ */
+function keySegment(value) {
+  return String(value).replace(/[%:]/g, c => (c === '%' ? '%25' : '%3A'));
+}
+
 function isConnected() { return connected; }
 
-module.exports = { initRedis, getRedis, isConnected };
+module.exports = { initRedis, closeRedis, getRedis, isConnected, scanKeys, escapeGlob, keySegment };
@@ -0,0 +1,109 @@
+/**
+ * redisStreamConsumer.js — Redis Streams Ingestion Consumer
+ *
+ * Reads notification events from a Redis stream through a consumer group,
+ * so several engine instances share the stream and each message is handled
+ * by one of them (INGESTION_BACKEND=redis, the default).
+ *
+ *   <stream>        XADD <stream> * event <json>      published by producers
+ *   <stream>:dead   event, reason, source_id, failed_at   dead letters
+ *
+ * A message stays in the group's pending list until commit() (XACK). One
+ * left pending for claimIdleMs — its consumer crashed or the evaluation
+ * failed — is claimed again (XAUTOCLAIM, Redis ≥ 6.2) with its delivery
+ * count from XPENDING.
+ *
+ * Uses its own connection: XREADGROUP BLOCK would stall the shared client.
+ *
+ * Implements the consumer interface — see ingestionService.js.
+ */
+
+const os = require('os');
+
+/**
+ * @param {Object} options
+ * @param {Object} options.redis       - dedicated ioredis connection
+ * @param {string} options.stream
+ * @param {string} options.group
+ * @param {string} [options.consumer]  - unique per instance
+ * @param {number} [options.claimIdleMs]
+ * @param {number} [options.maxLen]    - approximate stream cap for publish()
+ * @returns {Object} consumer
+ */
+function createRedisStreamConsumer({
+  redis, stream, group, consumer = `${os.hostname()}-${process.pid}`, claimIdleMs = 60000, maxLen = 1000000,
+}) {
+  const deadStream = `${stream}:dead`;
+  let ready = null;
+
+  // Create the group once — from the start of the stream, so nothing published earlier is skipped
+  const ensureGroup = () => {
+    ready = ready || redis.xgroup('CREATE', stream, group, '0', 'MKSTREAM').catch(err => {
+      if (!/BUSYGROUP/.test(err.message)) { ready = null; throw err; }
+    });
+    return ready;
+  };
+
+  return {
+    name: 'redis',
+
+    async publish(value) {
+      const json = typeof value === 'string' ? value : JSON.stringify(value);
+      return redis.xadd(stream, 'MAXLEN', '~', maxLen, '*', 'event', json);
+    },
+
+    async poll({ max = 50, blockMs = 0 } = {}) {
+      await ensureGroup();
+
+      const [, claimed] = await redis.xautoclaim(stream, group, consumer, claimIdleMs, '0-0', 'COUNT', max);
+      if (claimed && claimed.length > 0) {
+        const counts = new Map(
+          (await redis.xpending(stream, group, '-', '+', Math.max(max, 100), consumer)).map(([id, , , n]) => [id, n])
+        );
+        return claimed.filter(Boolean).map(entry => toMessage(entry, counts.get(entry[0]) || 2));
+      }
+
+      const args = ['GROUP', group, consumer, 'COUNT', max];
+      if (blockMs > 0) args.push('BLOCK', blockMs);
+      const reply = await redis.xreadgroup(...args, 'STREAMS', stream, '>');
+      return reply ? reply[0][1].map(entry => toMessage(entry, 1)) : [];
+    },
+
+    async commit(id) {
+      await redis.xack(stream, group, id);
+    },
+
+    async deadLetter(message, reason) {
+      await redis.xadd(deadStream, 'MAXLEN', '~', maxLen, '*',
+        'event', message.value ?? '', 'reason', reason,
+        'source_id', message.id, 'failed_at', new Date().toISOString());
+      await redis.xack(stream, group, message.id);
+    },
+
+    async listDeadLetters(limit = 100) {
+      const entries = await redis.xrevrange(deadStream, '+', '-', 'COUNT', limit);
+      return entries.map(([id, fields]) => {
+        const f = fieldsToObject(fields);
+        return { id: f.source_id, value: f.event, reason: f.reason, failed_at: f.failed_at, dead_letter_id: id };
+      });
+    },
+
+    async close() {
+      await redis.quit().catch(() => {});
+    },
+  };
+}
+
+// ── Internal Helpers ──────────────────────────────────────────────────────────
+
+function toMessage([id, fields], deliveries) {
+  return { id, value: fieldsToObject(fields).event ?? null, deliveries };
+}
+
+function fieldsToObject(fields = []) {
+  const obj = {};
+  for (let i = 0; i < fields.length; i += 2) obj[fields[i]] = fields[i + 1];
+  return obj;
+}
+
+module.exports = { createRedisStreamConsumer };
@@ -1,21 +1,186 @@
-const { body, validationResult } = require('express-validator');
-const { evaluate } = require('../engine/classifier');
-const { getHistory, getAuditLog } = require('../services/auditService');
-const { saveRule } = require('../services/ruleService');
+const { body, param, query, validationResult } = require('express-validator');
+const { evaluate, evaluateBatch } = require('../engine/classifier');
+const {
+  getHistory, getAuditLog, searchAudit, exportAudit,
+} = require('../services/auditService');
+const { explainDecision } = require('../services/explainService');
+const { verifyChain } = require('../services/auditChainService');
+const {
+  getDecisionMix, getScoreHistogram, getSuppression,
+} = require('../services/analyticsService');
+const {
+  listRules, getRule, saveRule, deleteRule, getRuleHistory, rollbackRule,
+} = require('../services/ruleService');
+const { validateCondition } = require('../engine/conditionMatcher');
+const { simulateRules } = require('../services/simulationService');
+const {
+  listPolicies, getPolicy, savePolicy, deletePolicy,
+} = require('../services/fatiguePolicyService');
 const { forceOverride } = require('../services/schedulerService');
+const { getPendingDigest, CADENCES } = require('../services/digestService');
+const {
+  claimIdempotency, completeIdempotency, releaseIdempotency,
+} = require('../services/idempotencyService');
+const {
+  listWebhooks, getWebhook, createWebhook, updateWebhook, deleteWebhook, getWebhookDeliveries,
+  checkTargetUrl, WEBHOOK_EVENTS,
+} = require('../services/webhookService');
+const {
+  getPreferences, savePreferences, isValidTimezone, DAYS,
+} = require('../services/preferenceService');
+const {
+  normalizeEvent, validateEvent, EVENT_SCHEMAS, CURRENT_SCHEMA_VERSION,
+} = require('../models/event');
+const { eraseUser, getErasures } = require('../services/privacyService');
+const { renderMetrics, contentType: metricsContentType } = require('../utils/metrics');
 const logger = require('../utils/logger');
 
 // ─── Validation ───────────────────────────────────────────────────────────────
 
-const evaluateRules = [
-  body('user_id').notEmpty().withMessage('user_id is required'),
-  body('event_type').notEmpty().withMessage('event_type is required'),
-  body('priority_hint').optional().isIn(['CRITICAL', 'HIGH', 'MEDIUM', 'LOW']),
-  body('channel').optional().isIn(['push', 'email', 'sms', 'in-app']),
-  body('expires_at').optional().isISO8601(),
-  body('timestamp').optional().isISO8601(),
+// Evaluate bodies are checked against the shared event contract (models/event.js)
+
+const HHMM   = /^([01]\d|2[0-3]):[0-5]\d$/;
+const WINDOW = /^\d+\s*(s|m|h|d)$/;
+
+const preferenceRules = [
+  param('user_id').notEmpty(),
+  body('timezone').optional().custom(isValidTimezone).withMessage('timezone must be a valid IANA zone'),
+  body('quiet_hours').optional().isArray(),
+  body('quiet_hours.*.start').matches(HHMM).withMessage('start must be HH:MM'),
+  body('quiet_hours.*.end').matches(HHMM).withMessage('end must be HH:MM'),
+  body('quiet_hours.*.days').optional().isArray(),
+  body('quiet_hours.*.days.*').isIn(DAYS),
+  body('focus_mode').optional().isObject(),
+  body('focus_mode.enabled').optional().isBoolean(),
+  body('focus_mode.until').optional({ values: 'null' }).isISO8601(),
+  body('channel_opt_outs').optional().isArray(),
+  body('channel_opt_outs.*').isIn(['push', 'email', 'sms', 'in-app']),
+  body('segment').optional({ values: 'null' }).isString(),
+  body('fatigue_cap').optional({ values: 'null' }).isObject(),
+  body('fatigue_cap.count').if(body('fatigue_cap').isObject()).isInt({ min: 1 }),
+  body('fatigue_cap.window').if(body('fatigue_cap').isObject()).matches(WINDOW).withMessage('window must be like 30m, 4h, 1d'),
+  body('digest_cadence').optional({ values: 'null' }).isIn(CADENCES),
+];
+
+const CAP_NAMES = ['total', 'source', 'promo'];
+
+const policyRules = [
+  body('policy_id').notEmpty(),
+  body('scope').optional().isObject(),
+  body('scope.channel').optional().isIn(['push', 'email', 'sms', 'in-app', '*']),
+  body(['scope.segment', 'scope.event_type']).optional().isString(),
+  body('caps').optional().isObject().bail()
+    .custom(caps => Object.keys(caps).every(k => CAP_NAMES.includes(k)))
+    .withMessage(`caps may only contain ${CAP_NAMES.join(', ')}`),
+  body('caps.*.count').isInt({ min: 1 }),
+  body('caps.*.window').matches(WINDOW).withMessage('window must be like 30m, 4h, 1d'),
+  body('penalty_curve').optional().isArray({ min: 1 }),
+  body('penalty_curve.*.penalty').isInt({ min: 0, max: 100 }),
+  body('penalty_curve.*').custom(rung => (rung.ratio === undefined) !== (rung.count === undefined))
+    .withMessage('each rung needs exactly one of ratio or count'),
+  body('penalty_curve.*.ratio').optional().isFloat({ gt: 0 }),
+  body('penalty_curve.*.count').optional().isInt({ min: 1 }),
+  body('priority').optional().isInt(),
+  body('enabled').optional().isBoolean(),
+];
+
+/** Webhook body — `url` is required on create only. */
+const webhookRules = (create) => [
+  (create ? body('url') : body('url').optional())
+    .isURL({ protocols: ['http', 'https'], require_protocol: true, require_tld: false })
+    .withMessage('url must be an http(s) URL')
+    .bail()
+    .custom(url => {
+      const reason = checkTargetUrl(url);
+      if (reason) throw new Error(reason);
+      return true;
+    }),
+  body('secret').optional().isString().isLength({ min: 16 }).withMessage('secret must be at least 16 characters'),
+  body('events').optional().isArray({ min: 1 }),
+  body('events.*').isIn(WEBHOOK_EVENTS),
+  body('filter').optional().isObject(),
+  body(['filter.decisions', 'filter.event_types', 'filter.user_ids', 'filter.sources']).optional().isArray(),
+  body('filter.decisions.*').isIn(['NOW', 'LATER', 'NEVER']),
+  body('enabled').optional().isBoolean(),
+  body('description').optional({ values: 'null' }).isString(),
+  body('updated_by').optional().isString(),
 ];
 
+/**
+ * Validation for a rule body. `prefix` targets nested rules (e.g. 'rules.*.');
+ * `when` makes the whole rule optional (validated only if it is present).
+ */
+const ruleFields = (prefix = '', when = null) => {
+  const field = name => (when ? body(`${prefix}${name}`).if(when) : body(`${prefix}${name}`));
+  return [
+    field('rule_id').notEmpty(),
+    field('condition').isObject().bail().custom(condition => {
+      const err = validateCondition(condition);
+      if (err) throw new Error(`${err.path}: ${err.message}`);
+      return true;
+    }),
+    field('action').isIn(['DEFER', 'SUPPRESS', 'SEND_NOW', 'CAP']),
+    field('max_per').custom((maxPer, { req, path }) => {
+      const err = validateMaxPer(maxPer, ruleAt(req.body, path).action);
+      if (err) throw new Error(err);
+      return true;
+    }),
+    field('enabled').optional().isBoolean(),
+  ];
+};
+
+/** max_per is required for CAP and optional otherwise; when set, { count ≥ 1, window like 4h }. */
+function validateMaxPer(maxPer, action) {
+  if (maxPer === undefined || maxPer === null) {
+    return action === 'CAP' ? 'max_per is required for CAP rules' : null;
+  }
+  if (typeof maxPer !== 'object' || Array.isArray(maxPer)) return 'max_per must be { count, window }';
+  if (!Number.isInteger(maxPer.count) || maxPer.count < 1) return 'max_per.count must be a positive integer';
+  if (typeof maxPer.window !== 'string' || !WINDOW.test(maxPer.window) || parseInt(maxPer.window) < 1) {
+    return 'max_per.window must be like 30m, 4h, 1d (units s, m, h, d)';
+  }
+  return null;
+}
+
+/** The rule object a validated field belongs to, e.g. 'rules[2].max_per' → req.body.rules[2]. */
+function ruleAt(body, path) {
+  return path.split(/[.[\]]/).filter(Boolean).slice(0, -1)
+    .reduce((obj, key) => (obj && typeof obj === 'object' ? obj[key] : undefined), body) || {};
+}
+
+const SIMULATE_MAX_EVENTS = parseInt(process.env.SIMULATE_MAX_EVENTS) || 5000;
+
+const BATCH_MAX_SIZE = parseInt(process.env.BATCH_MAX_SIZE) || 1000;
+
+const IDEMPOTENCY_KEY = /^[\x21-\x7e]{1,255}$/;
+
+/** Range and filters shared by the /v1/analytics queries. */
+const analyticsRules = [
+  query(['from', 'to']).optional().isISO8601(),
+  query('interval').optional().isIn(['hour', 'day']),
+  query(['event_type', 'source', 'channel']).optional().isString().notEmpty(),
+];
+
+/** Filters shared by audit search, export and the compliance bundle. */
+const auditFilterRules = [
+  query(['user_id', 'event_type', 'source', 'rule_id']).optional().isString().notEmpty(),
+  query('decision').optional().isIn(['NOW', 'LATER', 'NEVER']),
+  query(['from', 'to']).optional().isISO8601(),
+  query(['min_score', 'max_score']).optional().isInt({ min: 0, max: 100 }),
+];
+
+const AUDIT_PAGE_MAX = 500;
+
+const CSV_COLUMNS = [
+  'audit_id', 'created_at', 'user_id', 'event_type', 'source', 'decision', 'score', 'reason',
+  'rules_matched', 'schedule_at', 'reevaluation_of', 'original_audit_id',
+];
+
+/** Attach contract warnings (e.g. UNKNOWN_EVENT_TYPE) to a response, if any. */
+function withWarnings(result, warnings) {
+  return warnings.length > 0 ? { ...result, warnings } : result;
+}
+
 // ─── Routes ───────────────────────────────────────────────────────────────────
 
 function setupRoutes(app) {
@@ -24,40 +189,120 @@ function setupRoutes(app) {
    * POST /v1/notifications/evaluate
    * Core decision endpoint — classifies event as NOW / LATER / NEVER
    *
-   * Body: { user_id, event_type, message, source, priority_hint,
-   *         timestamp, channel, metadata, dedupe_key, expires_at }
+   * Body: an event matching GET /v1/schema/event — { schema_version?, user_id,
+   *         event_type, title, message, source | service, priority_hint,
+   *         timestamp, channel, metadata, dedupe_key, expires_at,
+   *         channels[], channel_selection: 'best' | 'ordered' }
+   *
+   * Headers: Idempotency-Key (optional) — a retry with the same key and body
+   *          gets the original response back (Idempotent-Replayed: true);
+   *          without it, dedupe_key is used the same way
+   *
+   * Response: { decision, score, reason, schedule_at, audit_id, delivery?, warnings? }
+   *           409 while the first request with the key is still running,
+   *           422 when the key was used for a different body
+   */
+  app.post('/v1/notifications/evaluate', async (req, res, next) => {
+    let claim = null;
+    try {
+      const { errors, warnings } = validateEvent(req.body);
+      const key = req.get('Idempotency-Key');
+      if (key !== undefined && !IDEMPOTENCY_KEY.test(key)) {
+        errors.push({ path: 'Idempotency-Key', keyword: 'pattern', msg: 'Idempotency-Key must be 1–255 printable ASCII characters', value: key });
+      }
+      if (errors.length > 0) {
+        return res.status(400).json({ error: 'Validation failed', details: errors });
+      }
+
+      claim = await claimIdempotency({ userId: req.body.user_id, key, body: req.body });
+      if (claim.status === 'REPLAY') {
+        return res.set('Idempotent-Replayed', 'true').status(200).json(claim.response);
+      }
+      if (claim.status === 'IN_PROGRESS') {
+        return res.set('Retry-After', '1').status(409).json({ error: 'A request with this idempotency key is still being processed' });
+      }
+      if (claim.status === 'MISMATCH') {
+        return res.status(422).json({ error: 'Idempotency-Key was already used with a different request body' });
+      }
+
+      const event = normalizeEvent(req.body);
+
+      logger.info(`[EVALUATE] user=${event.user_id} type=${event.event_type} priority=${event.priority_hint}`);
+      const response = withWarnings(await evaluate(event), warnings);
+      if (claim.status === 'ACQUIRED') await completeIdempotency(claim.handle, response);
+      res.status(200).json(response);
+
+    } catch (err) {
+      if (claim && claim.status === 'ACQUIRED') await releaseIdempotency(claim.handle);
+      next(err);
+    }
+  });
+
+  /**
+   * POST /v1/notifications/evaluate/batch
+   * Evaluate many events in one call. Items for the same user are evaluated
+   * in order; invalid or failing items are reported without failing the batch.
    *
-   * Response: { decision, score, reason, schedule_at, audit_id }
+   * Body: { events: [ <evaluate body>, ... ] }   (max BATCH_MAX_SIZE items)
+   * Response: { total, succeeded, failed,
+   *             results: [{ index, status: 'ok', ...decision, warnings? } | { index, status: 'error', error, details? }] }
    */
-  app.post('/v1/notifications/evaluate', evaluateRules, async (req, res, next) => {
+  app.post('/v1/notifications/evaluate/batch', [
+    body('events').isArray({ min: 1, max: BATCH_MAX_SIZE })
+      .withMessage(`events must be an array of 1–${BATCH_MAX_SIZE} items`),
+  ], async (req, res, next) => {
     try {
       const errors = validationResult(req);
       if (!errors.isEmpty()) {
         return res.status(400).json({ error: 'Validation failed', details: errors.array() });
       }
 
-      const event = {
-        user_id:       req.body.user_id,
-        event_type:    req.body.event_type,
-        message:       req.body.message || '',
-        source:        req.body.source  || 'unknown',
-        priority_hint: req.body.priority_hint || 'MEDIUM',
-        timestamp:     req.body.timestamp || new Date().toISOString(),
-        channel:       req.body.channel  || 'push',
-        dedupe_key:    req.body.dedupe_key || null,
-        expires_at:    req.body.expires_at || null,
-        metadata:      req.body.metadata  || {},
-      };
+      const results = new Array(req.body.events.length);
+      const valid   = [];   // { index, event, warnings }
 
-      logger.info(`[EVALUATE] user=${event.user_id} type=${event.event_type} priority=${event.priority_hint}`);
-      const result = await evaluate(event);
-      res.status(200).json(result);
+      for (const [index, item] of req.body.events.entries()) {
+        const { errors: itemErrors, warnings } = validateEvent(item);
+        if (itemErrors.length > 0) {
+          results[index] = { index, status: 'error', error: 'Validation failed', details: itemErrors };
+        } else {
+          valid.push({ index, event: normalizeEvent(item), warnings });
+        }
+      }
+
+      logger.info(`[EVALUATE BATCH] ${req.body.events.length} items (${valid.length} valid)`);
+      const outcomes = await evaluateBatch(valid.map(v => v.event));
+      outcomes.forEach((o, i) => {
+        const { index, warnings } = valid[i];
+        results[index] = o.ok
+          ? withWarnings({ index, status: 'ok', ...o.result }, warnings)
+          : { index, status: 'error', error: o.error };
+      });
+
+      const failed = results.filter(r => r.status === 'error').length;
+      res.status(200).json({ total: results.length, succeeded: results.length - failed, failed, results });
 
     } catch (err) {
       next(err);
     }
   });
 
+  /**
+   * GET /v1/schema/event
+   * The event contract as a JSON Schema document, for client-side validation.
+   *
+   * Query: ?version=1.0 (default: current)
+   * Response: JSON Schema; 404 { error, supported[] } for an unknown version
+   */
+  app.get('/v1/schema/event', (req, res) => {
+    const version = req.query.version || CURRENT_SCHEMA_VERSION;
+    const schema  = EVENT_SCHEMAS[version];
+    if (!schema) {
+      return res.status(404).json({ error: `Unknown schema version: ${version}`, supported: Object.keys(EVENT_SCHEMAS) });
+    }
+    res.set('Cache-Control', 'public, max-age=300');
+    res.type('application/schema+json').status(200).send(JSON.stringify(schema));
+  });
+
   /**
    * GET /v1/notifications/history/:user_id
    * Returns notification history and fatigue context for a user
@@ -81,14 +326,17 @@ function setupRoutes(app) {
    * POST /v1/rules
    * Create or update a human-configurable rule (no redeploy needed)
    *
-   * Body: { rule_id, condition, action, max_per, priority, enabled }
-   * Response: { success, rule }
+   * Body: { rule_id, condition, action, max_per, priority, enabled, description, updated_by }
+   * Response: { success, rule }   (rule.version, rule.updated_at, rule.updated_by set)
+   *
+   * condition uses the language in engine/conditionMatcher.js; malformed
+   * conditions are rejected with the offending path, e.g.
+   * "condition.any[1].metadata.amount.gt: must be a number".
+   * 409 if concurrent changes to the rule keep taking the next version.
    */
   app.post('/v1/rules', [
-    body('rule_id').notEmpty(),
-    body('condition').isObject(),
-    body('action').isIn(['DEFER', 'SUPPRESS', 'SEND_NOW', 'CAP']),
-    body('enabled').optional().isBoolean(),
+    ...ruleFields(),
+    body('updated_by').optional().isString(),
   ], async (req, res, next) => {
     try {
       const errors = validationResult(req);
@@ -97,16 +345,17 @@ function setupRoutes(app) {
       }
 
       const rule = {
-        rule_id:   req.body.rule_id,
-        condition: req.body.condition,
-        action:    req.body.action,
-        max_per:   req.body.max_per  || null,
-        priority:  req.body.priority || 10,
-        enabled:   req.body.enabled  !== false,
+        rule_id:     req.body.rule_id,
+        condition:   req.body.condition,
+        action:      req.body.action,
+        max_per:     req.body.max_per  || null,
+        priority:    req.body.priority || 10,
+        enabled:     req.body.enabled  !== false,
+        description: req.body.description,
       };
 
-      const saved = await saveRule(rule);
-      logger.info(`[RULE SAVED] ${rule.rule_id} → ${rule.action}`);
+      const saved = await saveRule(rule, req.body.updated_by);
+      logger.info(`[RULE SAVED] ${rule.rule_id} → ${rule.action} (v${saved.version})`);
       res.status(200).json({ success: true, rule: saved });
 
     } catch (err) {
@@ -114,18 +363,149 @@ function setupRoutes(app) {
     }
   });
 
+  /**
+   * POST /v1/rules/simulate
+   * Dry-run candidate rules against recent audited events — nothing is saved,
+   * counted or scheduled. Each event is replayed with the live rules and with
+   * the candidate set, as of its original decision time.
+   *
+   * Body: { rule | rules[], mode: merge|replace, since, limit, user_id, event_type }
+   * Response: { replayed, skipped, changed, unchanged, transitions: { "NOW→NEVER": n },
+   *             affected_users, affected_event_types, samples[] }
+   */
+  app.post('/v1/rules/simulate', [
+    body('rule').optional().isObject(),
+    ...ruleFields('rule.', body('rule').exists()),
+    body('rules').optional().isArray({ min: 1, max: 100 }),
+    ...ruleFields('rules.*.'),
+    body('mode').optional().isIn(['merge', 'replace']),
+    body('since').optional().isISO8601(),
+    body('limit').optional().isInt({ min: 1, max: SIMULATE_MAX_EVENTS }).toInt(),
+    body('user_id').optional().isString(),
+    body('event_type').optional().isString(),
+  ], async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ error: 'Validation failed', details: errors.array() });
+      }
+
+      const rules = req.body.rules || (req.body.rule ? [req.body.rule] : []);
+      if (rules.length === 0) {
+        return res.status(400).json({ error: 'Provide a candidate rule or rules[]' });
+      }
+
+      const result = await simulateRules({ ...req.body, rules });
+      res.status(200).json(result);
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  /**
+   * GET /v1/rules
+   * All stored rules, including disabled ones, highest priority first
+   *
+   * Response: { total, rules[] }
+   */
+  app.get('/v1/rules', async (req, res, next) => {
+    try {
+      const rules = await listRules();
+      res.status(200).json({ total: rules.length, rules });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  /**
+   * GET /v1/rules/:rule_id
+   * Response: rule (404 if unknown)
+   */
+  app.get('/v1/rules/:rule_id', async (req, res, next) => {
+    try {
+      res.status(200).json(await getRule(req.params.rule_id));
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  /**
+   * DELETE /v1/rules/:rule_id
+   * Remove a rule. The deletion is versioned and can be rolled back.
+   *
+   * Body (optional): { updated_by }
+   * Response: { success, rule_id, version }
+   */
+  app.delete('/v1/rules/:rule_id', [
+    body('updated_by').optional().isString(),
+  ], async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ error: 'Validation failed', details: errors.array() });
+      }
+
+      const result = await deleteRule(req.params.rule_id, req.body?.updated_by);
+      res.status(200).json({ success: true, ...result });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  /**
+   * GET /v1/rules/:rule_id/history
+   * Every version of a rule, oldest first: { version, change, rule, updated_by, created_at }
+   *
+   * Response: { rule_id, versions[] }
+   */
+  app.get('/v1/rules/:rule_id/history', async (req, res, next) => {
+    try {
+      const versions = await getRuleHistory(req.params.rule_id);
+      res.status(200).json({ rule_id: req.params.rule_id, versions });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  /**
+   * POST /v1/rules/:rule_id/rollback/:version
+   * Restore a rule to an earlier version (recorded as a new version)
+   *
+   * Body (optional): { updated_by }
+   * Response: { success, restored_version, rule }
+   */
+  app.post('/v1/rules/:rule_id/rollback/:version', [
+    param('version').isInt({ min: 1 }).toInt(),
+    body('updated_by').optional().isString(),
+  ], async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ error: 'Validation failed', details: errors.array() });
+      }
+
+      const rule = await rollbackRule(req.params.rule_id, req.params.version, req.body?.updated_by);
+      res.status(200).json({ success: true, restored_version: req.params.version, rule });
+    } catch (err) {
+      next(err);
+    }
+  });
+
   /**
    * POST /v1/notifications/override
-   * Force-send a suppressed or deferred notification (operators only)
+   * Force-send, reschedule or cancel a suppressed or deferred notification (operators only)
    *
-   * Body: { notification_id, override_to, operator_id, reason }
-   * Response: { success, notification_id, override_to, override_at }
+   * Body: { notification_id (audit_id or sch_ id), override_to, operator_id, reason,
+   *         schedule_at (required for LATER) }
+   * Response: { success, notification_id, audit_id, override_id, from, override_to, override_at }
+   * Errors: 404 unknown notification, 409 already dispatched / nothing to cancel
    */
   app.post('/v1/notifications/override', [
     body('notification_id').notEmpty(),
     body('override_to').isIn(['NOW', 'LATER', 'NEVER']),
     body('operator_id').notEmpty(),
     body('reason').notEmpty(),
+    body('schedule_at').if(body('override_to').equals('LATER')).isISO8601(),
   ], async (req, res, next) => {
     try {
       const errors = validationResult(req);
@@ -134,7 +514,6 @@ function setupRoutes(app) {
       }
 
       const result = await forceOverride(req.body);
-      logger.warn(`[OVERRIDE] ${req.body.notification_id} → ${req.body.override_to} by ${req.body.operator_id}`);
       res.status(200).json(result);
 
     } catch (err) {
@@ -142,11 +521,127 @@ function setupRoutes(app) {
     }
   });
 
+  /**
+   * GET /v1/audit
+   * Search the audit log, newest first
+   *
+   * Query: user_id, decision, event_type, source, rule_id, from, to (ISO 8601,
+   *        from inclusive, to exclusive), min_score, max_score, limit (1–500,
+   *        default 50), cursor (next_cursor of the previous page)
+   * Response: { count, records[], next_cursor }   next_cursor is null on the last page
+   */
+  app.get('/v1/audit', [
+    ...auditFilterRules,
+    query('limit').optional().isInt({ min: 1, max: AUDIT_PAGE_MAX }),
+    query('cursor').optional().isString(),
+  ], async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ error: 'Validation failed', details: errors.array() });
+      }
+
+      const { records, next_cursor } = await searchAudit(auditFilters(req.query), {
+        cursor: req.query.cursor,
+        limit:  req.query.limit ? Number(req.query.limit) : undefined,
+      });
+      res.status(200).json({ count: records.length, records, next_cursor });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  /**
+   * GET /v1/audit/export
+   * Stream every matching audit record — same filters as GET /v1/audit
+   *
+   * Query: format=ndjson (default, one full record per line) | csv (one row
+   *        per decision, columns as CSV_COLUMNS)
+   */
+  app.get('/v1/audit/export', [
+    ...auditFilterRules,
+    query('format').optional().isIn(['ndjson', 'csv']),
+  ], async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ error: 'Validation failed', details: errors.array() });
+      }
+
+      const format  = req.query.format || 'ndjson';
+      const records = exportAudit(auditFilters(req.query));
+      res.status(200)
+        .attachment(`audit-export.${format}`)
+        .type(format === 'csv' ? 'text/csv; charset=utf-8' : 'application/x-ndjson');
+      await writeChunks(res, format === 'csv' ? csvLines(records) : ndjsonLines(records));
+    } catch (err) {
+      if (res.headersSent) return res.destroy(err);
+      next(err);
+    }
+  });
+
+  /**
+   * GET /v1/audit/users/:user_id/bundle
+   * Compliance export for one user over a date range — every decision with
+   * its stages, score breakdown, overrides and delivery receipts, streamed
+   * as a single JSON document
+   *
+   * Query: from, to (ISO 8601, required; from inclusive, to exclusive)
+   * Response: { user_id, from, to, generated_at, records[], totals: { records,
+   *             overrides, deliveries, decisions: { NOW, LATER, NEVER } } }
+   */
+  app.get('/v1/audit/users/:user_id/bundle', [
+    query(['from', 'to']).isISO8601(),
+  ], async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ error: 'Validation failed', details: errors.array() });
+      }
+
+      const { user_id } = req.params;
+      const { from, to } = req.query;
+      const records = exportAudit({ userId: user_id, from, to }, { trail: true });
+      const header  = { user_id, from, to, generated_at: new Date().toISOString() };
+      res.status(200).attachment(`audit-bundle-${user_id.replace(/[^\w.-]/g, '_')}.json`);
+      await writeChunks(res, bundleJson(header, records));
+    } catch (err) {
+      if (res.headersSent) return res.destroy(err);
+      next(err);
+    }
+  });
+
+  /**
+   * GET /v1/audit/verify
+   * Walk the audit hash chain and report any gap, broken link, altered
+   * record, bad entry / pruned marker / head signature or truncation
+   *
+   * Query: user_id (optional — verify only that user's partition)
+   * Response: { ok, verified_at, partition_mode, partitions, entries, pruned,
+   *             issue_count, issues[{ partition, seq, kind, ref_id, type, detail }],
+   *             heads[{ partition, seq, hash }] }
+   * 503 if AUDIT_SIGNING_KEY is not set
+   */
+  app.get('/v1/audit/verify', [
+    query('user_id').optional().isString().notEmpty(),
+  ], async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ error: 'Validation failed', details: errors.array() });
+      }
+
+      res.status(200).json(await verifyChain({ userId: req.query.user_id }));
+    } catch (err) {
+      next(err);
+    }
+  });
+
   /**
    * GET /v1/audit/:audit_id
    * Retrieve the complete decision audit trail for any notification
    *
-   * Response: { audit_id, decision, score, reason, stages, rules_matched, created_at }
+   * Response: { audit_id, decision, score, reason, stages, rules_matched, overrides[], created_at }
    */
   app.get('/v1/audit/:audit_id', async (req, res, next) => {
     try {
@@ -158,10 +653,477 @@ function setupRoutes(app) {
     }
   });
 
+  /**
+   * GET /v1/audit/:audit_id/explain
+   * How a decision was reached — score math step by step, the thresholds
+   * that applied and what would have changed the outcome
+   *
+   * Response: { audit_id, decision, score, decided_by, breakdown_available,
+   *             steps[{ step, points, total, detail }], thresholds,
+   *             fatigue, ai, conflict, rule, what_would_change[], overrides[] }
+   */
+  app.get('/v1/audit/:audit_id/explain', async (req, res, next) => {
+    try {
+      const explanation = await explainDecision(req.params.audit_id);
+      if (!explanation) return res.status(404).json({ error: 'Audit record not found' });
+      res.status(200).json(explanation);
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  /**
+   * GET /v1/analytics/decisions
+   * Decision mix (NOW / LATER / NEVER) per time bucket, and per event type,
+   * source or channel over the whole range
+   *
+   * Query: from, to (ISO 8601, default the last 24h), interval=hour|day,
+   *        group_by=event_type|source|channel, event_type, source, channel
+   * Response: { from, to, interval, group_by,
+   *             buckets[{ start, NOW, LATER, NEVER, total }],
+   *             groups[{ key, NOW, LATER, NEVER, total, never_rate }] }   groups by total, desc
+   */
+  app.get('/v1/analytics/decisions', [
+    ...analyticsRules,
+    query('group_by').optional().isIn(['event_type', 'source', 'channel']),
+  ], async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ error: 'Validation failed', details: errors.array() });
+      }
+
+      res.status(200).json(await getDecisionMix({ ...analyticsFilters(req.query), groupBy: req.query.group_by }));
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  /**
+   * GET /v1/analytics/scores
+   * Score histogram in ten 10-point bins, split by decision
+   *
+   * Query: from, to, event_type, source, channel
+   * Response: { from, to, bins[{ min, max, NOW, LATER, NEVER, total }] }
+   */
+  app.get('/v1/analytics/scores', analyticsRules, async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ error: 'Validation failed', details: errors.array() });
+      }
+
+      res.status(200).json(await getScoreHistogram(analyticsFilters(req.query)));
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  /**
+   * GET /v1/analytics/suppression
+   * Dedup and fatigue suppression, DND deferral and AI skip rates over time
+   *
+   * Query: from, to, interval=hour|day, event_type, source, channel
+   * Response: { from, to, interval, buckets[{ start, decisions, dedup_suppressed,
+   *             fatigue_suppressed, dnd_deferred, ai_checked, ai_skipped, dedup_rate,
+   *             fatigue_rate, dnd_rate, ai_skip_rate }], totals }   rates are null with no decisions
+   */
+  app.get('/v1/analytics/suppression', analyticsRules, async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ error: 'Validation failed', details: errors.array() });
+      }
+
+      res.status(200).json(await getSuppression(analyticsFilters(req.query)));
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  /**
+   * GET /v1/fatigue-policies
+   * All fatigue policies, including disabled ones. The built-in default
+   * (env caps) applies when none match and is not listed.
+   *
+   * Response: { total, policies[] }
+   */
+  app.get('/v1/fatigue-policies', async (req, res, next) => {
+    try {
+      const policies = await listPolicies();
+      res.status(200).json({ total: policies.length, policies });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  /**
+   * GET /v1/fatigue-policies/:policy_id
+   * Response: policy (404 if unknown)
+   */
+  app.get('/v1/fatigue-policies/:policy_id', async (req, res, next) => {
+    try {
+      res.status(200).json(await getPolicy(req.params.policy_id));
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  /**
+   * POST /v1/fatigue-policies
+   * Create or update a fatigue policy — hot-reloaded, no redeploy needed
+   *
+   * Body: { policy_id, scope: { segment, channel, event_type },
+   *         caps: { total|source|promo: { count, window } },
+   *         penalty_curve: [{ ratio | count, penalty }], priority, enabled, description, updated_by }
+   * Response: { success, policy }
+   */
+  app.post('/v1/fatigue-policies', [
+    ...policyRules,
+    body('updated_by').optional().isString(),
+  ], async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ error: 'Validation failed', details: errors.array() });
+      }
+
+      const policy = {
+        policy_id:     req.body.policy_id,
+        scope:         req.body.scope         || {},
+        caps:          req.body.caps          || null,
+        penalty_curve: req.body.penalty_curve || null,
+        priority:      req.body.priority      || 10,
+        enabled:       req.body.enabled       !== false,
+        description:   req.body.description   || null,
+      };
+
+      const saved = await savePolicy(policy, req.body.updated_by);
+      res.status(200).json({ success: true, policy: saved });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  /**
+   * DELETE /v1/fatigue-policies/:policy_id
+   * Response: { success, policy_id }
+   */
+  app.delete('/v1/fatigue-policies/:policy_id', async (req, res, next) => {
+    try {
+      await deletePolicy(req.params.policy_id);
+      res.status(200).json({ success: true, policy_id: req.params.policy_id });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  /**
+   * GET /v1/webhooks
+   * All webhook subscriptions, including disabled ones (secrets masked)
+   *
+   * Response: { total, webhooks[] }
+   */
+  app.get('/v1/webhooks', async (req, res, next) => {
+    try {
+      const webhooks = await listWebhooks();
+      res.status(200).json({ total: webhooks.length, webhooks });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  /**
+   * GET /v1/webhooks/:webhook_id
+   * Response: webhook, secret masked (404 if unknown)
+   */
+  app.get('/v1/webhooks/:webhook_id', async (req, res, next) => {
+    try {
+      res.status(200).json(await getWebhook(req.params.webhook_id));
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  /**
+   * POST /v1/webhooks
+   * Subscribe a URL to decision events. Private, loopback and link-local
+   * targets are refused (and plain http in production) — 400.
+   *
+   * Body: { url, secret?, events?: ['decision', 'dispatch.succeeded', 'dispatch.failed'],
+   *         filter?: { decisions, event_types, user_ids, sources }, enabled, description, updated_by }
+   * Response: 201 { success, webhook } — the only response that shows the full secret
+   */
+  app.post('/v1/webhooks', webhookRules(true), async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ error: 'Validation failed', details: errors.array() });
+      }
+
+      const webhook = await createWebhook(req.body, req.body.updated_by);
+      res.status(201).json({ success: true, webhook });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  /**
+   * PUT /v1/webhooks/:webhook_id
+   * Update a subscription — omitted fields are kept; send `secret` to rotate it
+   *
+   * Response: { success, webhook }
+   */
+  app.put('/v1/webhooks/:webhook_id', webhookRules(false), async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ error: 'Validation failed', details: errors.array() });
+      }
+
+      const webhook = await updateWebhook(req.params.webhook_id, req.body, req.body.updated_by);
+      res.status(200).json({ success: true, webhook });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  /**
+   * DELETE /v1/webhooks/:webhook_id
+   * Response: { success, webhook_id }
+   */
+  app.delete('/v1/webhooks/:webhook_id', async (req, res, next) => {
+    try {
+      await deleteWebhook(req.params.webhook_id);
+      res.status(200).json({ success: true, webhook_id: req.params.webhook_id });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  /**
+   * GET /v1/webhooks/:webhook_id/deliveries
+   * Delivery log — one entry per attempt, newest first
+   *
+   * Response: { webhook_id, total, deliveries: [{ attempt_id, event_id, event_type, audit_id,
+   *             attempt, status, response_status, error, duration_ms, next_retry_at, created_at }] }
+   */
+  app.get('/v1/webhooks/:webhook_id/deliveries', async (req, res, next) => {
+    try {
+      const deliveries = await getWebhookDeliveries(req.params.webhook_id);
+      res.status(200).json({ webhook_id: req.params.webhook_id, total: deliveries.length, deliveries });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  /**
+   * GET /v1/users/:user_id/preferences
+   * Returns the user's preference profile (defaults if none saved)
+   *
+   * Response: { user_id, timezone, quiet_hours[], focus_mode, channel_opt_outs[],
+   *             segment, fatigue_cap, digest_cadence, updated_at }
+   */
+  app.get('/v1/users/:user_id/preferences', async (req, res, next) => {
+    try {
+      res.status(200).json(await getPreferences(req.params.user_id));
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  /**
+   * PUT /v1/users/:user_id/preferences
+   * Create or update a user's DND, time zone, focus-mode, opt-out, fatigue and digest settings
+   *
+   * Body: { timezone, quiet_hours: [{ days, start, end }], focus_mode: { enabled, until },
+   *         channel_opt_outs, segment, fatigue_cap: { count, window } | null,
+   *         digest_cadence: 'hourly' | 'daily' | 'window' | 'off' | null }
+   * Response: { success, preferences }
+   */
+  app.put('/v1/users/:user_id/preferences', preferenceRules, async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ error: 'Validation failed', details: errors.array() });
+      }
+
+      const updates = {};
+      ['timezone', 'quiet_hours', 'focus_mode', 'channel_opt_outs', 'segment', 'digest_cadence'].forEach(k => {
+        if (req.body[k] !== undefined) updates[k] = req.body[k];
+      });
+      if (req.body.fatigue_cap !== undefined) {
+        const cap = req.body.fatigue_cap;
+        updates.fatigue_cap = cap && { count: cap.count, window: cap.window };
+      }
+
+      const saved = await savePreferences(req.params.user_id, updates);
+      res.status(200).json({ success: true, preferences: saved });
+
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  /**
+   * GET /v1/users/:user_id/digest
+   * Items waiting in the user's next digest and when it will be sent
+   *
+   * Response: { user_id, flush_at, items: [{ audit_id, event_type, title, queued_at }] }
+   */
+  app.get('/v1/users/:user_id/digest', async (req, res, next) => {
+    try {
+      res.status(200).json(await getPendingDigest(req.params.user_id));
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  /**
+   * DELETE /v1/users/:user_id/data
+   * Erase everything stored about a user (GDPR) — audit records, overrides,
+   * delivery receipts, history and preferences, plus dedup fingerprints,
+   * SimHash sets, fatigue counters, idempotent responses, deferred entries
+   * and the pending digest in Redis. Leaves a tombstone keyed by sha256(user_id).
+   *
+   * Body: { operator_id, reason? }
+   * Response: { success, user_id, tombstone: { tombstone_id, subject_hash, operator_id, reason,
+   *             erased: { decisions, overrides, deliveries, preferences, redis_keys, redis }, created_at } }
+   *           erased.redis is ERASED, or UNAVAILABLE / FAILED — repeat the request once Redis is back
+   */
+  app.delete('/v1/users/:user_id/data', [
+    body('operator_id').notEmpty(),
+    body('reason').optional({ values: 'null' }).isString(),
+  ], async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ error: 'Validation failed', details: errors.array() });
+      }
+
+      const tombstone = await eraseUser(req.params.user_id, req.body);
+      res.status(200).json({ success: true, user_id: req.params.user_id, tombstone });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  /**
+   * GET /v1/users/:user_id/data/erasures
+   * Tombstones left by earlier erasures of this user ID, oldest first
+   *
+   * Response: { user_id, total, erasures[] }
+   */
+  app.get('/v1/users/:user_id/data/erasures', async (req, res, next) => {
+    try {
+      const erasures = await getErasures(req.params.user_id);
+      res.status(200).json({ user_id: req.params.user_id, total: erasures.length, erasures });
+    } catch (err) {
+      next(err);
+    }
+  });
+
   // Health check
   app.get('/health', (req, res) => {
     res.json({ status: 'ok', timestamp: new Date().toISOString(), service: 'notification-prioritization-engine' });
   });
+
+  // Prometheus scrape endpoint (text exposition format 0.0.4)
+  app.get('/metrics', async (req, res, next) => {
+    try {
+      res.set('Content-Type', metricsContentType).send(await renderMetrics());
+    } catch (err) {
+      next(err);
+    }
+  });
+}
+
+// ─── Analytics ────────────────────────────────────────────────────────────────
+
+function analyticsFilters(q) {
+  return {
+    from:      q.from,
+    to:        q.to,
+    interval:  q.interval,
+    eventType: q.event_type,
+    source:    q.source,
+    channel:   q.channel,
+  };
+}
+
+// ─── Audit Export ─────────────────────────────────────────────────────────────
+
+function auditFilters(q) {
+  const int = v => (v === undefined ? undefined : Number(v));
+  return {
+    userId:    q.user_id,
+    decision:  q.decision,
+    eventType: q.event_type,
+    source:    q.source,
+    ruleId:    q.rule_id,
+    from:      q.from,
+    to:        q.to,
+    minScore:  int(q.min_score),
+    maxScore:  int(q.max_score),
+  };
+}
+
+/** Write chunks as they are produced, waiting for drain; stops if the client disconnects. */
+async function writeChunks(res, chunks) {
+  for await (const chunk of chunks) {
+    if (res.destroyed) return;
+    if (!res.write(chunk)) {
+      await new Promise(resolve => {
+        const done = () => { res.off('drain', done); res.off('close', done); resolve(); };
+        res.on('drain', done);
+        res.on('close', done);
+      });
+    }
+  }
+  res.end();
+}
+
+async function* ndjsonLines(records) {
+  for await (const record of records) yield `${JSON.stringify(record)}\n`;
+}
+
+async function* csvLines(records) {
+  yield `${CSV_COLUMNS.join(',')}\r\n`;
+  for await (const record of records) {
+    const row = {
+      ...record,
+      source:        record.event ? record.event.source : null,
+      rules_matched: (record.rules_matched || []).join(';'),
+    };
+    yield `${CSV_COLUMNS.map(c => csvCell(row[c])).join(',')}\r\n`;
+  }
+}
+
+/**
+ * One CSV field. Text a spreadsheet would read as a formula (leading = + - @,
+ * tab or CR — event_type, source and reason come from callers) is prefixed
+ * with ' and quoted, so it opens as text. Numbers are left as they are.
+ */
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  const s       = String(value);
+  const formula = typeof value !== 'number' && /^[=+\-@\t\r]/.test(s);
+  if (formula) return `"'${s.replace(/"/g, '""')}"`;
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+/** The header's fields, then records[] one at a time, then totals once they are known. */
+async function* bundleJson(header, records) {
+  const totals = { records: 0, overrides: 0, deliveries: 0, decisions: { NOW: 0, LATER: 0, NEVER: 0 } };
+  yield `${JSON.stringify(header).slice(0, -1)},"records":[`;
+  for await (const record of records) {
+    yield `${totals.records > 0 ? ',' : ''}${JSON.stringify(record)}`;
+    totals.records    += 1;
+    totals.overrides  += record.overrides.length;
+    totals.deliveries += record.deliveries.length;
+    totals.decisions[record.decision] += 1;
+  }
+  yield `],"totals":${JSON.stringify(totals)}}\n`;
 }
 
 module.exports = { setupRoutes };
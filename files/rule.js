@@ -1,7 +1,8 @@
 /**
  * rule.js — Configurable Rule Schema
  *
- * Rules are stored in config/rules.json and hot-reloaded every 30s.
+ * Rules are stored in config/rules.json (or the rules table when
+ * STORAGE_BACKEND=postgres) and hot-reloaded every 30s.
  * Operators can add, edit, or disable rules without any code deployment.
  *
  * SQL (PostgreSQL — for production persistence):
@@ -10,23 +11,47 @@
  *   rule_id    VARCHAR(64)  PRIMARY KEY,
  *   condition  JSONB        NOT NULL,
  *   action     VARCHAR(16)  NOT NULL CHECK (action IN ('DEFER','SUPPRESS','SEND_NOW','CAP')),
- *   max_per    JSONB,          -- { count, window } — used with CAP action
+ *   max_per    JSONB,          -- { count, window } — window as "30m" | "4h" | "1d"
  *   priority   SMALLINT     DEFAULT 10,  -- higher = evaluated first
  *   enabled    BOOLEAN      DEFAULT TRUE,
+ *   description TEXT,
+ *   version    INTEGER      DEFAULT 1,   -- latest entry in rule_versions
  *   updated_at TIMESTAMPTZ  DEFAULT NOW(),
  *   updated_by VARCHAR(64)
  * );
  *
+ * CREATE TABLE rule_versions (           -- append-only change history
+ *   rule_id          VARCHAR(64)  NOT NULL,
+ *   version          INTEGER      NOT NULL,
+ *   change           VARCHAR(16)  NOT NULL,  -- CREATE | UPDATE | DELETE | ROLLBACK
+ *   rule             JSONB,                  -- snapshot; NULL for DELETE
+ *   restored_version INTEGER,                -- set for ROLLBACK
+ *   updated_by       VARCHAR(64),
+ *   created_at       TIMESTAMPTZ  DEFAULT NOW(),
+ *   PRIMARY KEY (rule_id, version)
+ * );
+ * (memory backend: config/rules.history.json)
+ *
  * Rule actions:
  * ─────────────
- *   DEFER      — Move to LATER queue (respects max_per cap)
+ *   DEFER      — Move to LATER queue (respects max_per cap — once reached,
+ *                delivery is pushed back until the window frees up)
  *   SUPPRESS   — Hard NEVER — event is dropped
- *   SEND_NOW   — Force NOW regardless of score
+ *   SEND_NOW   — Force NOW regardless of score (stops applying once max_per is reached)
  *   CAP        — Allow up to max_per.count per max_per.window, defer rest
  *
- * Condition fields (all optional, use "*" for wildcard):
- * ───────────────────────────────────────────────────────
- *   event_type, channel, source, priority
+ * Matched rules are applied in priority order; the first SUPPRESS / SEND_NOW /
+ * DEFER / over-cap CAP decides. max_per counters are per user, per rule, kept
+ * in Redis sorted sets (freq:<user_id>:rule:<rule_id>).
+ *
+ * Conditions (grammar + validation in src/engine/conditionMatcher.js):
+ * ───────────────────────────────────────────────────────────────────
+ *   Keys are ANDed. Plain values match exactly ("*" = wildcard); objects
+ *   apply operators (in, not, regex, gt, contains_any, between, ...);
+ *   all / any / none take arrays of nested conditions.
+ *
+ *   Fields: event_type, channel, source, priority, user_id, message, title,
+ *           dedupe_key, metadata.<dotted.path>, time_of_day, day_of_week
  *
  * Example rules:
  * ──────────────
@@ -46,6 +71,21 @@
  *   "priority":  90,
  *   "enabled":   true
  * }
+ *
+ * {
+ *   "rule_id":   "large-refund-fast-lane",
+ *   "condition": {
+ *     "event_type": "payment",
+ *     "any": [
+ *       { "metadata.amount": { "gt": 1000 } },
+ *       { "message": { "contains_any": ["refund", "chargeback"] } }
+ *     ],
+ *     "none": [{ "day_of_week": { "in": ["sat", "sun"] } }]
+ *   },
+ *   "action":    "SEND_NOW",
+ *   "priority":  80,
+ *   "enabled":   true
+ * }
  */
 
 module.exports = {};
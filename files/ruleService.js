@@ -1,37 +1,50 @@
 /**
  * ruleService.js — Human-Configurable Rules Engine
  *
- * Rules are stored in config/rules.json and hot-reloaded every 30s.
+ * Rules are stored via the storage adapter — config/rules.json (memory
+ * backend) or the rules table (postgres backend) — and hot-reloaded every 30s.
  * No code deployment is required to add, edit, or disable a rule.
  *
+ * Versioning:
+ *  - Every create / update / delete / rollback appends a numbered snapshot
+ *    to the rule's history (who, when, what) and changes the rule in one
+ *    adapter call (commitRuleVersion — a transaction in Postgres)
+ *  - Rollback restores an earlier snapshot as a new version — history is
+ *    never rewritten
+ *  - Writers race optimistically: the next version is read, then committed;
+ *    if another writer (this instance or another) took that number first,
+ *    the change is re-read and retried, and 409 after MAX_ATTEMPTS
+ *
  * Rule matching:
  *  - Rules are sorted by priority (descending) before matching
- *  - A rule matches if ALL its condition fields match the event
- *  - Wildcard "*" matches any value for that field
+ *  - A rule matches if ALL its top-level condition keys match the event
+ *  - Plain values are exact matches; wildcard "*" matches any value
+ *  - Operators, metadata paths and all/any/none groups — see conditionMatcher.js
  *  - Multiple rules can match; caller handles precedence
  */
 
-const fs   = require('fs');
-const path = require('path');
+const { getStore } = require('./storageService');
+const { matchesCondition } = require('../engine/conditionMatcher');
 const logger = require('../utils/logger');
 
-const RULES_FILE      = path.join(__dirname, '../../config/rules.json');
 const RELOAD_INTERVAL = parseInt(process.env.RULE_RELOAD_INTERVAL_MS) || 30000;
+const MAX_ATTEMPTS    = 5;   // version commits per change before giving up with 409
 
 let cachedRules = [];
+let reloadTimer = null;
 
 // ── Rule Loading ──────────────────────────────────────────────────────────────
 
 /**
- * Load and cache rules from config/rules.json.
- * Falls back to previously cached rules if file is unavailable.
+ * Load and cache rules from the storage backend.
+ * Falls back to previously cached rules if the backend is unavailable.
  */
-function loadRules() {
+async function loadRules() {
   try {
-    const raw    = fs.readFileSync(RULES_FILE, 'utf8');
-    const parsed = JSON.parse(raw);
+    const store  = getStore();
+    const parsed = await store.listRules();
     cachedRules  = parsed.filter(r => r.enabled !== false);
-    logger.info(`[RULES] Loaded ${cachedRules.length} active rules from ${RULES_FILE}`);
+    logger.info(`[RULES] Loaded ${cachedRules.length} active rules from ${store.name} store`);
   } catch (err) {
     logger.warn(`[RULES] Load failed: ${err.message} — continuing with ${cachedRules.length} cached rules`);
   }
@@ -42,11 +55,19 @@ function loadRules() {
  * Called once on server startup.
  */
 function initRuleLoader() {
+  if (reloadTimer) return;
   loadRules();
-  setInterval(loadRules, RELOAD_INTERVAL);
+  reloadTimer = setInterval(loadRules, RELOAD_INTERVAL);
+  reloadTimer.unref();
   logger.info(`[RULES] Hot-reload active every ${RELOAD_INTERVAL / 1000}s`);
 }
 
+/** Stop the hot-reload loop (shutdown, tests). */
+function stopRuleLoader() {
+  clearInterval(reloadTimer);
+  reloadTimer = null;
+}
+
 // ── Rule Access ───────────────────────────────────────────────────────────────
 
 /**
@@ -54,38 +75,113 @@ function initRuleLoader() {
  * @returns {Promise<Array>}
  */
 async function getRules() {
-  if (cachedRules.length === 0) loadRules();
+  if (cachedRules.length === 0) await loadRules();
   return cachedRules;
 }
 
 /**
- * Save or update a rule in config/rules.json.
- * Triggers an immediate cache reload.
+ * List every stored rule, including disabled ones.
+ * @returns {Promise<Array>}
+ */
+async function listRules() {
+  const rules = await getStore().listRules();
+  return [...rules].sort((a, b) => (b.priority || 0) - (a.priority || 0));
+}
+
+/**
+ * Fetch one rule by id.
+ *
+ * @param {string} ruleId
+ * @returns {Promise<Object>}
+ * @throws 404 if the rule does not exist
+ */
+async function getRule(ruleId) {
+  const rule = await getStore().getRule(ruleId);
+  if (!rule) throw httpError(404, `Rule ${ruleId} not found`);
+  return rule;
+}
+
+// ── Rule Changes ──────────────────────────────────────────────────────────────
+
+/**
+ * Save or update a rule in the storage backend.
+ * Records a new version and triggers an immediate cache reload.
  *
  * @param {Object} rule
+ * @param {string} [updatedBy] - operator making the change
  * @returns {Object} saved rule
+ * @throws 409 if concurrent changes keep taking the next version
  */
-async function saveRule(rule) {
+async function saveRule(rule, updatedBy = null) {
   try {
-    let existing = [];
-    try {
-      existing = JSON.parse(fs.readFileSync(RULES_FILE, 'utf8'));
-    } catch (_) {}
-
-    const idx = existing.findIndex(r => r.rule_id === rule.rule_id);
-    if (idx >= 0) existing[idx] = { ...existing[idx], ...rule };
-    else          existing.push(rule);
-
-    fs.writeFileSync(RULES_FILE, JSON.stringify(existing, null, 2));
-    loadRules(); // Immediate reload
-    logger.info(`[RULES] Saved rule: ${rule.rule_id}`);
-    return rule;
+    const saved = await commitVersion(rule.rule_id, updatedBy, existing => ({
+      change: existing ? 'UPDATE' : 'CREATE',
+      rule:   { ...rule, description: rule.description ?? existing?.description },
+    }));
+    logger.info(`[RULES] Saved rule: ${rule.rule_id} v${saved.version}`);
+    return saved;
   } catch (err) {
+    if (err.status) throw err;
     logger.error(`[RULES SAVE] ${err.message}`);
     throw new Error('Failed to save rule');
   }
 }
 
+/**
+ * Delete a rule. The deletion is recorded in its history, so the rule can
+ * be brought back with rollbackRule().
+ *
+ * @param {string} ruleId
+ * @param {string} [updatedBy]
+ * @returns {Promise<{ rule_id, version }>}
+ * @throws 404 if the rule does not exist
+ */
+async function deleteRule(ruleId, updatedBy = null) {
+  let version;
+  await commitVersion(ruleId, updatedBy, (existing, next) => {
+    if (!existing) throw httpError(404, `Rule ${ruleId} not found`);
+    version = next;
+    return { change: 'DELETE', rule: null };
+  });
+
+  logger.info(`[RULES] Deleted rule: ${ruleId} (v${version}) by ${updatedBy || 'unknown'}`);
+  return { rule_id: ruleId, version };
+}
+
+/**
+ * Version history for a rule, oldest first. Still available after delete.
+ *
+ * @param {string} ruleId
+ * @returns {Promise<Array>}
+ * @throws 404 if the rule has never existed
+ */
+async function getRuleHistory(ruleId) {
+  const versions = await getStore().listRuleVersions(ruleId);
+  if (versions.length === 0) throw httpError(404, `No history for rule ${ruleId}`);
+  return versions;
+}
+
+/**
+ * Restore the rule as it was at `version`. Recorded as a new ROLLBACK
+ * version; works for deleted rules too.
+ *
+ * @param {string} ruleId
+ * @param {number} version
+ * @param {string} [updatedBy]
+ * @returns {Promise<Object>} restored rule
+ * @throws 404 unknown rule/version, 409 if that version is a deletion
+ */
+async function rollbackRule(ruleId, version, updatedBy = null) {
+  const restored = await commitVersion(ruleId, updatedBy, (existing, next, versions) => {
+    const target = versions.find(v => v.version === version);
+    if (!target)      throw httpError(404, `Rule ${ruleId} has no version ${version}`);
+    if (!target.rule) throw httpError(409, `Version ${version} of ${ruleId} is a deletion — roll back to an earlier version`);
+    return { change: 'ROLLBACK', rule: target.rule, restoredVersion: version };
+  });
+  logger.info(`[RULES] Rolled back ${ruleId} to v${version} (now v${restored.version}) by ${updatedBy || 'unknown'}`);
+  return restored;
+}
+
 // ── Rule Matching ─────────────────────────────────────────────────────────────
 
 /**
@@ -94,34 +190,96 @@ async function saveRule(rule) {
  *
  * @param {Object} event
  * @param {Array}  rules
+ * @param {Date}   [at] - evaluation time for time_of_day / day_of_week conditions
  * @returns {Array} matched rules
  */
-function matchRules(event, rules) {
+function matchRules(event, rules, at = new Date()) {
   return rules
-    .filter(rule => matchesCondition(event, rule.condition || {}))
+    .filter(rule => matchesCondition(event, rule.condition || {}, at))
     .sort((a, b) => (b.priority || 0) - (a.priority || 0));
 }
 
+// ── Internal Helpers ──────────────────────────────────────────────────────────
+
 /**
- * Check if an event matches a rule condition.
- * All non-wildcard condition fields must match.
+ * Commit one change as the rule's next version, retrying if another writer
+ * takes that version first. prepare(existing, nextVersion, versions) is
+ * re-run on every attempt against fresh state and returns
+ * { change, rule (null to delete), restoredVersion? } or throws.
  *
- * @param {Object} event
- * @param {Object} condition
- * @returns {boolean}
+ * @returns {Promise<Object|null>} saved rule (null after a delete)
+ * @throws 409 if the version is still contested after MAX_ATTEMPTS
  */
-function matchesCondition(event, condition) {
-  const checks = [
-    ['event_type', event.event_type],
-    ['channel',    event.channel],
-    ['source',     event.source],
-    ['priority',   event.priority_hint],
-  ];
-
-  return checks.every(([key, value]) => {
-    const cond = condition[key];
-    return !cond || cond === '*' || cond === value;
+async function commitVersion(ruleId, updatedBy, prepare) {
+  const store = getStore();
+
+  for (let attempt = 1; ; attempt++) {
+    const existing = await store.getRule(ruleId);
+    let versions   = await store.listRuleVersions(ruleId);
+    try {
+      if (existing && versions.length === 0) {
+        await recordBaseline(existing);
+        versions = await store.listRuleVersions(ruleId);
+      }
+      const version = versions.length ? versions[versions.length - 1].version + 1 : 1;
+      const { change, rule, restoredVersion = null } = prepare(existing, version, versions);
+
+      const now      = new Date().toISOString();
+      const snapshot = rule && toSnapshot(rule);
+      const saved    = await store.commitRuleVersion({
+        rule_id:          ruleId,
+        version,
+        change,
+        rule:             snapshot,
+        restored_version: restoredVersion,
+        updated_by:       updatedBy,
+        created_at:       now,
+      }, snapshot && { ...snapshot, version, updated_at: now, updated_by: updatedBy });
+
+      await loadRules(); // Immediate reload
+      return saved;
+    } catch (err) {
+      if (err.code !== 'VERSION_CONFLICT') throw err;
+      if (attempt >= MAX_ATTEMPTS) throw httpError(409, `Rule ${ruleId} is being changed concurrently — retry the request`);
+      logger.debug(`[RULES] ${ruleId} version taken during write — retry ${attempt}`);
+    }
+  }
+}
+
+/**
+ * Rules that predate versioning (hand-edited rules.json, pre-migration rows)
+ * have no history — capture their current state as v1 before the first change.
+ */
+async function recordBaseline(existing) {
+  await getStore().insertRuleVersion({
+    rule_id:    existing.rule_id,
+    version:    1,
+    change:     'CREATE',
+    rule:       toSnapshot(existing),
+    updated_by: existing.updated_by ?? null,
+    created_at: existing.updated_at ?? new Date().toISOString(),
   });
 }
 
-module.exports = { getRules, saveRule, matchRules, initRuleLoader };
+function toSnapshot(rule) {
+  return {
+    rule_id:     rule.rule_id,
+    condition:   rule.condition,
+    action:      rule.action,
+    max_per:     rule.max_per ?? null,
+    priority:    rule.priority ?? 10,
+    enabled:     rule.enabled !== false,
+    description: rule.description ?? null,
+  };
+}
+
+function httpError(status, message) {
+  const err  = new Error(message);
+  err.status = status;
+  return err;
+}
+
+module.exports = {
+  getRules, listRules, getRule, saveRule, deleteRule, getRuleHistory, rollbackRule,
+  matchRules, initRuleLoader, stopRuleLoader,
+};
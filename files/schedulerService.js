@@ -6,14 +6,107 @@
  *  - Processes due events every 30 seconds
  *  - Supports operator override (force NOW / force NEVER)
  *
- * In production: replace in-memory queue with Kafka topic or Redis queue.
- * The scheduler consumer re-evaluates events at schedule_at time before dispatch.
+ * Durable queue on Redis sorted sets, safe to share between engine instances:
+ *
+ *   sched:queue        ZSET  id → schedule_at (ms)        waiting for delivery
+ *   sched:processing   ZSET  id → visibility deadline (ms) claimed by a worker
+ *   sched:dead         ZSET  id → dead-lettered at (ms)   retries exhausted
+ *   sched:item:<id>    STRING JSON entry
+ *   sched:audit:<aid>  STRING entry id for an audit_id (override lookups)
+ *   sched:user:<uid>   SET    entry ids queued for a user (GDPR erasure)
+ *
+ * Delivery semantics (at-least-once):
+ *  - claim  — due ids move queue → processing atomically (Lua), so only one
+ *             instance ever holds a given claim
+ *  - ack    — dispatched / bounced / re-deferred / dropped → removed from processing,
+ *             entry kept 7 days with its final status
+ *  - fail   — retried with exponential backoff, dead-lettered after MAX_ATTEMPTS
+ *  - a claim not acked within VISIBILITY_TIMEOUT is returned to the queue
+ *
+ * While Redis is unavailable, newly deferred events are buffered in-process
+ * and flushed to the queue once the connection is back.
+ *
+ * The scheduler consumer re-evaluates events at schedule_at time before dispatch:
+ * each due item goes back through classifier.reevaluate() (expiry, dedup,
+ * rules, DND, fatigue) and is dispatched (NOW), re-deferred (LATER) or
+ * dropped (NEVER). The re-evaluation writes its own audit record linked to
+ * the audit_id that deferred it. NOW items are handed to the channel
+ * delivery adapters (deliveryService), which record a delivery receipt.
+ * Dispatch outcomes are sent to webhook subscribers (dispatch.succeeded /
+ * dispatch.failed).
  */
 
+const { getRedis } = require('./redisService');
+const { getAuditLog, appendOverride } = require('./auditService');
+const { deliveryDispatcher } = require('./deliveryService');
+const { takeFromDigest } = require('./digestService');
+const { emitWebhook } = require('./webhookService');
+const { shortId } = require('../utils/fingerprint');
+const { gauge } = require('../utils/metrics');
 const logger = require('../utils/logger');
 
-// In-memory queue (replace with Kafka/Redis in production)
-const deferredQueue = [];
+const QUEUE_KEY      = 'sched:queue';
+const PROCESSING_KEY = 'sched:processing';
+const DEAD_KEY       = 'sched:dead';
+const ITEM_PREFIX    = 'sched:item:';
+const AUDIT_INDEX_PREFIX = 'sched:audit:';
+const USER_INDEX_PREFIX  = 'sched:user:';
+
+const VISIBILITY_TIMEOUT_MS = parseInt(process.env.SCHEDULER_VISIBILITY_TIMEOUT_MS) || 60000;
+const MAX_ATTEMPTS          = parseInt(process.env.SCHEDULER_MAX_ATTEMPTS)          || 5;
+const BACKOFF_BASE_MS       = parseInt(process.env.SCHEDULER_BACKOFF_BASE_MS)       || 30000;
+const BACKOFF_MAX_MS        = 60 * 60 * 1000;   // 1 hour
+const CLAIM_BATCH           = 100;
+const DONE_TTL              = 7 * 86400;        // keep completed entries 7 days
+
+// Move up to ARGV[3] due ids from the queue into processing with a visibility deadline
+const CLAIM_SCRIPT = `
+local ids = redis.call('ZRANGEBYSCORE', KEYS[1], '-inf', ARGV[1], 'LIMIT', 0, tonumber(ARGV[3]))
+for _, id in ipairs(ids) do
+  redis.call('ZREM', KEYS[1], id)
+  redis.call('ZADD', KEYS[2], ARGV[2], id)
+end
+return ids`;
+
+// Return claims whose visibility deadline has passed to the queue, due immediately
+const REQUEUE_SCRIPT = `
+local ids = redis.call('ZRANGEBYSCORE', KEYS[2], '-inf', ARGV[1])
+for _, id in ipairs(ids) do
+  redis.call('ZREM', KEYS[2], id)
+  redis.call('ZADD', KEYS[1], ARGV[1], id)
+end
+return #ids`;
+
+// Entries accepted while Redis was down, flushed on the next healthy tick
+const pendingWrites = [];
+
+/**
+ * Log-only dispatcher — for running without delivery adapters.
+ * The default is deliveryService's deliveryDispatcher.
+ */
+const logDispatcher = {
+  name: 'log',
+  async dispatch(entry) {
+    logger.info(`[SCHEDULER] (log dispatcher) ${entry.event.event_type} → user=${entry.event.user_id} | audit=${entry.auditId}`);
+  },
+};
+
+let dispatcher = deliveryDispatcher;
+let queueTimer = null;
+
+/**
+ * Plug in the dispatcher that receives due items.
+ * Contract: `dispatch(entry)` resolves on success and throws on failure;
+ * failures are retried with backoff. It may resolve with a delivery
+ * receipt — a BOUNCED receipt is final and acked as BOUNCED.
+ *
+ * @param {{ name: string, dispatch: (entry: Object) => Promise<Object|void> }} d
+ */
+function setDispatcher(d) {
+  if (!d || typeof d.dispatch !== 'function') throw new Error('Dispatcher must implement dispatch(entry)');
+  dispatcher = d;
+  logger.info(`[SCHEDULER] Dispatcher set: ${d.name || 'custom'}`);
+}
 
 /**
  * Add a LATER event to the deferred delivery queue.
@@ -21,78 +114,396 @@ const deferredQueue = [];
  * @param {Object} event      - Original notification event
  * @param {string} scheduleAt - ISO timestamp for delivery
  * @param {string} auditId    - For traceability
+ * @param {string} [originalAuditId] - First decision in a re-deferral chain
+ * @returns {Promise<Object>} queued entry
  */
-async function scheduleDeferred(event, scheduleAt, auditId) {
-  deferredQueue.push({
+async function scheduleDeferred(event, scheduleAt, auditId, originalAuditId = auditId) {
+  const entry = {
+    id:        shortId('sch'),
     event,
     scheduleAt,
     auditId,
-    queuedAt: new Date().toISOString(),
-    status:   'PENDING',
-  });
+    originalAuditId,
+    lastAuditId: null,
+    queuedAt:  new Date().toISOString(),
+    attempts:  0,
+    status:    'PENDING',
+    lastError: null,
+  };
+
+  const redis = getRedis();
+  if (redis.isStub) {
+    pendingWrites.push(entry);
+    logger.warn(`[SCHEDULER] Redis unavailable — buffered ${entry.id} in memory | audit=${auditId}`);
+    return entry;
+  }
+
+  await enqueue(redis, entry);
   logger.info(`[SCHEDULER] Queued ${event.event_type} for user=${event.user_id} at ${scheduleAt} | audit=${auditId}`);
+  return entry;
 }
 
 /**
- * Force-send or force-suppress a notification.
+ * Force-send, reschedule or cancel a notification.
  * Used by operators for emergency broadcasts or escalation.
  * Requires operator_id and a mandatory reason (logged for audit).
  *
- * @param {{ notification_id, override_to, operator_id, reason }}
- * @returns {Object}
+ * notification_id may be a queue entry id (sch_…) or an audit_id (aud_…).
+ * A deferral waiting in the user's digest is taken out of it and treated
+ * like a queue entry, so the digest does not send it as well.
+ *   NOW   — pending deferral (or suppressed decision) dispatched immediately
+ *   LATER — pending deferral rescheduled, suppressed decision queued, at schedule_at
+ *   NEVER — pending deferral cancelled
+ *
+ * Every override is appended to the audit trail of the decision it acts on.
+ *
+ * @param {{ notification_id, override_to, operator_id, reason, schedule_at }}
+ * @returns {Promise<Object>}
+ * @throws {Error} status 404 if unknown, 409 if the notification can no longer be overridden
  */
-async function forceOverride({ notification_id, override_to, operator_id, reason }) {
-  // In production: look up event from DB/queue by notification_id and re-dispatch
-  logger.warn(`[OVERRIDE] ${notification_id} → ${override_to} by operator=${operator_id} | reason: ${reason}`);
+async function forceOverride({ notification_id, override_to, operator_id, reason, schedule_at }) {
+  const redis  = getRedis();
+  const target = await resolveNotification(redis, notification_id);
+  if (!target) throw httpError(404, `Notification ${notification_id} not found`);
+
+  const { entry, audit } = target;
+  const auditId = entry ? entry.auditId : audit.audit_id;
+  const from    = entry ? entry.status : audit.decision;
+
+  // Take the entry out of the queue (or digest) first — only one caller (worker or operator) can win
+  let digested = null;
+  if (entry) {
+    const claimed = await claimForOverride(redis, entry);
+    if (!claimed) throw httpError(409, `Notification ${notification_id} is ${entry.status} and can no longer be overridden`);
+  } else if (audit.decision === 'LATER' && audit.stages && audit.stages.digest) {
+    digested = await takeFromDigest(audit.user_id, audit.audit_id);
+    if (!digested) throw httpError(409, `Notification ${notification_id} is no longer pending in a digest — already sent or being sent`);
+  } else if (audit.decision === 'NOW') {
+    throw httpError(409, `Notification ${notification_id} was already dispatched`);
+  } else if (override_to === 'NEVER') {
+    throw httpError(409, `Notification ${notification_id} is not pending — nothing to cancel`);
+  } else if (!audit.event) {
+    throw httpError(409, `Notification ${notification_id} has no stored event to re-send`);
+  } else if ((audit.redacted || []).includes('message')) {
+    throw httpError(409, `Notification ${notification_id} was stored with its message redacted and cannot be re-sent`);
+  }
+
+  const item = entry || {
+    id: shortId('sch'), event: digested ? digested.event : audit.event, auditId,
+    originalAuditId: digested ? digested.original_audit_id : auditId,
+    lastAuditId: null, attempts: 0, lastError: null,
+  };
+  item.override = { operator_id, reason, override_to };
+
+  if (override_to === 'NOW') {
+    let receipt;
+    try {
+      receipt = await dispatcher.dispatch(item);
+    } catch (err) {
+      // Don't lose it — hand it back to the worker's retry path
+      item.attempts += 1;
+      const dead = await fail(redis, item, err);
+      notifyDispatch(item, dead ? 'DEAD' : 'RETRY');
+      throw httpError(502, `Override dispatch failed (${err.message}) — notification requeued for retry`);
+    }
+    item.status      = dispatchStatus(receipt);
+    item.completedAt = new Date().toISOString();
+    await redis.set(ITEM_PREFIX + item.id, JSON.stringify(item), 'EX', DONE_TTL);
+    notifyDispatch(item, item.status);
+  } else if (override_to === 'LATER') {
+    item.scheduleAt = schedule_at;
+    item.status     = 'PENDING';
+    if (redis.isStub) pendingWrites.push(item);
+    else              await enqueue(redis, item);
+  } else {
+    item.status      = 'CANCELLED';
+    item.completedAt = new Date().toISOString();
+    await redis.set(ITEM_PREFIX + item.id, JSON.stringify(item), 'EX', DONE_TTL);
+  }
+
+  const record = await appendOverride({
+    audit_id:        auditId,
+    notification_id,
+    from,
+    override_to,
+    operator_id,
+    reason,
+    schedule_at:     override_to === 'LATER' ? schedule_at : null,
+  });
+
+  logger.warn(`[OVERRIDE] ${notification_id} ${from} → ${override_to} by operator=${operator_id} | reason: ${reason}`);
 
   return {
     success:         true,
     notification_id,
+    audit_id:        auditId,
+    override_id:     record.override_id,
+    from,
     override_to,
     operator_id,
     reason,
-    override_at:     new Date().toISOString(),
+    schedule_at:     record.schedule_at,
+    override_at:     record.created_at,
     message:         `Notification ${notification_id} overridden to ${override_to} by ${operator_id}`,
   };
 }
 
 /**
  * Process pending deferred events that are now due.
- * Called every 30 seconds via setInterval.
+ * Called every 30 seconds once startScheduler() runs — safe to run on every instance.
+ *
+ * @returns {Promise<{ claimed, dispatched, bounced, redeferred, dropped, retried, dead }>}
  */
 async function processDeferredQueue() {
-  const now = new Date();
-  const due = deferredQueue.filter(e => e.status === 'PENDING' && new Date(e.scheduleAt) <= now);
+  const summary = { claimed: 0, dispatched: 0, bounced: 0, redeferred: 0, dropped: 0, retried: 0, dead: 0 };
+  const redis   = getRedis();
+  if (redis.isStub) return summary;
+
+  let ids;
+  try {
+    await flushPendingWrites(redis);
+
+    const now = Date.now();
+    const requeued = await redis.eval(REQUEUE_SCRIPT, 2, QUEUE_KEY, PROCESSING_KEY, now);
+    if (requeued > 0) logger.warn(`[SCHEDULER] ${requeued} claims passed visibility timeout — requeued`);
+
+    ids = await redis.eval(CLAIM_SCRIPT, 2, QUEUE_KEY, PROCESSING_KEY, now, now + VISIBILITY_TIMEOUT_MS, CLAIM_BATCH);
+  } catch (err) {
+    logger.error(`[SCHEDULER] Claim failed: ${err.message}`);
+    return summary;
+  }
+
+  summary.claimed = ids.length;
+
+  for (const id of ids) {
+    const entry = await loadEntry(redis, id);
+    if (!entry) {
+      await redis.zrem(PROCESSING_KEY, id);
+      continue;
+    }
 
-  for (const entry of due) {
+    entry.attempts += 1;
     try {
-      // In production: publish to delivery service / push gateway
-      entry.status = 'DISPATCHED';
-      logger.info(`[SCHEDULER] Dispatched deferred event | audit=${entry.auditId}`);
+      // Required lazily — classifier depends on this module for scheduleDeferred
+      const { reevaluate } = require('../engine/classifier');
+      const outcome = await reevaluate(entry);
+      entry.lastAuditId = outcome.audit_id;
+
+      if (outcome.decision === 'NOW') {
+        const receipt = await dispatcher.dispatch(entry);
+        const status  = dispatchStatus(receipt);
+        await ack(redis, entry, status);
+        notifyDispatch(entry, status);
+        summary[status === 'BOUNCED' ? 'bounced' : 'dispatched']++;
+        logger.info(`[SCHEDULER] ${status} deferred event | audit=${entry.auditId} → ${outcome.audit_id}`);
+      } else {
+        await ack(redis, entry, outcome.decision === 'LATER' ? 'REDEFERRED' : 'DROPPED');
+        summary[outcome.decision === 'LATER' ? 'redeferred' : 'dropped']++;
+        logger.info(`[SCHEDULER] Re-evaluated deferred event → ${outcome.decision} | audit=${entry.auditId} → ${outcome.audit_id}`);
+      }
     } catch (err) {
-      entry.status = 'FAILED';
-      logger.error(`[SCHEDULER] Dispatch failed for audit=${entry.auditId}: ${err.message}`);
+      const dead = await fail(redis, entry, err);
+      notifyDispatch(entry, dead ? 'DEAD' : 'RETRY');
+      summary[dead ? 'dead' : 'retried']++;
+      logger.error(`[SCHEDULER] Dispatch failed for audit=${entry.auditId} (attempt ${entry.attempts}): ${err.message}`);
     }
   }
 
-  if (due.length > 0) {
-    logger.info(`[SCHEDULER] Processed ${due.length} deferred events`);
+  if (ids.length > 0) {
+    logger.info(`[SCHEDULER] Processed ${ids.length} deferred events`);
   }
+  return summary;
 }
 
-// Process deferred queue every 30 seconds
-setInterval(processDeferredQueue, 30000);
+/**
+ * Start processing the deferred queue every 30 seconds.
+ * Called once on server startup.
+ */
+function startScheduler() {
+  if (queueTimer) return;
+  queueTimer = setInterval(processDeferredQueue, 30000);
+  queueTimer.unref();
+}
+
+/** Stop the queue timer (shutdown, tests). Claims already made are acked or time out. */
+function stopScheduler() {
+  clearInterval(queueTimer);
+  queueTimer = null;
+}
+
+/**
+ * Remove every queued, in-flight, dead-lettered and completed entry for a
+ * user, with their audit_id lookups (GDPR erasure).
+ *
+ * @param {string} userId
+ * @returns {Promise<number>} Redis keys deleted
+ */
+async function forgetUser(userId) {
+  for (let i = pendingWrites.length - 1; i >= 0; i--) {
+    if (pendingWrites[i].event.user_id === userId) pendingWrites.splice(i, 1);
+  }
+
+  const redis   = getRedis();
+  const userKey = USER_INDEX_PREFIX + userId;
+  let deleted   = 0;
+  for (const id of await redis.smembers(userKey)) {
+    const entry = await loadEntry(redis, id);
+    await redis.zrem(QUEUE_KEY, id);
+    await redis.zrem(PROCESSING_KEY, id);
+    await redis.zrem(DEAD_KEY, id);
+    const keys = [ITEM_PREFIX + id];
+    if (entry) keys.push(AUDIT_INDEX_PREFIX + entry.auditId, AUDIT_INDEX_PREFIX + entry.originalAuditId);
+    deleted += await redis.del(...new Set(keys));
+  }
+  return deleted + await redis.del(userKey);
+}
+
+gauge('notification_scheduler_queue_depth', 'Deferred items by queue state', ['state'],
+  async () => Object.entries(await getQueueStats()).map(([state, value]) => ({ labels: { state }, value })));
 
 /**
- * Get current queue statistics (for monitoring).
+ * Get current queue statistics (for monitoring — exported as
+ * notification_scheduler_queue_depth on GET /metrics).
+ * @returns {Promise<{ pending, processing, dead, buffered }>}
  */
-function getQueueStats() {
+async function getQueueStats() {
+  const redis = getRedis();
+  const [pending, processing, dead] = await Promise.all([
+    redis.zcard(QUEUE_KEY),
+    redis.zcard(PROCESSING_KEY),
+    redis.zcard(DEAD_KEY),
+  ]);
   return {
-    pending:    deferredQueue.filter(e => e.status === 'PENDING').length,
-    dispatched: deferredQueue.filter(e => e.status === 'DISPATCHED').length,
-    failed:     deferredQueue.filter(e => e.status === 'FAILED').length,
-    total:      deferredQueue.length,
+    pending:    pending    || 0,
+    processing: processing || 0,
+    dead:       dead       || 0,
+    buffered:   pendingWrites.length,
   };
 }
 
-module.exports = { scheduleDeferred, forceOverride, processDeferredQueue, getQueueStats };
+// ── Internal Helpers ──────────────────────────────────────────────────────────
+
+async function enqueue(redis, entry) {
+  const dueAt   = new Date(entry.scheduleAt).getTime();
+  const userKey = USER_INDEX_PREFIX + entry.event.user_id;
+  await redis.set(ITEM_PREFIX + entry.id, JSON.stringify(entry));
+  // audit_id → entry lookups for overrides; the original id always points at the latest entry
+  await redis.set(AUDIT_INDEX_PREFIX + entry.auditId, entry.id, 'EX', DONE_TTL);
+  await redis.set(AUDIT_INDEX_PREFIX + entry.originalAuditId, entry.id, 'EX', DONE_TTL);
+  // user → entry ids for erasure, kept as long as the user's latest-due entry
+  const keepSec = DONE_TTL + Math.max(0, Math.ceil((dueAt - Date.now()) / 1000));
+  await redis.sadd(userKey, entry.id);
+  if ((await redis.ttl(userKey)) < keepSec) await redis.expire(userKey, keepSec);
+  await redis.zadd(QUEUE_KEY, dueAt, entry.id);
+}
+
+/**
+ * Find a queue entry and/or audit record for a notification_id.
+ * @returns {Promise<{ entry: Object|null, audit: Object|null }|null>}
+ */
+async function resolveNotification(redis, notificationId) {
+  const buffered = pendingWrites.find(e => e.id === notificationId || e.auditId === notificationId);
+  if (buffered) return { entry: buffered, audit: null };
+
+  const entryId = notificationId.startsWith('sch_')
+    ? notificationId
+    : await redis.get(AUDIT_INDEX_PREFIX + notificationId);
+  const entry = entryId ? await loadEntry(redis, entryId) : null;
+  const audit = await getAuditLog(entry ? entry.auditId : notificationId);
+
+  return entry || audit ? { entry, audit } : null;
+}
+
+/**
+ * Remove a pending entry from the queue (or in-memory buffer) for an override.
+ * @returns {Promise<boolean>} false if it was already claimed, dispatched or finished
+ */
+async function claimForOverride(redis, entry) {
+  const idx = pendingWrites.indexOf(entry);
+  if (idx >= 0) {
+    pendingWrites.splice(idx, 1);
+    return true;
+  }
+  return (await redis.zrem(QUEUE_KEY, entry.id)) === 1;
+}
+
+function httpError(status, message) {
+  const err  = new Error(message);
+  err.status = status;
+  return err;
+}
+
+async function flushPendingWrites(redis) {
+  while (pendingWrites.length > 0) {
+    await enqueue(redis, pendingWrites[0]);
+    pendingWrites.shift();
+  }
+}
+
+async function loadEntry(redis, id) {
+  const raw = await redis.get(ITEM_PREFIX + id);
+  return raw ? JSON.parse(raw) : null;
+}
+
+/** Final queue status for a dispatch result — receipts from deliveryDispatcher may bounce. */
+function dispatchStatus(receipt) {
+  return receipt && receipt.status === 'BOUNCED' ? 'BOUNCED' : 'DISPATCHED';
+}
+
+/**
+ * Tell webhook subscribers how a dispatch went (not awaited).
+ * DISPATCHED / BOUNCED → dispatch.succeeded, RETRY / DEAD → dispatch.failed.
+ */
+function notifyDispatch(entry, status) {
+  const failed = status === 'RETRY' || status === 'DEAD';
+  emitWebhook(failed ? 'dispatch.failed' : 'dispatch.succeeded', {
+    notification_id:   entry.id,
+    audit_id:          entry.lastAuditId || entry.auditId,
+    original_audit_id: entry.originalAuditId || entry.auditId,
+    user_id:           entry.event.user_id,
+    event_type:        entry.event.event_type,
+    source:            entry.event.source,
+    channel:           entry.event.channel,
+    decision:          'NOW',
+    status,
+    attempts:          entry.attempts,
+    error:             failed ? entry.lastError : null,
+  });
+}
+
+async function ack(redis, entry, status) {
+  entry.status      = status;
+  entry.completedAt = new Date().toISOString();
+  await redis.set(ITEM_PREFIX + entry.id, JSON.stringify(entry), 'EX', DONE_TTL);
+  await redis.zrem(PROCESSING_KEY, entry.id);
+}
+
+/**
+ * Record a failed attempt: requeue with backoff, or dead-letter.
+ * @returns {Promise<boolean>} true if dead-lettered
+ */
+async function fail(redis, entry, err) {
+  entry.lastError = err.message;
+  const now = Date.now();
+
+  if (entry.attempts >= MAX_ATTEMPTS) {
+    entry.status = 'DEAD';
+    await redis.set(ITEM_PREFIX + entry.id, JSON.stringify(entry));
+    await redis.zadd(DEAD_KEY, now, entry.id);
+    await redis.zrem(PROCESSING_KEY, entry.id);
+    return true;
+  }
+
+  const delay = Math.min(BACKOFF_MAX_MS, BACKOFF_BASE_MS * 2 ** (entry.attempts - 1));
+  entry.status = 'PENDING';
+  await redis.set(ITEM_PREFIX + entry.id, JSON.stringify(entry));
+  await redis.zadd(QUEUE_KEY, now + delay, entry.id);
+  await redis.zrem(PROCESSING_KEY, entry.id);
+  return false;
+}
+
+module.exports = {
+  scheduleDeferred, forceOverride, processDeferredQueue, startScheduler, stopScheduler,
+  getQueueStats, forgetUser,
+  setDispatcher, logDispatcher,
+};
@@ -1,7 +1,9 @@
 /**
  * scorer.js — Composite Scoring Engine
  *
- * Assigns a base score (0–75) based on event signals.
+ * Assigns a base score (0–75) based on event signals, returned with the
+ * priority / event type / channel / freshness parts that built it (kept in
+ * the audit breakdown — GET /v1/audit/:audit_id/explain).
  * Final score = base - fatiguePenalty + aiScore (clamped 0–100)
  *
  * Score thresholds (applied in classifier.js):
@@ -29,6 +31,13 @@ const EVENT_TYPE_SCORES = {
   digest:           3,
 };
 
+const MAX_BASE_SCORE = 75;
+
+// Used when the event's value has no entry in the tables above
+const DEFAULT_PRIORITY_SCORE   = 10;
+const DEFAULT_EVENT_TYPE_SCORE = 5;
+const DEFAULT_CHANNEL_SCORE    = 3;
+
 const CHANNEL_SCORES = {
   sms:      10,
   push:      8,
@@ -39,14 +48,18 @@ const CHANNEL_SCORES = {
 /**
  * Compute base score from event fields.
  * @param {Object} event
- * @returns {number} 0–75
+ * @returns {{ score: number, parts: { priority, event_type, channel, freshness }, capped: boolean }}
+ *          score 0–75; capped — the parts added up to more than 75
  */
 function computeScore(event) {
-  const p = PRIORITY_SCORES[event.priority_hint]  ?? 10;
-  const e = EVENT_TYPE_SCORES[event.event_type]   ?? 5;
-  const c = CHANNEL_SCORES[event.channel]          ?? 3;
-  const f = freshnessScore(event.timestamp);
-  return Math.min(75, p + e + c + f);
+  const parts = {
+    priority:   PRIORITY_SCORES[event.priority_hint] ?? DEFAULT_PRIORITY_SCORE,
+    event_type: EVENT_TYPE_SCORES[event.event_type]  ?? DEFAULT_EVENT_TYPE_SCORE,
+    channel:    CHANNEL_SCORES[event.channel]         ?? DEFAULT_CHANNEL_SCORE,
+    freshness:  freshnessScore(event.timestamp),
+  };
+  const sum = parts.priority + parts.event_type + parts.channel + parts.freshness;
+  return { score: Math.min(MAX_BASE_SCORE, sum), parts, capped: sum > MAX_BASE_SCORE };
 }
 
 /**
@@ -64,4 +77,4 @@ function freshnessScore(timestamp) {
   return 0;
 }
 
-module.exports = { computeScore, PRIORITY_SCORES, EVENT_TYPE_SCORES, CHANNEL_SCORES };
+module.exports = { computeScore, PRIORITY_SCORES, EVENT_TYPE_SCORES, CHANNEL_SCORES, MAX_BASE_SCORE };
@@ -1,15 +1,25 @@
 require('dotenv').config();
 const express = require('express');
+const config = require('./config/default');
 const { setupRoutes } = require('./src/api/routes');
 const { errorHandler, requestLogger } = require('./src/api/middleware');
 const logger = require('./src/utils/logger');
-const { initRuleLoader } = require('./src/services/ruleService');
+const { initRuleLoader, stopRuleLoader } = require('./src/services/ruleService');
+const { initPolicyLoader, stopPolicyLoader } = require('./src/services/fatiguePolicyService');
+const { initWebhookLoader, stopWebhookLoader } = require('./src/services/webhookService');
+const { startIngestion, stopIngestion } = require('./src/services/ingestionService');
+const { initStorage } = require('./src/services/storageService');
+const { initRetentionSweeper, stopRetentionSweeper } = require('./src/services/privacyService');
+const { startScheduler, stopScheduler } = require('./src/services/schedulerService');
+const { startDigestFlusher, stopDigestFlusher } = require('./src/services/digestService');
+const { startAuditRetry, stopAuditRetry } = require('./src/services/auditService');
+const { closeRedis } = require('./src/services/redisService');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
 // Middleware
-app.use(express.json());
+app.use(express.json({ limit: process.env.JSON_BODY_LIMIT || '2mb' }));   // room for batch evaluate
 app.use(requestLogger);
 app.use(express.static('public'));
 
@@ -19,13 +29,65 @@ setupRoutes(app);
 // Error handler (must be last)
 app.use(errorHandler);
 
-// Start rule hot-reload
-initRuleLoader();
+/**
+ * Storage backend (runs pending migrations), then rule, fatigue policy + webhook hot-reload,
+ * the audit retention sweep and parked-write retry, the deferred queue and digest timers, the bus consumer
+ * (INGESTION_ENABLED=true) and the HTTP listener.
+ *
+ * Exits non-zero if chained audit entries could not be signed, or if storage
+ * cannot be initialised — serving from an empty in-memory state would
+ * silently drop audit records, rules and preferences.
+ */
+async function start() {
+  // Chained audit entries are signed — an unsigned chain could be rewritten undetected
+  if (config.audit.chainEnabled && !config.audit.signingKey) {
+    logger.error('[AUDIT CHAIN] AUDIT_SIGNING_KEY is required while AUDIT_CHAIN_ENABLED is on — refusing to start');
+    process.exit(1);
+  }
 
-app.listen(PORT, () => {
-  logger.info(`🚀 Notification Prioritization Engine running on port ${PORT}`);
-  logger.info(`📖 Interactive demo → http://localhost:${PORT}`);
-  logger.info(`🔗 API base         → http://localhost:${PORT}/v1`);
-});
+  try {
+    await initStorage();
+  } catch (err) {
+    logger.error(`[STORAGE] Init failed: ${err.message} — refusing to start`);
+    process.exit(1);
+  }
+
+  initRuleLoader();
+  initPolicyLoader();
+  initWebhookLoader();
+  initRetentionSweeper();
+  startAuditRetry();
+  startScheduler();
+  startDigestFlusher();
+  startIngestion();
+
+  const server = app.listen(PORT, () => {
+    logger.info(`🚀 Notification Prioritization Engine running on port ${PORT}`);
+    logger.info(`📖 Interactive demo → http://localhost:${PORT}`);
+    logger.info(`🔗 API base         → http://localhost:${PORT}/v1`);
+  });
+
+  // Stop taking requests, let the consumer finish its batch, stop the timers, then exit
+  const shutdown = signal => {
+    logger.info(`[SERVER] ${signal} received — shutting down`);
+    server.close();
+    stopRuleLoader();
+    stopPolicyLoader();
+    stopWebhookLoader();
+    stopRetentionSweeper();
+    stopAuditRetry();
+    stopScheduler();
+    stopDigestFlusher();
+    stopIngestion()
+      .catch(err => logger.error(`[INGESTION] Stop failed: ${err.message}`))
+      .then(closeRedis)
+      .finally(() => process.exit(0));
+  };
+  process.once('SIGTERM', shutdown);
+  process.once('SIGINT', shutdown);
+}
+
+// Started only when run directly — tests require the app without timers or a listener
+if (require.main === module) start();
 
 module.exports = app;
@@ -0,0 +1,134 @@
+/**
+ * smtpAdapter.js — SMTP Delivery Adapter
+ *
+ * Speaks plain SMTP to a relay. Meant for a local SMTP sink (MailHog,
+ * smtp4dev, Mailpit — default localhost:1025) during development; point
+ * SMTP_HOST / SMTP_PORT at a real relay in production. No TLS / AUTH —
+ * the sink or a local relay handles that.
+ *
+ * Reply mapping:
+ *   all 2xx/3xx → SENT     (provider_id = the relay's queue reply)
+ *   any 5xx     → BOUNCED  (permanent, e.g. unknown recipient)
+ *   4xx, socket error, timeout → thrown (FAILED — retried by the caller)
+ *
+ * Recipient comes from event.metadata.email. It is checked against a strict
+ * mailbox pattern (no CR/LF, no angle brackets) before any connection is
+ * opened, so an address cannot smuggle extra SMTP commands or headers —
+ * a malformed one is returned as FAILED without contacting the relay.
+ */
+
+const net = require('net');
+const os  = require('os');
+
+// local@domain — dot-atom local part, LDH domain labels, at least one dot
+const MAILBOX = /^[A-Za-z0-9!#$%&'*+/=?^_`{|}~-]+(?:\.[A-Za-z0-9!#$%&'*+/=?^_`{|}~-]+)*@[A-Za-z0-9](?:[A-Za-z0-9-]{0,61}[A-Za-z0-9])?(?:\.[A-Za-z0-9](?:[A-Za-z0-9-]{0,61}[A-Za-z0-9])?)+$/;
+const MAX_ADDRESS = 254;
+
+/**
+ * @param {Object} options
+ * @param {string} options.host
+ * @param {number} options.port
+ * @param {string} options.from
+ * @param {number} [options.timeoutMs]
+ * @returns {{ name: string, send: Function }}
+ */
+function createSmtpAdapter({ host, port, from, timeoutMs = 5000 }) {
+  return {
+    name: 'smtp',
+
+    async send(message) {
+      const to = message.metadata && message.metadata.email;
+      if (!to) return { status: 'BOUNCED', detail: 'No recipient address (metadata.email)' };
+      if (!isMailbox(to)) return { status: 'FAILED', detail: 'Invalid recipient address (metadata.email)' };
+
+      const body = buildMessage({ from, to, message });
+      const { code, line, replies } = await smtpSession({ host, port, timeoutMs }, [
+        `EHLO ${os.hostname()}`,
+        `MAIL FROM:<${from}>`,
+        `RCPT TO:<${to}>`,
+        'DATA',
+        body,
+        'QUIT',
+      ]);
+
+      if (code >= 500) return { status: 'BOUNCED', detail: line };
+      if (code >= 400) throw new Error(`SMTP ${line}`);
+
+      // replies[0] is the greeting; the reply to the message body follows DATA's 354
+      return { status: 'SENT', provider_id: (replies[5] || '').slice(4) || null };
+    },
+  };
+}
+
+// ── Internal Helpers ──────────────────────────────────────────────────────────
+
+function isMailbox(address) {
+  return typeof address === 'string'
+    && address.length <= MAX_ADDRESS
+    && !/[\r\n]/.test(address)
+    && MAILBOX.test(address);
+}
+
+/**
+ * Run a command sequence, one reply per command. Stops at the first 4xx/5xx.
+ * @returns {Promise<{ code: number, line: string, replies: string[] }>}
+ */
+function smtpSession({ host, port, timeoutMs }, commands) {
+  return new Promise((resolve, reject) => {
+    const socket  = net.createConnection({ host, port });
+    const replies = [];
+    let buffer = '';
+    let done   = false;
+
+    const finish = (fn, value) => {
+      if (done) return;
+      done = true;
+      socket.end();
+      fn(value);
+    };
+
+    socket.setTimeout(timeoutMs, () => {
+      finish(reject, new Error(`SMTP timeout (>${timeoutMs}ms)`));
+      socket.destroy();
+    });
+    socket.on('error', err => finish(reject, err));
+    socket.on('close', () => finish(reject, new Error('SMTP connection closed early')));
+
+    socket.on('data', chunk => {
+      buffer += chunk.toString('utf8');
+      const lines = buffer.split('\r\n');
+      buffer = lines.pop();
+
+      for (const line of lines) {
+        if (!/^\d{3}( |$)/.test(line)) continue;   // "250-…" continuation lines
+        const code = parseInt(line, 10);
+        replies.push(line);
+
+        if (code >= 400) return finish(resolve, { code, line, replies });
+        if (replies.length > commands.length) return finish(resolve, { code, line, replies });
+        socket.write(commands[replies.length - 1] + '\r\n');
+      }
+    });
+  });
+}
+
+function buildMessage({ from, to, message }) {
+  const text = String(message.body || '')
+    .split(/\r?\n/)
+    .map(l => (l.startsWith('.') ? '.' + l : l))   // dot-stuffing
+    .join('\r\n');
+
+  return [
+    `From: ${from}`,
+    `To: ${to}`,
+    `Subject: ${(message.title || message.event_type || 'Notification').replace(/[\r\n]/g, ' ')}`,
+    `Message-ID: <${message.delivery_id}@${os.hostname()}>`,
+    `X-Audit-Id: ${message.audit_id}`,
+    'Content-Type: text/plain; charset=utf-8',
+    '',
+    text,
+    '.',
+  ].join('\r\n');
+}
+
+module.exports = { createSmtpAdapter };
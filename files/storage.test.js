@@ -0,0 +1,358 @@
+const fs   = require('fs');
+const os   = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+const { newDb } = require('pg-mem');
+const { createMemoryStore }   = require('../src/storage/memoryStore');
+const { createPostgresStore } = require('../src/storage/postgresStore');
+
+const createdAt = new Date().toISOString();
+
+const decision = (overrides = {}) => ({
+  audit_id:      'aud_0000test',
+  event_id:      'evt_1',
+  user_id:       'store_user',
+  event_type:    'reminder',
+  decision:      'LATER',
+  score:         42,
+  reason:        'Score 42 in [30,60)',
+  stages:        { expiry: 'VALID', ai: 'SKIPPED (AI timeout)' },
+  rules_matched: ['system-update-batch'],
+  schedule_at:   '2025-02-25T15:00:00.000Z',
+  event:         { user_id: 'store_user', event_type: 'reminder', message: 'Standup' },
+  created_at:    createdAt,
+  ...overrides,
+});
+
+const adapters = {
+  memory: async () => {
+    const rulesFile    = path.join(os.tmpdir(), `rules-${process.pid}-${Date.now()}.json`);
+    const policiesFile = path.join(os.tmpdir(), `policies-${process.pid}-${Date.now()}.json`);
+    fs.writeFileSync(rulesFile, '[]');
+    return createMemoryStore({ rulesFile, policiesFile });
+  },
+  postgres: async () => {
+    const { Pool } = newDb().adapters.createPg();
+    const store = createPostgresStore({ pool: new Pool() });
+    await store.migrate();
+    return store;
+  },
+};
+
+describe.each(Object.keys(adapters))('Storage adapter — %s', (name) => {
+
+  let store;
+  beforeEach(async () => { store = await adapters[name](); });
+  afterEach(async () => store.close());
+
+  test('Decision round-trips unchanged', async () => {
+    await store.insertDecision(decision());
+    const r = await store.getDecision('aud_0000test');
+    expect(r).toMatchObject(decision());
+  });
+
+  test('Unknown audit_id → null', async () => {
+    expect(await store.getDecision('aud_missing0')).toBeNull();
+  });
+
+  test('recentDecisions returns newest first within the window', async () => {
+    const old = new Date(Date.now() - 2 * 3600000).toISOString();
+    await store.insertDecision(decision({ audit_id: 'aud_old00001', created_at: old }));
+    await store.insertDecision(decision({ audit_id: 'aud_new00001', created_at: new Date(Date.now() - 1000).toISOString() }));
+    await store.insertDecision(decision({ audit_id: 'aud_new00002' }));
+
+    const recent = await store.recentDecisions('store_user', new Date(Date.now() - 3600000).toISOString());
+    expect(recent.map(r => r.audit_id)).toEqual(['aud_new00002', 'aud_new00001']);
+  });
+
+  test('searchDecisions filters and pages by (created_at, audit_id)', async () => {
+    const ts = '2025-03-01T10:00:00.000Z';
+    await store.insertDecision(decision({ audit_id: 'aud_s1', created_at: ts, score: 80, decision: 'NOW',
+      event: { source: 'billing' }, rules_matched: ['vip-now'] }));
+    await store.insertDecision(decision({ audit_id: 'aud_s2', created_at: ts, score: 40 }));
+    await store.insertDecision(decision({ audit_id: 'aud_s3', created_at: '2025-03-01T09:00:00.000Z', score: 10 }));
+    await store.insertDecision(decision({ audit_id: 'aud_s4', created_at: '2025-03-02T00:00:00.000Z', user_id: 'other' }));
+
+    const page1 = await store.searchDecisions({ userId: 'store_user', limit: 2 });
+    expect(page1.map(r => r.audit_id)).toEqual(['aud_s2', 'aud_s1']);
+    const page2 = await store.searchDecisions({ userId: 'store_user', limit: 2, after: page1[1] });
+    expect(page2.map(r => r.audit_id)).toEqual(['aud_s3']);
+
+    const ids = async filters => (await store.searchDecisions(filters)).map(r => r.audit_id);
+    expect(await ids({ source: 'billing' })).toEqual(['aud_s1']);
+    expect(await ids({ ruleId: 'vip-now' })).toEqual(['aud_s1']);
+    expect(await ids({ userId: 'store_user', decision: 'LATER', minScore: 20, maxScore: 50 })).toEqual(['aud_s2']);
+    expect(await ids({ from: '2025-03-01T09:30:00.000Z', to: '2025-03-02T00:00:00.000Z' })).toEqual(['aud_s2', 'aud_s1']);
+  });
+
+  test('purgeDecisions and eraseUser remove decisions with their overrides and receipts', async () => {
+    const old = '2025-01-01T00:00:00.000Z';
+    await store.insertDecision(decision({ audit_id: 'aud_p1', decision: 'NEVER', created_at: old }));
+    await store.insertDecision(decision({ audit_id: 'aud_p2', decision: 'LATER', created_at: old }));
+    await store.insertDecision(decision({ audit_id: 'aud_p3', user_id: 'other' }));
+    await store.insertOverride({ override_id: 'ovr_p1', audit_id: 'aud_p1', notification_id: 'aud_p1', from: 'NEVER',
+      override_to: 'NOW', operator_id: 'ops_1', reason: 'test', schedule_at: null, created_at: old });
+    await store.insertDelivery({ delivery_id: 'dlv_p1', audit_id: 'aud_p1', original_audit_id: null, user_id: 'store_user',
+      channel: 'push', adapter: 'file', status: 'SENT', provider_id: null, error: null, created_at: old });
+
+    expect(await store.purgeDecisions({ decision: 'NEVER', before: '2025-02-01T00:00:00.000Z' })).toBe(1);
+    expect(await store.getDecision('aud_p1')).toBeNull();
+    expect(await store.getOverrides('aud_p1')).toEqual([]);
+    expect(await store.getDeliveries('aud_p1')).toEqual([]);
+
+    expect(await store.eraseUser('store_user')).toEqual({ decisions: 1, overrides: 0, deliveries: 0 });
+    expect(await store.getDecision('aud_p2')).toBeNull();
+    expect(await store.getDecision('aud_p3')).not.toBeNull();
+
+    const tombstone = { tombstone_id: 'tmb_1', subject_hash: 'a'.repeat(64), operator_id: 'dpo_1', reason: null,
+      erased: { decisions: 1 }, created_at: createdAt };
+    await store.insertTombstone(tombstone);
+    expect(await store.listTombstones('a'.repeat(64))).toEqual([tombstone]);
+  });
+
+  test('Chained writes advance the partition head, reject a stale seq and leave signed pruned markers', async () => {
+    const link = (seq, prev) => ({
+      partition: 'p1', seq, prev_hash: prev.repeat(64), hash: String(seq).repeat(64), signature: 'abcdef'[seq].repeat(64),
+    });
+    await store.insertDecision(decision({ audit_id: 'aud_c1', chain: link(1, '0') }), { headSignature: 'e'.repeat(64) });
+    await store.insertOverride({ override_id: 'ovr_c1', audit_id: 'aud_c1', notification_id: 'aud_c1', from: 'LATER',
+      override_to: 'NOW', operator_id: 'ops_1', reason: 'test', schedule_at: null, created_at: createdAt,
+      chain: link(2, '1') }, { headSignature: 'f'.repeat(64) });
+
+    await expect(store.insertDecision(decision({ audit_id: 'aud_c2', chain: link(2, '1') })))
+      .rejects.toMatchObject({ code: 'CHAIN_CONFLICT' });
+    expect(await store.getDecision('aud_c2')).toBeNull();
+    expect((await store.getDecision('aud_c1')).chain).toEqual(link(1, '0'));
+    const head = { partition: 'p1', seq: 2, hash: '2'.repeat(64), signature: 'f'.repeat(64) };
+    expect(await store.getChainHead('p1')).toEqual(head);
+
+    const live = await store.listChainEntries('p1', { afterSeq: 0, limit: 10 });
+    expect(live.map(e => [e.kind, e.seq, e.signature, e.record.audit_id])).toEqual([
+      ['decision', 1, 'b'.repeat(64), 'aud_c1'], ['override', 2, 'c'.repeat(64), 'aud_c1'],
+    ]);
+
+    expect(await store.eraseUser('store_user')).toMatchObject({ decisions: 1, overrides: 1 });
+    expect(await store.listChainEntries('p1', { afterSeq: 1, limit: 10 })).toEqual([{
+      kind: 'override', seq: 2, prev_hash: '1'.repeat(64), hash: '2'.repeat(64), signature: 'c'.repeat(64), record: null, reason: 'erasure',
+    }]);
+    expect(await store.listChainHeads()).toEqual([head]);
+  });
+
+  test('Rollups accumulate per key and list by bucket range and filters', async () => {
+    const key = (bucket, source) => ({ bucket, event_type: 'promotion', source, channel: 'email', decision: 'NEVER', score_bin: 1 });
+    const counts = { decisions: 1, dedup_suppressed: 1, fatigue_suppressed: 0, dnd_deferred: 0, ai_checked: 1, ai_skipped: 0 };
+    await store.incrementRollup(key('2025-03-01T10:00:00.000Z', 'shop'), counts);
+    await store.incrementRollup(key('2025-03-01T10:00:00.000Z', 'shop'), { ...counts, dedup_suppressed: 0, ai_skipped: 1 });
+    await store.incrementRollup(key('2025-03-01T10:00:00.000Z', 'crm'), counts);
+    await store.incrementRollup(key('2025-03-01T11:00:00.000Z', 'shop'), counts);
+
+    const rows = await store.listRollups({ from: '2025-03-01T10:00:00.000Z', to: '2025-03-01T11:00:00.000Z', source: 'shop' });
+    expect(rows).toEqual([{
+      ...key('2025-03-01T10:00:00.000Z', 'shop'),
+      decisions: 2, dedup_suppressed: 1, fatigue_suppressed: 0, dnd_deferred: 0, ai_checked: 2, ai_skipped: 1,
+    }]);
+    expect(await store.listRollups({ from: '2025-03-01T00:00:00.000Z', to: '2025-03-02T00:00:00.000Z' })).toHaveLength(3);
+  });
+
+  test('Overrides are appended in order', async () => {
+    await store.insertDecision(decision());
+    const ovr = (id, to) => ({
+      override_id: id, audit_id: 'aud_0000test', notification_id: 'aud_0000test', from: 'LATER',
+      override_to: to, operator_id: 'ops_1', reason: 'test', schedule_at: null,
+      created_at: new Date().toISOString(),
+    });
+    await store.insertOverride(ovr('ovr_00000001', 'NOW'));
+    await store.insertOverride(ovr('ovr_00000002', 'NEVER'));
+
+    const list = await store.getOverrides('aud_0000test');
+    expect(list.map(o => o.override_to)).toEqual(['NOW', 'NEVER']);
+    expect(list[0].from).toBe('LATER');
+  });
+
+  test('upsertRule inserts then merges by rule_id', async () => {
+    const rule = { rule_id: 'r1', condition: { event_type: 'promotion' }, action: 'CAP', max_per: { count: 1, window: '4h' }, priority: 20, enabled: true };
+    await store.upsertRule(rule);
+    await store.upsertRule({ ...rule, action: 'SUPPRESS' });
+
+    const rules = await store.listRules();
+    expect(rules).toHaveLength(1);
+    expect(rules[0]).toMatchObject({ rule_id: 'r1', action: 'SUPPRESS', max_per: { count: 1, window: '4h' } });
+  });
+
+  test('getRule / deleteRule', async () => {
+    await store.upsertRule({ rule_id: 'r1', condition: {}, action: 'SUPPRESS' });
+    expect(await store.getRule('r1')).toMatchObject({ rule_id: 'r1' });
+    expect(await store.deleteRule('r1')).toBe(true);
+    expect(await store.deleteRule('r1')).toBe(false);
+    expect(await store.getRule('r1')).toBeNull();
+  });
+
+  test('Rule versions are listed in order and cannot be reused', async () => {
+    const version = (v, change) => ({
+      rule_id: 'r1', version: v, change, rule: v === 2 ? null : { rule_id: 'r1', action: 'CAP' },
+      updated_by: 'ops_1', created_at: new Date().toISOString(),
+    });
+    await store.insertRuleVersion(version(1, 'CREATE'));
+    await store.insertRuleVersion(version(2, 'DELETE'));
+    await expect(store.insertRuleVersion(version(2, 'UPDATE'))).rejects.toMatchObject({ code: 'VERSION_CONFLICT' });
+
+    const list = await store.listRuleVersions('r1');
+    expect(list.map(v => [v.version, v.change])).toEqual([[1, 'CREATE'], [2, 'DELETE']]);
+    expect(list[1].rule).toBeNull();
+  });
+
+  test('commitRuleVersion writes history and rule together; a taken version changes neither', async () => {
+    const rule   = { rule_id: 'r2', condition: { event_type: 'promotion' }, action: 'SUPPRESS', priority: 10, enabled: true };
+    const record = (version, change, snapshot) => ({
+      rule_id: 'r2', version, change, rule: snapshot, updated_by: 'ops_1', created_at: new Date().toISOString(),
+    });
+
+    expect(await store.commitRuleVersion(record(1, 'CREATE', rule), { ...rule, version: 1 })).toMatchObject({ version: 1 });
+    const taken = store.commitRuleVersion(record(1, 'UPDATE', { ...rule, action: 'DEFER' }), { ...rule, action: 'DEFER', version: 1 });
+    await expect(taken).rejects.toMatchObject({ code: 'VERSION_CONFLICT' });
+    expect(await store.getRule('r2')).toMatchObject({ action: 'SUPPRESS' });
+
+    expect(await store.commitRuleVersion(record(2, 'DELETE', null), null)).toBeNull();
+    expect(await store.getRule('r2')).toBeNull();
+    expect((await store.listRuleVersions('r2')).map(v => v.change)).toEqual(['CREATE', 'DELETE']);
+  });
+
+  test('Fatigue policies upsert, list and delete', async () => {
+    const policy = {
+      policy_id: 'enterprise', scope: { segment: 'enterprise' },
+      caps: { total: { count: 20, window: '1h' } }, penalty_curve: [{ ratio: 1, penalty: 25 }],
+      priority: 10, enabled: true,
+    };
+    await store.upsertFatiguePolicy(policy);
+    await store.upsertFatiguePolicy({ ...policy, caps: { total: { count: 30, window: '1h' } } });
+
+    const list = await store.listFatiguePolicies();
+    expect(list).toHaveLength(1);
+    expect(list[0]).toMatchObject({ policy_id: 'enterprise', scope: { segment: 'enterprise' }, caps: { total: { count: 30 } } });
+    expect(await store.deleteFatiguePolicy('enterprise')).toBe(true);
+    expect(await store.listFatiguePolicies()).toEqual([]);
+  });
+
+  test('Preferences upsert, read and delete', async () => {
+    const profile = {
+      user_id: 'store_user', timezone: 'Asia/Kolkata',
+      quiet_hours: [{ days: ['mon'], start: '23:00', end: '08:00' }],
+      focus_mode: { enabled: false, until: null }, channel_opt_outs: ['sms'],
+      segment: null, fatigue_cap: { count: 3, window: '1h' }, digest_cadence: null, updated_at: createdAt,
+    };
+    expect(await store.getPreferences('store_user')).toBeNull();
+    await store.upsertPreferences(profile);
+    await store.upsertPreferences({ ...profile, segment: 'enterprise', channel_opt_outs: [] });
+
+    expect(await store.getPreferences('store_user')).toEqual({ ...profile, segment: 'enterprise', channel_opt_outs: [] });
+    expect(await store.deletePreferences('store_user')).toBe(true);
+    expect(await store.deletePreferences('store_user')).toBe(false);
+    expect(await store.getPreferences('store_user')).toBeNull();
+  });
+
+  test('Deliveries are found by audit_id or original_audit_id', async () => {
+    const receipt = {
+      delivery_id: 'dlv_1', audit_id: 'aud_first', original_audit_id: 'aud_first', user_id: 'store_user',
+      channel: 'push', adapter: 'file', status: 'FAILED', provider_id: null, error: 'timeout',
+      created_at: createdAt,
+    };
+    await store.insertDelivery(receipt);
+    await store.insertDelivery({
+      ...receipt, delivery_id: 'dlv_2', audit_id: 'aud_retry', status: 'SENT', provider_id: 'p-1', error: null,
+      created_at: new Date(Date.now() + 1000).toISOString(),
+    });
+
+    expect((await store.getDeliveries('aud_first')).map(d => d.status)).toEqual(['FAILED', 'SENT']);
+    expect(await store.getDeliveries('aud_retry')).toEqual([expect.objectContaining({ delivery_id: 'dlv_2', provider_id: 'p-1' })]);
+  });
+
+  test('Webhooks round-trip and their attempts list newest first', async () => {
+    const hook = {
+      webhook_id: 'whk_1', url: 'http://localhost/hook', secret: 'whsec_0123456789abcdef',
+      events: ['decision'], filter: { decisions: ['NEVER'] }, enabled: true, description: null,
+      created_at: createdAt, updated_at: createdAt, updated_by: null,
+    };
+    await store.upsertWebhook(hook);
+    await store.upsertWebhook({ ...hook, enabled: false });
+    expect(await store.getWebhook('whk_1')).toMatchObject({ enabled: false, filter: { decisions: ['NEVER'] } });
+
+    const attempt = {
+      attempt_id: 'wha_1', webhook_id: 'whk_1', event_id: 'wev_1', event_type: 'decision', audit_id: 'aud_x',
+      attempt: 1, status: 'RETRYING', response_status: 500, error: 'HTTP 500', duration_ms: 3,
+      next_retry_at: createdAt, created_at: createdAt,
+    };
+    await store.insertWebhookAttempt(attempt);
+    await store.insertWebhookAttempt({
+      ...attempt, attempt_id: 'wha_2', attempt: 2, status: 'SENT', response_status: 200, error: null,
+      next_retry_at: null, created_at: new Date(Date.now() + 1000).toISOString(),
+    });
+    expect((await store.listWebhookAttempts('whk_1', 10)).map(a => a.status)).toEqual(['SENT', 'RETRYING']);
+
+    expect(await store.deleteWebhook('whk_1')).toBe(true);
+    expect(await store.listWebhooks()).toEqual([]);
+  });
+
+});
+
+describe('Memory store JSON files', () => {
+
+  test('A missing file reads as empty; a corrupt one fails writes instead of replacing it', async () => {
+    const rulesFile    = path.join(os.tmpdir(), `rules-corrupt-${process.pid}-${Date.now()}.json`);
+    const policiesFile = path.join(os.tmpdir(), `policies-missing-${process.pid}-${Date.now()}.json`);
+    const store = createMemoryStore({ rulesFile, policiesFile });
+
+    expect(await store.listRules()).toEqual([]);
+    expect(await store.listFatiguePolicies()).toEqual([]);
+
+    fs.writeFileSync(rulesFile, '[{"rule_id": "keep-me",');
+    await expect(store.listRules()).rejects.toThrow(/is not valid JSON/);
+    await expect(store.upsertRule({ rule_id: 'new-rule' })).rejects.toThrow(/is not valid JSON/);
+    expect(fs.readFileSync(rulesFile, 'utf8')).toBe('[{"rule_id": "keep-me",');
+  });
+
+});
+
+describe('Postgres migrations', () => {
+
+  test('Re-running migrate() is a no-op', async () => {
+    const { Pool } = newDb().adapters.createPg();
+    const store = createPostgresStore({ pool: new Pool() });
+    expect(await store.migrate()).toEqual([1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13]);
+    expect(await store.migrate()).toEqual([]);
+  });
+
+});
+
+describe('Server startup', () => {
+
+  // Run server.js in a child process; resolves with its exit code and log output
+  const startServer = env => new Promise(resolve => {
+    const child = spawn(process.execPath, [path.join(__dirname, '../server.js')], {
+      env: { ...process.env, PORT: '0', LOG_LEVEL: 'error', ...env },
+    });
+    let output = '';
+    child.stdout.on('data', chunk => { output += chunk; });
+    const timer = setTimeout(() => child.kill(), 10000);
+    child.on('exit', code => {
+      clearTimeout(timer);
+      resolve({ code, output });
+    });
+  });
+
+  test('Exits non-zero when the storage backend cannot be initialised', async () => {
+    const { code, output } = await startServer({
+      STORAGE_BACKEND:   'postgres',
+      DATABASE_URL:      'postgres://nobody@127.0.0.1:1/notifications',   // nothing listens on port 1
+      AUDIT_SIGNING_KEY: 'test-signing-key',
+    });
+    expect(code).toBe(1);
+    expect(output).toMatch(/\[STORAGE\] Init failed: .* refusing to start/);
+  }, 15000);
+
+  test('Exits non-zero without AUDIT_SIGNING_KEY while the audit chain is on', async () => {
+    const { code, output } = await startServer({ AUDIT_SIGNING_KEY: '', AUDIT_CHAIN_ENABLED: 'true' });
+    expect(code).toBe(1);
+    expect(output).toMatch(/\[AUDIT CHAIN\] AUDIT_SIGNING_KEY is required/);
+  }, 15000);
+
+});
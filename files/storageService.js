@@ -0,0 +1,114 @@
+/**
+ * storageService.js — Storage Backend Selection
+ *
+ * Picks the persistence adapter for audit records, overrides, delivery
+ * receipts, webhooks, history, preferences and rules from config (STORAGE_BACKEND):
+ *
+ *   memory   — process Maps + config/*.json (default, single instance)
+ *   postgres — PostgreSQL via DATABASE_URL; migrations run on startup
+ *
+ * Adapter interface (all async):
+ *   migrate()                          → applied migration ids
+ *   insertDecision(record, { headSignature }) → with record.chain, also advances that
+ *                                        partition's head (storing headSignature on it);
+ *                                        throws code CHAIN_CONFLICT if it has moved
+ *   getDecision(auditId)               → record | null
+ *   listDecisions({ since, userId, eventType, limit }) → records[], newest first
+ *   searchDecisions({ userId, decision, eventType, source, ruleId, from, to,
+ *                     minScore, maxScore, after, limit })
+ *                                      → records[] by (created_at DESC, audit_id DESC),
+ *                                        strictly after the `after` { created_at, audit_id } key
+ *   purgeDecisions({ decision, before, limit }) → number deleted (oldest first, with overrides + receipts)
+ *   eraseUser(userId)                  → { decisions, overrides, deliveries } deleted
+ *                                        (both leave pruned markers for chained entries)
+ *   recentDecisions(userId, sinceIso)  → [{ audit_id, decision, event_type, score, created_at }]
+ *   getPreferences(userId)             → profile | null
+ *   upsertPreferences(profile)         → saved profile
+ *   deletePreferences(userId)          → true if it existed
+ *   insertOverride(record, { headSignature }) → as insertDecision for record.chain
+ *   getOverrides(auditId)              → overrides[]
+ *   getChainHead(partition)            → { partition, seq, hash, signature } | null
+ *   listChainHeads()                   → heads[]
+ *   listChainEntries(partition, { afterSeq, limit })
+ *                                      → [{ kind, seq, prev_hash, hash, signature, record }]
+ *                                        by seq; pruned markers have record null + reason
+ *                                        and keep the pruned entry's signature
+ *   incrementRollup(key, counts)       → adds counts to the hourly row for key
+ *                                        { bucket, event_type, source, channel, decision, score_bin }
+ *   listRollups({ from, to, eventType, source, channel }) → rollup rows with bucket in [from, to)
+ *   insertDelivery(record)
+ *   getDeliveries(auditId)             → receipts[] by audit_id or original_audit_id, oldest first
+ *   listWebhooks()                     → subscriptions[] (including disabled)
+ *   getWebhook(webhookId)              → subscription | null
+ *   upsertWebhook(webhook)             → saved subscription
+ *   deleteWebhook(webhookId)           → true if it existed
+ *   insertWebhookAttempt(record)
+ *   listWebhookAttempts(webhookId, limit) → attempts[], newest first
+ *   listRules()                        → rules[] (including disabled)
+ *   getRule(ruleId)                    → rule | null
+ *   upsertRule(rule)                   → saved rule
+ *   deleteRule(ruleId)                 → true if it existed
+ *   insertRuleVersion(record)          → throws code VERSION_CONFLICT if (rule_id, version) exists
+ *   commitRuleVersion(record, rule)    → appends record and upserts rule (deletes it when rule
+ *                                        is null) atomically → saved rule | null; VERSION_CONFLICT
+ *                                        as insertRuleVersion, leaving the rule unchanged
+ *   listRuleVersions(ruleId)           → versions[], oldest first
+ *   listFatiguePolicies()              → policies[] (including disabled)
+ *   upsertFatiguePolicy(policy)        → saved policy
+ *   deleteFatiguePolicy(policyId)      → true if it existed
+ *   insertTombstone(record)
+ *   listTombstones(subjectHash)        → tombstones[], oldest first
+ *   close()
+ */
+
+const config = require('../../config/default');
+const { createMemoryStore } = require('../storage/memoryStore');
+const { createPostgresStore } = require('../storage/postgresStore');
+const logger = require('../utils/logger');
+
+let store = null;
+
+/**
+ * Build the configured adapter and run pending migrations.
+ * Called once on startup.
+ *
+ * @returns {Promise<Object>} adapter
+ */
+async function initStorage() {
+  store = createStore(config.storage.backend);
+  const applied = await store.migrate();
+  logger.info(`[STORAGE] Backend: ${store.name}` + (applied.length ? ` (applied migrations ${applied.join(', ')})` : ''));
+  return store;
+}
+
+/**
+ * Get the active adapter — creates it lazily if initStorage() has not run.
+ * @returns {Object}
+ */
+function getStore() {
+  if (!store) store = createStore(config.storage.backend);
+  return store;
+}
+
+/**
+ * Swap in a specific adapter (tests, tooling).
+ * @param {Object} adapter
+ */
+function setStore(adapter) {
+  store = adapter;
+}
+
+function createStore(backend) {
+  if (backend === 'postgres') {
+    return createPostgresStore({
+      connectionString: config.storage.databaseUrl,
+      max:              config.storage.poolSize,
+    });
+  }
+  if (backend !== 'memory') {
+    logger.warn(`[STORAGE] Unknown backend "${backend}" — falling back to memory`);
+  }
+  return createMemoryStore();
+}
+
+module.exports = { initStorage, getStore, setStore };
@@ -0,0 +1,244 @@
+const http = require('http');
+const RedisMock = require('ioredis-mock');
+const config = require('../config/default');
+const { evaluate } = require('../src/engine/classifier');
+const {
+  emitWebhook, matchesWebhook, signPayload, createWebhook, updateWebhook, getWebhookDeliveries,
+  processWebhookRetries, checkTargetUrl, forgetUser,
+} = require('../src/services/webhookService');
+const { registerAdapter } = require('../src/services/deliveryService');
+const { setStore } = require('../src/services/storageService');
+const { createMemoryStore } = require('../src/storage/memoryStore');
+const { closeRedis } = require('../src/services/redisService');
+
+jest.mock('../src/services/aiService', () => ({ getAiScore: jest.fn().mockResolvedValue(0) }));
+
+// Redis is the no-op stub (in-process retries) unless a test sets mockRedis
+let mockRedis = null;
+jest.mock('../src/services/redisService', () => {
+  const actual = jest.requireActual('../src/services/redisService');
+  return { ...actual, getRedis: () => mockRedis || actual.getRedis() };
+});
+
+const listen = server => new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server.address().port)));
+
+const waitFor = async (check, timeoutMs = 2000) => {
+  const until = Date.now() + timeoutMs;
+  while (!(await check())) {
+    if (Date.now() > until) throw new Error('waitFor timed out');
+    await new Promise(r => setTimeout(r, 10));
+  }
+};
+
+describe('Outbound Webhooks', () => {
+
+  const received = [];
+  const codes    = [];   // status codes (or [status, headers]) to answer with, 200 once empty
+  let server, url;
+
+  beforeAll(async () => {
+    setStore(createMemoryStore());
+    registerAdapter('push', { name: 'noop', send: async () => ({ status: 'SENT' }) });
+    Object.assign(config.webhooks, { backoffBaseMs: 10, maxAttempts: 3, allowPrivateTargets: true });   // receiver is on 127.0.0.1
+
+    server = http.createServer((req, res) => {
+      let raw = '';
+      req.on('data', c => { raw += c; });
+      req.on('end', () => {
+        received.push({ headers: req.headers, raw, body: JSON.parse(raw) });
+        const [status, headers] = [].concat(codes.shift() || 200);
+        res.writeHead(status, headers);
+        res.end();
+      });
+    });
+    url = `http://127.0.0.1:${await listen(server)}/hook`;
+  });
+
+  afterAll(async () => {
+    server.close();
+    await closeRedis();
+  });
+
+  beforeEach(() => {
+    received.length = 0;
+    codes.length    = 0;
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  test('Decision from finalize() is POSTed with a verifiable HMAC signature', async () => {
+    const hook = await createWebhook({ url, events: ['decision'], filter: { decisions: ['NEVER'], user_ids: ['wh_user'] } });
+
+    await evaluate({ user_id: 'wh_user', event_type: 'security_alert', message: 'login', priority_hint: 'CRITICAL', channel: 'push' });
+    const r = await evaluate({ user_id: 'wh_user', event_type: 'reminder', message: 'stale', channel: 'push', expires_at: '2020-01-01T00:00:00Z' });
+    await waitFor(() => received.length === 1);
+
+    const [{ headers, raw, body }] = received;
+    expect(body).toMatchObject({ type: 'decision', data: { audit_id: r.audit_id, decision: 'NEVER', user_id: 'wh_user' } });
+    expect(headers['x-webhook-id']).toBe(hook.webhook_id);
+    expect(headers['x-webhook-delivery']).toBe(body.id);
+    expect(headers['x-webhook-signature']).toBe(signPayload(hook.secret, headers['x-webhook-timestamp'], raw));
+
+    const disabled = await updateWebhook(hook.webhook_id, { enabled: false });
+    expect(disabled.secret).toBe('********');
+  });
+
+  test('Failed attempts are retried with backoff and every attempt is logged', async () => {
+    const hook = await createWebhook({ url, events: ['dispatch.failed'] });
+    codes.push(500, 503);
+
+    await emitWebhook('dispatch.failed', { audit_id: 'aud_wh_retry', user_id: 'wh_user', status: 'RETRY' });
+    await waitFor(async () => (await getWebhookDeliveries(hook.webhook_id)).length === 3);
+
+    const log = await getWebhookDeliveries(hook.webhook_id);
+    expect(log.map(a => [a.attempt, a.status, a.response_status])).toEqual([
+      [3, 'SENT', 200], [2, 'RETRYING', 503], [1, 'RETRYING', 500],
+    ]);
+    expect(new Set(log.map(a => a.event_id)).size).toBe(1);
+    expect(new Set(received.map(r => r.headers['x-webhook-delivery'])).size).toBe(1);
+
+    await updateWebhook(hook.webhook_id, { enabled: false });
+  });
+
+  test('Gives up after maxAttempts with a FAILED entry', async () => {
+    const hook = await createWebhook({ url, events: ['dispatch.succeeded'] });
+    codes.push(500, 500, 500);
+
+    await emitWebhook('dispatch.succeeded', { audit_id: 'aud_wh_dead', user_id: 'wh_user', status: 'DISPATCHED' });
+    await waitFor(async () => (await getWebhookDeliveries(hook.webhook_id)).length === 3);
+
+    const [last] = await getWebhookDeliveries(hook.webhook_id);
+    expect(last).toMatchObject({ attempt: 3, status: 'FAILED', error: 'HTTP 500', next_retry_at: null });
+
+    await updateWebhook(hook.webhook_id, { enabled: false });
+  });
+
+  test('With Redis, retries are queued there and sent by whichever instance polls', async () => {
+    mockRedis = new RedisMock();
+    try {
+      const hook = await createWebhook({ url, events: ['dispatch.failed'] });
+      codes.push(500);
+
+      await emitWebhook('dispatch.failed', { audit_id: 'aud_wh_queued', user_id: 'wh_user', status: 'DEAD' });
+      expect(await mockRedis.zcard('webhook:retries')).toBe(1);
+      expect(received).toHaveLength(1);
+
+      await new Promise(r => setTimeout(r, 20));   // past the 10ms backoff
+      expect(await processWebhookRetries()).toBe(1);
+      expect(await processWebhookRetries()).toBe(0);
+      expect(await mockRedis.zcard('webhook:retries')).toBe(0);
+
+      const log = await getWebhookDeliveries(hook.webhook_id);
+      expect(log.map(a => [a.attempt, a.status])).toEqual([[2, 'SENT'], [1, 'RETRYING']]);
+      await updateWebhook(hook.webhook_id, { enabled: false });
+    } finally {
+      mockRedis = null;
+    }
+  });
+
+  test('Erasing a user drops their queued retries — in Redis and in-process', async () => {
+    const hook   = await createWebhook({ url, events: ['dispatch.failed'] });
+    const sentTo = user => received.filter(r => r.body.data.user_id === user).length;
+
+    mockRedis = new RedisMock();
+    try {
+      codes.push(500, 500);
+      await emitWebhook('dispatch.failed', { audit_id: 'aud_wh_gone1', user_id: 'wh_gone', status: 'DEAD' });
+      await emitWebhook('dispatch.failed', { audit_id: 'aud_wh_kept1', user_id: 'wh_kept', status: 'DEAD' });
+      expect(await mockRedis.zcard('webhook:retries')).toBe(2);
+
+      expect(await forgetUser('wh_gone')).toBe(2);   // the queued payload and the user's index
+      expect(await mockRedis.zcard('webhook:retries')).toBe(1);
+      await new Promise(r => setTimeout(r, 20));
+      expect(await processWebhookRetries()).toBe(1);
+    } finally {
+      mockRedis = null;
+    }
+
+    // Redis down — the retry waits on a timer in this process
+    codes.push(500);
+    await emitWebhook('dispatch.failed', { audit_id: 'aud_wh_gone2', user_id: 'wh_gone', status: 'DEAD' });
+    await forgetUser('wh_gone');
+    await new Promise(r => setTimeout(r, 50));
+
+    expect(sentTo('wh_gone')).toBe(2);   // first attempts only
+    expect(sentTo('wh_kept')).toBe(2);
+    await updateWebhook(hook.webhook_id, { enabled: false });
+  });
+
+  test('Private targets are refused unless allowed, including when a name resolves to one', async () => {
+    config.webhooks.allowPrivateTargets = false;
+    try {
+      expect(checkTargetUrl(url)).toMatch(/private, loopback or link-local/);
+      expect(checkTargetUrl('http://[::ffff:127.0.0.1]/hook')).toMatch(/private/);
+      expect(checkTargetUrl('https://hooks.example.com/notify')).toBeNull();
+
+      expect(checkTargetUrl('http://LOCALHOST./hook')).toMatch(/private/);
+
+      // A public-looking name that resolves to loopback is caught before sending
+      jest.spyOn(require('dns').promises, 'lookup').mockResolvedValueOnce([{ address: '127.0.0.1', family: 4 }]);
+      const hook = await createWebhook({ url: url.replace('127.0.0.1', 'hooks.example.com'), events: ['dispatch.succeeded'] });
+      await emitWebhook('dispatch.succeeded', { audit_id: 'aud_wh_ssrf', user_id: 'wh_user', status: 'DISPATCHED' });
+      const [entry] = await getWebhookDeliveries(hook.webhook_id);
+      expect(entry).toMatchObject({ attempt: 1, status: 'FAILED', error: expect.stringMatching(/resolves to 127\.0\.0\.1/) });
+      expect(received).toHaveLength(0);
+      await updateWebhook(hook.webhook_id, { enabled: false });
+    } finally {
+      config.webhooks.allowPrivateTargets = true;
+    }
+  });
+
+  test('Redirects are not followed — a 3xx is a failed attempt', async () => {
+    const hook = await createWebhook({ url, events: ['dispatch.succeeded'] });
+    codes.push([302, { Location: 'http://169.254.169.254/latest/meta-data/' }]);
+
+    await emitWebhook('dispatch.succeeded', { audit_id: 'aud_wh_redirect', user_id: 'wh_user', status: 'DISPATCHED' });
+    await waitFor(async () => (await getWebhookDeliveries(hook.webhook_id)).length === 2);
+
+    const log = await getWebhookDeliveries(hook.webhook_id);
+    expect(log.map(a => [a.attempt, a.status, a.response_status, a.error])).toEqual([
+      [2, 'SENT', 200, null], [1, 'RETRYING', 302, 'HTTP 302 — redirects are not followed'],
+    ]);
+    expect(received.map(r => r.headers['x-webhook-delivery'])).toEqual([log[0].event_id, log[0].event_id]);
+    await updateWebhook(hook.webhook_id, { enabled: false });
+  });
+
+  test('A name is resolved once per attempt and the connection goes to that address', async () => {
+    const lookup  = jest.spyOn(require('dns').promises, 'lookup')
+      .mockResolvedValueOnce([{ address: '192.0.2.10', family: 4 }])     // public when checked …
+      .mockResolvedValue([{ address: '127.0.0.1', family: 4 }]);         // … loopback if asked again
+    const request = jest.spyOn(require('http'), 'request');
+    const { timeoutMs } = config.webhooks;
+    Object.assign(config.webhooks, { allowPrivateTargets: false, timeoutMs: 200 });
+    try {
+      const hook = await createWebhook({ url: url.replace('127.0.0.1', 'rebind.example.com'), events: ['dispatch.succeeded'] });
+      await emitWebhook('dispatch.succeeded', { audit_id: 'aud_wh_rebind', user_id: 'wh_user', status: 'DISPATCHED' });
+
+      const pinned = request.mock.calls[0][1].lookup;
+      expect(lookup).toHaveBeenCalledTimes(1);
+      expect(await new Promise(resolve => pinned('rebind.example.com', {}, (err, address) => resolve(address))))
+        .toBe('192.0.2.10');
+
+      // The retry resolves again, sees loopback and gives up — the receiver is never reached
+      await waitFor(async () => (await getWebhookDeliveries(hook.webhook_id)).length === 2);
+      const log = await getWebhookDeliveries(hook.webhook_id);
+      expect(log.map(a => [a.attempt, a.status])).toEqual([[2, 'FAILED'], [1, 'RETRYING']]);
+      expect(log[0].error).toMatch(/resolves to 127\.0\.0\.1/);
+      expect(received).toHaveLength(0);
+      await updateWebhook(hook.webhook_id, { enabled: false });
+    } finally {
+      Object.assign(config.webhooks, { allowPrivateTargets: true, timeoutMs });
+    }
+  });
+
+  test('Filters — empty lists match everything, lists are ANDed', () => {
+    const data = { decision: 'LATER', event_type: 'promotion', user_id: 'u1', source: 'promo-svc' };
+
+    expect(matchesWebhook({ events: [], filter: {} }, 'decision', data)).toBe(true);
+    expect(matchesWebhook({ events: ['decision'], filter: { decisions: ['LATER'], sources: ['promo-svc'] } }, 'decision', data)).toBe(true);
+    expect(matchesWebhook({ events: ['decision'], filter: { decisions: ['LATER'], sources: ['billing'] } }, 'decision', data)).toBe(false);
+    expect(matchesWebhook({ events: ['dispatch.failed'], filter: {} }, 'decision', data)).toBe(false);
+    expect(matchesWebhook({ enabled: false, filter: {} }, 'decision', data)).toBe(false);
+  });
+
+});
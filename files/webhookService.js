@@ -0,0 +1,550 @@
+/**
+ * webhookService.js — Outbound Decision Webhooks
+ *
+ * Downstream systems subscribe to decision events instead of polling
+ * /v1/audit/:audit_id:
+ *
+ *   {
+ *     webhook_id:  "whk_1a2b3c4d",
+ *     url:         "https://crm.internal/hooks/notifications",
+ *     secret:      "whsec_…",                  // HMAC key, generated if omitted
+ *     events:      ["decision", "dispatch.failed"],
+ *     filter:      { decisions: ["NEVER"], event_types: [], user_ids: [], sources: ["billing-svc"] },
+ *     enabled:     true
+ *   }
+ *
+ * Events:
+ *   decision            — every audited decision (classifier.finalize, incl. re-evaluations)
+ *   dispatch.succeeded  — scheduler delivered a deferred item (status DISPATCHED | BOUNCED)
+ *   dispatch.failed     — scheduler dispatch threw (status RETRY | DEAD)
+ *
+ * Filter lists are ANDed; an empty or missing list matches everything.
+ *
+ * Each POST carries:
+ *   X-Webhook-Id         webhook_id
+ *   X-Webhook-Event      event type
+ *   X-Webhook-Delivery   event id (same across retries — receivers dedupe on it)
+ *   X-Webhook-Timestamp  unix seconds
+ *   X-Webhook-Signature  sha256=HMAC_SHA256(secret, "<timestamp>.<raw body>") hex
+ *
+ * Non-2xx, timeouts and network errors are retried with exponential backoff
+ * (config.webhooks). Every attempt is written to the delivery log. Pending
+ * retries live in Redis, so they survive a restart and any instance may send
+ * them:
+ *
+ *   webhook:retries        ZSET  retry id → due at (ms)
+ *   webhook:retry:<id>     STRING JSON { webhook_id, payload, attempt }
+ *   webhook:user:<user_id> SET   retry ids whose payload carries that user
+ *                                (forgetUser() erases them; ids are not
+ *                                removed when sent — the set just expires)
+ *
+ * processWebhookRetries() claims due ids with ZREM (one instance wins each)
+ * and re-reads the subscription, so a deleted or disabled hook is not sent.
+ * While Redis is down, retries fall back to in-process timers.
+ *
+ * Targets (SSRF): URLs whose host is a private, loopback or link-local
+ * address — as written, or as resolved just before each attempt — are
+ * refused, and so is plain http in production. The host is resolved once per
+ * attempt and the connection goes to that checked address, so a DNS answer
+ * that changes in between cannot redirect it. Redirects are never followed:
+ * a 3xx is a failed attempt. WEBHOOK_ALLOW_PRIVATE_TARGETS lifts the address
+ * check for local development and tests.
+ *
+ * Sending never blocks or fails the caller.
+ */
+
+const crypto = require('crypto');
+const dns    = require('dns').promises;
+const http   = require('http');
+const https  = require('https');
+const net    = require('net');
+const config = require('../../config/default');
+const { getStore } = require('./storageService');
+const { getRedis } = require('./redisService');
+const { shortId } = require('../utils/fingerprint');
+const logger = require('../utils/logger');
+
+const WEBHOOK_EVENTS  = ['decision', 'dispatch.succeeded', 'dispatch.failed'];
+const FILTER_KEYS     = { decisions: 'decision', event_types: 'event_type', user_ids: 'user_id', sources: 'source' };
+const RELOAD_INTERVAL = parseInt(process.env.WEBHOOK_RELOAD_INTERVAL_MS) || 30000;
+const LOG_LIMIT       = 100;
+const SECRET_MASK     = '********';     // stored secrets are never echoed back
+
+const RETRY_KEY       = 'webhook:retries';
+const RETRY_PREFIX    = 'webhook:retry:';
+const USER_INDEX_PREFIX = 'webhook:user:';
+const RETRY_POLL_MS   = parseInt(process.env.WEBHOOK_RETRY_POLL_MS) || 5000;
+const RETRY_BATCH     = 100;
+
+// Private, loopback, link-local and other non-public ranges
+const BLOCKED = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4],
+].forEach(([net4, prefix]) => BLOCKED.addSubnet(net4, prefix, 'ipv4'));
+[['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]
+  .forEach(([net6, prefix]) => BLOCKED.addSubnet(net6, prefix, 'ipv6'));
+
+let cachedWebhooks = [];
+let timers = [];
+// In-process retries (Redis down): { timer, userId }
+const localRetries = new Set();
+
+// ── Subscription Loading ──────────────────────────────────────────────────────
+
+/**
+ * Load and cache enabled subscriptions from the storage backend.
+ * Falls back to previously cached subscriptions if the backend is unavailable.
+ */
+async function loadWebhooks() {
+  try {
+    const store = getStore();
+    cachedWebhooks = (await store.listWebhooks()).filter(w => w.enabled !== false);
+    logger.info(`[WEBHOOK] Loaded ${cachedWebhooks.length} active subscriptions from ${store.name} store`);
+  } catch (err) {
+    logger.warn(`[WEBHOOK] Load failed: ${err.message} — continuing with ${cachedWebhooks.length} cached subscriptions`);
+  }
+}
+
+/**
+ * Start the hot-reload loop (picks up changes made by other instances).
+ * Called once on server startup.
+ */
+function initWebhookLoader() {
+  if (timers.length > 0) return;
+  loadWebhooks();
+  timers = [setInterval(loadWebhooks, RELOAD_INTERVAL), setInterval(processWebhookRetries, RETRY_POLL_MS)];
+  timers.forEach(t => t.unref());
+  logger.info(`[WEBHOOK] Hot-reload active every ${RELOAD_INTERVAL / 1000}s, retries polled every ${RETRY_POLL_MS / 1000}s`);
+}
+
+/** Stop the hot-reload and retry poll loops (shutdown, tests). Queued retries stay in Redis. */
+function stopWebhookLoader() {
+  timers.forEach(clearInterval);
+  timers = [];
+}
+
+// ── Emitting ──────────────────────────────────────────────────────────────────
+
+/**
+ * Send an event to every matching subscription. Fire-and-forget: callers do
+ * not await it, and it never throws.
+ *
+ * @param {string} type - one of WEBHOOK_EVENTS
+ * @param {Object} data - { audit_id, user_id, event_type, source, decision, ... }
+ * @returns {Promise<void>} resolves once every first attempt has finished (tests)
+ */
+function emitWebhook(type, data) {
+  const targets = cachedWebhooks.filter(w => matchesWebhook(w, type, data));
+  if (targets.length === 0) return Promise.resolve();
+
+  const payload = { id: shortId('wev'), type, created_at: new Date().toISOString(), data };
+  return Promise.all(targets.map(w => attempt(w, payload, 1)))
+    .then(() => {})
+    .catch(err => logger.error(`[WEBHOOK] Emit failed for ${type}: ${err.message}`));
+}
+
+/**
+ * Does a subscription want this event?
+ * @param {Object} webhook
+ * @param {string} type
+ * @param {Object} data
+ * @returns {boolean}
+ */
+function matchesWebhook(webhook, type, data) {
+  if (webhook.enabled === false) return false;
+  if (webhook.events && webhook.events.length > 0 && !webhook.events.includes(type)) return false;
+
+  const filter = webhook.filter || {};
+  return Object.entries(FILTER_KEYS).every(([key, field]) =>
+    !filter[key] || filter[key].length === 0 || filter[key].includes(data[field])
+  );
+}
+
+/**
+ * Send every retry that is due. Safe to run on every instance — each retry
+ * is claimed by exactly one. Never throws.
+ *
+ * @returns {Promise<number>} retries attempted
+ */
+async function processWebhookRetries() {
+  let sent = 0;
+  try {
+    const redis = getRedis();
+    const ids   = await redis.zrangebyscore(RETRY_KEY, 0, Date.now(), 'LIMIT', 0, RETRY_BATCH);
+    for (const id of ids) {
+      if (await redis.zrem(RETRY_KEY, id) === 0) continue;   // another instance claimed it
+      const raw = await redis.get(RETRY_PREFIX + id);
+      await redis.del(RETRY_PREFIX + id);
+      if (!raw) continue;
+
+      const { webhook_id, payload, attempt: n } = JSON.parse(raw);
+      const webhook = await getStore().getWebhook(webhook_id);
+      if (!webhook || webhook.enabled === false) {
+        logger.info(`[WEBHOOK] Dropped retry ${n} of ${payload.id} — ${webhook_id} is gone or disabled`);
+        continue;
+      }
+      await attempt(webhook, payload, n);
+      sent++;
+    }
+  } catch (err) {
+    logger.error(`[WEBHOOK] Retry poll failed: ${err.message}`);
+  }
+  return sent;
+}
+
+/**
+ * Drop every queued retry whose payload carries a user (GDPR erasure) —
+ * Redis entries and in-process timers — so none is sent afterwards.
+ *
+ * @param {string} userId
+ * @returns {Promise<number>} Redis keys deleted
+ */
+async function forgetUser(userId) {
+  for (const local of localRetries) {
+    if (local.userId !== userId) continue;
+    clearTimeout(local.timer);
+    localRetries.delete(local);
+  }
+
+  const redis   = getRedis();
+  const userKey = USER_INDEX_PREFIX + userId;
+  const ids     = await redis.smembers(userKey);
+  for (const id of ids) await redis.zrem(RETRY_KEY, id);
+  return redis.del(...ids.map(id => RETRY_PREFIX + id), userKey);
+}
+
+/**
+ * Why a URL may not be used as a webhook target, judged from the URL alone
+ * (the resolved address is checked again before every attempt).
+ *
+ * @param {string} url
+ * @returns {string|null} reason, or null if it is allowed
+ */
+function checkTargetUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (_) {
+    return 'url must be an http(s) URL';
+  }
+  if (config.webhooks.requireHttps && parsed.protocol !== 'https:') return 'url must use https';
+  if (config.webhooks.allowPrivateTargets) return null;
+
+  const host = parsed.hostname.replace(/^\[|\]$/g, '').replace(/\.$/, '').toLowerCase();
+  if (host === 'localhost' || host.endsWith('.localhost') || (net.isIP(host) && isBlockedAddress(host))) {
+    return 'url must not point at a private, loopback or link-local address';
+  }
+  return null;
+}
+
+/**
+ * Signature header value for a payload — receivers recompute it with their
+ * copy of the secret and compare in constant time.
+ *
+ * @param {string} secret
+ * @param {number|string} timestamp - unix seconds, as sent in X-Webhook-Timestamp
+ * @param {string} body             - raw request body
+ * @returns {string} "sha256=<hex>"
+ */
+function signPayload(secret, timestamp, body) {
+  return 'sha256=' + crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+// ── Management ────────────────────────────────────────────────────────────────
+
+/**
+ * All subscriptions, including disabled ones, secrets masked.
+ * @returns {Promise<Array>}
+ */
+async function listWebhooks() {
+  return (await getStore().listWebhooks()).map(maskSecret);
+}
+
+/**
+ * @param {string} webhookId
+ * @returns {Promise<Object>} secret masked
+ * @throws 404 if the webhook does not exist
+ */
+async function getWebhook(webhookId) {
+  return maskSecret(await findWebhook(webhookId));
+}
+
+/**
+ * Create a subscription. The response is the only place the full secret is shown.
+ *
+ * @param {Object} fields - { url, secret?, events?, filter?, enabled?, description? }
+ * @param {string} [updatedBy]
+ * @returns {Promise<Object>} saved webhook, including its secret
+ */
+async function createWebhook(fields, updatedBy = null) {
+  const now   = new Date().toISOString();
+  const saved = await getStore().upsertWebhook({
+    webhook_id:  shortId('whk'),
+    url:         fields.url,
+    secret:      fields.secret || `whsec_${crypto.randomBytes(24).toString('hex')}`,
+    events:      fields.events || WEBHOOK_EVENTS,
+    filter:      fields.filter || {},
+    enabled:     fields.enabled !== false,
+    description: fields.description || null,
+    created_at:  now,
+    updated_at:  now,
+    updated_by:  updatedBy,
+  });
+  await loadWebhooks();
+  logger.info(`[WEBHOOK] Created ${saved.webhook_id} → ${saved.url}`);
+  return saved;
+}
+
+/**
+ * Update a subscription. Omitted fields keep their value; pass `secret` to rotate it.
+ *
+ * @param {string} webhookId
+ * @param {Object} fields
+ * @param {string} [updatedBy]
+ * @returns {Promise<Object>} saved webhook, secret masked
+ * @throws 404 if the webhook does not exist
+ */
+async function updateWebhook(webhookId, fields, updatedBy = null) {
+  const existing = await findWebhook(webhookId);
+  const updates  = {};
+  ['url', 'secret', 'events', 'filter', 'enabled', 'description'].forEach(k => {
+    if (fields[k] !== undefined) updates[k] = fields[k];
+  });
+
+  const saved = await getStore().upsertWebhook({
+    ...existing,
+    ...updates,
+    updated_at: new Date().toISOString(),
+    updated_by: updatedBy,
+  });
+  await loadWebhooks();
+  logger.info(`[WEBHOOK] Updated ${webhookId}`);
+  return maskSecret(saved);
+}
+
+/**
+ * @param {string} webhookId
+ * @throws 404 if the webhook does not exist
+ */
+async function deleteWebhook(webhookId) {
+  if (!await getStore().deleteWebhook(webhookId)) {
+    throw httpError(404, `Webhook ${webhookId} not found`);
+  }
+  await loadWebhooks();
+  logger.info(`[WEBHOOK] Deleted ${webhookId}`);
+}
+
+/**
+ * Delivery log for a subscription — one entry per attempt, newest first.
+ *
+ * @param {string} webhookId
+ * @param {number} [limit]
+ * @returns {Promise<Array>}
+ * @throws 404 if the webhook does not exist
+ */
+async function getWebhookDeliveries(webhookId, limit = LOG_LIMIT) {
+  await findWebhook(webhookId);
+  return getStore().listWebhookAttempts(webhookId, limit);
+}
+
+// ── Internal Helpers ──────────────────────────────────────────────────────────
+
+/**
+ * POST one attempt, log it, and schedule the next one on failure.
+ * @returns {Promise<Object>} the logged attempt
+ */
+async function attempt(webhook, payload, n) {
+  const { timeoutMs, maxAttempts, backoffBaseMs, backoffMaxMs } = config.webhooks;
+  const body      = JSON.stringify(payload);
+  const timestamp = Math.floor(Date.now() / 1000);
+  const started   = Date.now();
+
+  const record = {
+    attempt_id:      shortId('wha'),
+    webhook_id:      webhook.webhook_id,
+    event_id:        payload.id,
+    event_type:      payload.type,
+    audit_id:        payload.data.audit_id || null,
+    attempt:         n,
+    status:          'SENT',
+    response_status: null,
+    error:           null,
+    duration_ms:     null,
+    next_retry_at:   null,
+    created_at:      null,
+  };
+
+  const target = await resolveTarget(webhook.url);
+  if (target.blocked) {
+    record.status      = 'FAILED';
+    record.error       = target.blocked;
+    record.duration_ms = Date.now() - started;
+    record.created_at  = new Date().toISOString();
+    logger.warn(`[WEBHOOK] FAILED ${payload.type} → ${webhook.webhook_id}: ${target.blocked}`);
+    await logAttempt(record);
+    return record;
+  }
+
+  try {
+    const status = await post(webhook.url, {
+      'Content-Type':        'application/json',
+      'User-Agent':          'notification-engine-webhooks',
+      'X-Webhook-Id':        webhook.webhook_id,
+      'X-Webhook-Event':     payload.type,
+      'X-Webhook-Delivery':  payload.id,
+      'X-Webhook-Timestamp': String(timestamp),
+      'X-Webhook-Signature': signPayload(webhook.secret, timestamp, body),
+    }, body, target.lookup, timeoutMs);
+    record.response_status = status;
+    if (status >= 300 && status < 400) record.error = `HTTP ${status} — redirects are not followed`;
+    else if (status >= 400)            record.error = `HTTP ${status}`;
+  } catch (err) {
+    record.error = err.message;
+  }
+
+  record.duration_ms = Date.now() - started;
+  record.created_at  = new Date().toISOString();
+
+  if (record.error) {
+    if (n < maxAttempts) {
+      const delay = Math.min(backoffMaxMs, backoffBaseMs * 2 ** (n - 1));
+      record.status        = 'RETRYING';
+      record.next_retry_at = new Date(Date.now() + delay).toISOString();
+      await scheduleRetry(webhook, payload, n + 1, delay);
+    } else {
+      record.status = 'FAILED';
+    }
+    logger.warn(`[WEBHOOK] ${record.status} ${payload.type} → ${webhook.webhook_id} (attempt ${n}/${maxAttempts}): ${record.error}`);
+  } else {
+    logger.info(`[WEBHOOK] SENT ${payload.type} → ${webhook.webhook_id} | audit=${record.audit_id}`);
+  }
+
+  await logAttempt(record);
+  return record;
+}
+
+async function logAttempt(record) {
+  try {
+    await getStore().insertWebhookAttempt(record);
+  } catch (err) {
+    logger.error(`[WEBHOOK] Log write failed for ${record.attempt_id}: ${err.message}`);
+  }
+}
+
+/** Queue attempt n in Redis — or, while Redis is down, on an in-process timer. */
+async function scheduleRetry(webhook, payload, n, delay) {
+  const redis  = getRedis();
+  const userId = payload.data.user_id;
+  if (!redis.isStub) {
+    try {
+      const id = shortId('whr');
+      // Kept past its due time in case every poller is down for a while
+      const ttlSec = Math.ceil(delay / 1000) + 24 * 3600;
+      await redis.set(RETRY_PREFIX + id, JSON.stringify({ webhook_id: webhook.webhook_id, payload, attempt: n }), 'EX', ttlSec);
+      if (userId != null) {
+        // Outlives every retry listed in it — none is due later than backoffMaxMs
+        await redis.sadd(USER_INDEX_PREFIX + userId, id);
+        await redis.expire(USER_INDEX_PREFIX + userId, Math.ceil(config.webhooks.backoffMaxMs / 1000) + 24 * 3600);
+      }
+      await redis.zadd(RETRY_KEY, Date.now() + delay, id);
+      return;
+    } catch (err) {
+      logger.warn(`[WEBHOOK] Could not queue retry in Redis: ${err.message} — retrying in-process`);
+    }
+  }
+  const local = { userId };
+  local.timer = setTimeout(() => {
+    localRetries.delete(local);
+    attempt(webhook, payload, n).catch(() => {});
+  }, delay).unref();
+  localRetries.add(local);
+}
+
+/**
+ * Resolve the URL's host once for an attempt.
+ *
+ * @returns {Promise<{ blocked?: string, lookup?: Function }>}
+ *   blocked — why the target is refused; lookup — pins the connection to the
+ *   address just checked (or fails it with the DNS error, which is retried).
+ *   Neither for IP literals and when private targets are allowed.
+ */
+async function resolveTarget(url) {
+  const blocked = checkTargetUrl(url);
+  if (blocked) return { blocked };
+
+  const host = new URL(url).hostname.replace(/^\[|\]$/g, '');
+  if (net.isIP(host) || config.webhooks.allowPrivateTargets) return {};   // literal — already checked
+
+  let addresses;
+  try {
+    addresses = await dns.lookup(host, { all: true });
+  } catch (err) {
+    return { lookup: (hostname, options, callback) => callback(err) };
+  }
+  const bad = addresses.find(a => isBlockedAddress(a.address));
+  if (bad) return { blocked: `${host} resolves to ${bad.address}, a private, loopback or link-local address` };
+
+  const { address, family } = addresses[0];
+  return {
+    lookup: (hostname, options, callback) =>
+      (options.all ? callback(null, [{ address, family }]) : callback(null, address, family)),
+  };
+}
+
+/**
+ * POST a body and resolve with the response status. Never follows redirects;
+ * a fresh connection per attempt, made through `lookup` when given.
+ *
+ * @returns {Promise<number>}
+ */
+function post(url, headers, body, lookup, timeoutMs) {
+  const target = new URL(url);
+  const client = target.protocol === 'https:' ? https : http;
+  return new Promise((resolve, reject) => {
+    const req = client.request(target, {
+      method:  'POST',
+      headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+      agent:   false,
+      lookup,
+    }, res => {
+      clearTimeout(timer);
+      res.resume();
+      resolve(res.statusCode);
+    });
+    const timer = setTimeout(() => req.destroy(new Error(`Timeout (>${timeoutMs}ms)`)), timeoutMs);
+    req.on('error', err => {
+      clearTimeout(timer);
+      reject(err);
+    });
+    req.end(body);
+  });
+}
+
+function isBlockedAddress(address) {
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);   // IPv4-mapped IPv6
+  if (mapped) return BLOCKED.check(mapped[1], 'ipv4');
+  return BLOCKED.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+}
+
+async function findWebhook(webhookId) {
+  const webhook = await getStore().getWebhook(webhookId);
+  if (!webhook) throw httpError(404, `Webhook ${webhookId} not found`);
+  return webhook;
+}
+
+function maskSecret(webhook) {
+  return { ...webhook, secret: webhook.secret ? SECRET_MASK : null };
+}
+
+function httpError(status, message) {
+  const err  = new Error(message);
+  err.status = status;
+  return err;
+}
+
+module.exports = {
+  emitWebhook, matchesWebhook, signPayload, checkTargetUrl, processWebhookRetries, forgetUser,
+  listWebhooks, getWebhook, createWebhook, updateWebhook, deleteWebhook, getWebhookDeliveries,
+  initWebhookLoader, stopWebhookLoader, loadWebhooks, WEBHOOK_EVENTS,
+};